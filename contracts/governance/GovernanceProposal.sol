@@ -3,24 +3,50 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Multicall.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "../interfaces/ITimelock.sol";
+import "../interfaces/ITreasury.sol";
 import "../libraries/VotingMath.sol";
+import "../security/EmergencyPausable.sol";
 import "./GovernanceToken.sol";
 
 /**
  * @title GovernanceProposal
  * @notice Core governance contract managing proposal lifecycle, voting, and delegation
- * @dev Implements weighted voting with delegation and complete state machine
+ * @dev Implements weighted voting with delegation and complete state machine.
+ *      Votes and delegations can also be signed off-chain (EIP-712) and submitted
+ *      by a relayer, several at a time through multicall. A vote can be changed
+ *      until voting ends, and delegatees can split theirs across FOR, AGAINST
+ *      and ABSTAIN.
+ *      ETH payouts that would break their tier's spending limits in the treasury
+ *      are escalated to a stricter type when created.
+ *      While paused, payout proposals cannot be created, voted on or tallied.
+ *      Action proposals carry on, so governance can still extend or lift the pause.
+ *      The stored state only changes on transactions; state() also derives
+ *      PENDING during the voting delay and EXPIRED once the timelock's grace
+ *      period has passed. Queueing a passed proposal schedules it in the timelock
+ *      in the same transaction, and cancelling a queued one unschedules it.
  */
-contract GovernanceProposal is AccessControl, ReentrancyGuard {
+contract GovernanceProposal is AccessControl, EmergencyPausable, ReentrancyGuard, EIP712, Multicall {
     using VotingMath for uint256;
 
     bytes32 public constant PROPOSER_ROLE = keccak256("PROPOSER_ROLE");
     bytes32 public constant EXECUTOR_ROLE = keccak256("EXECUTOR_ROLE");
     bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
 
+    /// @notice EIP-712 type of a signed vote
+    bytes32 public constant BALLOT_TYPEHASH =
+        keccak256("Ballot(uint256 proposalId,uint8 voteType,address voter,uint256 nonce,uint256 expiry)");
+
+    /// @notice EIP-712 type of a signed delegation
+    bytes32 public constant DELEGATION_TYPEHASH =
+        keccak256("Delegation(address delegator,address delegatee,uint256 nonce,uint256 expiry)");
+
     GovernanceToken public governanceToken;
 
-    /// @notice Proposal types with different risk levels
+    /// @notice Proposal types with different risk levels (defaults, see amountBands and votingConfigs)
     enum ProposalType {
         HIGH_CONVICTION,    // > 10 ETH, 66% approval, 30% quorum, 7 day timelock
         EXPERIMENTAL,       // 1-10 ETH, 60% approval, 20% quorum, 3 day timelock
@@ -34,7 +60,8 @@ contract GovernanceProposal is AccessControl, ReentrancyGuard {
         DEFEATED,   // Failed quorum or threshold
         QUEUED,     // Approved, waiting for timelock
         EXECUTED,   // Successfully executed
-        CANCELLED   // Cancelled by guardian
+        CANCELLED,  // Cancelled by guardian, or by the proposer before any votes
+        EXPIRED     // Queued but not executed within the timelock's grace period
     }
 
     /// @notice Vote types
@@ -44,6 +71,13 @@ contract GovernanceProposal is AccessControl, ReentrancyGuard {
         ABSTAIN
     }
 
+    /// @notice How one voter's power is counted on a proposal
+    struct VoteReceipt {
+        uint256 forVotes;
+        uint256 againstVotes;
+        uint256 abstainVotes;
+    }
+
     /// @notice Proposal structure
     struct Proposal {
         uint256 id;
@@ -57,14 +91,28 @@ contract GovernanceProposal is AccessControl, ReentrancyGuard {
         uint256 abstainVotes;
         uint256 startTime;
         uint256 endTime;
-        uint256 queuedTime;
-        ProposalState state;
+        ProposalState state;        // ACTIVE until finalized; see state() for PENDING and EXPIRED
+        uint256 snapshotBlock;
         mapping(address => bool) hasVoted;
-        mapping(address => VoteType) votes;
+        mapping(address => VoteReceipt) receipts;
+        mapping(address => bool) powerUsed;
+    }
+
+    /// @notice Accounts whose stake a proposal has locked, and how far their release has got
+    struct VoteLocks {
+        address[] accounts;
+        uint256 releaseCursor;
+        mapping(address => bool) released;
     }
 
     /// @notice Delegation mapping
     mapping(address => address) public delegates;
+
+    /// @notice Members currently delegating directly to each address
+    mapping(address => address[]) private _delegators;
+
+    /// @notice Position of each delegator in its delegatee's list (index + 1, 0 when not delegating)
+    mapping(address => uint256) private _delegatorIndex;
     
     /// @notice Proposal counter
     uint256 public proposalCount;
@@ -72,8 +120,73 @@ contract GovernanceProposal is AccessControl, ReentrancyGuard {
     /// @notice All proposals
     mapping(uint256 => Proposal) public proposals;
     
-    /// @notice Voting period duration (3 days)
-    uint256 public constant VOTING_PERIOD = 3 days;
+    /// @notice Vote locks released in the same transaction that finalizes a proposal
+    uint256 public constant AUTO_RELEASE_LIMIT = 25;
+
+    /// @notice Basis points the shares of a split vote add up to
+    uint256 public constant SPLIT_TOTAL = 10_000;
+
+    /// @notice Most members that can delegate directly to one address, so that
+    ///      collecting their power on a vote stays well within the block gas limit
+    uint256 public constant MAX_DELEGATORS = 100;
+
+    /// @notice Vote locks taken by each proposal
+    mapping(uint256 => VoteLocks) private _voteLocks;
+
+    /// @notice Hash of the actions an action proposal executes (zero for transfer proposals)
+    mapping(uint256 => bytes32) public actionsHash;
+
+    /// @notice ERC-20 token a proposal pays out (zero for ETH)
+    mapping(uint256 => address) public proposalToken;
+
+    /// @notice Cliff and vesting period of a streamed payout, in seconds
+    struct VestingSchedule {
+        uint64 cliff;
+        uint64 duration;
+    }
+
+    /// @notice Vesting schedule of stream proposals (zero duration for one-off payouts)
+    mapping(uint256 => VestingSchedule) public vestingSchedules;
+
+    /// @notice Inclusive range of amounts a proposal type accepts
+    struct AmountBand {
+        uint256 min;
+        uint256 max;
+    }
+
+    /// @notice Tier registry: the ETH amount band of each proposal type. The type
+    ///         also sets the thresholds, the timelock delay and the treasury tier.
+    mapping(ProposalType => AmountBand) public amountBands;
+
+    /// @notice Amount bands of each proposal type for an ERC-20 token, in its base
+    ///         units. A type without a band takes the token only as high-conviction.
+    mapping(address => mapping(ProposalType => AmountBand)) public tokenAmountBands;
+
+    /// @notice Voting rules of a proposal type
+    struct VotingConfig {
+        uint64 votingDelay;     // seconds from creation until voting opens
+        uint64 votingPeriod;    // seconds voting stays open
+        uint16 quorum;          // % of total voting power that must take part
+        uint16 threshold;       // % of for + against votes that must be for
+    }
+
+    /// @notice Voting rules new proposals of each type are created with
+    mapping(ProposalType => VotingConfig) public votingConfigs;
+
+    /// @notice Rules each proposal was created with, so later changes do not move its goalposts
+    mapping(uint256 => VotingConfig) private _proposalConfigs;
+
+    /// @notice Proposals each account's stake is locked by (entries are removed by releaseLocks)
+    mapping(address => uint256[]) private _lockedProposals;
+
+    /// @notice Next nonce each account must sign with; every accepted signature uses one up
+    mapping(address => uint256) public nonces;
+
+    /// @notice Treasury whose spending limits ETH payouts are checked against (zero to skip)
+    ITreasury public treasury;
+
+    /// @notice Timelock that schedules passed proposals and executes them
+    ITimelock public timelock;
 
     // Events
     event ProposalCreated(
@@ -88,24 +201,69 @@ contract GovernanceProposal is AccessControl, ReentrancyGuard {
         uint256 indexed proposalId,
         address indexed voter,
         VoteType voteType,
-        uint256 votingPower
+        uint256 votingPower,
+        string reason
+    );
+    event VoteSplit(
+        uint256 indexed proposalId,
+        address indexed voter,
+        uint256 forVotes,
+        uint256 againstVotes,
+        uint256 abstainVotes,
+        string reason
+    );
+    event VoteChanged(
+        uint256 indexed proposalId,
+        address indexed voter,
+        uint256 forVotes,
+        uint256 againstVotes,
+        uint256 abstainVotes
     );
     event DelegateChanged(address indexed delegator, address indexed fromDelegate, address indexed toDelegate);
     event ProposalQueued(uint256 indexed proposalId, uint256 queuedTime);
     event ProposalExecuted(uint256 indexed proposalId);
     event ProposalCancelled(uint256 indexed proposalId);
     event ProposalDefeated(uint256 indexed proposalId, string reason);
+    event VoteLockReleased(uint256 indexed proposalId, address indexed account);
+    event ActionProposalCreated(uint256 indexed proposalId, address[] targets, uint256[] values, bytes[] calldatas);
+    event TokenProposalCreated(uint256 indexed proposalId, address indexed token);
+    event StreamProposalCreated(uint256 indexed proposalId, uint64 cliff, uint64 duration);
+    event AmountBandUpdated(ProposalType indexed proposalType, uint256 min, uint256 max);
+    event TokenAmountBandUpdated(address indexed token, ProposalType indexed proposalType, uint256 min, uint256 max);
+    event ProposalEscalated(uint256 indexed proposalId, ProposalType requestedType, ProposalType proposalType);
+    event TreasuryUpdated(address indexed treasury);
+    event TimelockUpdated(address indexed timelock);
+    event VotingConfigUpdated(
+        ProposalType indexed proposalType,
+        uint256 quorum,
+        uint256 threshold,
+        uint256 votingDelay,
+        uint256 votingPeriod
+    );
 
-    constructor(address _governanceToken) {
+    constructor(address _governanceToken) EIP712("CryptoVentures DAO", "1") {
         governanceToken = GovernanceToken(_governanceToken);
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
         _grantRole(PROPOSER_ROLE, msg.sender);
         _grantRole(EXECUTOR_ROLE, msg.sender);
         _grantRole(GUARDIAN_ROLE, msg.sender);
+
+        // Default amount bands
+        amountBands[ProposalType.HIGH_CONVICTION] = AmountBand(10 ether + 1, type(uint256).max);
+        amountBands[ProposalType.EXPERIMENTAL] = AmountBand(1 ether, 10 ether);
+        amountBands[ProposalType.OPERATIONAL] = AmountBand(1, 1 ether - 1);
+
+        // Default voting rules: no delay, 3-day vote
+        votingConfigs[ProposalType.HIGH_CONVICTION] = VotingConfig(0, 3 days, 30, 66);
+        votingConfigs[ProposalType.EXPERIMENTAL] = VotingConfig(0, 3 days, 20, 60);
+        votingConfigs[ProposalType.OPERATIONAL] = VotingConfig(0, 3 days, 10, 51);
     }
 
     /**
      * @notice Create a new proposal
+     * @dev The amount must fit the band of the requested type. If the payout would
+     *      break that tier's spending limits, the proposal is created with the next
+     *      stricter type that has room, or as high-conviction.
      * @param proposalType Type of proposal (determines thresholds)
      * @param recipient Address to receive funds
      * @param amount Amount of ETH to transfer
@@ -117,90 +275,243 @@ contract GovernanceProposal is AccessControl, ReentrancyGuard {
         address recipient,
         uint256 amount,
         string memory description
+    ) external whenNotPaused returns (uint256) {
+        _requirePayout(recipient, amount, description);
+
+        return _createEscalated(proposalType, address(0), recipient, amount, description);
+    }
+
+    /**
+     * @notice Create a proposal that pays out over time instead of at once
+     * @dev On execution the treasury opens a stream from the proposal's tier:
+     *      nothing is claimable until `cliff` seconds have passed, and the amount
+     *      vests linearly over `duration` seconds. A cliff of 0 gives a plain stream.
+     *      Streams are escalated like createProposal payouts.
+     * @param proposalType Type of proposal, and the tier funding the stream
+     * @param token ERC-20 token to stream, or zero for ETH (which must fit the type's band)
+     * @param recipient Address the stream pays
+     * @param amount Total amount to stream
+     * @param description Proposal description
+     * @param cliff Seconds after execution before anything can be claimed
+     * @param duration Seconds over which the amount vests
+     * @return proposalId ID of created proposal
+     */
+    function createStreamProposal(
+        ProposalType proposalType,
+        address token,
+        address recipient,
+        uint256 amount,
+        string memory description,
+        uint64 cliff,
+        uint64 duration
+    ) external whenNotPaused returns (uint256) {
+        _requirePayout(recipient, amount, description);
+        require(duration > 0 && cliff <= duration, "Invalid vesting schedule");
+        uint256 proposalId = _createEscalated(proposalType, token, recipient, amount, description);
+        vestingSchedules[proposalId] = VestingSchedule({cliff: cliff, duration: duration});
+        if (token != address(0)) {
+            proposalToken[proposalId] = token;
+            emit TokenProposalCreated(proposalId, token);
+        }
+
+        emit StreamProposalCreated(proposalId, cliff, duration);
+
+        return proposalId;
+    }
+
+    /**
+     * @notice Create a proposal that pays out an ERC-20 token from the treasury
+     * @dev The ETH amount bands do not apply to tokens, so the proposer picks the
+     *      type. It sets the quorum, threshold and timelock, and the treasury tier
+     *      the tokens are drawn from. The type is escalated like createProposal
+     *      payouts, against the tier's limits for the token.
+     * @param proposalType Type of proposal, and the tier paying it out
+     * @param token ERC-20 token to pay out
+     * @param recipient Address to receive tokens
+     * @param amount Amount of tokens requested, in the token's base units
+     * @param description Proposal description
+     * @return proposalId ID of created proposal
+     */
+    function createTokenProposal(
+        ProposalType proposalType,
+        address token,
+        address recipient,
+        uint256 amount,
+        string memory description
+    ) external whenNotPaused returns (uint256) {
+        _requirePayout(recipient, amount, description);
+        require(token != address(0), "Invalid token");
+
+        uint256 proposalId = _createEscalated(proposalType, token, recipient, amount, description);
+        proposalToken[proposalId] = token;
+
+        emit TokenProposalCreated(proposalId, token);
+
+        return proposalId;
+    }
+
+    /**
+     * @notice Create a proposal that executes arbitrary calls through the timelock
+     * @dev Only the hash of the actions is stored; the full list is emitted in
+     *      ActionProposalCreated and must be supplied again to execute. Action
+     *      proposals always use HIGH_CONVICTION quorum, threshold and timelock.
+     * @param targets Contracts to call
+     * @param values ETH to send with each call, paid from the timelock's balance
+     * @param calldatas Encoded function calls
+     * @param description Proposal description
+     * @return proposalId ID of created proposal
+     */
+    function createActionProposal(
+        address[] calldata targets,
+        uint256[] calldata values,
+        bytes[] calldata calldatas,
+        string memory description
     ) external returns (uint256) {
-        require(governanceToken.canCreateProposal(msg.sender), "Insufficient stake to create proposal");
-        require(recipient != address(0), "Invalid recipient");
-        require(amount > 0, "Amount must be greater than 0");
-        require(bytes(description).length > 0, "Description required");
+        _requireProposal(description);
+        require(targets.length > 0, "No actions");
+        require(targets.length == values.length && targets.length == calldatas.length, "Action length mismatch");
 
-        // Validate proposal type matches amount
-        if (proposalType == ProposalType.HIGH_CONVICTION) {
-            require(amount > 10 ether, "HIGH_CONVICTION requires > 10 ETH");
-        } else if (proposalType == ProposalType.EXPERIMENTAL) {
-            require(amount >= 1 ether && amount <= 10 ether, "EXPERIMENTAL requires 1-10 ETH");
-        } else {
-            require(amount < 1 ether, "OPERATIONAL requires < 1 ETH");
+        uint256 totalValue;
+        for (uint256 i = 0; i < targets.length; i++) {
+            require(targets[i] != address(0), "Invalid action target");
+            totalValue += values[i];
         }
 
-        proposalCount++;
-        Proposal storage proposal = proposals[proposalCount];
-        
-        proposal.id = proposalCount;
-        proposal.proposer = msg.sender;
-        proposal.proposalType = proposalType;
-        proposal.recipient = recipient;
-        proposal.amount = amount;
-        proposal.description = description;
-        proposal.startTime = block.timestamp;
-        proposal.endTime = block.timestamp + VOTING_PERIOD;
-        proposal.state = ProposalState.ACTIVE;
+        uint256 proposalId = _createProposal(ProposalType.HIGH_CONVICTION, address(0), totalValue, description);
+        actionsHash[proposalId] = hashActions(targets, values, calldatas);
 
-        emit ProposalCreated(proposalCount, msg.sender, proposalType, recipient, amount, description);
-        
-        return proposalCount;
+        emit ActionProposalCreated(proposalId, targets, values, calldatas);
+
+        return proposalId;
+    }
+
+    /**
+     * @notice Hash a list of actions the way action proposals commit to them
+     * @param targets Contracts to call
+     * @param values ETH to send with each call
+     * @param calldatas Encoded function calls
+     * @return Commitment hash
+     */
+    function hashActions(
+        address[] calldata targets,
+        uint256[] calldata values,
+        bytes[] calldata calldatas
+    ) public pure returns (bytes32) {
+        return keccak256(abi.encode(targets, values, calldatas));
     }
 
     /**
      * @notice Cast a vote on a proposal
+     * @dev The vote carries the caller's power plus that of everyone delegating to
+     *      them, directly or through a chain. Each member's power is counted at most
+     *      once per proposal, whoever ends up casting it. Power is read at the
+     *      proposal's snapshot block, so stake added after creation does not count.
+     *      Voting again before voting ends replaces the earlier vote.
      * @param proposalId ID of proposal to vote on
      * @param voteType Type of vote (FOR, AGAINST, ABSTAIN)
      */
     function vote(uint256 proposalId, VoteType voteType) external nonReentrant {
-        Proposal storage proposal = proposals[proposalId];
-        
-        require(proposal.state == ProposalState.ACTIVE, "Proposal not active");
-        require(block.timestamp >= proposal.startTime, "Voting not started");
-        require(block.timestamp <= proposal.endTime, "Voting ended");
-        require(!proposal.hasVoted[msg.sender], "Already voted");
-        
-        uint256 votingPower = governanceToken.getVotingPower(msg.sender);
-        require(votingPower > 0, "No voting power");
+        _castVote(proposalId, msg.sender, voteType, "");
+    }
 
-        // Check if delegated
-        address voter = msg.sender;
-        if (delegates[msg.sender] != address(0)) {
-            voter = delegates[msg.sender];
-        }
+    /**
+     * @notice Cast a vote on a proposal, explaining it
+     * @dev Counts exactly as vote(); the reason is only recorded in the VoteCast event
+     * @param proposalId ID of proposal to vote on
+     * @param voteType Type of vote (FOR, AGAINST, ABSTAIN)
+     * @param reason Why the voter chose this, for the off-chain record
+     */
+    function castVoteWithReason(
+        uint256 proposalId,
+        VoteType voteType,
+        string calldata reason
+    ) external nonReentrant {
+        _castVote(proposalId, msg.sender, voteType, reason);
+    }
 
-        proposal.hasVoted[msg.sender] = true;
-        proposal.votes[msg.sender] = voteType;
-        
-        if (voteType == VoteType.FOR) {
-            proposal.forVotes += votingPower;
-        } else if (voteType == VoteType.AGAINST) {
-            proposal.againstVotes += votingPower;
-        } else {
-            proposal.abstainVotes += votingPower;
-        }
+    /**
+     * @notice Split a delegatee's vote across FOR, AGAINST and ABSTAIN
+     * @dev Only members others delegate to can split. Each share is in basis points
+     *      of the whole vote, and rounding leftovers count as ABSTAIN. Like vote(),
+     *      it replaces an earlier vote until voting ends.
+     * @param proposalId ID of proposal to vote on
+     * @param forShare Basis points of the vote cast FOR
+     * @param againstShare Basis points of the vote cast AGAINST
+     * @param abstainShare Basis points of the vote cast ABSTAIN
+     * @param reason Why the voter chose this, for the off-chain record
+     */
+    function castVoteSplit(
+        uint256 proposalId,
+        uint256 forShare,
+        uint256 againstShare,
+        uint256 abstainShare,
+        string calldata reason
+    ) external nonReentrant {
+        require(_delegators[msg.sender].length > 0, "Only delegatees can split");
+        require(forShare + againstShare + abstainShare == SPLIT_TOTAL, "Shares must add up to 100%");
 
-        governanceToken.incrementActiveVotes(msg.sender);
-        
-        emit VoteCast(proposalId, msg.sender, voteType, votingPower);
+        VoteReceipt storage receipt = _recordVote(proposalId, msg.sender, forShare, againstShare);
+        emit VoteSplit(proposalId, msg.sender, receipt.forVotes, receipt.againstVotes, receipt.abstainVotes, reason);
+    }
+
+    /**
+     * @notice Cast a vote signed off-chain by the voter
+     * @dev Anyone can submit the ballot and pay its gas; the vote counts exactly as
+     *      if the voter had called vote(). The signature covers the voter's current
+     *      nonce, so each one is accepted once and in order.
+     * @param proposalId ID of proposal to vote on
+     * @param voteType Type of vote (FOR, AGAINST, ABSTAIN)
+     * @param voter Member who signed the ballot
+     * @param expiry Timestamp after which the signature is no longer accepted
+     * @param signature EIP-712 signature over the Ballot
+     */
+    function castVoteBySig(
+        uint256 proposalId,
+        VoteType voteType,
+        address voter,
+        uint256 expiry,
+        bytes calldata signature
+    ) external nonReentrant {
+        _useSignature(
+            voter,
+            keccak256(abi.encode(BALLOT_TYPEHASH, proposalId, voteType, voter, nonces[voter], expiry)),
+            expiry,
+            signature
+        );
+        _castVote(proposalId, voter, voteType, "");
     }
 
     /**
      * @notice Delegate voting power to another address
+     * @dev Delegation is transitive: if the delegatee delegates onwards, this power follows.
+     *      Only registered members with voting power can delegate, and an address
+     *      takes at most MAX_DELEGATORS direct delegators.
      * @param delegatee Address to delegate to
      */
     function delegate(address delegatee) external {
-        require(delegatee != address(0), "Cannot delegate to zero address");
-        require(delegatee != msg.sender, "Cannot delegate to self");
-        require(delegates[delegatee] != msg.sender, "Circular delegation");
-        
-        address oldDelegate = delegates[msg.sender];
-        delegates[msg.sender] = delegatee;
-        
-        emit DelegateChanged(msg.sender, oldDelegate, delegatee);
+        _delegate(msg.sender, delegatee);
+    }
+
+    /**
+     * @notice Delegate voting power with a delegation signed off-chain by the delegator
+     * @param delegator Member who signed the delegation
+     * @param delegatee Address to delegate to
+     * @param expiry Timestamp after which the signature is no longer accepted
+     * @param signature EIP-712 signature over the Delegation
+     */
+    function delegateBySig(
+        address delegator,
+        address delegatee,
+        uint256 expiry,
+        bytes calldata signature
+    ) external {
+        _useSignature(
+            delegator,
+            keccak256(abi.encode(DELEGATION_TYPEHASH, delegator, delegatee, nonces[delegator], expiry)),
+            expiry,
+            signature
+        );
+        _delegate(delegator, delegatee);
     }
 
     /**
@@ -211,12 +522,35 @@ contract GovernanceProposal is AccessControl, ReentrancyGuard {
         require(oldDelegate != address(0), "No active delegation");
         
         delegates[msg.sender] = address(0);
+        _removeDelegator(oldDelegate, msg.sender);
         
         emit DelegateChanged(msg.sender, oldDelegate, address(0));
     }
 
     /**
-     * @notice Queue an approved proposal for execution
+     * @notice Voting power currently delegated to an address, directly or through a chain
+     * @param delegatee Address to check
+     * @return Sum of the delegators' voting power, excluding the delegatee's own
+     */
+    function getDelegatedPower(address delegatee) external view returns (uint256) {
+        return _delegatedPower(delegatee);
+    }
+
+    /**
+     * @notice Members delegating directly to an address
+     * @param delegatee Address to check
+     * @return Direct delegators
+     */
+    function getDelegators(address delegatee) external view returns (address[] memory) {
+        return _delegators[delegatee];
+    }
+
+    /**
+     * @notice Tally a finished vote and, if it passed, schedule it in the timelock
+     * @dev Payout proposals also reserve their amount in the treasury when scheduled.
+     *      A payout that no longer fits its tier's spending limits, now that other
+     *      payouts are queued, is escalated first and must meet the stricter type's
+     *      quorum and threshold.
      * @param proposalId ID of proposal to queue
      */
     function queueProposal(uint256 proposalId) external {
@@ -224,17 +558,25 @@ contract GovernanceProposal is AccessControl, ReentrancyGuard {
         
         require(proposal.state == ProposalState.ACTIVE, "Proposal not active");
         require(block.timestamp > proposal.endTime, "Voting period not ended");
+        _requireNotPausedFor(proposalId);
+        if (actionsHash[proposalId] == bytes32(0)) {
+            _escalateQueued(proposalId, proposal);
+        }
         
-        // Get thresholds based on proposal type
-        (uint256 quorum, uint256 threshold) = getThresholds(proposal.proposalType);
+        // Thresholds in force when the proposal was created, or of the type it escalated to
+        (uint256 quorum, uint256 threshold) = getProposalThresholds(proposalId);
         
-        uint256 totalVotingPower = governanceToken.getTotalVotingPower();
+        uint256 totalVotingPower = governanceToken.getPastTotalVotingPower(
+            proposal.snapshotBlock,
+            _snapshotTime(proposal)
+        );
         uint256 participatedPower = proposal.forVotes + proposal.againstVotes + proposal.abstainVotes;
         
         // Check quorum
         if (!VotingMath.isQuorumMet(participatedPower, totalVotingPower, quorum)) {
             proposal.state = ProposalState.DEFEATED;
             emit ProposalDefeated(proposalId, "Quorum not met");
+            _releaseBatch(proposalId, AUTO_RELEASE_LIMIT);
             return;
         }
         
@@ -242,38 +584,528 @@ contract GovernanceProposal is AccessControl, ReentrancyGuard {
         if (!VotingMath.isThresholdMet(proposal.forVotes, proposal.againstVotes, threshold)) {
             proposal.state = ProposalState.DEFEATED;
             emit ProposalDefeated(proposalId, "Threshold not met");
+            _releaseBatch(proposalId, AUTO_RELEASE_LIMIT);
             return;
         }
         
+        require(address(timelock) != address(0), "Timelock not set");
         proposal.state = ProposalState.QUEUED;
-        proposal.queuedTime = block.timestamp;
+        timelock.schedule(
+            proposalId,
+            uint8(proposal.proposalType),
+            proposalToken[proposalId],
+            proposal.recipient,
+            actionsHash[proposalId] == bytes32(0) ? proposal.amount : 0
+        );
         
         emit ProposalQueued(proposalId, block.timestamp);
     }
 
     /**
-     * @notice Get quorum and threshold for proposal type
+     * @notice Release vote locks on a finished proposal, continuing where the last batch stopped
+     * @dev Finalizing a proposal releases the first AUTO_RELEASE_LIMIT locks; anyone can
+     *      call this to work through the rest in batches that fit in a block
+     * @param proposalId ID of a DEFEATED, EXECUTED, CANCELLED or EXPIRED proposal
+     * @param maxCount Maximum number of locked accounts to process
+     * @return released Number of locks released
+     */
+    function releaseProposalLocks(uint256 proposalId, uint256 maxCount) external returns (uint256 released) {
+        require(_isFinalized(proposalId), "Proposal not finalized");
+        return _releaseBatch(proposalId, maxCount);
+    }
+
+    /**
+     * @notice Release every lock an account holds on finished proposals
+     * @dev Pull-based alternative to releaseProposalLocks; costs grow with the number of
+     *      proposals the account still has locks on, not with the size of any proposal
+     * @param account Account whose stake to unlock
+     * @return released Number of locks released
+     */
+    function releaseLocks(address account) external returns (uint256 released) {
+        uint256[] storage locked = _lockedProposals[account];
+        uint256 i = 0;
+        while (i < locked.length) {
+            uint256 proposalId = locked[i];
+            if (!_isFinalized(proposalId)) {
+                i++;
+                continue;
+            }
+            if (_releaseLock(proposalId, account)) {
+                released++;
+            }
+            locked[i] = locked[locked.length - 1];
+            locked.pop();
+        }
+    }
+
+    /**
+     * @notice Release the lock of a member who voted against a queued proposal, so
+     *         they can rage-quit before it executes (called by TimelockController)
+     * @param proposalId ID of a QUEUED proposal
+     * @param voter Member who voted AGAINST it with all of their power; a split
+     *        vote with any FOR or ABSTAIN weight does not count as dissent
+     */
+    function releaseDissentLock(uint256 proposalId, address voter) external onlyRole(EXECUTOR_ROLE) {
+        Proposal storage proposal = proposals[proposalId];
+        require(proposal.state == ProposalState.QUEUED, "Proposal not queued");
+        VoteReceipt storage receipt = proposal.receipts[voter];
+        require(
+            receipt.againstVotes > 0 && receipt.forVotes == 0 && receipt.abstainVotes == 0,
+            "Did not vote against"
+        );
+        require(_releaseLock(proposalId, voter), "Lock already released");
+    }
+
+    /**
+     * @notice Number of an account's vote locks that can be released now
+     * @param account Account to check
+     * @return count Locks held on proposals that are DEFEATED, EXECUTED, CANCELLED or EXPIRED
+     */
+    function unlockableVotes(address account) external view returns (uint256 count) {
+        uint256[] storage locked = _lockedProposals[account];
+        for (uint256 i = 0; i < locked.length; i++) {
+            if (_isFinalized(locked[i]) && !_voteLocks[locked[i]].released[account]) {
+                count++;
+            }
+        }
+    }
+
+    /// @dev ETH amounts must sit in the band of the proposal type
+    /// @dev Check the amount against the type's band for its token (zero for ETH).
+    ///      A token payout whose type has no band for the token is high-conviction.
+    function _bandedType(ProposalType proposalType, address token, uint256 amount) internal view returns (ProposalType) {
+        AmountBand storage band = token == address(0) ? amountBands[proposalType] : tokenAmountBands[token][proposalType];
+        if (band.max == 0) {
+            return ProposalType.HIGH_CONVICTION;
+        }
+        require(amount >= band.min && amount <= band.max, "Amount outside tier band");
+        return proposalType;
+    }
+
+    /// @dev Move a payout up one type at a time, as far as high-conviction, while it
+    ///      would break the spending limits of its tier for its token (zero for ETH)
+    function _escalatedType(
+        ProposalType proposalType,
+        address token,
+        address recipient,
+        uint256 amount
+    ) internal view returns (ProposalType) {
+        if (address(treasury) != address(0)) {
+            while (
+                proposalType != ProposalType.HIGH_CONVICTION &&
+                !treasury.withinTokenSpendingLimits(token, ITreasury.FundType(uint8(proposalType)), recipient, amount)
+            ) {
+                proposalType = ProposalType(uint8(proposalType) - 1);
+            }
+        }
+        return proposalType;
+    }
+
+    /// @dev Create a payout proposal with the type its band and spending limits escalate it to
+    function _createEscalated(
+        ProposalType requestedType,
+        address token,
+        address recipient,
+        uint256 amount,
+        string memory description
+    ) internal returns (uint256 proposalId) {
+        ProposalType proposalType = _escalatedType(_bandedType(requestedType, token, amount), token, recipient, amount);
+        proposalId = _createProposal(proposalType, recipient, amount, description);
+        if (proposalType != requestedType) {
+            emit ProposalEscalated(proposalId, requestedType, proposalType);
+        }
+    }
+
+    /// @dev Escalate a passed payout whose tier has filled up since it was created,
+    ///      holding it to the quorum and threshold of the type it escalates to
+    function _escalateQueued(uint256 proposalId, Proposal storage proposal) internal {
+        ProposalType requestedType = proposal.proposalType;
+        ProposalType proposalType = _escalatedType(
+            requestedType,
+            proposalToken[proposalId],
+            proposal.recipient,
+            proposal.amount
+        );
+        if (proposalType != requestedType) {
+            proposal.proposalType = proposalType;
+            VotingConfig storage config = _proposalConfigs[proposalId];
+            config.quorum = votingConfigs[proposalType].quorum;
+            config.threshold = votingConfigs[proposalType].threshold;
+            emit ProposalEscalated(proposalId, requestedType, proposalType);
+        }
+    }
+
+    function _amountBand(uint256 min, uint256 max) internal pure returns (AmountBand memory) {
+        require(min > 0 && min <= max, "Invalid amount band");
+        return AmountBand(min, max);
+    }
+
+    function _requireProposal(string memory description) internal view {
+        require(governanceToken.canCreateProposal(msg.sender), "Insufficient stake to create proposal");
+        require(bytes(description).length > 0, "Description required");
+    }
+
+    function _requirePayout(address recipient, uint256 amount, string memory description) internal view {
+        _requireProposal(description);
+        require(recipient != address(0), "Invalid recipient");
+        require(amount > 0, "Amount must be greater than 0");
+    }
+
+    function _createProposal(
+        ProposalType proposalType,
+        address recipient,
+        uint256 amount,
+        string memory description
+    ) internal returns (uint256) {
+        proposalCount++;
+        Proposal storage proposal = proposals[proposalCount];
+        
+        proposal.id = proposalCount;
+        proposal.proposer = msg.sender;
+        proposal.proposalType = proposalType;
+        proposal.recipient = recipient;
+        proposal.amount = amount;
+        proposal.description = description;
+
+        VotingConfig memory config = votingConfigs[proposalType];
+        _proposalConfigs[proposalCount] = config;
+        proposal.startTime = block.timestamp + config.votingDelay;
+        proposal.endTime = proposal.startTime + config.votingPeriod;
+        proposal.state = ProposalState.ACTIVE;
+        proposal.snapshotBlock = block.number - 1;
+
+        emit ProposalCreated(proposalCount, msg.sender, proposalType, recipient, amount, description);
+        
+        return proposalCount;
+    }
+
+    function _castVote(uint256 proposalId, address voter, VoteType voteType, string memory reason) internal {
+        VoteReceipt storage receipt = _recordVote(
+            proposalId,
+            voter,
+            voteType == VoteType.FOR ? SPLIT_TOTAL : 0,
+            voteType == VoteType.AGAINST ? SPLIT_TOTAL : 0
+        );
+        uint256 votingPower = receipt.forVotes + receipt.againstVotes + receipt.abstainVotes;
+        emit VoteCast(proposalId, voter, voteType, votingPower, reason);
+    }
+
+    /**
+     * @dev Count a voter's power on a proposal, split by basis points with the rest
+     *      ABSTAIN. A first vote uses up the voter's power and locks their stake. A
+     *      changed vote takes its earlier weights out of the tally and is cast again
+     *      with the same power, plus that of members who delegated since.
+     */
+    function _recordVote(
+        uint256 proposalId,
+        address voter,
+        uint256 forShare,
+        uint256 againstShare
+    ) internal returns (VoteReceipt storage receipt) {
+        Proposal storage proposal = proposals[proposalId];
+        
+        require(proposal.state == ProposalState.ACTIVE, "Proposal not active");
+        _requireNotPausedFor(proposalId);
+        require(block.timestamp >= proposal.startTime, "Voting not started");
+        require(block.timestamp <= proposal.endTime, "Voting ended");
+        require(delegates[voter] == address(0), "Voting power delegated");
+        
+        receipt = proposal.receipts[voter];
+        uint256 votingPower;
+        if (proposal.hasVoted[voter]) {
+            votingPower = receipt.forVotes + receipt.againstVotes + receipt.abstainVotes;
+            proposal.forVotes -= receipt.forVotes;
+            proposal.againstVotes -= receipt.againstVotes;
+            proposal.abstainVotes -= receipt.abstainVotes;
+            emit VoteChanged(proposalId, voter, receipt.forVotes, receipt.againstVotes, receipt.abstainVotes);
+        } else {
+            require(!proposal.powerUsed[voter], "Voting power already used by delegate");
+            proposal.powerUsed[voter] = true;
+            proposal.hasVoted[voter] = true;
+            votingPower = governanceToken.getPastVotingPower(voter, proposal.snapshotBlock, _snapshotTime(proposal));
+            _lockVotes(proposalId, voter);
+        }
+        votingPower += _useDelegatedPower(proposal, voter);
+        require(votingPower > 0, "No voting power");
+
+        receipt.forVotes = votingPower * forShare / SPLIT_TOTAL;
+        receipt.againstVotes = votingPower * againstShare / SPLIT_TOTAL;
+        receipt.abstainVotes = votingPower - receipt.forVotes - receipt.againstVotes;
+        proposal.forVotes += receipt.forVotes;
+        proposal.againstVotes += receipt.againstVotes;
+        proposal.abstainVotes += receipt.abstainVotes;
+    }
+
+    function _delegate(address delegator, address delegatee) internal {
+        require(delegatee != address(0), "Cannot delegate to zero address");
+        require(delegatee != delegator, "Cannot delegate to self");
+        require(delegates[delegator] != delegatee, "Already delegated to this address");
+        for (address current = delegatee; current != address(0); current = delegates[current]) {
+            require(current != delegator, "Circular delegation");
+        }
+        require(governanceToken.getVotingPower(delegator) > 0, "No voting power to delegate");
+        require(_delegators[delegatee].length < MAX_DELEGATORS, "Too many delegators");
+        
+        address oldDelegate = delegates[delegator];
+        if (oldDelegate != address(0)) {
+            _removeDelegator(oldDelegate, delegator);
+        }
+        delegates[delegator] = delegatee;
+        _delegators[delegatee].push(delegator);
+        _delegatorIndex[delegator] = _delegators[delegatee].length;
+        
+        emit DelegateChanged(delegator, oldDelegate, delegatee);
+    }
+
+    /// @dev Check a signature over an EIP-712 struct and use up the signer's nonce
+    function _useSignature(address signer, bytes32 structHash, uint256 expiry, bytes calldata signature) internal {
+        require(block.timestamp <= expiry, "Signature expired");
+        (address recovered, ECDSA.RecoverError error, ) = ECDSA.tryRecover(_hashTypedDataV4(structHash), signature);
+        require(error == ECDSA.RecoverError.NoError && recovered == signer, "Invalid signature");
+        nonces[signer]++;
+    }
+
+    /**
+     * @dev Collect the power of everyone delegating to `delegatee` whose power has not
+     *      yet been used on this proposal, marking it used and locking their stake
+     */
+    function _useDelegatedPower(Proposal storage proposal, address delegatee) internal returns (uint256 power) {
+        address[] storage delegators = _delegators[delegatee];
+        for (uint256 i = 0; i < delegators.length; i++) {
+            address delegator = delegators[i];
+            if (!proposal.powerUsed[delegator]) {
+                proposal.powerUsed[delegator] = true;
+                _lockVotes(proposal.id, delegator);
+                power += governanceToken.getPastVotingPower(delegator, proposal.snapshotBlock, _snapshotTime(proposal));
+            }
+            // Members further down the chain may have joined after this delegator's power was used
+            power += _useDelegatedPower(proposal, delegator);
+        }
+    }
+
+    /// @dev When the proposal was created, which lock boosts at its snapshot are measured at
+    function _snapshotTime(Proposal storage proposal) internal view returns (uint256) {
+        return proposal.startTime - _proposalConfigs[proposal.id].votingDelay;
+    }
+
+    function _delegatedPower(address delegatee) internal view returns (uint256 power) {
+        address[] storage delegators = _delegators[delegatee];
+        for (uint256 i = 0; i < delegators.length; i++) {
+            power += governanceToken.getVotingPower(delegators[i]) + _delegatedPower(delegators[i]);
+        }
+    }
+
+    /// @dev Lock an account's stake until the proposal is finished
+    function _lockVotes(uint256 proposalId, address account) internal {
+        governanceToken.incrementActiveVotes(account);
+        _voteLocks[proposalId].accounts.push(account);
+        _lockedProposals[account].push(proposalId);
+    }
+
+    function _releaseLock(uint256 proposalId, address account) internal returns (bool) {
+        VoteLocks storage locks = _voteLocks[proposalId];
+        if (locks.released[account]) {
+            return false;
+        }
+        locks.released[account] = true;
+        governanceToken.decrementActiveVotes(account);
+        emit VoteLockReleased(proposalId, account);
+        return true;
+    }
+
+    function _releaseBatch(uint256 proposalId, uint256 maxCount) internal returns (uint256 released) {
+        VoteLocks storage locks = _voteLocks[proposalId];
+        uint256 end = locks.releaseCursor + maxCount;
+        if (end > locks.accounts.length) {
+            end = locks.accounts.length;
+        }
+        for (uint256 i = locks.releaseCursor; i < end; i++) {
+            if (_releaseLock(proposalId, locks.accounts[i])) {
+                released++;
+            }
+        }
+        locks.releaseCursor = end;
+    }
+
+    /// @dev Payout proposals stop while paused; action proposals do not
+    function _requireNotPausedFor(uint256 proposalId) internal view {
+        if (actionsHash[proposalId] == bytes32(0)) {
+            _requireNotPaused();
+        }
+    }
+
+    /// @dev Stored state, with PENDING and EXPIRED derived from the clock
+    function _state(uint256 proposalId) internal view returns (ProposalState) {
+        Proposal storage proposal = proposals[proposalId];
+        if (proposal.state == ProposalState.ACTIVE && block.timestamp < proposal.startTime) {
+            return ProposalState.PENDING;
+        }
+        // Only a queued proposal has a schedule, so the timelock is set
+        if (proposal.state == ProposalState.QUEUED && timelock.isExpired(proposalId)) {
+            return ProposalState.EXPIRED;
+        }
+        return proposal.state;
+    }
+
+    function _isFinalized(uint256 proposalId) internal view returns (bool) {
+        ProposalState current = _state(proposalId);
+        return current == ProposalState.DEFEATED
+            || current == ProposalState.EXECUTED
+            || current == ProposalState.CANCELLED
+            || current == ProposalState.EXPIRED;
+    }
+
+    function _removeDelegator(address delegatee, address delegator) internal {
+        address[] storage delegators = _delegators[delegatee];
+        uint256 index = _delegatorIndex[delegator] - 1;
+        address last = delegators[delegators.length - 1];
+
+        delegators[index] = last;
+        _delegatorIndex[last] = index + 1;
+        delegators.pop();
+        delete _delegatorIndex[delegator];
+    }
+
+    /**
+     * @notice Get the quorum and threshold new proposals of a type are created with
      * @param proposalType Type of proposal
      * @return quorum Quorum percentage
      * @return threshold Approval threshold percentage
      */
-    function getThresholds(ProposalType proposalType) public pure returns (uint256 quorum, uint256 threshold) {
-        if (proposalType == ProposalType.HIGH_CONVICTION) {
-            return (30, 66);
-        } else if (proposalType == ProposalType.EXPERIMENTAL) {
-            return (20, 60);
-        } else {
-            return (10, 51);
-        }
+    function getThresholds(ProposalType proposalType) external view returns (uint256 quorum, uint256 threshold) {
+        VotingConfig storage config = votingConfigs[proposalType];
+        return (config.quorum, config.threshold);
     }
 
     /**
-     * @notice Get current state of a proposal
+     * @notice Get the quorum and threshold a proposal is tallied with
+     * @param proposalId ID of proposal
+     * @return quorum Quorum percentage
+     * @return threshold Approval threshold percentage
+     */
+    function getProposalThresholds(uint256 proposalId) public view returns (uint256 quorum, uint256 threshold) {
+        VotingConfig storage config = _proposalConfigs[proposalId];
+        return (config.quorum, config.threshold);
+    }
+
+    /**
+     * @notice Update the voting rules of a proposal type (admin only)
+     * @dev After deployment the admin is the timelock, so this only runs as part of
+     *      an executed action proposal. Open proposals keep the rules they were
+     *      created with.
+     * @param proposalType Type of proposal
+     * @param quorum Percentage of total voting power that must vote (1-100)
+     * @param threshold Percentage of for + against votes that must be for (51-100)
+     * @param votingDelay Seconds from creation until voting opens (at most 7 days)
+     * @param votingPeriod Seconds voting stays open (1 hour to 30 days)
+     */
+    function updateVotingConfig(
+        ProposalType proposalType,
+        uint256 quorum,
+        uint256 threshold,
+        uint256 votingDelay,
+        uint256 votingPeriod
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(quorum > 0 && quorum <= 100, "Invalid quorum");
+        require(threshold > 50 && threshold <= 100, "Invalid threshold");
+        require(votingDelay <= 7 days, "Invalid voting delay");
+        require(votingPeriod >= 1 hours && votingPeriod <= 30 days, "Invalid voting period");
+
+        votingConfigs[proposalType] = VotingConfig(
+            uint64(votingDelay),
+            uint64(votingPeriod),
+            uint16(quorum),
+            uint16(threshold)
+        );
+        emit VotingConfigUpdated(proposalType, quorum, threshold, votingDelay, votingPeriod);
+    }
+
+    /**
+     * @notice Update the ETH amount band of a proposal type (admin only)
+     * @dev Bands may overlap or leave gaps. Where they overlap, the proposer picks
+     *      the type, and with it the thresholds, timelock delay and treasury tier.
+     * @param proposalType Type of proposal
+     * @param min Smallest amount accepted, in wei
+     * @param max Largest amount accepted, in wei
+     */
+    function updateAmountBand(
+        ProposalType proposalType,
+        uint256 min,
+        uint256 max
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        amountBands[proposalType] = _amountBand(min, max);
+        emit AmountBandUpdated(proposalType, min, max);
+    }
+
+    /**
+     * @notice Update the amount band of a proposal type for an ERC-20 token (admin only)
+     * @dev Until a type has a band for a token, payouts of that token requested
+     *      with the type are created as high-conviction.
+     * @param token ERC-20 token the band applies to
+     * @param proposalType Type of proposal
+     * @param min Smallest amount accepted, in the token's base units
+     * @param max Largest amount accepted, in the token's base units
+     */
+    function updateTokenAmountBand(
+        address token,
+        ProposalType proposalType,
+        uint256 min,
+        uint256 max
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(token != address(0), "Invalid token");
+        tokenAmountBands[token][proposalType] = _amountBand(min, max);
+        emit TokenAmountBandUpdated(token, proposalType, min, max);
+    }
+
+    /**
+     * @notice Set the treasury whose spending limits new ETH payouts are checked against (admin only)
+     * @param newTreasury Treasury address, or zero to stop escalating proposals
+     */
+    function setTreasury(address newTreasury) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        treasury = ITreasury(newTreasury);
+        emit TreasuryUpdated(newTreasury);
+    }
+
+    /**
+     * @notice Set the timelock that schedules and executes passed proposals (admin only)
+     * @dev Proposals queued in the previous timelock stay there
+     * @param newTimelock Timelock address; it must grant this contract GOVERNANCE_ROLE
+     */
+    function setTimelock(address newTimelock) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(newTimelock != address(0), "Invalid timelock");
+        timelock = ITimelock(newTimelock);
+        emit TimelockUpdated(newTimelock);
+    }
+
+    /**
+     * @notice Current state of a proposal
+     * @dev An open proposal is PENDING until its voting delay is over and ACTIVE
+     *      after that, also once voting has ended, until queueProposal tallies it.
+     *      A QUEUED proposal is EXPIRED once the timelock's grace period has passed
+     *      without it being executed.
      * @param proposalId ID of proposal
      * @return Current proposal state
      */
+    function state(uint256 proposalId) external view returns (ProposalState) {
+        return _state(proposalId);
+    }
+
+    /**
+     * @notice Get current state of a proposal
+     * @param proposalId ID of proposal
+     * @return Current proposal state, as state()
+     */
     function getProposalState(uint256 proposalId) external view returns (ProposalState) {
-        return proposals[proposalId].state;
+        return _state(proposalId);
+    }
+
+    /**
+     * @notice Get the block whose stakes a proposal is voted and tallied with
+     * @param proposalId ID of proposal
+     * @return Snapshot block number (the block before creation)
+     */
+    function getProposalSnapshot(uint256 proposalId) external view returns (uint256) {
+        return proposals[proposalId].snapshotBlock;
     }
 
     /**
@@ -289,7 +1121,7 @@ contract GovernanceProposal is AccessControl, ReentrancyGuard {
      * @return abstainVotes Abstain votes
      * @return startTime Voting start time
      * @return endTime Voting end time
-     * @return state Current proposal state
+     * @return proposalState Current proposal state, as state()
      */
     function getProposal(uint256 proposalId) external view returns (
         address proposer,
@@ -302,22 +1134,48 @@ contract GovernanceProposal is AccessControl, ReentrancyGuard {
         uint256 abstainVotes,
         uint256 startTime,
         uint256 endTime,
-        ProposalState state
+        ProposalState proposalState
     ) {
         Proposal storage proposal = proposals[proposalId];
-        return (
-            proposal.proposer,
-            proposal.proposalType,
-            proposal.recipient,
-            proposal.amount,
-            proposal.description,
-            proposal.forVotes,
-            proposal.againstVotes,
-            proposal.abstainVotes,
-            proposal.startTime,
-            proposal.endTime,
-            proposal.state
-        );
+        proposer = proposal.proposer;
+        proposalType = proposal.proposalType;
+        recipient = proposal.recipient;
+        amount = proposal.amount;
+        description = proposal.description;
+        forVotes = proposal.forVotes;
+        againstVotes = proposal.againstVotes;
+        abstainVotes = proposal.abstainVotes;
+        startTime = proposal.startTime;
+        endTime = proposal.endTime;
+        proposalState = _state(proposalId);
+    }
+
+    /**
+     * @notice What a payout proposal pays out, for TimelockController to execute it
+     * @param proposalId ID of proposal
+     * @return proposalType Type of proposal, which is also the paying tier
+     * @return token ERC-20 token paid out, or zero for ETH
+     * @return recipient Recipient address
+     * @return amount Amount to transfer
+     */
+    function getPayout(uint256 proposalId) external view returns (
+        ProposalType proposalType,
+        address token,
+        address recipient,
+        uint256 amount
+    ) {
+        Proposal storage proposal = proposals[proposalId];
+        return (proposal.proposalType, proposalToken[proposalId], proposal.recipient, proposal.amount);
+    }
+
+    /**
+     * @notice How a voter's power is counted on a proposal
+     * @param proposalId ID of proposal
+     * @param voter Address to check
+     * @return Voting power cast FOR, AGAINST and ABSTAIN (all zero if the voter has not voted)
+     */
+    function getReceipt(uint256 proposalId, address voter) external view returns (VoteReceipt memory) {
+        return proposals[proposalId].receipts[voter];
     }
 
     /**
@@ -340,20 +1198,34 @@ contract GovernanceProposal is AccessControl, ReentrancyGuard {
         
         proposal.state = ProposalState.EXECUTED;
         emit ProposalExecuted(proposalId);
+        _releaseBatch(proposalId, AUTO_RELEASE_LIMIT);
     }
 
     /**
-     * @notice Cancel a proposal (guardian only)
+     * @notice Cancel a proposal
+     * @dev The guardian can cancel a proposal until it executes. Its proposer can
+     *      withdraw it until the first vote is cast. A queued proposal is also
+     *      removed from the timelock, which releases its treasury reservation.
      * @param proposalId ID of proposal to cancel
      */
-    function cancelProposal(uint256 proposalId) external onlyRole(GUARDIAN_ROLE) {
+    function cancelProposal(uint256 proposalId) external {
         Proposal storage proposal = proposals[proposalId];
+        bool byProposer = msg.sender == proposal.proposer && !hasRole(GUARDIAN_ROLE, msg.sender);
+        if (!byProposer) {
+            _checkRole(GUARDIAN_ROLE);
+        }
+        ProposalState current = _state(proposalId);
         require(
-            proposal.state == ProposalState.ACTIVE || proposal.state == ProposalState.QUEUED,
+            current == ProposalState.PENDING || current == ProposalState.ACTIVE || current == ProposalState.QUEUED,
             "Cannot cancel proposal"
         );
+        require(!byProposer || _voteLocks[proposalId].accounts.length == 0, "Votes already cast");
         
         proposal.state = ProposalState.CANCELLED;
         emit ProposalCancelled(proposalId);
+        if (current == ProposalState.QUEUED) {
+            timelock.cancel(proposalId);
+        }
+        _releaseBatch(proposalId, AUTO_RELEASE_LIMIT);
     }
 }
@@ -3,34 +3,91 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "@openzeppelin/contracts/utils/structs/Checkpoints.sol";
 import "../libraries/VotingMath.sol";
+import "../security/EmergencyPausable.sol";
+import "./MemberRegistry.sol";
 
 /**
  * @title GovernanceToken
  * @notice Manages stake-based governance with quadratic voting power
- * @dev Members deposit ETH to gain voting influence with anti-whale protection
+ * @dev Members deposit ETH to gain voting influence with anti-whale protection.
+ *      Only stake held by registered members votes, so splitting a stake
+ *      across wallets cannot multiply its square root. Members can lock their
+ *      stake for up to MAX_LOCK_DURATION, vote-escrow style, for a boost that
+ *      decays as the lock runs out. Stakes, locks and registrations are
+ *      checkpointed per block so proposals can read voting power as it was
+ *      when they were created. Deposits and locks stop while the contract is
+ *      paused; withdrawals of unlocked stake never do.
  */
-contract GovernanceToken is AccessControl, ReentrancyGuard {
+contract GovernanceToken is AccessControl, EmergencyPausable, MemberRegistry, ReentrancyGuard {
     using VotingMath for uint256;
+    using Checkpoints for Checkpoints.Trace208;
 
     bytes32 public constant GOVERNANCE_ROLE = keccak256("GOVERNANCE_ROLE");
+
+    /// @notice Role allowed to return a member's whole stake on rage-quit, and nothing else
+    bytes32 public constant RAGE_QUIT_ROLE = keccak256("RAGE_QUIT_ROLE");
     
     /// @notice Minimum stake required to create proposals (0.1 ETH)
     uint256 public constant MIN_PROPOSAL_STAKE = 0.1 ether;
+
+    /// @notice Lock ends are rounded down to a multiple of this
+    uint256 public constant LOCK_PERIOD = 1 weeks;
+
+    /// @notice Longest lock, which doubles voting power (104 weeks)
+    uint256 public constant MAX_LOCK_DURATION = 104 weeks;
     
     /// @notice Member stake balances
     mapping(address => uint256) public stakes;
     
     /// @notice Total ETH staked in the system
     uint256 public totalStaked;
+
+    /// @notice ETH staked by registered members, which total voting power is based on
+    uint256 public registeredStake;
     
     /// @notice Track active votes to prevent withdrawal during voting
     mapping(address => uint256) public activeVotes;
 
+    /// @notice When each member's stake unlocks; unlocked if not in the future
+    mapping(address => uint256) public lockEnds;
+
+    /// @notice Stake whose lock ends at each LOCK_PERIOD boundary
+    mapping(uint256 => uint256) private _unlockingStake;
+
+    /// @notice Stake in unexpired locks, as of _lockTotalsUpdatedAt
+    uint256 private _lockedStake;
+
+    /// @notice Sum of stake * seconds left over unexpired locks, as of _lockTotalsUpdatedAt
+    uint256 private _lockedStakeTime;
+
+    /// @notice When the lock totals were last brought up to date
+    uint256 private _lockTotalsUpdatedAt;
+
+    /// @notice Stake history per member, keyed by block number
+    mapping(address => Checkpoints.Trace208) private _stakeCheckpoints;
+
+    /// @notice Total stake history, keyed by block number
+    Checkpoints.Trace208 private _totalStakeCheckpoints;
+
+    /// @notice Registered stake history, keyed by block number
+    Checkpoints.Trace208 private _registeredStakeCheckpoints;
+
+    /// @notice Lock end history per member, keyed by block number
+    mapping(address => Checkpoints.Trace208) private _lockEndCheckpoints;
+
+    /// @notice Lock total histories, keyed by block number
+    Checkpoints.Trace208 private _lockedStakeCheckpoints;
+    Checkpoints.Trace208 private _lockedStakeTimeCheckpoints;
+    Checkpoints.Trace208 private _lockTotalsTimeCheckpoints;
+
     // Events
     event Staked(address indexed member, uint256 amount, uint256 newStake, uint256 votingPower);
     event Withdrawn(address indexed member, uint256 amount, uint256 remainingStake);
     event VotingPowerChanged(address indexed member, uint256 oldPower, uint256 newPower);
+    event StakeLocked(address indexed member, uint256 unlockTime, uint256 votingPower);
 
     constructor() {
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
@@ -39,62 +96,151 @@ contract GovernanceToken is AccessControl, ReentrancyGuard {
 
     /**
      * @notice Deposit ETH to gain voting power
-     * @dev Voting power calculated as sqrt(stake) to prevent whale dominance
+     * @dev Voting power calculated as sqrt(stake) to prevent whale dominance.
+     *      Deposits into a locked stake are locked with it
      */
-    function deposit() external payable nonReentrant {
+    function deposit() external payable whenNotPaused nonReentrant {
         require(msg.value > 0, "Must deposit ETH");
         
-        uint256 oldStake = stakes[msg.sender];
-        uint256 oldPower = oldStake.calculateVotingPower();
+        uint256 oldVotingStake = _votingStake(msg.sender);
+        uint256 oldPower = getVotingPower(msg.sender);
         
         stakes[msg.sender] += msg.value;
         totalStaked += msg.value;
+        _writeCheckpoints(msg.sender, oldVotingStake, lockEnds[msg.sender]);
         
-        uint256 newPower = stakes[msg.sender].calculateVotingPower();
+        uint256 newPower = getVotingPower(msg.sender);
         
         emit Staked(msg.sender, msg.value, stakes[msg.sender], newPower);
         emit VotingPowerChanged(msg.sender, oldPower, newPower);
     }
 
+    /**
+     * @notice Lock your whole stake, including later deposits, until `unlockTime`
+     * @dev Rounded down to a whole LOCK_PERIOD. Locked stake votes with up to 2x
+     *      power, decaying linearly to 1x at the unlock time, and cannot be
+     *      withdrawn before then. Locks can only be extended.
+     * @param unlockTime When the stake becomes withdrawable, at most MAX_LOCK_DURATION from now
+     */
+    function lockStake(uint256 unlockTime) external whenNotPaused nonReentrant {
+        uint256 oldLockEnd = lockEnds[msg.sender];
+        unlockTime -= unlockTime % LOCK_PERIOD;
+        require(stakes[msg.sender] > 0, "No stake to lock");
+        require(unlockTime > block.timestamp, "Unlock time must be in the future");
+        require(unlockTime > oldLockEnd, "Can only extend lock");
+        require(unlockTime <= block.timestamp + MAX_LOCK_DURATION, "Lock too long");
+
+        uint256 oldPower = getVotingPower(msg.sender);
+        lockEnds[msg.sender] = unlockTime;
+        _writeCheckpoints(msg.sender, _votingStake(msg.sender), oldLockEnd);
+        uint256 newPower = getVotingPower(msg.sender);
+
+        emit StakeLocked(msg.sender, unlockTime, newPower);
+        emit VotingPowerChanged(msg.sender, oldPower, newPower);
+    }
+
     /**
      * @notice Withdraw staked ETH
      * @param amount Amount to withdraw
-     * @dev Cannot withdraw if member has active votes
+     * @dev Cannot withdraw if member has active votes or a lock that has not ended
      */
     function withdraw(uint256 amount) external nonReentrant {
-        require(amount > 0, "Amount must be greater than 0");
-        require(stakes[msg.sender] >= amount, "Insufficient stake");
-        require(activeVotes[msg.sender] == 0, "Cannot withdraw with active votes");
-        
-        uint256 oldPower = stakes[msg.sender].calculateVotingPower();
-        
-        stakes[msg.sender] -= amount;
-        totalStaked -= amount;
-        
-        uint256 newPower = stakes[msg.sender].calculateVotingPower();
-        
-        (bool success, ) = msg.sender.call{value: amount}("");
-        require(success, "ETH transfer failed");
-        
-        emit Withdrawn(msg.sender, amount, stakes[msg.sender]);
-        emit VotingPowerChanged(msg.sender, oldPower, newPower);
+        require(block.timestamp >= lockEnds[msg.sender], "Stake is locked");
+        _withdraw(msg.sender, amount);
+    }
+
+    /**
+     * @notice Return a member's whole stake when they rage-quit (called by TimelockController)
+     * @dev Subject to the same vote lock check as withdraw; the timelock releases the
+     *      member's lock on the proposal they are quitting first. A time lock taken
+     *      for its vote boost holds the stake until it ends, rage-quit or not
+     * @param member Member leaving the DAO
+     * @return amount Stake returned to the member
+     */
+    function exitStake(address member) external onlyRole(RAGE_QUIT_ROLE) nonReentrant returns (uint256 amount) {
+        require(block.timestamp >= lockEnds[member], "Stake is locked");
+        amount = stakes[member];
+        _withdraw(member, amount);
     }
 
     /**
      * @notice Get voting power for a member
      * @param member Address to check
-     * @return Quadratic voting power
+     * @return Quadratic voting power, boosted by the time left on the member's lock; 0 if not registered
      */
-    function getVotingPower(address member) external view returns (uint256) {
-        return stakes[member].calculateVotingPower();
+    function getVotingPower(address member) public view returns (uint256) {
+        return _votingPowerAt(_votingStake(member), lockEnds[member], block.timestamp);
     }
 
     /**
      * @notice Get total voting power in the system
-     * @return Total quadratic voting power
+     * @return Quadratic voting power of the registered stake, boosted by its average lock
      */
     function getTotalVotingPower() external view returns (uint256) {
-        return totalStaked.calculateVotingPower();
+        (, uint256 lockedStakeTime) = _lockTotalsAt(_lockedStake, _lockedStakeTime, _lockTotalsUpdatedAt, block.timestamp);
+        return registeredStake.calculateTotalVotingPower(lockedStakeTime, MAX_LOCK_DURATION);
+    }
+
+    /**
+     * @notice Get a member's stake at the end of a past block
+     * @param member Address to check
+     * @param blockNumber Block to read; must already be mined
+     * @return Stake amount in wei
+     */
+    function getPastStake(address member, uint256 blockNumber) public view returns (uint256) {
+        return _stakeCheckpoints[member].upperLookupRecent(_checkpointKey(blockNumber));
+    }
+
+    /**
+     * @notice Get the total stake, registered or not, at the end of a past block
+     * @param blockNumber Block to read; must already be mined
+     * @return Total stake in wei
+     */
+    function getPastTotalStake(uint256 blockNumber) external view returns (uint256) {
+        return _totalStakeCheckpoints.upperLookupRecent(_checkpointKey(blockNumber));
+    }
+
+    /**
+     * @notice Get a member's voting power with their stake and lock at the end of a past block
+     * @dev Lock boosts decay with time, not blocks, so the caller says when to
+     *      measure them: GovernanceProposal uses the proposal's creation time
+     * @param member Address to check
+     * @param blockNumber Block to read; must already be mined
+     * @param timestamp Time to measure the lock boost at; not before `blockNumber` and not in the future
+     * @return Quadratic voting power, boosted by the time left on the lock at `timestamp`; 0 if not registered then
+     */
+    function getPastVotingPower(address member, uint256 blockNumber, uint256 timestamp) external view returns (uint256) {
+        require(timestamp <= block.timestamp, "Time not yet reached");
+        uint48 key = _checkpointKey(blockNumber);
+        if (!_wasRegistered(member, key)) {
+            return 0;
+        }
+        return _votingPowerAt(
+            _stakeCheckpoints[member].upperLookupRecent(key),
+            _lockEndCheckpoints[member].upperLookupRecent(key),
+            timestamp
+        );
+    }
+
+    /**
+     * @notice Get total voting power with the registered stakes and locks at the end of a past block
+     * @dev For the total to match the members' powers, `timestamp` must be no later
+     *      than the first block after `blockNumber`; a proposal's creation time is
+     * @param blockNumber Block to read; must already be mined
+     * @param timestamp Time to measure lock boosts at; not before `blockNumber` and not in the future
+     * @return Total quadratic voting power, boosted by the average lock at `timestamp`
+     */
+    function getPastTotalVotingPower(uint256 blockNumber, uint256 timestamp) external view returns (uint256) {
+        require(timestamp <= block.timestamp, "Time not yet reached");
+        uint48 key = _checkpointKey(blockNumber);
+        (, uint256 lockedStakeTime) = _lockTotalsAt(
+            _lockedStakeCheckpoints.upperLookupRecent(key),
+            _lockedStakeTimeCheckpoints.upperLookupRecent(key),
+            _lockTotalsTimeCheckpoints.upperLookupRecent(key),
+            timestamp
+        );
+        uint256 stake = _registeredStakeCheckpoints.upperLookupRecent(key);
+        return stake.calculateTotalVotingPower(lockedStakeTime, MAX_LOCK_DURATION);
     }
 
     /**
@@ -132,4 +278,114 @@ contract GovernanceToken is AccessControl, ReentrancyGuard {
     function getStake(address member) external view returns (uint256) {
         return stakes[member];
     }
+
+    function _withdraw(address member, uint256 amount) private {
+        require(amount > 0, "Amount must be greater than 0");
+        require(stakes[member] >= amount, "Insufficient stake");
+        require(activeVotes[member] == 0, "Cannot withdraw with active votes");
+        
+        uint256 oldVotingStake = _votingStake(member);
+        uint256 oldLockEnd = lockEnds[member];
+        uint256 oldPower = getVotingPower(member);
+        
+        stakes[member] -= amount;
+        totalStaked -= amount;
+        if (stakes[member] == 0) {
+            delete lockEnds[member];
+        }
+        _writeCheckpoints(member, oldVotingStake, oldLockEnd);
+        
+        uint256 newPower = getVotingPower(member);
+        
+        (bool success, ) = member.call{value: amount}("");
+        require(success, "ETH transfer failed");
+        
+        emit Withdrawn(member, amount, stakes[member]);
+        emit VotingPowerChanged(member, oldPower, newPower);
+    }
+
+    /// @dev Move a member's stake into or out of the voting totals
+    function _registrationChanged(address member, bool registered) internal override {
+        uint256 oldVotingStake = registered ? 0 : stakes[member];
+        uint256 oldPower = _votingPowerAt(oldVotingStake, lockEnds[member], block.timestamp);
+        _writeCheckpoints(member, oldVotingStake, lockEnds[member]);
+        emit VotingPowerChanged(member, oldPower, getVotingPower(member));
+    }
+
+    /// @dev Stake that counts towards voting power: all of it if registered, none otherwise
+    function _votingStake(address member) private view returns (uint256) {
+        return isRegistered(member) ? stakes[member] : 0;
+    }
+
+    /**
+     * @dev Bring the lock totals up to date, swap the member's old voting stake
+     *      and lock for their new ones, and record everything at this block
+     */
+    function _writeCheckpoints(address member, uint256 oldVotingStake, uint256 oldLockEnd) private {
+        (uint256 lockedStake, uint256 lockedStakeTime) = _lockTotalsAt(
+            _lockedStake,
+            _lockedStakeTime,
+            _lockTotalsUpdatedAt,
+            block.timestamp
+        );
+        if (oldLockEnd > block.timestamp) {
+            lockedStake -= oldVotingStake;
+            lockedStakeTime -= oldVotingStake * (oldLockEnd - block.timestamp);
+            _unlockingStake[oldLockEnd] -= oldVotingStake;
+        }
+        uint256 votingStake = _votingStake(member);
+        uint256 lockEnd = lockEnds[member];
+        if (lockEnd > block.timestamp) {
+            lockedStake += votingStake;
+            lockedStakeTime += votingStake * (lockEnd - block.timestamp);
+            _unlockingStake[lockEnd] += votingStake;
+        }
+        _lockedStake = lockedStake;
+        _lockedStakeTime = lockedStakeTime;
+        _lockTotalsUpdatedAt = block.timestamp;
+        registeredStake = registeredStake - oldVotingStake + votingStake;
+
+        uint48 key = SafeCast.toUint48(block.number);
+        _stakeCheckpoints[member].push(key, SafeCast.toUint208(stakes[member]));
+        _lockEndCheckpoints[member].push(key, SafeCast.toUint208(lockEnd));
+        _totalStakeCheckpoints.push(key, SafeCast.toUint208(totalStaked));
+        _registeredStakeCheckpoints.push(key, SafeCast.toUint208(registeredStake));
+        _lockedStakeCheckpoints.push(key, SafeCast.toUint208(lockedStake));
+        _lockedStakeTimeCheckpoints.push(key, SafeCast.toUint208(lockedStakeTime));
+        _lockTotalsTimeCheckpoints.push(key, SafeCast.toUint208(block.timestamp));
+    }
+
+    /**
+     * @dev Advance lock totals recorded at `since` to `timestamp`. Locks end on
+     *      LOCK_PERIOD boundaries, where their stake leaves the totals. Every lock
+     *      ends within MAX_LOCK_DURATION of being written, so this stops after at
+     *      most MAX_LOCK_DURATION / LOCK_PERIOD + 1 boundaries.
+     */
+    function _lockTotalsAt(
+        uint256 lockedStake,
+        uint256 lockedStakeTime,
+        uint256 since,
+        uint256 timestamp
+    ) private view returns (uint256, uint256) {
+        uint256 boundary = since - (since % LOCK_PERIOD) + LOCK_PERIOD;
+        for (; lockedStake > 0 && boundary <= timestamp; boundary += LOCK_PERIOD) {
+            lockedStakeTime -= lockedStake * (boundary - since);
+            lockedStake -= _unlockingStake[boundary];
+            since = boundary;
+        }
+        if (timestamp > since) {
+            lockedStakeTime -= lockedStake * (timestamp - since);
+        }
+        return (lockedStake, lockedStakeTime);
+    }
+
+    function _votingPowerAt(uint256 stake, uint256 lockEnd, uint256 timestamp) private pure returns (uint256) {
+        return stake.calculateLockedVotingPower(lockEnd > timestamp ? lockEnd - timestamp : 0, MAX_LOCK_DURATION);
+    }
+
+    /// @dev Only finished blocks are final; the current one can still change
+    function _checkpointKey(uint256 blockNumber) private view returns (uint48) {
+        require(blockNumber < block.number, "Block not yet mined");
+        return SafeCast.toUint48(blockNumber);
+    }
 }
@@ -0,0 +1,97 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "@openzeppelin/contracts/utils/structs/Checkpoints.sol";
+
+/**
+ * @title MemberRegistry
+ * @notice Attested member registry that quadratic voting power is reserved for
+ * @dev Attesters vouch that an address belongs to a distinct person, one
+ *      address per person, and can revoke that later. The admin (governance,
+ *      once deployed) grants and revokes ATTESTER_ROLE, and holds it too, so an
+ *      executed action proposal can attest directly. Registrations are
+ *      checkpointed per block so they can be read as of a proposal's snapshot.
+ */
+abstract contract MemberRegistry is AccessControl {
+    using Checkpoints for Checkpoints.Trace208;
+
+    bytes32 public constant ATTESTER_ROLE = keccak256("ATTESTER_ROLE");
+
+    /// @notice Who vouched for a registered member, when, and on what evidence
+    struct Attestation {
+        address attester;
+        uint64 issuedAt;
+        bytes32 evidence;       // e.g. hash of an off-chain proof of personhood
+    }
+
+    /// @notice Current attestation per member (attester is zero when not registered)
+    mapping(address => Attestation) public attestations;
+
+    /// @notice Number of registered members
+    uint256 public registeredCount;
+
+    /// @notice Registration history per member (1 registered, 0 not), keyed by block number
+    mapping(address => Checkpoints.Trace208) private _registrationCheckpoints;
+
+    event MemberAttested(address indexed member, address indexed attester, bytes32 evidence);
+    event AttestationRevoked(address indexed member, address indexed attester);
+
+    constructor() {
+        _grantRole(ATTESTER_ROLE, msg.sender);
+    }
+
+    /**
+     * @notice Register a member, giving their stake quadratic voting power (attester only)
+     * @param member Address to register
+     * @param evidence Reference to what the attestation is based on
+     */
+    function attest(address member, bytes32 evidence) external onlyRole(ATTESTER_ROLE) {
+        require(member != address(0), "Invalid member");
+        require(!isRegistered(member), "Already registered");
+
+        attestations[member] = Attestation(msg.sender, uint64(block.timestamp), evidence);
+        registeredCount++;
+        _setRegistered(member, true);
+
+        emit MemberAttested(member, msg.sender, evidence);
+    }
+
+    /**
+     * @notice Remove a member from the registry, e.g. a duplicate or compromised address (attester only)
+     * @dev Proposals created before the revocation still count the member's votes
+     * @param member Registered address to remove
+     */
+    function revokeAttestation(address member) external onlyRole(ATTESTER_ROLE) {
+        require(isRegistered(member), "Not registered");
+
+        delete attestations[member];
+        registeredCount--;
+        _setRegistered(member, false);
+
+        emit AttestationRevoked(member, msg.sender);
+    }
+
+    /**
+     * @notice Whether an address is registered right now
+     * @param member Address to check
+     * @return True if it holds an attestation
+     */
+    function isRegistered(address member) public view returns (bool) {
+        return attestations[member].attester != address(0);
+    }
+
+    /// @dev Whether `member` was registered at the end of the block `key`
+    function _wasRegistered(address member, uint48 key) internal view returns (bool) {
+        return _registrationCheckpoints[member].upperLookupRecent(key) == 1;
+    }
+
+    function _setRegistered(address member, bool registered) private {
+        _registrationCheckpoints[member].push(SafeCast.toUint48(block.number), registered ? 1 : 0);
+        _registrationChanged(member, registered);
+    }
+
+    /// @dev Called after a member is registered or removed
+    function _registrationChanged(address member, bool registered) internal virtual;
+}
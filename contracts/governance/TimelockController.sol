@@ -4,15 +4,28 @@ pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "./GovernanceProposal.sol";
+import "../security/EmergencyPausable.sol";
 
 /**
  * @title TimelockController
  * @notice Enforces time delays before proposal execution for security
- * @dev Configurable delays based on proposal type and amount
+ * @dev Configurable delays based on proposal type and amount. The guardian can
+ *      pause all four DAO contracts at once through pauseAll; while paused, payout
+ *      proposals cannot be queued or executed, but action proposals can.
+ *      Until a queued proposal executes, members who voted against it can
+ *      rage-quit with their stake and a share of the unallocated treasury.
+ *      A proposal not executed within GRACE_PERIOD of its execution time expires.
+ *      Proposals are scheduled and unscheduled by GovernanceProposal as they are
+ *      queued and cancelled there; their lifecycle state lives in GovernanceProposal
+ *      and only the execution times are kept here.
  */
-contract TimelockController is AccessControl, ReentrancyGuard {
+contract TimelockController is AccessControl, EmergencyPausable, ReentrancyGuard {
     bytes32 public constant EXECUTOR_ROLE = keccak256("EXECUTOR_ROLE");
     bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+    bytes32 public constant GOVERNANCE_ROLE = keccak256("GOVERNANCE_ROLE");
+
+    /// @notice Time after its execution time during which a queued proposal can still execute
+    uint256 public constant GRACE_PERIOD = 14 days;
 
     GovernanceProposal public governanceProposal;
     address public treasury;
@@ -22,15 +35,18 @@ contract TimelockController is AccessControl, ReentrancyGuard {
     
     /// @notice Execution timestamps for queued proposals
     mapping(uint256 => uint256) public executionTimes;
-    
-    /// @notice Track executed proposals to prevent double execution
-    mapping(uint256 => bool) public executed;
+
+    /// @notice Snapshot stake that has rage-quit over each proposal so far
+    mapping(uint256 => uint256) public rageQuitStakes;
 
     // Events
     event ProposalQueued(uint256 indexed proposalId, uint256 executionTime);
     event ProposalExecuted(uint256 indexed proposalId, address recipient, uint256 amount);
     event ProposalCancelled(uint256 indexed proposalId);
     event TimelockDelayUpdated(GovernanceProposal.ProposalType proposalType, uint256 newDelay);
+    event ActionsExecuted(uint256 indexed proposalId, uint256 actionCount, uint256 totalValue);
+    event RageQuit(uint256 indexed proposalId, address indexed member, uint256 stake, uint256 share);
+    event ProposalExpired(uint256 indexed proposalId);
 
     constructor(address _governanceProposal, address _treasury) {
         governanceProposal = GovernanceProposal(_governanceProposal);
@@ -39,6 +55,7 @@ contract TimelockController is AccessControl, ReentrancyGuard {
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
         _grantRole(EXECUTOR_ROLE, msg.sender);
         _grantRole(GUARDIAN_ROLE, msg.sender);
+        _grantRole(GOVERNANCE_ROLE, _governanceProposal);
 
         // Set default timelock delays
         timelockDelays[GovernanceProposal.ProposalType.HIGH_CONVICTION] = 7 days;
@@ -47,84 +64,200 @@ contract TimelockController is AccessControl, ReentrancyGuard {
     }
 
     /**
-     * @notice Queue a proposal for execution after timelock
-     * @param proposalId ID of approved proposal
+     * @notice Receive ETH to fund the value of action proposals
      */
-    function queueProposal(uint256 proposalId) external {
-        require(!executed[proposalId], "Proposal already executed");
-        require(executionTimes[proposalId] == 0, "Proposal already queued");
-        
-        GovernanceProposal.ProposalState state = governanceProposal.getProposalState(proposalId);
-        require(state == GovernanceProposal.ProposalState.QUEUED, "Proposal not approved");
+    receive() external payable {}
 
-        (, GovernanceProposal.ProposalType proposalType, , , , , , , , , ) = 
-            governanceProposal.getProposal(proposalId);
+    /**
+     * @notice Schedule a passed proposal (called by GovernanceProposal.queueProposal)
+     * @dev Payout proposals also reserve their amount in the treasury, so that
+     *      rebalancing cannot take it away while the timelock runs
+     * @param proposalId ID of the proposal just queued
+     * @param proposalType Type of proposal, which sets the delay and the tier reserved from
+     * @param token ERC-20 token paid out, or zero for ETH
+     * @param recipient Address the proposal pays
+     * @param reserveAmount Amount to reserve, zero for action proposals
+     * @return executionTime Timestamp from which the proposal can be executed
+     */
+    function schedule(
+        uint256 proposalId,
+        uint8 proposalType,
+        address token,
+        address recipient,
+        uint256 reserveAmount
+    ) external onlyRole(GOVERNANCE_ROLE) returns (uint256 executionTime) {
+        require(executionTimes[proposalId] == 0, "Proposal already queued");
 
-        uint256 delay = timelockDelays[proposalType];
-        uint256 executionTime = block.timestamp + delay;
-        
+        executionTime = block.timestamp + timelockDelays[GovernanceProposal.ProposalType(proposalType)];
         executionTimes[proposalId] = executionTime;
+
+        if (reserveAmount > 0) {
+            _requireNotPaused();
+            _callTreasury(
+                abi.encodeWithSignature(
+                    "reserveFunds(uint256,address,uint8,address,uint256)",
+                    proposalId,
+                    token,
+                    proposalType,
+                    recipient,
+                    reserveAmount
+                ),
+                "Reservation failed"
+            );
+        }
         
         emit ProposalQueued(proposalId, executionTime);
     }
 
     /**
-     * @notice Execute a proposal after timelock expires
-     * @param proposalId ID of proposal to execute
+     * @notice Unschedule a proposal (called by GovernanceProposal.cancelProposal)
+     * @param proposalId ID of the queued proposal just cancelled
      */
-    function executeProposal(uint256 proposalId) external onlyRole(EXECUTOR_ROLE) nonReentrant {
-        require(!executed[proposalId], "Proposal already executed");
+    function cancel(uint256 proposalId) external onlyRole(GOVERNANCE_ROLE) {
         require(executionTimes[proposalId] > 0, "Proposal not queued");
-        require(block.timestamp >= executionTimes[proposalId], "Timelock not expired");
+
+        delete executionTimes[proposalId];
+        _releaseReservation(proposalId);
         
-        GovernanceProposal.ProposalState state = governanceProposal.getProposalState(proposalId);
-        require(state == GovernanceProposal.ProposalState.QUEUED, "Proposal not queued");
+        emit ProposalCancelled(proposalId);
+    }
+
+    /**
+     * @notice Execute a proposal after timelock expires
+     * @param proposalId ID of proposal to execute
+     */
+    function executeProposal(uint256 proposalId) external onlyRole(EXECUTOR_ROLE) whenNotPaused nonReentrant {
+        _requireExecutable(proposalId);
+        require(governanceProposal.actionsHash(proposalId) == bytes32(0), "Use executeActions");
 
-        (
-            ,
-            ,
-            address recipient,
-            uint256 amount,
-            ,
-            ,
-            ,
-            ,
-            ,
-            ,
-        ) = governanceProposal.getProposal(proposalId);
-
-        executed[proposalId] = true;
+        (GovernanceProposal.ProposalType proposalType, address token, address recipient, uint256 amount) =
+            governanceProposal.getPayout(proposalId);
         
-        // Mark as executed in governance contract
+        // Mark as executed in governance contract, which also prevents a second execution
         governanceProposal.markExecuted(proposalId);
         
-        // Execute transfer from treasury
-        (bool success, ) = treasury.call(
-            abi.encodeWithSignature("executeTransfer(uint256,address,uint256)", proposalId, recipient, amount)
-        );
-        require(success, "Treasury transfer failed");
+        // Execute transfer from treasury, surfacing its reason (e.g. "Insufficient fund balance")
+        _callTreasury(_payoutCall(proposalId, proposalType, token, recipient, amount), "Treasury transfer failed");
         
         emit ProposalExecuted(proposalId, recipient, amount);
     }
 
     /**
-     * @notice Cancel a queued proposal (guardian only)
-     * @param proposalId ID of proposal to cancel
+     * @notice Execute an action proposal after its timelock expires
+     * @dev The actions must match the hash committed at creation. They run in order
+     *      with the timelock as msg.sender, and any failing call reverts them all.
+     *      They cannot call GovernanceToken.exitStake, which the timelock may only
+     *      use for a member's own rageQuit.
+     * @param proposalId ID of action proposal to execute
+     * @param targets Contracts to call
+     * @param values ETH to send with each call
+     * @param calldatas Encoded function calls
+     */
+    function executeActions(
+        uint256 proposalId,
+        address[] calldata targets,
+        uint256[] calldata values,
+        bytes[] calldata calldatas
+    ) external payable onlyRole(EXECUTOR_ROLE) nonReentrant {
+        _requireExecutable(proposalId);
+        bytes32 committed = governanceProposal.actionsHash(proposalId);
+        require(
+            committed != bytes32(0) && committed == governanceProposal.hashActions(targets, values, calldatas),
+            "Actions do not match proposal"
+        );
+
+        governanceProposal.markExecuted(proposalId);
+
+        address governanceToken = address(governanceProposal.governanceToken());
+        uint256 totalValue;
+        for (uint256 i = 0; i < targets.length; i++) {
+            require(
+                targets[i] != governanceToken || bytes4(calldatas[i]) != GovernanceToken.exitStake.selector,
+                "Action not allowed"
+            );
+            (bool success, bytes memory result) = targets[i].call{value: values[i]}(calldatas[i]);
+            if (!success) {
+                _bubbleRevert(result, "Action failed");
+            }
+            totalValue += values[i];
+        }
+
+        emit ActionsExecuted(proposalId, targets.length, totalValue);
+    }
+
+    /**
+     * @notice Release the treasury reservation of a queued proposal that expired
+     * @dev An expired proposal keeps its execution time, which is what it is
+     *      reported EXPIRED by
+     * @param proposalId ID of the expired proposal
+     */
+    function releaseReservation(uint256 proposalId) external {
+        require(
+            governanceProposal.state(proposalId) == GovernanceProposal.ProposalState.EXPIRED,
+            "Proposal not expired"
+        );
+        _releaseReservation(proposalId);
+        emit ProposalExpired(proposalId);
+    }
+
+    /**
+     * @notice Leave the DAO before a queued proposal you voted against executes
+     * @dev Open from queueing until the execution time, also while paused. Returns
+     *      the caller's whole stake plus `stake / totalStake` of the treasury's
+     *      unallocated ETH, both read at the proposal's snapshot block and the
+     *      stake capped at what the caller still holds, so depositing after the
+     *      vote does not buy a larger share. Stake that already rage-quit over
+     *      the proposal leaves the total, so the order dissenters leave in does
+     *      not change their shares. The caller's lock on this proposal is released
+     *      and locks on finished proposals are cleared; votes on proposals still
+     *      open keep the stake locked. Needs RAGE_QUIT_ROLE on GovernanceToken.
+     * @param proposalId ID of a queued proposal the caller voted against
      */
-    function cancelProposal(uint256 proposalId) external onlyRole(GUARDIAN_ROLE) {
-        require(!executed[proposalId], "Proposal already executed");
+    function rageQuit(uint256 proposalId) external nonReentrant {
         require(executionTimes[proposalId] > 0, "Proposal not queued");
-        
-        GovernanceProposal.ProposalState state = governanceProposal.getProposalState(proposalId);
-        require(state == GovernanceProposal.ProposalState.QUEUED, "Proposal not queued");
+        require(block.timestamp < executionTimes[proposalId], "Rage-quit window closed");
 
-        // Cancel in governance contract
-        governanceProposal.cancelProposal(proposalId);
-        
-        // Clear execution time
-        delete executionTimes[proposalId];
-        
-        emit ProposalCancelled(proposalId);
+        GovernanceToken governanceToken = governanceProposal.governanceToken();
+        uint256 snapshotBlock = governanceProposal.getProposalSnapshot(proposalId);
+        uint256 totalStake = governanceToken.getPastTotalStake(snapshotBlock) - rageQuitStakes[proposalId];
+        uint256 pastStake = governanceToken.getPastStake(msg.sender, snapshotBlock);
+
+        governanceProposal.releaseDissentLock(proposalId, msg.sender);
+        governanceProposal.releaseLocks(msg.sender);
+        uint256 stake = governanceToken.exitStake(msg.sender);
+        uint256 shareStake = stake < pastStake ? stake : pastStake;
+        rageQuitStakes[proposalId] += shareStake;
+
+        bytes memory result = _callTreasury(
+            abi.encodeWithSignature("payRageQuit(address,uint256,uint256)", msg.sender, shareStake, totalStake),
+            "Rage-quit payout failed"
+        );
+        uint256 share = abi.decode(result, (uint256));
+
+        emit RageQuit(proposalId, msg.sender, stake, share);
+    }
+
+    /**
+     * @notice Pause the token, proposal, timelock and treasury contracts at once (guardian only)
+     * @dev Needs PAUSER_ROLE on the other three. Each pause ends on its own after
+     *      `duration`; only governance can extend it (extendPause on each contract).
+     * @param duration Seconds to pause for, at most MAX_PAUSE_DURATION
+     */
+    function pauseAll(uint256 duration) external onlyRole(GUARDIAN_ROLE) {
+        governanceProposal.governanceToken().pause(duration);
+        governanceProposal.pause(duration);
+        EmergencyPausable(treasury).pause(duration);
+        _pause(duration);
+    }
+
+    /**
+     * @notice Lift the pause on all four contracts early (guardian only)
+     */
+    function unpauseAll() external onlyRole(GUARDIAN_ROLE) {
+        governanceProposal.governanceToken().unpause();
+        governanceProposal.unpause();
+        EmergencyPausable(treasury).unpause();
+        _unpause();
     }
 
     /**
@@ -133,12 +266,23 @@ contract TimelockController is AccessControl, ReentrancyGuard {
      * @return True if timelock expired and ready to execute
      */
     function isExecutable(uint256 proposalId) external view returns (bool) {
-        if (executed[proposalId]) return false;
         if (executionTimes[proposalId] == 0) return false;
         if (block.timestamp < executionTimes[proposalId]) return false;
         
-        GovernanceProposal.ProposalState state = governanceProposal.getProposalState(proposalId);
-        return state == GovernanceProposal.ProposalState.QUEUED;
+        // Neither executed, cancelled nor expired
+        return governanceProposal.state(proposalId) == GovernanceProposal.ProposalState.QUEUED;
+    }
+
+    /**
+     * @notice Check if a scheduled proposal's execution window has closed
+     * @dev Says nothing about whether it executed in time; GovernanceProposal.state()
+     *      reports a proposal EXPIRED only while it is still queued
+     * @param proposalId ID of proposal
+     * @return True if GRACE_PERIOD has passed since its execution time
+     */
+    function isExpired(uint256 proposalId) external view returns (bool) {
+        uint256 executionTime = executionTimes[proposalId];
+        return executionTime > 0 && block.timestamp > executionTime + GRACE_PERIOD;
     }
 
     /**
@@ -174,4 +318,78 @@ contract TimelockController is AccessControl, ReentrancyGuard {
     function getExecutionTime(uint256 proposalId) external view returns (uint256) {
         return executionTimes[proposalId];
     }
+
+    function _requireExecutable(uint256 proposalId) internal view {
+        GovernanceProposal.ProposalState state = governanceProposal.state(proposalId);
+        require(state != GovernanceProposal.ProposalState.EXECUTED, "Proposal already executed");
+        require(state != GovernanceProposal.ProposalState.EXPIRED, "Proposal expired");
+        require(state == GovernanceProposal.ProposalState.QUEUED, "Proposal not queued");
+        require(block.timestamp >= executionTimes[proposalId], "Timelock not expired");
+    }
+
+    /// @dev Treasury call paying out a proposal. Every payout is drawn from the
+    ///      tier matching the proposal type.
+    function _payoutCall(
+        uint256 proposalId,
+        GovernanceProposal.ProposalType proposalType,
+        address token,
+        address recipient,
+        uint256 amount
+    ) internal view returns (bytes memory) {
+        (uint64 cliff, uint64 duration) = governanceProposal.vestingSchedules(proposalId);
+
+        if (duration > 0) {
+            return abi.encodeWithSignature(
+                "openStream(uint256,address,uint8,address,uint256,uint64,uint64)",
+                proposalId,
+                token,
+                uint8(proposalType),
+                recipient,
+                amount,
+                cliff,
+                duration
+            );
+        }
+        if (token != address(0)) {
+            return abi.encodeWithSignature(
+                "executeTokenTransfer(uint256,address,uint8,address,uint256)",
+                proposalId,
+                token,
+                uint8(proposalType),
+                recipient,
+                amount
+            );
+        }
+        return abi.encodeWithSignature(
+            "executeTransfer(uint256,uint8,address,uint256)",
+            proposalId,
+            uint8(proposalType),
+            recipient,
+            amount
+        );
+    }
+
+    function _releaseReservation(uint256 proposalId) internal {
+        if (governanceProposal.actionsHash(proposalId) == bytes32(0)) {
+            _callTreasury(abi.encodeWithSignature("releaseFunds(uint256)", proposalId), "Release failed");
+        }
+    }
+
+    function _callTreasury(bytes memory data, string memory fallbackReason) internal returns (bytes memory result) {
+        bool success;
+        (success, result) = treasury.call(data);
+        if (!success) {
+            _bubbleRevert(result, fallbackReason);
+        }
+    }
+
+    /// @dev Re-throw a failed call's revert data so the original reason surfaces
+    function _bubbleRevert(bytes memory result, string memory fallbackReason) internal pure {
+        if (result.length == 0) {
+            revert(fallbackReason);
+        }
+        assembly {
+            revert(add(result, 32), mload(result))
+        }
+    }
 }
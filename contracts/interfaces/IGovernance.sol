@@ -18,7 +18,8 @@ interface IGovernance {
         DEFEATED,
         QUEUED,
         EXECUTED,
-        CANCELLED
+        CANCELLED,
+        EXPIRED
     }
 
     enum VoteType {
@@ -34,13 +35,69 @@ interface IGovernance {
         string memory description
     ) external returns (uint256);
 
+    function createTokenProposal(
+        ProposalType proposalType,
+        address token,
+        address recipient,
+        uint256 amount,
+        string memory description
+    ) external returns (uint256);
+
+    function createStreamProposal(
+        ProposalType proposalType,
+        address token,
+        address recipient,
+        uint256 amount,
+        string memory description,
+        uint64 cliff,
+        uint64 duration
+    ) external returns (uint256);
+
+    function createActionProposal(
+        address[] calldata targets,
+        uint256[] calldata values,
+        bytes[] calldata calldatas,
+        string memory description
+    ) external returns (uint256);
+
     function vote(uint256 proposalId, VoteType voteType) external;
+
+    function castVoteWithReason(uint256 proposalId, VoteType voteType, string calldata reason) external;
+
+    function castVoteSplit(
+        uint256 proposalId,
+        uint256 forShare,
+        uint256 againstShare,
+        uint256 abstainShare,
+        string calldata reason
+    ) external;
+
+    function castVoteBySig(
+        uint256 proposalId,
+        VoteType voteType,
+        address voter,
+        uint256 expiry,
+        bytes calldata signature
+    ) external;
     
     function delegate(address delegatee) external;
+
+    function delegateBySig(address delegator, address delegatee, uint256 expiry, bytes calldata signature) external;
     
     function revokeDelegate() external;
     
     function queueProposal(uint256 proposalId) external;
     
+    function cancelProposal(uint256 proposalId) external;
+
+    function state(uint256 proposalId) external view returns (ProposalState);
+
     function getProposalState(uint256 proposalId) external view returns (ProposalState);
+
+    function getPayout(uint256 proposalId) external view returns (
+        ProposalType proposalType,
+        address token,
+        address recipient,
+        uint256 amount
+    );
 }
@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ITimelock
+ * @notice Interface for the timelock calls GovernanceProposal makes
+ */
+interface ITimelock {
+    function schedule(
+        uint256 proposalId,
+        uint8 proposalType,
+        address token,
+        address recipient,
+        uint256 reserveAmount
+    ) external returns (uint256 executionTime);
+
+    function cancel(uint256 proposalId) external;
+
+    function isExpired(uint256 proposalId) external view returns (bool);
+}
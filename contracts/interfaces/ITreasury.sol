@@ -16,11 +16,65 @@ interface ITreasury {
     
     function executeTransfer(
         uint256 proposalId,
+        FundType fundType,
         address recipient,
         uint256 amount
     ) external;
     
+    function allocateTokenFunds(address token, FundType fundType, uint256 amount) external;
+
+    function executeTokenTransfer(
+        uint256 proposalId,
+        address token,
+        FundType fundType,
+        address recipient,
+        uint256 amount
+    ) external;
+
+    function depositToken(address token, uint256 amount) external;
+
+    function openStream(
+        uint256 proposalId,
+        address token,
+        FundType fundType,
+        address recipient,
+        uint256 amount,
+        uint64 cliff,
+        uint64 duration
+    ) external;
+
+    function claimStream(uint256 proposalId) external returns (uint256);
+
+    function cancelStream(uint256 proposalId) external;
+
+    function claimableAmount(uint256 proposalId) external view returns (uint256);
+
     function getFundBalance(FundType fundType) external view returns (uint256);
+
+    function getRemainingBudget(FundType fundType) external view returns (uint256);
+
+    function getRemainingRecipientBudget(FundType fundType, address recipient) external view returns (uint256);
+
+    function withinSpendingLimits(FundType fundType, address recipient, uint256 amount) external view returns (bool);
+
+    function getTokenRemainingBudget(address token, FundType fundType) external view returns (uint256);
+
+    function getTokenRemainingRecipientBudget(
+        address token,
+        FundType fundType,
+        address recipient
+    ) external view returns (uint256);
+
+    function withinTokenSpendingLimits(
+        address token,
+        FundType fundType,
+        address recipient,
+        uint256 amount
+    ) external view returns (bool);
+
+    function getTokenFundBalance(address token, FundType fundType) external view returns (uint256);
     
     function getTotalTreasury() external view returns (uint256);
+
+    function getTokenTreasury(address token) external view returns (uint256);
 }
@@ -18,6 +18,43 @@ library VotingMath {
         return sqrt(stake);
     }
 
+    /**
+     * @notice Calculate voting power for a stake locked for `lockRemaining` more seconds
+     * @dev Vote-escrow style boost: 2x for a lock of `maxLockDuration`, decaying
+     *      linearly to 1x as the lock runs out
+     * @param stake The amount of ETH staked
+     * @param lockRemaining Seconds until the stake unlocks (0 if unlocked)
+     * @param maxLockDuration Longest lock allowed, which earns the full boost
+     * @return Voting power as sqrt(stake) * (1 + lockRemaining / maxLockDuration)
+     */
+    function calculateLockedVotingPower(
+        uint256 stake,
+        uint256 lockRemaining,
+        uint256 maxLockDuration
+    ) internal pure returns (uint256) {
+        uint256 power = calculateVotingPower(stake);
+        return power + (power * lockRemaining) / maxLockDuration;
+    }
+
+    /**
+     * @notice Calculate total voting power, boosted by the average lock of all stake
+     * @dev Equals the power of a single member holding all the stake with the
+     *      stake-weighted average of everyone's remaining lock time
+     * @param totalStake All ETH staked
+     * @param lockedStakeTime Sum over locked stakes of stake * seconds remaining
+     * @param maxLockDuration Longest lock allowed, which earns the full boost
+     * @return Total voting power
+     */
+    function calculateTotalVotingPower(
+        uint256 totalStake,
+        uint256 lockedStakeTime,
+        uint256 maxLockDuration
+    ) internal pure returns (uint256) {
+        if (totalStake == 0) return 0;
+        uint256 power = sqrt(totalStake);
+        return power + (power * lockedStakeTime) / (totalStake * maxLockDuration);
+    }
+
     /**
      * @notice Check if quorum is met for a proposal
      * @param votingPower Total voting power that participated
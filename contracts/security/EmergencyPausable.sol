@@ -0,0 +1,97 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+
+/**
+ * @title EmergencyPausable
+ * @notice Time-limited circuit breaker shared by the DAO contracts
+ * @dev A pauser can freeze the contract for at most MAX_PAUSE_DURATION, and not
+ *      again until PAUSE_COOLDOWN after the previous pause ended, so a pause
+ *      always expires on its own. Only the admin (governance, once deployed)
+ *      can pause for longer or extend a running pause. Pausers and the admin
+ *      can both lift a pause early.
+ */
+abstract contract EmergencyPausable is AccessControl {
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    /// @notice Longest pause a pauser can start
+    uint256 public constant MAX_PAUSE_DURATION = 7 days;
+
+    /// @notice Time after a pause ends before a pauser can start another
+    uint256 public constant PAUSE_COOLDOWN = 2 days;
+
+    /// @notice Timestamp the current pause ends at (in the past when not paused)
+    uint256 public pausedUntil;
+
+    event Paused(address indexed account, uint256 until);
+    event PauseExtended(address indexed account, uint256 until);
+    event Unpaused(address indexed account);
+
+    modifier whenNotPaused() {
+        _requireNotPaused();
+        _;
+    }
+
+    constructor() {
+        _grantRole(PAUSER_ROLE, msg.sender);
+    }
+
+    /**
+     * @notice Whether the contract is paused right now
+     * @return True until pausedUntil has passed
+     */
+    function paused() public view returns (bool) {
+        return block.timestamp < pausedUntil;
+    }
+
+    /**
+     * @notice Pause the contract for a limited time (pauser only)
+     * @param duration Seconds to pause for, at most MAX_PAUSE_DURATION
+     */
+    function pause(uint256 duration) external onlyRole(PAUSER_ROLE) {
+        _pause(duration);
+    }
+
+    /**
+     * @notice Pause until a later time than the current pause (admin only)
+     * @dev Also starts a pause when none is running, without the duration limit
+     *      or cooldown that apply to pausers
+     * @param until Timestamp the pause should end at
+     */
+    function extendPause(uint256 until) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(until > block.timestamp && until > pausedUntil, "Invalid pause end");
+
+        pausedUntil = until;
+        emit PauseExtended(msg.sender, until);
+    }
+
+    /**
+     * @notice Lift the pause early (pauser or admin)
+     */
+    function unpause() external {
+        require(hasRole(PAUSER_ROLE, msg.sender) || hasRole(DEFAULT_ADMIN_ROLE, msg.sender), "Not authorized to unpause");
+        _unpause();
+    }
+
+    function _pause(uint256 duration) internal {
+        require(!paused(), "Already paused");
+        require(duration > 0 && duration <= MAX_PAUSE_DURATION, "Invalid pause duration");
+        require(block.timestamp >= pausedUntil + PAUSE_COOLDOWN, "Pause cooldown active");
+
+        pausedUntil = block.timestamp + duration;
+        emit Paused(msg.sender, pausedUntil);
+    }
+
+    function _unpause() internal {
+        require(paused(), "Not paused");
+
+        // Ending the pause now also starts the cooldown now
+        pausedUntil = block.timestamp;
+        emit Unpaused(msg.sender);
+    }
+
+    function _requireNotPaused() internal view {
+        require(!paused(), "Contract paused");
+    }
+}
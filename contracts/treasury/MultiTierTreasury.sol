@@ -3,21 +3,65 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "@openzeppelin/contracts/utils/structs/Checkpoints.sol";
+import "../security/EmergencyPausable.sol";
 
 /**
  * @title MultiTierTreasury
  * @notice Manages three-tier fund allocation with different approval requirements
- * @dev High-Conviction (60%), Experimental (30%), Operational (10%) fund caps
+ * @dev High-Conviction (60%), Experimental (30%), Operational (10%) fund caps.
+ *      ERC-20 tokens get their own tier balances, capped against the treasury's
+ *      balance of that token. Payouts also count against each tier's
+ *      rolling spending limits, kept separately for ETH and each token. While paused, nothing is deposited or paid out
+ *      except rage-quit shares, so members can always leave; allocations,
+ *      reservations and rebalancing carry on.
  */
-contract MultiTierTreasury is AccessControl, ReentrancyGuard {
+contract MultiTierTreasury is AccessControl, EmergencyPausable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+    using Checkpoints for Checkpoints.Trace208;
+
     bytes32 public constant EXECUTOR_ROLE = keccak256("EXECUTOR_ROLE");
     bytes32 public constant ALLOCATOR_ROLE = keccak256("ALLOCATOR_ROLE");
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
 
-    /// @notice Fund types
+    /// @notice Fund types, one per proposal type
     enum FundType {
-        HIGH_CONVICTION,    // 60% cap, > 10 ETH proposals
-        EXPERIMENTAL,       // 30% cap, 1-10 ETH proposals
-        OPERATIONAL         // 10% cap, < 1 ETH proposals
+        HIGH_CONVICTION,    // 60% cap, high-conviction proposals
+        EXPERIMENTAL,       // 30% cap, experimental proposals
+        OPERATIONAL         // 10% cap, operational proposals
+    }
+
+    /// @notice Payout released over time to a proposal's recipient
+    /// @dev Nothing is claimable before start + cliff; after that the amount
+    ///      vests linearly from start until start + duration
+    struct Stream {
+        address token;          // zero for ETH
+        uint64 start;
+        address recipient;
+        uint64 cliff;
+        FundType fundType;
+        uint64 duration;
+        bool cancelled;
+        uint256 total;
+        uint256 claimed;
+    }
+
+    /// @notice Amount set aside for a proposal waiting out its timelock
+    struct Reservation {
+        address token;          // zero for ETH
+        FundType fundType;
+        address recipient;
+        uint256 amount;
+    }
+
+    /// @notice Rolling limit on what a tier pays out in ETH or one ERC-20
+    struct SpendingLimit {
+        uint64 window;          // seconds the limit looks back over
+        uint96 budget;          // most the tier pays out per window, 0 for no limit
+        uint96 recipientCap;    // most one recipient gets from the tier per window, 0 for no cap
     }
 
     /// @notice Fund balances
@@ -29,6 +73,39 @@ contract MultiTierTreasury is AccessControl, ReentrancyGuard {
     /// @notice Track executed proposals to prevent double execution
     mapping(uint256 => bool) public executedProposals;
 
+    /// @notice ERC-20 fund balances, by token
+    mapping(address => mapping(FundType => uint256)) public tokenFundBalances;
+
+    /// @notice ERC-20 fund caps by token (0 falls back to the ETH cap for that fund)
+    mapping(address => mapping(FundType => uint256)) public tokenFundCaps;
+
+    /// @notice Streams opened by proposals, keyed by proposal ID
+    mapping(uint256 => Stream) public streams;
+
+    /// @notice Amount still owed to open streams, by token (zero for ETH)
+    mapping(address => uint256) public streamedBalances;
+
+    /// @notice Reservations of queued proposals, keyed by proposal ID
+    mapping(uint256 => Reservation) public reservations;
+
+    /// @notice Amount of each fund reserved for queued proposals, by token (zero for ETH)
+    mapping(address => mapping(FundType => uint256)) public reservedBalances;
+
+    /// @notice ETH spending limits of each tier (none by default)
+    mapping(FundType => SpendingLimit) public spendingLimits;
+
+    /// @notice ERC-20 spending limits of each tier, by token (none by default)
+    mapping(address => mapping(FundType => SpendingLimit)) public tokenSpendingLimits;
+
+    /// @dev Running total each tier has paid out, by token (zero for ETH), checkpointed by timestamp
+    mapping(address => mapping(FundType => Checkpoints.Trace208)) private _spent;
+
+    /// @dev Running total each tier has paid to each recipient, by token
+    mapping(address => mapping(FundType => mapping(address => Checkpoints.Trace208))) private _spentTo;
+
+    /// @dev Amount each tier has reserved for each recipient, by token
+    mapping(address => mapping(FundType => mapping(address => uint256))) private _reservedTo;
+
     // Events
     event FundsDeposited(address indexed from, uint256 amount, uint256 newBalance);
     event FundsAllocated(FundType indexed fundType, uint256 amount, uint256 newBalance);
@@ -40,11 +117,45 @@ contract MultiTierTreasury is AccessControl, ReentrancyGuard {
     );
     event FundCapUpdated(FundType indexed fundType, uint256 newCap);
     event FundsRebalanced(uint256 highConviction, uint256 experimental, uint256 operational);
+    event TokenDeposited(address indexed token, address indexed from, uint256 amount, uint256 newBalance);
+    event TokenFundsAllocated(address indexed token, FundType indexed fundType, uint256 amount, uint256 newBalance);
+    event TokenTransferExecuted(
+        uint256 indexed proposalId,
+        address indexed token,
+        FundType indexed fundType,
+        address recipient,
+        uint256 amount
+    );
+    event TokenFundCapUpdated(address indexed token, FundType indexed fundType, uint256 newCap);
+    event StreamOpened(
+        uint256 indexed proposalId,
+        address indexed token,
+        FundType indexed fundType,
+        address recipient,
+        uint256 amount,
+        uint64 cliff,
+        uint64 duration
+    );
+    event StreamClaimed(uint256 indexed proposalId, address indexed recipient, uint256 amount);
+    event StreamCancelled(uint256 indexed proposalId, uint256 paidOut, uint256 returned);
+    event FundsReserved(uint256 indexed proposalId, address indexed token, FundType indexed fundType, uint256 amount);
+    event FundsReleased(uint256 indexed proposalId, uint256 amount);
+    event FundsMoved(FundType indexed from, FundType indexed to, uint256 amount);
+    event RageQuitPaid(address indexed member, uint256 amount, uint256 stake, uint256 totalStake);
+    event SpendingLimitUpdated(FundType indexed fundType, uint256 window, uint256 budget, uint256 recipientCap);
+    event TokenSpendingLimitUpdated(
+        address indexed token,
+        FundType indexed fundType,
+        uint256 window,
+        uint256 budget,
+        uint256 recipientCap
+    );
 
     constructor() {
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
         _grantRole(EXECUTOR_ROLE, msg.sender);
         _grantRole(ALLOCATOR_ROLE, msg.sender);
+        _grantRole(GUARDIAN_ROLE, msg.sender);
 
         // Set default fund caps (percentages)
         fundCaps[FundType.HIGH_CONVICTION] = 60;
@@ -55,7 +166,7 @@ contract MultiTierTreasury is AccessControl, ReentrancyGuard {
     /**
      * @notice Receive ETH deposits
      */
-    receive() external payable {
+    receive() external payable whenNotPaused {
         emit FundsDeposited(msg.sender, msg.value, address(this).balance);
     }
 
@@ -81,34 +192,76 @@ contract MultiTierTreasury is AccessControl, ReentrancyGuard {
     }
 
     /**
-     * @notice Execute approved transfer from appropriate fund
+     * @notice Deposit ERC-20 tokens into the treasury
+     * @dev Pulls the tokens with transferFrom, so approve the treasury first. Tokens
+     *      sent with a plain transfer still count towards the treasury's balance,
+     *      but are not announced with TokenDeposited.
+     * @param token ERC-20 token to deposit
+     * @param amount Amount to deposit
+     */
+    function depositToken(address token, uint256 amount) external whenNotPaused nonReentrant {
+        require(token != address(0), "Invalid token");
+        require(amount > 0, "Amount must be greater than 0");
+
+        // Count what actually arrived, in case the token takes a fee
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        uint256 newBalance = IERC20(token).balanceOf(address(this));
+
+        emit TokenDeposited(token, msg.sender, newBalance - balanceBefore, newBalance);
+    }
+
+    /**
+     * @notice Allocate ERC-20 treasury funds to specific fund type
+     * @param token ERC-20 token to allocate
+     * @param fundType Type of fund to allocate to
+     * @param amount Amount to allocate
+     */
+    function allocateTokenFunds(
+        address token,
+        FundType fundType,
+        uint256 amount
+    ) external onlyRole(ALLOCATOR_ROLE) {
+        require(token != address(0), "Invalid token");
+        require(amount > 0, "Amount must be greater than 0");
+
+        uint256 totalTreasury = IERC20(token).balanceOf(address(this));
+        uint256 maxAllocation = (totalTreasury * getTokenFundCap(token, fundType)) / 100;
+
+        require(
+            tokenFundBalances[token][fundType] + amount <= maxAllocation,
+            "Exceeds fund cap"
+        );
+
+        tokenFundBalances[token][fundType] += amount;
+
+        emit TokenFundsAllocated(token, fundType, amount, tokenFundBalances[token][fundType]);
+    }
+
+    /**
+     * @notice Execute approved transfer from the given fund
+     * @dev The timelock passes the proposal's type, so the tier never depends on the amount.
+     *      Reverts while the transfer would break the tier's spending limits.
      * @param proposalId ID of approved proposal
+     * @param fundType Fund to draw from
      * @param recipient Address to receive funds
      * @param amount Amount to transfer
      */
     function executeTransfer(
         uint256 proposalId,
+        FundType fundType,
         address recipient,
         uint256 amount
-    ) external onlyRole(EXECUTOR_ROLE) nonReentrant {
+    ) external onlyRole(EXECUTOR_ROLE) whenNotPaused nonReentrant {
         require(!executedProposals[proposalId], "Proposal already executed");
         require(recipient != address(0), "Invalid recipient");
         require(amount > 0, "Amount must be greater than 0");
         require(address(this).balance >= amount, "Insufficient treasury balance");
-
-        // Determine fund type based on amount
-        FundType fundType;
-        if (amount > 10 ether) {
-            fundType = FundType.HIGH_CONVICTION;
-        } else if (amount >= 1 ether) {
-            fundType = FundType.EXPERIMENTAL;
-        } else {
-            fundType = FundType.OPERATIONAL;
-        }
-
         require(fundBalances[fundType] >= amount, "Insufficient fund balance");
 
         executedProposals[proposalId] = true;
+        _release(proposalId);
+        _recordSpend(address(0), fundType, recipient, amount);
         fundBalances[fundType] -= amount;
 
         (bool success, ) = recipient.call{value: amount}("");
@@ -118,21 +271,451 @@ contract MultiTierTreasury is AccessControl, ReentrancyGuard {
     }
 
     /**
-     * @notice Rebalance funds to maintain caps
-     * @dev Automatically redistributes funds according to caps
+     * @notice Execute approved ERC-20 transfer from the given fund
+     * @dev Reverts while the transfer would break the tier's spending limits for the token
+     * @param proposalId ID of approved proposal
+     * @param token ERC-20 token to transfer
+     * @param fundType Fund to draw from
+     * @param recipient Address to receive tokens
+     * @param amount Amount to transfer
+     */
+    function executeTokenTransfer(
+        uint256 proposalId,
+        address token,
+        FundType fundType,
+        address recipient,
+        uint256 amount
+    ) external onlyRole(EXECUTOR_ROLE) whenNotPaused nonReentrant {
+        require(!executedProposals[proposalId], "Proposal already executed");
+        require(token != address(0), "Invalid token");
+        require(recipient != address(0), "Invalid recipient");
+        require(amount > 0, "Amount must be greater than 0");
+        require(IERC20(token).balanceOf(address(this)) >= amount, "Insufficient treasury balance");
+        require(tokenFundBalances[token][fundType] >= amount, "Insufficient fund balance");
+
+        executedProposals[proposalId] = true;
+        _release(proposalId);
+        _recordSpend(token, fundType, recipient, amount);
+        tokenFundBalances[token][fundType] -= amount;
+
+        IERC20(token).safeTransfer(recipient, amount);
+
+        emit TokenTransferExecuted(proposalId, token, fundType, recipient, amount);
+    }
+
+    /**
+     * @notice Open a stream for an approved proposal instead of paying it at once
+     * @dev The amount leaves the tier balance straight away, so it cannot be
+     *      allocated twice, but stays in the treasury until claimed. A stream
+     *      counts against the spending limits of its token in full when it opens.
+     * @param proposalId ID of approved proposal
+     * @param token ERC-20 token to stream, or zero for ETH
+     * @param fundType Fund to draw from
+     * @param recipient Address the stream pays
+     * @param amount Total amount to stream
+     * @param cliff Seconds after opening before anything can be claimed
+     * @param duration Seconds over which the amount vests
+     */
+    function openStream(
+        uint256 proposalId,
+        address token,
+        FundType fundType,
+        address recipient,
+        uint256 amount,
+        uint64 cliff,
+        uint64 duration
+    ) external onlyRole(EXECUTOR_ROLE) whenNotPaused {
+        require(!executedProposals[proposalId], "Proposal already executed");
+        require(recipient != address(0), "Invalid recipient");
+        require(amount > 0, "Amount must be greater than 0");
+        require(duration > 0 && cliff <= duration, "Invalid vesting schedule");
+
+        executedProposals[proposalId] = true;
+        _release(proposalId);
+        _recordSpend(token, fundType, recipient, amount);
+        if (token == address(0)) {
+            require(fundBalances[fundType] >= amount, "Insufficient fund balance");
+            fundBalances[fundType] -= amount;
+        } else {
+            require(tokenFundBalances[token][fundType] >= amount, "Insufficient fund balance");
+            tokenFundBalances[token][fundType] -= amount;
+        }
+
+        streamedBalances[token] += amount;
+        streams[proposalId] = Stream({
+            token: token,
+            start: uint64(block.timestamp),
+            recipient: recipient,
+            cliff: cliff,
+            fundType: fundType,
+            duration: duration,
+            cancelled: false,
+            total: amount,
+            claimed: 0
+        });
+
+        emit StreamOpened(proposalId, token, fundType, recipient, amount, cliff, duration);
+    }
+
+    /**
+     * @notice Claim everything a stream has vested so far
+     * @param proposalId ID of the proposal that opened the stream
+     * @return amount Amount paid out
+     */
+    function claimStream(uint256 proposalId) external whenNotPaused nonReentrant returns (uint256 amount) {
+        Stream storage stream = streams[proposalId];
+        require(msg.sender == stream.recipient, "Not stream recipient");
+        require(!stream.cancelled, "Stream not active");
+
+        amount = claimableAmount(proposalId);
+        require(amount > 0, "Nothing to claim");
+
+        stream.claimed += amount;
+        streamedBalances[stream.token] -= amount;
+        _payOut(stream.token, stream.recipient, amount);
+
+        emit StreamClaimed(proposalId, stream.recipient, amount);
+    }
+
+    /**
+     * @notice Stop a stream, returning what has not vested to its tier
+     * @dev Whatever has vested but not been claimed is paid to the recipient first.
+     *      Governance cancels through an action proposal, since the timelock holds
+     *      GUARDIAN_ROLE here.
+     * @param proposalId ID of the proposal that opened the stream
+     */
+    function cancelStream(uint256 proposalId) external onlyRole(GUARDIAN_ROLE) whenNotPaused nonReentrant {
+        Stream storage stream = streams[proposalId];
+        require(stream.total > 0 && !stream.cancelled, "Stream not active");
+
+        uint256 paidOut = claimableAmount(proposalId);
+        uint256 returned = stream.total - stream.claimed - paidOut;
+
+        stream.cancelled = true;
+        stream.claimed += paidOut;
+        streamedBalances[stream.token] -= paidOut + returned;
+
+        if (stream.token == address(0)) {
+            fundBalances[stream.fundType] += returned;
+        } else {
+            tokenFundBalances[stream.token][stream.fundType] += returned;
+        }
+        if (paidOut > 0) {
+            _payOut(stream.token, stream.recipient, paidOut);
+        }
+
+        emit StreamCancelled(proposalId, paidOut, returned);
+    }
+
+    /**
+     * @notice Amount a stream has vested by now, claimed or not
+     * @param proposalId ID of the proposal that opened the stream
+     * @return Vested amount
+     */
+    function vestedAmount(uint256 proposalId) public view returns (uint256) {
+        Stream storage stream = streams[proposalId];
+        if (stream.cancelled) {
+            return stream.claimed;
+        }
+        if (stream.total == 0 || block.timestamp < stream.start + stream.cliff) {
+            return 0;
+        }
+
+        uint256 elapsed = block.timestamp - stream.start;
+        if (elapsed >= stream.duration) {
+            return stream.total;
+        }
+        return (stream.total * elapsed) / stream.duration;
+    }
+
+    /**
+     * @notice Amount the recipient can claim right now
+     * @param proposalId ID of the proposal that opened the stream
+     * @return Claimable amount
+     */
+    function claimableAmount(uint256 proposalId) public view returns (uint256) {
+        return vestedAmount(proposalId) - streams[proposalId].claimed;
+    }
+
+    /**
+     * @notice Set funds aside for a proposal scheduled in the timelock
+     * @dev The fund does not have to hold the amount yet. Reserved funds are kept
+     *      out of rebalancing and moveFunds, so a queued payout cannot be emptied
+     *      out from under it, and count against the tier's spending limits as
+     *      if already paid. Released when the proposal is paid or cancelled.
+     * @param proposalId ID of the queued proposal
+     * @param token ERC-20 the proposal pays, or zero for ETH
+     * @param fundType Fund the proposal is paid from
+     * @param recipient Address the proposal pays
+     * @param amount Amount to reserve
+     */
+    function reserveFunds(
+        uint256 proposalId,
+        address token,
+        FundType fundType,
+        address recipient,
+        uint256 amount
+    ) external onlyRole(EXECUTOR_ROLE) {
+        require(!executedProposals[proposalId], "Proposal already executed");
+        require(reservations[proposalId].amount == 0, "Funds already reserved");
+        require(amount > 0, "Amount must be greater than 0");
+
+        reservations[proposalId] = Reservation({token: token, fundType: fundType, recipient: recipient, amount: amount});
+        reservedBalances[token][fundType] += amount;
+        _reservedTo[token][fundType][recipient] += amount;
+
+        emit FundsReserved(proposalId, token, fundType, amount);
+    }
+
+    /**
+     * @notice Release a cancelled proposal's reservation
+     * @param proposalId ID of the proposal
+     */
+    function releaseFunds(uint256 proposalId) external onlyRole(EXECUTOR_ROLE) {
+        require(reservations[proposalId].amount > 0, "No reservation");
+        _release(proposalId);
+    }
+
+    /**
+     * @notice Pay a rage-quitting member their share of the unallocated ETH (executor only)
+     * @dev The share is `stake / totalStake` of unallocatedBalance(). Fund balances,
+     *      and with them reservations and streams, are left alone, so queued
+     *      payouts stay solvent.
+     * @param member Member leaving the DAO
+     * @param stake Stake the share is based on: the member's stake at the proposal's
+     *        snapshot, capped at what they held when leaving
+     * @param totalStake Total stake in the DAO at the proposal's snapshot, less
+     *        what has already rage-quit over the proposal
+     * @return share ETH paid to the member
+     */
+    function payRageQuit(
+        address member,
+        uint256 stake,
+        uint256 totalStake
+    ) external onlyRole(EXECUTOR_ROLE) nonReentrant returns (uint256 share) {
+        require(stake > 0 && stake <= totalStake, "Invalid stake");
+
+        share = (unallocatedBalance() * stake) / totalStake;
+        if (share > 0) {
+            _payOut(address(0), member, share);
+        }
+
+        emit RageQuitPaid(member, share, stake, totalStake);
+    }
+
+    /**
+     * @notice ETH held by the treasury but not allocated to a fund or owed to a stream
+     * @return Balance in wei
+     */
+    function unallocatedBalance() public view returns (uint256) {
+        uint256 committed = fundBalances[FundType.HIGH_CONVICTION]
+            + fundBalances[FundType.EXPERIMENTAL]
+            + fundBalances[FundType.OPERATIONAL]
+            + streamedBalances[address(0)];
+        return address(this).balance > committed ? address(this).balance - committed : 0;
+    }
+
+    /**
+     * @notice ETH a tier has paid out over its current spending window
+     * @param fundType Type of fund
+     * @return Amount in wei
+     */
+    function getSpentInWindow(FundType fundType) external view returns (uint256) {
+        return getTokenSpentInWindow(address(0), fundType);
+    }
+
+    /**
+     * @notice ETH a tier can still pay out before its budget runs out, counting
+     *         what queued proposals have reserved as paid
+     * @param fundType Type of fund
+     * @return Amount in wei, or type(uint256).max when the tier has no budget
+     */
+    function getRemainingBudget(FundType fundType) external view returns (uint256) {
+        return getTokenRemainingBudget(address(0), fundType);
+    }
+
+    /**
+     * @notice ETH a tier can still pay a recipient before the recipient cap is
+     *         reached, counting what queued proposals have reserved for them as paid
+     * @param fundType Type of fund
+     * @param recipient Address being paid
+     * @return Amount in wei, or type(uint256).max when the tier has no recipient cap
+     */
+    function getRemainingRecipientBudget(FundType fundType, address recipient) external view returns (uint256) {
+        return getTokenRemainingRecipientBudget(address(0), fundType, recipient);
+    }
+
+    /**
+     * @notice Whether a tier could pay an ETH amount to a recipient on top of
+     *         everything already queued without breaking its spending limits
+     * @param fundType Type of fund
+     * @param recipient Address being paid
+     * @param amount Amount in wei
+     * @return True if both the budget and the recipient cap leave room
+     */
+    function withinSpendingLimits(FundType fundType, address recipient, uint256 amount) external view returns (bool) {
+        return withinTokenSpendingLimits(address(0), fundType, recipient, amount);
+    }
+
+    /**
+     * @notice Amount of a token a tier has paid out over its current spending window
+     * @param token ERC-20 token, or zero for ETH
+     * @param fundType Type of fund
+     * @return Amount in the token's smallest unit
+     */
+    function getTokenSpentInWindow(address token, FundType fundType) public view returns (uint256) {
+        return _spentInWindow(_spent[token][fundType], _spendingLimit(token, fundType).window);
+    }
+
+    /**
+     * @notice Amount of a token a tier can still pay out before its budget runs out,
+     *         counting what queued proposals have reserved as paid
+     * @param token ERC-20 token, or zero for ETH
+     * @param fundType Type of fund
+     * @return Amount in the token's smallest unit, or type(uint256).max when the tier has no budget
+     */
+    function getTokenRemainingBudget(address token, FundType fundType) public view returns (uint256) {
+        SpendingLimit memory limit = _spendingLimit(token, fundType);
+        return _remaining(
+            limit.budget,
+            _spentInWindow(_spent[token][fundType], limit.window) + reservedBalances[token][fundType]
+        );
+    }
+
+    /**
+     * @notice Amount of a token a tier can still pay a recipient before the
+     *         recipient cap is reached, counting what queued proposals have reserved for them as paid
+     * @param token ERC-20 token, or zero for ETH
+     * @param fundType Type of fund
+     * @param recipient Address being paid
+     * @return Amount in the token's smallest unit, or type(uint256).max when the tier has no recipient cap
+     */
+    function getTokenRemainingRecipientBudget(
+        address token,
+        FundType fundType,
+        address recipient
+    ) public view returns (uint256) {
+        SpendingLimit memory limit = _spendingLimit(token, fundType);
+        return _remaining(
+            limit.recipientCap,
+            _spentInWindow(_spentTo[token][fundType][recipient], limit.window) + _reservedTo[token][fundType][recipient]
+        );
+    }
+
+    /**
+     * @notice Whether a tier could pay an amount of a token to a recipient on top
+     *         of everything already queued without breaking its spending limits
+     * @dev GovernanceProposal uses this to escalate payout proposals to a stricter
+     *      type, when they are created and again when they are queued
+     * @param token ERC-20 token, or zero for ETH
+     * @param fundType Type of fund
+     * @param recipient Address being paid
+     * @param amount Amount in the token's smallest unit
+     * @return True if both the budget and the recipient cap leave room
+     */
+    function withinTokenSpendingLimits(
+        address token,
+        FundType fundType,
+        address recipient,
+        uint256 amount
+    ) public view returns (bool) {
+        return amount <= getTokenRemainingBudget(token, fundType)
+            && amount <= getTokenRemainingRecipientBudget(token, fundType, recipient);
+    }
+
+    /**
+     * @notice Move ETH from one fund to another
+     * @dev The source keeps what is reserved for its queued proposals, and the
+     *      destination stays within its cap.
+     * @param from Fund to take from
+     * @param to Fund to add to
+     * @param amount Amount to move
+     */
+    function moveFunds(FundType from, FundType to, uint256 amount) external onlyRole(ALLOCATOR_ROLE) {
+        require(from != to, "Cannot move to the same fund");
+        require(amount > 0, "Amount must be greater than 0");
+        require(fundBalances[from] >= amount, "Insufficient fund balance");
+        require(
+            fundBalances[from] - amount >= reservedBalances[address(0)][from],
+            "Funds reserved for queued proposals"
+        );
+        require(
+            fundBalances[to] + amount <= (address(this).balance * fundCaps[to]) / 100,
+            "Exceeds fund cap"
+        );
+
+        _moveFunds(from, to, amount);
+    }
+
+    /**
+     * @notice Balances rebalanceFunds would leave each ETH fund with
+     * @dev Each fund keeps its reservations; what the funds hold beyond them is
+     *      split in proportion to the caps, with rounding dust going to the
+     *      high-conviction fund. Unallocated ETH and ETH owed to streams are not
+     *      part of any fund and stay out. When the funds hold less than is
+     *      reserved, the targets are the reservations and add up to more than
+     *      the funds hold.
+     * @return highConviction Target of the high conviction fund
+     * @return experimental Target of the experimental fund
+     * @return operational Target of the operational fund
+     */
+    function getRebalanceTargets() public view returns (
+        uint256 highConviction,
+        uint256 experimental,
+        uint256 operational
+    ) {
+        uint256[3] memory targets;
+        uint256 pool;
+        uint256 reserved;
+        uint256 capTotal;
+        for (uint8 i = 0; i < 3; i++) {
+            targets[i] = reservedBalances[address(0)][FundType(i)];
+            pool += fundBalances[FundType(i)];
+            reserved += targets[i];
+            capTotal += fundCaps[FundType(i)];
+        }
+
+        if (pool > reserved) {
+            uint256 free = pool - reserved;
+            uint256 assigned;
+            for (uint8 i = 0; i < 3; i++) {
+                uint256 share = (free * fundCaps[FundType(i)]) / capTotal;
+                targets[i] += share;
+                assigned += share;
+            }
+            targets[uint8(FundType.HIGH_CONVICTION)] += free - assigned;
+        }
+        return (targets[0], targets[1], targets[2]);
+    }
+
+    /**
+     * @notice Redistribute the ETH funds in proportion to their caps
+     * @dev Moves funds from those above their target to those below it, emitting
+     *      FundsMoved for each move; see getRebalanceTargets. Only what the funds
+     *      already hold is redistributed: allocate new ETH with allocateFunds.
      */
     function rebalanceFunds() external onlyRole(ALLOCATOR_ROLE) {
-        uint256 totalTreasury = address(this).balance;
-        
-        uint256 highConvictionTarget = (totalTreasury * fundCaps[FundType.HIGH_CONVICTION]) / 100;
-        uint256 experimentalTarget = (totalTreasury * fundCaps[FundType.EXPERIMENTAL]) / 100;
-        uint256 operationalTarget = (totalTreasury * fundCaps[FundType.OPERATIONAL]) / 100;
+        (uint256 highConviction, uint256 experimental, uint256 operational) = getRebalanceTargets();
+        uint256[3] memory targets = [highConviction, experimental, operational];
+        require(
+            highConviction + experimental + operational ==
+                fundBalances[FundType.HIGH_CONVICTION] +
+                fundBalances[FundType.EXPERIMENTAL] +
+                fundBalances[FundType.OPERATIONAL],
+            "Reservations exceed allocated funds"
+        );
 
-        fundBalances[FundType.HIGH_CONVICTION] = highConvictionTarget;
-        fundBalances[FundType.EXPERIMENTAL] = experimentalTarget;
-        fundBalances[FundType.OPERATIONAL] = operationalTarget;
+        for (uint8 from = 0; from < 3; from++) {
+            for (uint8 to = 0; to < 3; to++) {
+                uint256 surplus = _surplus(FundType(from), targets[from]);
+                uint256 shortfall = targets[to] > fundBalances[FundType(to)] ? targets[to] - fundBalances[FundType(to)] : 0;
+                if (surplus > 0 && shortfall > 0) {
+                    _moveFunds(FundType(from), FundType(to), surplus < shortfall ? surplus : shortfall);
+                }
+            }
+        }
 
-        emit FundsRebalanced(highConvictionTarget, experimentalTarget, operationalTarget);
+        emit FundsRebalanced(highConviction, experimental, operational);
     }
 
     /**
@@ -161,6 +744,55 @@ contract MultiTierTreasury is AccessControl, ReentrancyGuard {
         return fundCaps[fundType];
     }
 
+    /**
+     * @notice Get an ERC-20 fund's balance
+     * @param token ERC-20 token
+     * @param fundType Type of fund
+     * @return Balance in the token's base units
+     */
+    function getTokenFundBalance(address token, FundType fundType) external view returns (uint256) {
+        return tokenFundBalances[token][fundType];
+    }
+
+    /**
+     * @notice Get the treasury's total balance of an ERC-20 token
+     * @param token ERC-20 token
+     * @return Balance in the token's base units
+     */
+    function getTokenTreasury(address token) external view returns (uint256) {
+        return IERC20(token).balanceOf(address(this));
+    }
+
+    /**
+     * @notice Get an ERC-20 fund's cap percentage
+     * @param token ERC-20 token
+     * @param fundType Type of fund
+     * @return Cap percentage, falling back to the ETH cap when none is set for the token
+     */
+    function getTokenFundCap(address token, FundType fundType) public view returns (uint256) {
+        uint256 cap = tokenFundCaps[token][fundType];
+        return cap == 0 ? fundCaps[fundType] : cap;
+    }
+
+    /**
+     * @notice Get all of an ERC-20 token's fund balances
+     * @param token ERC-20 token
+     * @return highConviction Balance of high conviction fund
+     * @return experimental Balance of experimental fund
+     * @return operational Balance of operational fund
+     */
+    function getAllTokenFundBalances(address token) external view returns (
+        uint256 highConviction,
+        uint256 experimental,
+        uint256 operational
+    ) {
+        return (
+            tokenFundBalances[token][FundType.HIGH_CONVICTION],
+            tokenFundBalances[token][FundType.EXPERIMENTAL],
+            tokenFundBalances[token][FundType.OPERATIONAL]
+        );
+    }
+
     /**
      * @notice Update fund cap (admin only)
      * @param fundType Type of fund
@@ -173,6 +805,65 @@ contract MultiTierTreasury is AccessControl, ReentrancyGuard {
         emit FundCapUpdated(fundType, newCap);
     }
 
+    /**
+     * @notice Update the rolling spending limits of a tier (admin only)
+     * @dev Payouts are remembered from deployment, so a new or longer window
+     *      counts everything already paid inside it.
+     * @param fundType Type of fund
+     * @param window Seconds the limits look back over (1 to 365 days)
+     * @param budget Most ETH the tier pays out per window, or 0 for no limit
+     * @param recipientCap Most ETH one recipient gets from the tier per window, or 0 for no cap
+     */
+    function updateSpendingLimit(
+        FundType fundType,
+        uint256 window,
+        uint256 budget,
+        uint256 recipientCap
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        spendingLimits[fundType] = _validSpendingLimit(window, budget, recipientCap);
+        emit SpendingLimitUpdated(fundType, window, budget, recipientCap);
+    }
+
+    /**
+     * @notice Update the rolling spending limits of a tier for an ERC-20 (admin only)
+     * @dev Same rules as updateSpendingLimit, in the token's smallest unit
+     * @param token ERC-20 token
+     * @param fundType Type of fund
+     * @param window Seconds the limits look back over (1 to 365 days)
+     * @param budget Most of the token the tier pays out per window, or 0 for no limit
+     * @param recipientCap Most of the token one recipient gets from the tier per window, or 0 for no cap
+     */
+    function updateTokenSpendingLimit(
+        address token,
+        FundType fundType,
+        uint256 window,
+        uint256 budget,
+        uint256 recipientCap
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(token != address(0), "Invalid token");
+
+        tokenSpendingLimits[token][fundType] = _validSpendingLimit(window, budget, recipientCap);
+        emit TokenSpendingLimitUpdated(token, fundType, window, budget, recipientCap);
+    }
+
+    /**
+     * @notice Update an ERC-20 fund cap (admin only)
+     * @param token ERC-20 token
+     * @param fundType Type of fund
+     * @param newCap New cap percentage, or 0 to fall back to the ETH cap
+     */
+    function updateTokenFundCap(
+        address token,
+        FundType fundType,
+        uint256 newCap
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(token != address(0), "Invalid token");
+        require(newCap <= 100, "Invalid cap percentage");
+
+        tokenFundCaps[token][fundType] = newCap;
+        emit TokenFundCapUpdated(token, fundType, newCap);
+    }
+
     /**
      * @notice Get all fund balances
      * @return highConviction Balance of high conviction fund
@@ -190,4 +881,86 @@ contract MultiTierTreasury is AccessControl, ReentrancyGuard {
             fundBalances[FundType.OPERATIONAL]
         );
     }
+
+    /// @dev Drop a proposal's reservation, if it has one
+    function _release(uint256 proposalId) internal {
+        Reservation memory reservation = reservations[proposalId];
+        if (reservation.amount == 0) {
+            return;
+        }
+        reservedBalances[reservation.token][reservation.fundType] -= reservation.amount;
+        _reservedTo[reservation.token][reservation.fundType][reservation.recipient] -= reservation.amount;
+        delete reservations[proposalId];
+
+        emit FundsReleased(proposalId, reservation.amount);
+    }
+
+    /// @dev Check a payout against the tier's limits for its token and add it to the
+    ///      running totals. Call after releasing the payout's own reservation.
+    function _recordSpend(address token, FundType fundType, address recipient, uint256 amount) internal {
+        require(amount <= getTokenRemainingBudget(token, fundType), "Exceeds tier budget");
+        require(amount <= getTokenRemainingRecipientBudget(token, fundType, recipient), "Exceeds recipient cap");
+
+        uint48 timestamp = SafeCast.toUint48(block.timestamp);
+        Checkpoints.Trace208 storage spent = _spent[token][fundType];
+        Checkpoints.Trace208 storage spentTo = _spentTo[token][fundType][recipient];
+        spent.push(timestamp, SafeCast.toUint208(spent.latest() + amount));
+        spentTo.push(timestamp, SafeCast.toUint208(spentTo.latest() + amount));
+    }
+
+    /// @dev Spending limits of a tier for a token, or for ETH when the token is zero
+    function _spendingLimit(address token, FundType fundType) internal view returns (SpendingLimit storage) {
+        if (token == address(0)) {
+            return spendingLimits[fundType];
+        }
+        return tokenSpendingLimits[token][fundType];
+    }
+
+    /// @dev Check the arguments of a spending limit update
+    function _validSpendingLimit(
+        uint256 window,
+        uint256 budget,
+        uint256 recipientCap
+    ) internal pure returns (SpendingLimit memory) {
+        require(window >= 1 days && window <= 365 days, "Invalid spending window");
+        require(budget <= type(uint96).max && recipientCap <= type(uint96).max, "Invalid spending limit");
+        require(budget == 0 || recipientCap <= budget, "Invalid spending limit");
+        return SpendingLimit(uint64(window), uint96(budget), uint96(recipientCap));
+    }
+
+    /// @dev Amount added to a running total within the last `window` seconds
+    function _spentInWindow(Checkpoints.Trace208 storage spent, uint256 window) internal view returns (uint256) {
+        if (window == 0 || block.timestamp <= window) {
+            return spent.latest();
+        }
+        return spent.latest() - spent.upperLookupRecent(SafeCast.toUint48(block.timestamp - window));
+    }
+
+    function _remaining(uint256 limit, uint256 spent) internal pure returns (uint256) {
+        if (limit == 0) {
+            return type(uint256).max;
+        }
+        return limit > spent ? limit - spent : 0;
+    }
+
+    function _moveFunds(FundType from, FundType to, uint256 amount) internal {
+        fundBalances[from] -= amount;
+        fundBalances[to] += amount;
+
+        emit FundsMoved(from, to, amount);
+    }
+
+    function _surplus(FundType fundType, uint256 target) internal view returns (uint256) {
+        return fundBalances[fundType] > target ? fundBalances[fundType] - target : 0;
+    }
+
+    /// @dev Send ETH or an ERC-20 out of the treasury
+    function _payOut(address token, address recipient, uint256 amount) internal {
+        if (token == address(0)) {
+            (bool success, ) = recipient.call{value: amount}("");
+            require(success, "ETH transfer failed");
+        } else {
+            IERC20(token).safeTransfer(recipient, amount);
+        }
+    }
 }
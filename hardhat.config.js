@@ -16,6 +16,13 @@ module.exports = {
   networks: {
     hardhat: {
       chainId: 31337,
+      // Set by scripts/simulate.js to run against a fork of a live network
+      ...(process.env.FORK_URL && {
+        forking: {
+          url: process.env.FORK_URL,
+          blockNumber: process.env.FORK_BLOCK ? Number(process.env.FORK_BLOCK) : undefined,
+        },
+      }),
     },
     localhost: {
       url: "http://127.0.0.1:8545",
@@ -0,0 +1,272 @@
+/**
+ * Human-readable ABIs for the DAO contracts. Kept in source (rather than read
+ * from Hardhat artifacts) so the SDK works from any environment with ethers v6.
+ */
+
+const ACCESS_CONTROL_ABI = [
+    "function DEFAULT_ADMIN_ROLE() view returns (bytes32)",
+    "function hasRole(bytes32 role, address account) view returns (bool)",
+    "function grantRole(bytes32 role, address account)",
+    "function revokeRole(bytes32 role, address account)",
+    "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+    "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+    "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+    "error ReentrancyGuardReentrantCall()",
+];
+
+/** EmergencyPausable, shared by all four contracts */
+const PAUSABLE_ABI = [
+    "function PAUSER_ROLE() view returns (bytes32)",
+    "function MAX_PAUSE_DURATION() view returns (uint256)",
+    "function PAUSE_COOLDOWN() view returns (uint256)",
+    "function pausedUntil() view returns (uint256)",
+    "function paused() view returns (bool)",
+    "function pause(uint256 duration)",
+    "function extendPause(uint256 until)",
+    "function unpause()",
+    "event Paused(address indexed account, uint256 until)",
+    "event PauseExtended(address indexed account, uint256 until)",
+    "event Unpaused(address indexed account)",
+];
+
+const GOVERNANCE_TOKEN_ABI = [
+    ...ACCESS_CONTROL_ABI,
+    ...PAUSABLE_ABI,
+    "function GOVERNANCE_ROLE() view returns (bytes32)",
+    "function RAGE_QUIT_ROLE() view returns (bytes32)",
+    "function MIN_PROPOSAL_STAKE() view returns (uint256)",
+    "function LOCK_PERIOD() view returns (uint256)",
+    "function MAX_LOCK_DURATION() view returns (uint256)",
+    "function ATTESTER_ROLE() view returns (bytes32)",
+    "function stakes(address member) view returns (uint256)",
+    "function totalStaked() view returns (uint256)",
+    "function registeredStake() view returns (uint256)",
+    "function registeredCount() view returns (uint256)",
+    "function attestations(address member) view returns (address attester, uint64 issuedAt, bytes32 evidence)",
+    "function isRegistered(address member) view returns (bool)",
+    "function attest(address member, bytes32 evidence)",
+    "function revokeAttestation(address member)",
+    "function activeVotes(address member) view returns (uint256)",
+    "function lockEnds(address member) view returns (uint256)",
+    "function deposit() payable",
+    "function lockStake(uint256 unlockTime)",
+    "function withdraw(uint256 amount)",
+    "function exitStake(address member) returns (uint256 amount)",
+    "function getVotingPower(address member) view returns (uint256)",
+    "function getTotalVotingPower() view returns (uint256)",
+    "function canCreateProposal(address member) view returns (bool)",
+    "function getStake(address member) view returns (uint256)",
+    "function getPastStake(address member, uint256 blockNumber) view returns (uint256)",
+    "function getPastTotalStake(uint256 blockNumber) view returns (uint256)",
+    "function getPastVotingPower(address member, uint256 blockNumber, uint256 timestamp) view returns (uint256)",
+    "function getPastTotalVotingPower(uint256 blockNumber, uint256 timestamp) view returns (uint256)",
+    "event Staked(address indexed member, uint256 amount, uint256 newStake, uint256 votingPower)",
+    "event Withdrawn(address indexed member, uint256 amount, uint256 remainingStake)",
+    "event VotingPowerChanged(address indexed member, uint256 oldPower, uint256 newPower)",
+    "event StakeLocked(address indexed member, uint256 unlockTime, uint256 votingPower)",
+    "event MemberAttested(address indexed member, address indexed attester, bytes32 evidence)",
+    "event AttestationRevoked(address indexed member, address indexed attester)",
+];
+
+const GOVERNANCE_PROPOSAL_ABI = [
+    ...ACCESS_CONTROL_ABI,
+    ...PAUSABLE_ABI,
+    "function PROPOSER_ROLE() view returns (bytes32)",
+    "function EXECUTOR_ROLE() view returns (bytes32)",
+    "function GUARDIAN_ROLE() view returns (bytes32)",
+    "function BALLOT_TYPEHASH() view returns (bytes32)",
+    "function DELEGATION_TYPEHASH() view returns (bytes32)",
+    "function AUTO_RELEASE_LIMIT() view returns (uint256)",
+    "function SPLIT_TOTAL() view returns (uint256)",
+    "function governanceToken() view returns (address)",
+    "function proposalCount() view returns (uint256)",
+    "function delegates(address member) view returns (address)",
+    "function createProposal(uint8 proposalType, address recipient, uint256 amount, string description) returns (uint256)",
+    "function createActionProposal(address[] targets, uint256[] values, bytes[] calldatas, string description) returns (uint256)",
+    "function hashActions(address[] targets, uint256[] values, bytes[] calldatas) pure returns (bytes32)",
+    "function actionsHash(uint256 proposalId) view returns (bytes32)",
+    "function createTokenProposal(uint8 proposalType, address token, address recipient, uint256 amount, string description) returns (uint256)",
+    "function proposalToken(uint256 proposalId) view returns (address)",
+    "function createStreamProposal(uint8 proposalType, address token, address recipient, uint256 amount, string description, uint64 cliff, uint64 duration) returns (uint256)",
+    "function vestingSchedules(uint256 proposalId) view returns (uint64 cliff, uint64 duration)",
+    "function vote(uint256 proposalId, uint8 voteType)",
+    "function castVoteWithReason(uint256 proposalId, uint8 voteType, string reason)",
+    "function castVoteSplit(uint256 proposalId, uint256 forShare, uint256 againstShare, uint256 abstainShare, string reason)",
+    "function delegate(address delegatee)",
+    "function revokeDelegate()",
+    "function castVoteBySig(uint256 proposalId, uint8 voteType, address voter, uint256 expiry, bytes signature)",
+    "function delegateBySig(address delegator, address delegatee, uint256 expiry, bytes signature)",
+    "function nonces(address account) view returns (uint256)",
+    "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+    "function multicall(bytes[] data) returns (bytes[] results)",
+    "function getDelegatedPower(address delegatee) view returns (uint256)",
+    "function getDelegators(address delegatee) view returns (address[])",
+    "function releaseProposalLocks(uint256 proposalId, uint256 maxCount) returns (uint256 released)",
+    "function releaseLocks(address account) returns (uint256 released)",
+    "function unlockableVotes(address account) view returns (uint256 count)",
+    "function releaseDissentLock(uint256 proposalId, address voter)",
+    "function queueProposal(uint256 proposalId)",
+    "function cancelProposal(uint256 proposalId)",
+    "function getThresholds(uint8 proposalType) view returns (uint256 quorum, uint256 threshold)",
+    "function amountBands(uint8 proposalType) view returns (uint256 min, uint256 max)",
+    "function updateAmountBand(uint8 proposalType, uint256 min, uint256 max)",
+    "function tokenAmountBands(address token, uint8 proposalType) view returns (uint256 min, uint256 max)",
+    "function updateTokenAmountBand(address token, uint8 proposalType, uint256 min, uint256 max)",
+    "function treasury() view returns (address)",
+    "function setTreasury(address newTreasury)",
+    "function timelock() view returns (address)",
+    "function setTimelock(address newTimelock)",
+    "function votingConfigs(uint8 proposalType) view returns (uint64 votingDelay, uint64 votingPeriod, uint16 quorum, uint16 threshold)",
+    "function getProposalThresholds(uint256 proposalId) view returns (uint256 quorum, uint256 threshold)",
+    "function updateVotingConfig(uint8 proposalType, uint256 quorum, uint256 threshold, uint256 votingDelay, uint256 votingPeriod)",
+    "function state(uint256 proposalId) view returns (uint8)",
+    "function getProposalState(uint256 proposalId) view returns (uint8)",
+    "function getProposal(uint256 proposalId) view returns (address proposer, uint8 proposalType, address recipient, uint256 amount, string description, uint256 forVotes, uint256 againstVotes, uint256 abstainVotes, uint256 startTime, uint256 endTime, uint8 state)",
+    "function getPayout(uint256 proposalId) view returns (uint8 proposalType, address token, address recipient, uint256 amount)",
+    "function getProposalSnapshot(uint256 proposalId) view returns (uint256)",
+    "function hasVoted(uint256 proposalId, address voter) view returns (bool)",
+    "function getReceipt(uint256 proposalId, address voter) view returns (tuple(uint256 forVotes, uint256 againstVotes, uint256 abstainVotes))",
+    "event ProposalCreated(uint256 indexed proposalId, address indexed proposer, uint8 proposalType, address recipient, uint256 amount, string description)",
+    "event VoteCast(uint256 indexed proposalId, address indexed voter, uint8 voteType, uint256 votingPower, string reason)",
+    "event VoteSplit(uint256 indexed proposalId, address indexed voter, uint256 forVotes, uint256 againstVotes, uint256 abstainVotes, string reason)",
+    "event VoteChanged(uint256 indexed proposalId, address indexed voter, uint256 forVotes, uint256 againstVotes, uint256 abstainVotes)",
+    "event DelegateChanged(address indexed delegator, address indexed fromDelegate, address indexed toDelegate)",
+    "event ProposalQueued(uint256 indexed proposalId, uint256 queuedTime)",
+    "event ProposalExecuted(uint256 indexed proposalId)",
+    "event ProposalCancelled(uint256 indexed proposalId)",
+    "event ProposalDefeated(uint256 indexed proposalId, string reason)",
+    "event VoteLockReleased(uint256 indexed proposalId, address indexed account)",
+    "event ActionProposalCreated(uint256 indexed proposalId, address[] targets, uint256[] values, bytes[] calldatas)",
+    "event TokenProposalCreated(uint256 indexed proposalId, address indexed token)",
+    "event StreamProposalCreated(uint256 indexed proposalId, uint64 cliff, uint64 duration)",
+    "event AmountBandUpdated(uint8 indexed proposalType, uint256 min, uint256 max)",
+    "event TokenAmountBandUpdated(address indexed token, uint8 indexed proposalType, uint256 min, uint256 max)",
+    "event ProposalEscalated(uint256 indexed proposalId, uint8 requestedType, uint8 proposalType)",
+    "event TreasuryUpdated(address indexed treasury)",
+    "event TimelockUpdated(address indexed timelock)",
+    "event VotingConfigUpdated(uint8 indexed proposalType, uint256 quorum, uint256 threshold, uint256 votingDelay, uint256 votingPeriod)",
+];
+
+const TIMELOCK_CONTROLLER_ABI = [
+    ...ACCESS_CONTROL_ABI,
+    ...PAUSABLE_ABI,
+    "function EXECUTOR_ROLE() view returns (bytes32)",
+    "function GUARDIAN_ROLE() view returns (bytes32)",
+    "function GOVERNANCE_ROLE() view returns (bytes32)",
+    "function GRACE_PERIOD() view returns (uint256)",
+    "function governanceProposal() view returns (address)",
+    "function treasury() view returns (address)",
+    "function timelockDelays(uint8 proposalType) view returns (uint256)",
+    "function executionTimes(uint256 proposalId) view returns (uint256)",
+    "function rageQuitStakes(uint256 proposalId) view returns (uint256)",
+    "function schedule(uint256 proposalId, uint8 proposalType, address token, address recipient, uint256 reserveAmount) returns (uint256 executionTime)",
+    "function cancel(uint256 proposalId)",
+    "function executeProposal(uint256 proposalId)",
+    "function executeActions(uint256 proposalId, address[] targets, uint256[] values, bytes[] calldatas) payable",
+    "function releaseReservation(uint256 proposalId)",
+    "function rageQuit(uint256 proposalId)",
+    "function pauseAll(uint256 duration)",
+    "function unpauseAll()",
+    "function isExecutable(uint256 proposalId) view returns (bool)",
+    "function isExpired(uint256 proposalId) view returns (bool)",
+    "function getTimelockDelay(uint8 proposalType) view returns (uint256)",
+    "function getExecutionTime(uint256 proposalId) view returns (uint256)",
+    "function updateTimelockDelay(uint8 proposalType, uint256 newDelay)",
+    "event ProposalQueued(uint256 indexed proposalId, uint256 executionTime)",
+    "event ProposalExecuted(uint256 indexed proposalId, address recipient, uint256 amount)",
+    "event ProposalCancelled(uint256 indexed proposalId)",
+    "event TimelockDelayUpdated(uint8 proposalType, uint256 newDelay)",
+    "event ActionsExecuted(uint256 indexed proposalId, uint256 actionCount, uint256 totalValue)",
+    "event RageQuit(uint256 indexed proposalId, address indexed member, uint256 stake, uint256 share)",
+    "event ProposalExpired(uint256 indexed proposalId)",
+];
+
+const MULTI_TIER_TREASURY_ABI = [
+    ...ACCESS_CONTROL_ABI,
+    ...PAUSABLE_ABI,
+    "function EXECUTOR_ROLE() view returns (bytes32)",
+    "function ALLOCATOR_ROLE() view returns (bytes32)",
+    "function GUARDIAN_ROLE() view returns (bytes32)",
+    "function fundBalances(uint8 fundType) view returns (uint256)",
+    "function fundCaps(uint8 fundType) view returns (uint256)",
+    "function executedProposals(uint256 proposalId) view returns (bool)",
+    "function tokenFundBalances(address token, uint8 fundType) view returns (uint256)",
+    "function tokenFundCaps(address token, uint8 fundType) view returns (uint256)",
+    "function allocateFunds(uint8 fundType, uint256 amount)",
+    "function depositToken(address token, uint256 amount)",
+    "function allocateTokenFunds(address token, uint8 fundType, uint256 amount)",
+    "function streamedBalances(address token) view returns (uint256)",
+    "function streams(uint256 proposalId) view returns (address token, uint64 start, address recipient, uint64 cliff, uint8 fundType, uint64 duration, bool cancelled, uint256 total, uint256 claimed)",
+    "function claimStream(uint256 proposalId) returns (uint256 amount)",
+    "function cancelStream(uint256 proposalId)",
+    "function vestedAmount(uint256 proposalId) view returns (uint256)",
+    "function claimableAmount(uint256 proposalId) view returns (uint256)",
+    "function reservations(uint256 proposalId) view returns (address token, uint8 fundType, address recipient, uint256 amount)",
+    "function reservedBalances(address token, uint8 fundType) view returns (uint256)",
+    "function payRageQuit(address member, uint256 stake, uint256 totalStake) returns (uint256 share)",
+    "function unallocatedBalance() view returns (uint256)",
+    "function moveFunds(uint8 from, uint8 to, uint256 amount)",
+    "function getRebalanceTargets() view returns (uint256 highConviction, uint256 experimental, uint256 operational)",
+    "function rebalanceFunds()",
+    "function getFundBalance(uint8 fundType) view returns (uint256)",
+    "function getTotalTreasury() view returns (uint256)",
+    "function getFundCap(uint8 fundType) view returns (uint256)",
+    "function updateFundCap(uint8 fundType, uint256 newCap)",
+    "function getTokenFundBalance(address token, uint8 fundType) view returns (uint256)",
+    "function getTokenTreasury(address token) view returns (uint256)",
+    "function getTokenFundCap(address token, uint8 fundType) view returns (uint256)",
+    "function getAllTokenFundBalances(address token) view returns (uint256 highConviction, uint256 experimental, uint256 operational)",
+    "function updateTokenFundCap(address token, uint8 fundType, uint256 newCap)",
+    "function spendingLimits(uint8 fundType) view returns (uint64 window, uint96 budget, uint96 recipientCap)",
+    "function getSpentInWindow(uint8 fundType) view returns (uint256)",
+    "function getRemainingBudget(uint8 fundType) view returns (uint256)",
+    "function getRemainingRecipientBudget(uint8 fundType, address recipient) view returns (uint256)",
+    "function withinSpendingLimits(uint8 fundType, address recipient, uint256 amount) view returns (bool)",
+    "function updateSpendingLimit(uint8 fundType, uint256 window, uint256 budget, uint256 recipientCap)",
+    "function tokenSpendingLimits(address token, uint8 fundType) view returns (uint64 window, uint96 budget, uint96 recipientCap)",
+    "function getTokenSpentInWindow(address token, uint8 fundType) view returns (uint256)",
+    "function getTokenRemainingBudget(address token, uint8 fundType) view returns (uint256)",
+    "function getTokenRemainingRecipientBudget(address token, uint8 fundType, address recipient) view returns (uint256)",
+    "function withinTokenSpendingLimits(address token, uint8 fundType, address recipient, uint256 amount) view returns (bool)",
+    "function updateTokenSpendingLimit(address token, uint8 fundType, uint256 window, uint256 budget, uint256 recipientCap)",
+    "function getAllFundBalances() view returns (uint256 highConviction, uint256 experimental, uint256 operational)",
+    "event FundsDeposited(address indexed from, uint256 amount, uint256 newBalance)",
+    "event FundsAllocated(uint8 indexed fundType, uint256 amount, uint256 newBalance)",
+    "event TransferExecuted(uint256 indexed proposalId, uint8 indexed fundType, address indexed recipient, uint256 amount)",
+    "event FundCapUpdated(uint8 indexed fundType, uint256 newCap)",
+    "event FundsRebalanced(uint256 highConviction, uint256 experimental, uint256 operational)",
+    "event TokenDeposited(address indexed token, address indexed from, uint256 amount, uint256 newBalance)",
+    "event TokenFundsAllocated(address indexed token, uint8 indexed fundType, uint256 amount, uint256 newBalance)",
+    "event TokenTransferExecuted(uint256 indexed proposalId, address indexed token, uint8 indexed fundType, address recipient, uint256 amount)",
+    "event TokenFundCapUpdated(address indexed token, uint8 indexed fundType, uint256 newCap)",
+    "event StreamOpened(uint256 indexed proposalId, address indexed token, uint8 indexed fundType, address recipient, uint256 amount, uint64 cliff, uint64 duration)",
+    "event StreamClaimed(uint256 indexed proposalId, address indexed recipient, uint256 amount)",
+    "event StreamCancelled(uint256 indexed proposalId, uint256 paidOut, uint256 returned)",
+    "event FundsReserved(uint256 indexed proposalId, address indexed token, uint8 indexed fundType, uint256 amount)",
+    "event FundsReleased(uint256 indexed proposalId, uint256 amount)",
+    "event FundsMoved(uint8 indexed from, uint8 indexed to, uint256 amount)",
+    "event RageQuitPaid(address indexed member, uint256 amount, uint256 stake, uint256 totalStake)",
+    "event SpendingLimitUpdated(uint8 indexed fundType, uint256 window, uint256 budget, uint256 recipientCap)",
+    "event TokenSpendingLimitUpdated(address indexed token, uint8 indexed fundType, uint256 window, uint256 budget, uint256 recipientCap)",
+];
+
+/** The subset of ERC-20 the SDK needs to deposit tokens and label amounts */
+const ERC20_ABI = [
+    "function name() view returns (string)",
+    "function symbol() view returns (string)",
+    "function decimals() view returns (uint8)",
+    "function balanceOf(address account) view returns (uint256)",
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function approve(address spender, uint256 amount) returns (bool)",
+    "function transfer(address to, uint256 amount) returns (bool)",
+    "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+    "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+];
+
+module.exports = {
+    GOVERNANCE_TOKEN_ABI,
+    GOVERNANCE_PROPOSAL_ABI,
+    TIMELOCK_CONTROLLER_ABI,
+    MULTI_TIER_TREASURY_ABI,
+    ERC20_ABI,
+};
@@ -0,0 +1,702 @@
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { MaxUint256, formatEther, formatUnits, isAddress } = require("ethers");
+const { DaoClient } = require("./client");
+const { resolveDeploymentPath } = require("./deployment");
+const { createSigner } = require("./networks");
+const { DaoError } = require("./errors");
+const { sendToRelayer } = require("./relayer");
+const { TreasuryReporter, statementToCsv } = require("./reporting");
+const { renderPowerCurve } = require("./lockups");
+
+const USAGE = `Usage: dao <command> [arguments] [options]
+
+Commands:
+  stake <amount>                     Deposit ETH as governance stake
+  withdraw <amount>                  Withdraw staked ETH
+  lock <days>                        Lock your stake for up to 728 days; locked stake votes with up
+                                     to 2x power, falling to 1x as the lock runs out
+  power [<address>]                  Show voting power and chart how it decays until the lock ends
+  unlock                             Release vote locks on finished proposals
+  attest <address> [--evidence <text>]
+                                     Register a member so their stake votes (attester only);
+                                     the evidence text is stored as its hash
+  attest <address> --revoke          Remove a member from the registry (attester only)
+  ragequit <id>                      Leave before a queued proposal you voted against executes,
+                                     taking your stake and a share of the unallocated treasury
+  propose --type <type> --to <address> --amount <eth> [--token <address>] [--description <text>]
+          [--vesting <days> [--cliff <days>]]
+                                     Create a proposal (high-conviction | experimental | operational);
+                                     with --token it pays out that ERC-20 from the --type tier, and
+                                     with --vesting it streams the amount over that many days
+  propose --actions <file> --description <text>
+                                     Create a proposal that runs contract calls from a JSON file
+                                     of [{"target", "value", "data"}] through the timelock
+  vote <id> <for|against|abstain> [--reason <text>] [--relayer <url>]
+                                     Vote on a proposal, or change your vote until voting ends;
+                                     with --relayer, sign the vote and let the relayer submit it,
+                                     so it costs no gas
+  vote <id> --split <for>,<against>,<abstain> [--reason <text>]
+                                     Split a delegatee's vote by percentages adding up to 100
+  delegate <address> [--relayer <url>]
+                                     Delegate voting power (gas-free through a relayer)
+  delegate --revoke                  Revoke the current delegation
+  queue <id>                         Tally a finished vote and schedule it in the timelock
+  execute <id>                       Execute a queued proposal after its timelock
+  cancel <id>                        Cancel a proposal (guardian, or its proposer before anyone votes)
+  cancel <id> --stream               Stop a proposal's stream, returning unvested funds (guardian only)
+  pause [<days>]                     Pause deposits, payout proposals and treasury outflows in
+                                     every contract for up to 7 days (timelock guardian only);
+                                     without <days>, show whether they are paused
+  unpause                            Lift the pause early (timelock guardian only)
+  stream <id>                        Show a proposal's stream
+  claim <id>                         Claim vested funds from a stream you receive
+  status <id>                        Show a proposal
+  deposit <amount> --token <address> Deposit ERC-20 tokens into the treasury
+  treasury [--token <address>]       Show treasury balances (ETH, or the given ERC-20)
+  rebalance                          Move ETH between tiers towards their cap shares, keeping what
+                                     queued proposals have reserved (allocator only)
+  tiers [--token <address>]          Show each proposal type's amounts, voting rules, delay and fund
+                                     (ETH, or the given ERC-20)
+  budget [<address>] [--token <address>]
+                                     Show each tier's rolling spending limits and what is left of them
+                                     after queued payouts, optionally for payouts to <address> (ETH,
+                                     or the given ERC-20)
+  report [--from <date>] [--to <date>] [--token <address>] [--csv <file>]
+                                     Treasury statement for a date range: opening and closing fund
+                                     balances, deposits, allocations, payouts and rebalances,
+                                     reconciled against the contract's balances
+
+Options:
+  --network <name>      Network to use (localhost, sepolia) [default: localhost]
+  --rpc-url <url>       RPC endpoint, overrides --network
+  --account <index>     Unlocked node account to sign with when PRIVATE_KEY is unset [default: 0]
+  --deployment <file>   Deployment addresses file [default: deployments/<network>.json]
+  --json                Print machine-readable JSON
+  -h, --help            Show this help`;
+
+const OPTIONS = {
+    network: { type: "string", default: "localhost" },
+    "rpc-url": { type: "string" },
+    account: { type: "string", default: "0" },
+    deployment: { type: "string" },
+    json: { type: "boolean", default: false },
+    help: { type: "boolean", short: "h", default: false },
+    type: { type: "string" },
+    to: { type: "string" },
+    amount: { type: "string" },
+    description: { type: "string" },
+    actions: { type: "string" },
+    token: { type: "string" },
+    vesting: { type: "string" },
+    cliff: { type: "string" },
+    stream: { type: "boolean", default: false },
+    revoke: { type: "boolean", default: false },
+    relayer: { type: "string" },
+    reason: { type: "string" },
+    evidence: { type: "string" },
+    split: { type: "string" },
+    from: { type: "string" },
+    csv: { type: "string" },
+};
+
+class UsageError extends DaoError {
+    constructor(message) {
+        super(message, { code: "USAGE" });
+    }
+}
+
+function requireArg(value, name) {
+    if (value === undefined || value === "") {
+        throw new UsageError(`Missing ${name}`);
+    }
+    return value;
+}
+
+function requireAddress(value, name) {
+    requireArg(value, name);
+    if (!isAddress(value)) {
+        throw new UsageError(`Invalid ${name}: ${value}`);
+    }
+    return value;
+}
+
+function requireProposalId(value) {
+    requireArg(value, "proposal id");
+    if (!/^\d+$/.test(value)) {
+        throw new UsageError(`Invalid proposal id: ${value}`);
+    }
+    return BigInt(value);
+}
+
+function readActions(file) {
+    let actions;
+    try {
+        actions = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+        throw new UsageError(`Cannot read actions from ${file}: ${error.message}`);
+    }
+    if (!Array.isArray(actions) || actions.length === 0) {
+        throw new UsageError(`${file} must contain a non-empty array of actions`);
+    }
+    actions.forEach((action, i) => requireAddress(action.target, `target of action ${i}`));
+    return actions;
+}
+
+const ETH = { symbol: "ETH", decimals: 18 };
+
+async function assetOf(dao, token) {
+    return token ? dao.getTokenInfo(token) : ETH;
+}
+
+function formatAmount(amount, asset = ETH) {
+    return `${formatUnits(amount, asset.decimals)} ${asset.symbol}`;
+}
+
+function parseDays(value, name) {
+    if (!/^\d+(\.\d+)?$/.test(value)) {
+        throw new UsageError(`Invalid ${name}: ${value}`);
+    }
+    return Math.round(Number(value) * 24 * 60 * 60);
+}
+
+function formatPower(power) {
+    return formatUnits(power, 9);
+}
+
+function formatTime(seconds) {
+    return seconds > 0 ? new Date(seconds * 1000).toISOString() : "-";
+}
+
+function formatDuration(seconds) {
+    return `${Number((seconds / (24 * 60 * 60)).toFixed(2))} days`;
+}
+
+/** Parse an ISO date; a bare day (2026-09-30) means its start, or its end with endOfDay */
+function parseDate(value, name, { endOfDay = false } = {}) {
+    const dayOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const time = Date.parse(dayOnly ? `${value}T00:00:00Z` : value);
+    if (Number.isNaN(time)) {
+        throw new UsageError(`Invalid ${name}: ${value}`);
+    }
+    const seconds = Math.floor(time / 1000);
+    return dayOnly && endOfDay ? seconds + 24 * 60 * 60 - 1 : seconds;
+}
+
+function formatSigned(amount, asset) {
+    return `${amount > 0n ? "+" : ""}${formatAmount(amount, asset)}`;
+}
+
+function formatStatement(r) {
+    const amount = (value) => formatUnits(value, r.asset.decimals).padStart(14);
+    const lines = [
+        `Treasury statement (${r.asset.symbol}), ${r.period.from === null ? "genesis" : formatTime(r.period.from)} -> ${formatTime(r.period.to)} (blocks ${r.period.fromBlock}-${r.period.toBlock})`,
+        "",
+        `  ${"Fund".padEnd(16)} ${["Opening", "Allocated", "Paid out", "Returned", "Rebalanced", "Closing"].map((h) => h.padStart(14)).join(" ")}`,
+        ...Object.entries(r.funds).map(([name, f]) => `  ${name.padEnd(16)} ${[f.opening, f.allocations, f.outflows, f.returned, f.rebalances, f.closing].map(amount).join(" ")}`),
+        "",
+        `  Streams:  ${formatAmount(r.streams.opening, r.asset)} + ${formatAmount(r.streams.opened, r.asset)} opened - ${formatAmount(r.streams.claimed, r.asset)} claimed - ${formatAmount(r.streams.returned, r.asset)} returned = ${formatAmount(r.streams.closing, r.asset)}`,
+        `  Treasury: ${formatAmount(r.treasury.opening, r.asset)} + ${formatAmount(r.treasury.inflows, r.asset)} in - ${formatAmount(r.treasury.outflows, r.asset)} out = ${formatAmount(r.treasury.closing, r.asset)} (${formatAmount(r.treasury.unallocated.closing, r.asset)} unallocated)`,
+    ];
+
+    if (r.outflows.length > 0) {
+        lines.push("", "Outflows by proposal:");
+        for (const m of r.outflows) {
+            const what = { transfer: "paid", stream: "streaming", claim: "claimed" }[m.type];
+            lines.push(`  #${m.proposalId} ${what} ${formatAmount(m.amount, r.asset)}${m.fund ? ` from ${m.fund}` : ""} to ${m.counterparty} (block ${m.block})`);
+        }
+    }
+
+    if (r.rageQuits.length > 0) {
+        lines.push("", "Rage-quits:");
+        for (const m of r.rageQuits) {
+            lines.push(`  ${m.counterparty} took ${formatAmount(m.amount, r.asset)} of unallocated funds (block ${m.block})`);
+        }
+    }
+
+    lines.push("");
+    if (r.reconciliation.ok) {
+        lines.push(`Reconciliation: ✅ the events explain every balance at block ${r.reconciliation.block}`);
+    } else {
+        lines.push(`Reconciliation: ⚠️  unexplained discrepancies at block ${r.reconciliation.block}`);
+        for (const d of r.reconciliation.discrepancies) {
+            lines.push(`  ${d.account.padEnd(16)} expected ${formatAmount(d.expected, r.asset)}, found ${formatAmount(d.actual, r.asset)} (${formatSigned(d.difference, r.asset)})`);
+        }
+    }
+    if (r.csvFile) {
+        lines.push(`CSV written to ${r.csvFile}`);
+    }
+    return lines.join("\n");
+}
+
+/**
+ * Command table. Each entry runs against a DaoClient and returns a plain
+ * result object; `format` renders it for humans, --json prints it as is.
+ */
+const COMMANDS = {
+    stake: {
+        async run(dao, [amount]) {
+            const receipt = await dao.stake(requireArg(amount, "amount"));
+            const member = await dao.runner.getAddress();
+            return {
+                member,
+                amount: String(amount),
+                stake: await dao.getStake(member),
+                votingPower: await dao.getVotingPower(member),
+                txHash: receipt.hash,
+            };
+        },
+        format: (r) => `Staked ${r.amount} ETH (total stake ${formatEther(r.stake)} ETH, voting power ${formatPower(r.votingPower)})`,
+    },
+
+    withdraw: {
+        async run(dao, [amount]) {
+            const receipt = await dao.withdraw(requireArg(amount, "amount"));
+            const member = await dao.runner.getAddress();
+            return {
+                member,
+                amount: String(amount),
+                stake: await dao.getStake(member),
+                txHash: receipt.hash,
+            };
+        },
+        format: (r) => `Withdrew ${r.amount} ETH (remaining stake ${formatEther(r.stake)} ETH)`,
+    },
+
+    lock: {
+        async run(dao, [days]) {
+            const duration = parseDays(requireArg(days, "days"), "days");
+            const now = (await (dao.runner.provider || dao.runner).getBlock("latest")).timestamp;
+            const { unlockTime, votingPower, receipt } = await dao.lockStake(now + duration);
+            return { member: await dao.runner.getAddress(), unlockTime, votingPower, txHash: receipt.hash };
+        },
+        format: (r) => `Locked stake until ${formatTime(r.unlockTime)} (voting power ${formatPower(r.votingPower)})`,
+    },
+
+    power: {
+        async run(dao, [address]) {
+            const member = address === undefined ? await dao.runner.getAddress() : requireAddress(address, "address");
+            const [lock, registered, curve] = await Promise.all([
+                dao.getLock(member),
+                dao.isRegistered(member),
+                dao.getPowerCurve(member),
+            ]);
+            return { member, ...lock, registered, curve };
+        },
+        format: (r) => [
+            `Member:        ${r.member}`,
+            `Stake:         ${formatEther(r.stake)} ETH`,
+            `Registered:    ${r.registered ? "yes" : "no, stake has no voting power"}`,
+            `Voting power:  ${formatPower(r.votingPower)}`,
+            `Locked until:  ${r.locked ? formatTime(r.unlockTime) : "not locked"}`,
+            ...(r.locked ? ["", renderPowerCurve(r.curve, { formatPower })] : []),
+        ].join("\n"),
+    },
+
+    unlock: {
+        async run(dao) {
+            const member = await dao.runner.getAddress();
+            const { released, receipt } = await dao.releaseLocks(member);
+            return {
+                member,
+                released,
+                activeVotes: (await dao.getVoteLocks(member)).active,
+                txHash: receipt.hash,
+            };
+        },
+        format: (r) => `Released ${r.released} vote lock(s) (${r.activeVotes} still active)`,
+    },
+
+    attest: {
+        async run(dao, [address], options) {
+            const member = requireAddress(address, "address");
+            if (options.revoke) {
+                const receipt = await dao.revokeAttestation(member);
+                return { member, registered: false, txHash: receipt.hash };
+            }
+            const receipt = await dao.attest(member, options.evidence);
+            return { member, registered: true, ...(await dao.getAttestation(member)), txHash: receipt.hash };
+        },
+        format: (r) => (r.registered
+            ? `Registered ${r.member} (evidence ${r.evidence})`
+            : `Removed ${r.member} from the registry`),
+    },
+
+    ragequit: {
+        async run(dao, [id]) {
+            const proposalId = requireProposalId(id);
+            const { stake, share, receipt } = await dao.rageQuit(proposalId);
+            return { proposalId, member: await dao.runner.getAddress(), stake, share, txHash: receipt.hash };
+        },
+        format: (r) => `Rage-quit before proposal #${r.proposalId}: withdrew ${formatEther(r.stake)} ETH stake and ${formatEther(r.share)} ETH treasury share`,
+    },
+
+    propose: {
+        async run(dao, _, options) {
+            if (options.actions !== undefined) {
+                const { proposalId, receipt } = await dao.proposeActions({
+                    actions: readActions(options.actions),
+                    description: requireArg(options.description, "--description"),
+                });
+                return { ...(await dao.getProposal(proposalId)), txHash: receipt.hash };
+            }
+
+            const token = options.token === undefined ? undefined : requireAddress(options.token, "--token");
+            const asset = await assetOf(dao, token);
+            const { proposalId, escalatedFrom, receipt } = await dao.propose({
+                type: requireArg(options.type, "--type"),
+                recipient: requireAddress(options.to, "--to"),
+                amount: requireArg(options.amount, "--amount"),
+                token,
+                vesting: options.vesting === undefined ? undefined : {
+                    duration: parseDays(options.vesting, "--vesting"),
+                    cliff: options.cliff === undefined ? 0 : parseDays(options.cliff, "--cliff"),
+                },
+                description: options.description || `${options.type} proposal: ${options.amount} ${asset.symbol} to ${options.to}`,
+            });
+            return { ...(await dao.getProposal(proposalId)), asset, escalatedFrom, txHash: receipt.hash };
+        },
+        format: (r) =>
+            r.isActionProposal
+                ? `Created action proposal #${r.id} (${r.proposalType}, ${formatEther(r.amount)} ETH in call values)`
+                : `Created proposal #${r.id} (${r.proposalType}, ${formatAmount(r.amount, r.asset)} to ${r.recipient}${r.vesting ? `, vesting over ${formatDuration(r.vesting.duration)}` : ""})${
+                    r.escalatedFrom ? `\nEscalated from ${r.escalatedFrom}: the payout would break that tier's spending limits` : ""
+                }`,
+    },
+
+    vote: {
+        async run(dao, [id, support], options) {
+            const proposalId = requireProposalId(id);
+            if (options.split !== undefined) {
+                const shares = options.split.split(",").map(Number);
+                if (shares.length !== 3 || shares.some((share) => !Number.isFinite(share) || share < 0)) {
+                    throw new UsageError(`Invalid --split: ${options.split} (expected <for>,<against>,<abstain> percentages)`);
+                }
+                const { forVotes, againstVotes, abstainVotes, receipt } = await dao.castVoteSplit(
+                    proposalId,
+                    { for: shares[0], against: shares[1], abstain: shares[2] },
+                    options.reason
+                );
+                return { proposalId, support: "SPLIT", forVotes, againstVotes, abstainVotes, txHash: receipt.hash };
+            }
+            const voteType = requireArg(support, "vote (for, against, abstain)");
+            const result = {
+                proposalId,
+                support: support.toUpperCase(),
+                votingPower: await dao.getVotingPower(await dao.runner.getAddress()),
+            };
+            if (options.relayer) {
+                if (options.reason) {
+                    throw new UsageError("A vote sent through a relayer cannot carry a reason");
+                }
+                const submission = await sendToRelayer(options.relayer, await dao.signVote(proposalId, voteType));
+                return { ...result, submissionId: submission.id };
+            }
+            const receipt = await dao.castVote(proposalId, voteType, options.reason);
+            return { ...result, txHash: receipt.hash };
+        },
+        format: (r) => {
+            if (r.submissionId) {
+                return `Signed ${r.support} vote on proposal #${r.proposalId} and sent it to the relayer (submission ${r.submissionId})`;
+            }
+            if (r.support === "SPLIT") {
+                return `Split vote on proposal #${r.proposalId}: ${formatPower(r.forVotes)} for, ${formatPower(r.againstVotes)} against, ${formatPower(r.abstainVotes)} abstain`;
+            }
+            return `Voted ${r.support} on proposal #${r.proposalId} with voting power ${formatPower(r.votingPower)}`;
+        },
+    },
+
+    delegate: {
+        async run(dao, [delegatee], options) {
+            if (options.revoke) {
+                if (options.relayer) {
+                    throw new UsageError("Revoking a delegation cannot go through a relayer");
+                }
+                const receipt = await dao.revokeDelegate();
+                return { delegatee: null, txHash: receipt.hash };
+            }
+            requireAddress(delegatee, "delegatee address");
+            if (options.relayer) {
+                const submission = await sendToRelayer(options.relayer, await dao.signDelegation(delegatee));
+                return { delegatee, submissionId: submission.id };
+            }
+            const receipt = await dao.delegate(delegatee);
+            return { delegatee, txHash: receipt.hash };
+        },
+        format: (r) => {
+            if (!r.delegatee) return "Delegation revoked";
+            return r.submissionId
+                ? `Signed delegation to ${r.delegatee} and sent it to the relayer (submission ${r.submissionId})`
+                : `Delegated voting power to ${r.delegatee}`;
+        },
+    },
+
+    queue: {
+        async run(dao, [id]) {
+            const proposalId = requireProposalId(id);
+            const { state, executionTime } = await dao.queue(proposalId);
+            return { proposalId, state, executionTime };
+        },
+        format: (r) => (r.state === "QUEUED"
+            ? `Proposal #${r.proposalId} queued, executable after ${formatTime(r.executionTime)}`
+            : `Proposal #${r.proposalId} is ${r.state}`),
+    },
+
+    execute: {
+        async run(dao, [id]) {
+            const proposalId = requireProposalId(id);
+            const receipt = await dao.execute(proposalId);
+            return { proposalId, state: await dao.getProposalState(proposalId), txHash: receipt.hash };
+        },
+        format: (r) => `Proposal #${r.proposalId} executed`,
+    },
+
+    cancel: {
+        async run(dao, [id], options) {
+            const proposalId = requireProposalId(id);
+            if (options.stream) {
+                const { paidOut, returned, receipt } = await dao.cancelStream(proposalId);
+                const { token } = await dao.getStream(proposalId);
+                return { proposalId, stream: true, paidOut, returned, asset: await assetOf(dao, token), txHash: receipt.hash };
+            }
+            const receipt = await dao.cancel(proposalId);
+            return { proposalId, state: await dao.getProposalState(proposalId), txHash: receipt.hash };
+        },
+        format: (r) => (r.stream
+            ? `Stream for proposal #${r.proposalId} cancelled (${formatAmount(r.paidOut, r.asset)} paid out, ${formatAmount(r.returned, r.asset)} returned to the tier)`
+            : `Proposal #${r.proposalId} cancelled`),
+    },
+
+    pause: {
+        async run(dao, [days]) {
+            if (days === undefined) {
+                return { status: await dao.getPauseStatus() };
+            }
+            const receipt = await dao.pauseAll(parseDays(days, "pause duration"));
+            return { status: await dao.getPauseStatus(), txHash: receipt.hash };
+        },
+        format: (r) => [
+            r.txHash ? "Paused all contracts" : "Pause status",
+            ...Object.entries(r.status).map(([name, s]) => `  ${name.padEnd(20)} ${s.paused ? `paused until ${formatTime(s.pausedUntil)}` : "running"}`),
+        ].join("\n"),
+    },
+
+    unpause: {
+        async run(dao) {
+            const receipt = await dao.unpauseAll();
+            return { status: await dao.getPauseStatus(), txHash: receipt.hash };
+        },
+        format: () => "Pause lifted on all contracts",
+    },
+
+    stream: {
+        async run(dao, [id]) {
+            const proposalId = requireProposalId(id);
+            const stream = await dao.getStream(proposalId);
+            if (!stream) {
+                throw new UsageError(`Proposal #${proposalId} has no stream`);
+            }
+            return { ...stream, asset: await assetOf(dao, stream.token) };
+        },
+        format: (s) => [
+            `Stream for proposal #${s.proposalId}${s.cancelled ? " (cancelled)" : ""}`,
+            `  Recipient:  ${s.recipient}`,
+            `  Fund:       ${s.fundType}`,
+            `  Total:      ${formatAmount(s.total, s.asset)}`,
+            `  Vested:     ${formatAmount(s.vested, s.asset)} (claimed ${formatAmount(s.claimed, s.asset)})`,
+            `  Claimable:  ${formatAmount(s.claimable, s.asset)}`,
+            `  Schedule:   ${formatTime(s.start)} -> ${formatTime(s.end)} (cliff ends ${formatTime(s.cliffEnd)})`,
+        ].join("\n"),
+    },
+
+    claim: {
+        async run(dao, [id]) {
+            const proposalId = requireProposalId(id);
+            const { amount, receipt } = await dao.claimStream(proposalId);
+            const stream = await dao.getStream(proposalId);
+            return {
+                proposalId,
+                amount,
+                remaining: stream.total - stream.claimed,
+                asset: await assetOf(dao, stream.token),
+                txHash: receipt.hash,
+            };
+        },
+        format: (r) => `Claimed ${formatAmount(r.amount, r.asset)} from proposal #${r.proposalId} (${formatAmount(r.remaining, r.asset)} still to vest or claim)`,
+    },
+
+    status: {
+        async run(dao, [id]) {
+            const proposal = await dao.getProposal(requireProposalId(id));
+            return { ...proposal, asset: await assetOf(dao, proposal.token) };
+        },
+        format: (p) => [
+            `Proposal #${p.id}: ${p.description}`,
+            `  State:      ${p.state}`,
+            `  Type:       ${p.proposalType} (quorum ${p.quorum}%, threshold ${p.threshold}%)`,
+            `  Proposer:   ${p.proposer}`,
+            p.isActionProposal ? "  Recipient:  (contract calls through the timelock)" : `  Recipient:  ${p.recipient}`,
+            `  Amount:     ${formatAmount(p.amount, p.asset)}${p.vesting ? ` vesting over ${formatDuration(p.vesting.duration)} (cliff ${formatDuration(p.vesting.cliff)})` : ""}`,
+            `  Votes:      for ${formatPower(p.forVotes)} | against ${formatPower(p.againstVotes)} | abstain ${formatPower(p.abstainVotes)}`,
+            `  Voting:     ${formatTime(p.startTime)} -> ${formatTime(p.endTime)} (power as of block ${p.snapshotBlock})`,
+            `  Executable: ${formatTime(p.executionTime)}${p.expiresAt ? ` until ${formatTime(p.expiresAt)}` : ""}`,
+        ].join("\n"),
+    },
+
+    deposit: {
+        async run(dao, [amount], options) {
+            const token = requireAddress(options.token, "--token");
+            const receipt = await dao.depositToken(token, requireArg(amount, "amount"));
+            return {
+                amount,
+                asset: await dao.getTokenInfo(token),
+                total: (await dao.getTreasury(token)).total,
+                txHash: receipt.hash,
+            };
+        },
+        format: (r) => `Deposited ${r.amount} ${r.asset.symbol} (treasury holds ${formatAmount(r.total, r.asset)})`,
+    },
+
+    treasury: {
+        async run(dao, _, options) {
+            const token = options.token === undefined ? undefined : requireAddress(options.token, "--token");
+            return { ...(await dao.getTreasury(token)), asset: await assetOf(dao, token) };
+        },
+        format: (t) => [
+            `Treasury total: ${formatAmount(t.total, t.asset)}`,
+            ...Object.keys(t.funds).map((name) => `  ${name.padEnd(16)} ${formatAmount(t.funds[name], t.asset)} (cap ${t.caps[name]}%${
+                t.reserved[name] > 0n ? `, ${formatAmount(t.reserved[name], t.asset)} reserved` : ""
+            })`),
+        ].join("\n"),
+    },
+
+    rebalance: {
+        async run(dao) {
+            const { moves, receipt } = await dao.rebalance();
+            return { moves, funds: (await dao.getTreasury()).funds, txHash: receipt.hash };
+        },
+        format: (r) => [
+            r.moves.length === 0 ? "Funds already on target" : `Rebalanced funds in ${r.moves.length} move(s)`,
+            ...r.moves.map((m) => `  ${formatAmount(m.amount)} ${m.from} -> ${m.to}`),
+            ...Object.keys(r.funds).map((name) => `  ${name.padEnd(16)} ${formatAmount(r.funds[name])}`),
+        ].join("\n"),
+    },
+
+    tiers: {
+        async run(dao, _, options) {
+            const token = options.token === undefined ? undefined : requireAddress(options.token, "--token");
+            return { ...(await dao.getTiers(token)), asset: await assetOf(dao, token) };
+        },
+        format: ({ asset, ...tiers }) => Object.entries(tiers).map(([name, t]) => [
+            name,
+            t.maxAmount === 0n
+                ? `  Amount:     no band, ${asset.symbol} payouts are high-conviction`
+                : `  Amount:     ${formatUnits(t.minAmount, asset.decimals)} ${asset.symbol} ${t.maxAmount === MaxUint256 ? "and up" : `to ${formatAmount(t.maxAmount, asset)}`}`,
+            `  Approval:   ${t.threshold}% with ${t.quorum}% quorum`,
+            `  Voting:     ${formatDuration(t.votingPeriod)}${t.votingDelay > 0 ? `, opening ${formatDuration(t.votingDelay)} after creation` : ""}`,
+            `  Timelock:   ${formatDuration(t.timelockDelay)}`,
+            `  Fund:       ${formatAmount(t.fundBalance, asset)} (cap ${t.fundCap}%)`,
+        ].join("\n")).join("\n"),
+    },
+
+    budget: {
+        async run(dao, [recipient], options) {
+            const token = options.token === undefined ? undefined : requireAddress(options.token, "--token");
+            const limits = await dao.getSpendingLimits(
+                recipient === undefined ? undefined : requireAddress(recipient, "recipient"),
+                token
+            );
+            return { ...limits, asset: await assetOf(dao, token) };
+        },
+        format: ({ asset, ...limits }) => Object.entries(limits).map(([name, l]) => (l.budget === 0n && l.recipientCap === 0n ? [
+            name,
+            `  No spending limits`,
+        ] : [
+            name,
+            `  Window:     ${formatDuration(l.window)}`,
+            l.budget === 0n
+                ? `  Budget:     none (${formatAmount(l.spent, asset)} paid out)`
+                : `  Budget:     ${formatAmount(l.budget, asset)}, ${formatAmount(l.spent, asset)} spent, ${formatAmount(l.remaining, asset)} left`,
+            ...(l.recipientCap === 0n ? [] : [`  Per payee:  ${formatAmount(l.recipientCap, asset)}${
+                l.recipientRemaining === undefined ? "" : ` (${formatAmount(l.recipientRemaining, asset)} left for this recipient)`
+            }`]),
+        ]).join("\n")).join("\n"),
+    },
+
+    report: {
+        async run(dao, _, options) {
+            const token = options.token === undefined ? undefined : requireAddress(options.token, "--token");
+            const from = options.from === undefined ? undefined : parseDate(options.from, "--from");
+            const to = options.to === undefined ? undefined : parseDate(options.to, "--to", { endOfDay: true });
+
+            const report = await new TreasuryReporter({ client: dao }).statement({ from, to, token });
+            if (options.csv) {
+                fs.writeFileSync(options.csv, statementToCsv(report));
+                report.csvFile = options.csv;
+            }
+            return report;
+        },
+        format: formatStatement,
+    },
+};
+
+function toJson(value) {
+    return JSON.stringify(value, (_, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+}
+
+/**
+ * Run the CLI.
+ * @param {string[]} argv Arguments after the executable name
+ * @param {{signer?: import("ethers").Signer, stdout?: {write: Function}, stderr?: {write: Function}}} [io]
+ *   Pass `signer` to skip network resolution (used by the tests)
+ * @returns {Promise<number>} Process exit code
+ */
+async function runCli(argv, { signer, stdout = process.stdout, stderr = process.stderr } = {}) {
+    let options;
+    let positionals;
+    try {
+        ({ values: options, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true }));
+    } catch (error) {
+        stderr.write(`${error.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+
+    const [commandName, ...args] = positionals;
+    if (options.help || !commandName) {
+        stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+
+    const command = COMMANDS[commandName];
+    if (!command) {
+        stderr.write(`Unknown command: ${commandName}\n\n${USAGE}\n`);
+        return 2;
+    }
+
+    try {
+        const runner = signer || await createSigner({
+            network: options.network,
+            rpcUrl: options["rpc-url"],
+            account: Number(options.account),
+        });
+        const dao = DaoClient.fromDeployment(runner, resolveDeploymentPath(options.network, options.deployment));
+        const result = await command.run(dao, args, options);
+
+        stdout.write(`${options.json ? toJson(result) : command.format(result)}\n`);
+        return 0;
+    } catch (error) {
+        const code = error.code || "UNKNOWN";
+        if (options.json) {
+            stdout.write(`${toJson({ error: { code, message: error.message } })}\n`);
+        } else {
+            stderr.write(`Error [${code}]: ${error.message}\n`);
+        }
+        return error instanceof UsageError ? 2 : 1;
+    }
+}
+
+module.exports = {
+    COMMANDS,
+    USAGE,
+    runCli,
+};
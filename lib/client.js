@@ -0,0 +1,1042 @@
+const { Contract, Interface, ZeroAddress, ZeroHash, id, isHexString, parseEther, parseUnits } = require("ethers");
+const {
+    GOVERNANCE_TOKEN_ABI,
+    GOVERNANCE_PROPOSAL_ABI,
+    TIMELOCK_CONTROLLER_ABI,
+    MULTI_TIER_TREASURY_ABI,
+    ERC20_ABI,
+} = require("./abi");
+const {
+    ProposalType,
+    ProposalState,
+    VoteType,
+    FundType,
+    BALLOT_TYPES,
+    DELEGATION_TYPES,
+    toEnumValue,
+    toEnumName,
+} = require("./constants");
+const { loadDeployment } = require("./deployment");
+const { powerCurve } = require("./lockups");
+const { DaoError, translateError } = require("./errors");
+
+const ERC20_INTERFACE = new Interface(ERC20_ABI);
+
+/** How long signed votes and delegations stay valid unless an expiry is given, in seconds */
+const DEFAULT_SIGNATURE_TTL = 24 * 60 * 60;
+
+/**
+ * Convert an amount to wei. Bigints are taken as wei already; strings and
+ * numbers are read as ETH ("1.5" => 1.5 ETH).
+ * @param {bigint|string|number} amount
+ * @returns {bigint}
+ */
+function toWei(amount) {
+    if (typeof amount === "bigint") {
+        return amount;
+    }
+    return parseEther(String(amount));
+}
+
+/**
+ * Split `{target, value, data}` actions into the parallel arrays the contracts take.
+ * @param {Array<{target: string, value?: bigint|string|number, data?: string}>} actions
+ * @returns {{targets: string[], values: bigint[], calldatas: string[]}}
+ */
+function splitActions(actions) {
+    return {
+        targets: actions.map((action) => action.target),
+        values: actions.map((action) => toWei(action.value ?? 0n)),
+        calldatas: actions.map((action) => action.data ?? "0x"),
+    };
+}
+
+/**
+ * Thin client over the four DAO contracts. Works with any ethers v6 runner:
+ * pass a Signer to send transactions, or a Provider for read-only access.
+ */
+class DaoClient {
+    /**
+     * @param {import("ethers").ContractRunner} runner Signer or provider
+     * @param {{GovernanceToken: string, GovernanceProposal: string, MultiTierTreasury: string, TimelockController: string}} addresses
+     */
+    constructor(runner, addresses) {
+        this.runner = runner;
+        this.addresses = { ...addresses };
+        this.governanceToken = new Contract(addresses.GovernanceToken, GOVERNANCE_TOKEN_ABI, runner);
+        this.governanceProposal = new Contract(addresses.GovernanceProposal, GOVERNANCE_PROPOSAL_ABI, runner);
+        this.timelock = new Contract(addresses.TimelockController, TIMELOCK_CONTROLLER_ABI, runner);
+        this.treasury = new Contract(addresses.MultiTierTreasury, MULTI_TIER_TREASURY_ABI, runner);
+    }
+
+    /**
+     * Build a client from a deployment file written by scripts/deploy.js.
+     * @param {import("ethers").ContractRunner} runner Signer or provider
+     * @param {string} [file] Path to the deployment JSON
+     * @returns {DaoClient}
+     */
+    static fromDeployment(runner, file) {
+        return new DaoClient(runner, loadDeployment(file).contracts);
+    }
+
+    /**
+     * Return a client bound to a different signer or provider.
+     * @param {import("ethers").ContractRunner} runner
+     * @returns {DaoClient}
+     */
+    connect(runner) {
+        return new DaoClient(runner, this.addresses);
+    }
+
+    // ============ Staking ============
+
+    /**
+     * Deposit ETH into GovernanceToken.
+     * @param {bigint|string|number} amount Wei as bigint, or ETH as string/number
+     */
+    async stake(amount) {
+        return this._send(this.governanceToken, "deposit", [], { value: toWei(amount) });
+    }
+
+    /**
+     * Withdraw staked ETH.
+     * @param {bigint|string|number} amount Wei as bigint, or ETH as string/number
+     */
+    async withdraw(amount) {
+        return this._send(this.governanceToken, "withdraw", [toWei(amount)]);
+    }
+
+    async getStake(member) {
+        return this.governanceToken.getStake(member);
+    }
+
+    async getVotingPower(member) {
+        return this.governanceToken.getVotingPower(member);
+    }
+
+    /**
+     * Lock the signer's whole stake, including later deposits, until
+     * `unlockTime` (rounded down to a whole week) for a voting power boost.
+     * @param {Date|number} unlockTime Date, or unix seconds; at most 104 weeks away
+     * @returns {Promise<{unlockTime: number, votingPower: bigint, receipt: import("ethers").TransactionReceipt}>}
+     */
+    async lockStake(unlockTime) {
+        const seconds = unlockTime instanceof Date ? Math.floor(unlockTime.getTime() / 1000) : unlockTime;
+        const receipt = await this._send(this.governanceToken, "lockStake", [seconds]);
+        const event = this._findEvent(receipt, this.governanceToken, "StakeLocked");
+        return { unlockTime: Number(event.args.unlockTime), votingPower: event.args.votingPower, receipt };
+    }
+
+    /**
+     * @param {string} member
+     * @returns {Promise<{stake: bigint, unlockTime: number, locked: boolean, votingPower: bigint}>} unlockTime is 0 if the stake was never locked
+     */
+    async getLock(member) {
+        const [stake, unlockTime, votingPower, block] = await Promise.all([
+            this.governanceToken.stakes(member),
+            this.governanceToken.lockEnds(member),
+            this.governanceToken.getVotingPower(member),
+            (this.runner.provider || this.runner).getBlock("latest"),
+        ]);
+        return { stake, unlockTime: Number(unlockTime), locked: Number(unlockTime) > block.timestamp, votingPower };
+    }
+
+    /**
+     * How a member's voting power will decay from now until their lock ends,
+     * assuming their stake and lock do not change.
+     * @param {string} member
+     * @param {{points?: number}} [options] Number of points to sample
+     * @returns {Promise<Array<{time: number, votingPower: bigint}>>}
+     */
+    async getPowerCurve(member, { points } = {}) {
+        const [stake, registered, unlockTime, block] = await Promise.all([
+            this.governanceToken.stakes(member),
+            this.governanceToken.isRegistered(member),
+            this.governanceToken.lockEnds(member),
+            (this.runner.provider || this.runner).getBlock("latest"),
+        ]);
+        const votingStake = registered ? stake : 0n;
+        return powerCurve({ stake: votingStake, unlockTime: Number(unlockTime) }, { from: block.timestamp, points });
+    }
+
+    // ============ Member registry ============
+
+    /**
+     * Register a member so their stake gets voting power. Needs ATTESTER_ROLE.
+     * @param {string} member
+     * @param {string} [evidence] 32-byte hex, or text that is hashed; zero if omitted
+     */
+    async attest(member, evidence) {
+        const hash = evidence === undefined ? ZeroHash : isHexString(evidence, 32) ? evidence : id(evidence);
+        return this._send(this.governanceToken, "attest", [member, hash]);
+    }
+
+    /**
+     * Remove a member from the registry. Needs ATTESTER_ROLE.
+     * @param {string} member
+     */
+    async revokeAttestation(member) {
+        return this._send(this.governanceToken, "revokeAttestation", [member]);
+    }
+
+    async isRegistered(member) {
+        return this.governanceToken.isRegistered(member);
+    }
+
+    /**
+     * @param {string} member
+     * @returns {Promise<{registered: boolean, attester: string|null, issuedAt: number, evidence: string}>}
+     */
+    async getAttestation(member) {
+        const { attester, issuedAt, evidence } = await this.governanceToken.attestations(member);
+        const registered = attester !== ZeroAddress;
+        return { registered, attester: registered ? attester : null, issuedAt: Number(issuedAt), evidence };
+    }
+
+    /**
+     * Release an account's vote locks on finished proposals so its stake can
+     * be withdrawn.
+     * @param {string} [account] Defaults to the signer
+     * @returns {Promise<{released: number, receipt: import("ethers").TransactionReceipt}>}
+     */
+    async releaseLocks(account) {
+        const target = account || (await this.runner.getAddress());
+        const receipt = await this._send(this.governanceProposal, "releaseLocks", [target]);
+        return { released: this._countEvents(receipt, this.governanceProposal, "VoteLockReleased"), receipt };
+    }
+
+    /**
+     * Release the next batch of vote locks held by a finished proposal.
+     * @param {bigint|number} proposalId
+     * @param {number} [maxCount] Locked accounts to process in this transaction
+     * @returns {Promise<{released: number, receipt: import("ethers").TransactionReceipt}>}
+     */
+    async releaseProposalLocks(proposalId, maxCount = 100) {
+        const receipt = await this._send(this.governanceProposal, "releaseProposalLocks", [proposalId, maxCount]);
+        return { released: this._countEvents(receipt, this.governanceProposal, "VoteLockReleased"), receipt };
+    }
+
+    /**
+     * @param {string} member
+     * @returns {Promise<{active: number, unlockable: number}>} Vote locks held, and how many can be released now
+     */
+    async getVoteLocks(member) {
+        const [active, unlockable] = await Promise.all([
+            this.governanceToken.activeVotes(member),
+            this.governanceProposal.unlockableVotes(member),
+        ]);
+        return { active: Number(active), unlockable: Number(unlockable) };
+    }
+
+    /**
+     * Leave the DAO before a queued proposal the signer voted against executes,
+     * taking their whole stake and a pro-rata share of the unallocated treasury.
+     * @param {bigint|number} proposalId
+     * @returns {Promise<{stake: bigint, share: bigint, receipt: import("ethers").TransactionReceipt}>}
+     */
+    async rageQuit(proposalId) {
+        const receipt = await this._send(this.timelock, "rageQuit", [proposalId]);
+        const event = this._findEvent(receipt, this.timelock, "RageQuit");
+        return { stake: event.args.stake, share: event.args.share, receipt };
+    }
+
+    /**
+     * What a member would take by rage-quitting now, and until when they can.
+     * The share is based on their stake and the total stake at the proposal's
+     * snapshot, the stake capped at what they hold now and the total less what
+     * has already rage-quit over the proposal, as TimelockController does. Does not check that they voted against the proposal.
+     * @param {bigint|number} proposalId
+     * @param {string} [member] Defaults to the signer
+     * @returns {Promise<{stake: bigint, share: bigint, closesAt: number}>} closesAt is 0 if the proposal is not queued in the timelock
+     */
+    async getRageQuitQuote(proposalId, member) {
+        const account = member || (await this.runner.getAddress());
+        const snapshotBlock = await this.governanceProposal.getProposalSnapshot(proposalId);
+        const [stake, pastStake, pastTotalStake, quitStake, unallocated, closesAt] = await Promise.all([
+            this.governanceToken.stakes(account),
+            this.governanceToken.getPastStake(account, snapshotBlock),
+            this.governanceToken.getPastTotalStake(snapshotBlock),
+            this.timelock.rageQuitStakes(proposalId),
+            this.treasury.unallocatedBalance(),
+            this.timelock.executionTimes(proposalId),
+        ]);
+        const shareStake = stake < pastStake ? stake : pastStake;
+        const totalStake = pastTotalStake - quitStake;
+        const share = totalStake === 0n ? 0n : (unallocated * shareStake) / totalStake;
+        return { stake, share, closesAt: Number(closesAt) };
+    }
+
+    // ============ Proposals ============
+
+    /**
+     * Create a proposal. With `token`, the proposal pays out that ERC-20 from
+     * the tier matching `type`, and string/number amounts are read in the
+     * token's own decimals. With `vesting` ({cliff, duration} in seconds) the
+     * payout is streamed to the recipient instead of sent at once. ETH payouts
+     * that would break their tier's spending limits come back escalated: `type`
+     * is the type the proposal was created with, `escalatedFrom` the one asked for.
+     * @param {{type: string|number, recipient: string, amount: bigint|string|number, description: string, token?: string, vesting?: {cliff?: number, duration: number}}} params
+     * @returns {Promise<{proposalId: bigint, type: string, escalatedFrom: string|null, receipt: import("ethers").TransactionReceipt}>}
+     */
+    async propose({ type, recipient, amount, description, token, vesting }) {
+        const proposalType = toEnumValue(ProposalType, type);
+        const value = token ? await this._toTokenUnits(token, amount) : toWei(amount);
+
+        let receipt;
+        if (vesting) {
+            receipt = await this._send(this.governanceProposal, "createStreamProposal", [
+                proposalType,
+                token || ZeroAddress,
+                recipient,
+                value,
+                description,
+                vesting.cliff || 0,
+                vesting.duration,
+            ]);
+        } else if (token) {
+            receipt = await this._send(this.governanceProposal, "createTokenProposal", [
+                proposalType,
+                token,
+                recipient,
+                value,
+                description,
+            ]);
+        } else {
+            receipt = await this._send(this.governanceProposal, "createProposal", [
+                proposalType,
+                recipient,
+                value,
+                description,
+            ]);
+        }
+        const event = this._findEvent(receipt, this.governanceProposal, "ProposalCreated");
+        const createdType = toEnumName(ProposalType, event.args.proposalType);
+        return {
+            proposalId: event.args.proposalId,
+            type: createdType,
+            escalatedFrom: Number(event.args.proposalType) === proposalType ? null : toEnumName(ProposalType, proposalType),
+            receipt,
+        };
+    }
+
+    /**
+     * Create a proposal that runs a list of contract calls through the
+     * timelock. Each action's value is paid from the timelock's own balance.
+     * @param {{actions: Array<{target: string, value?: bigint|string|number, data?: string}>, description: string}} params
+     * @returns {Promise<{proposalId: bigint, receipt: import("ethers").TransactionReceipt}>}
+     */
+    async proposeActions({ actions, description }) {
+        const { targets, values, calldatas } = splitActions(actions);
+        const receipt = await this._send(this.governanceProposal, "createActionProposal", [
+            targets,
+            values,
+            calldatas,
+            description,
+        ]);
+        const event = this._findEvent(receipt, this.governanceProposal, "ProposalCreated");
+        return { proposalId: event.args.proposalId, receipt };
+    }
+
+    /**
+     * Actions committed by an action proposal, read back from its creation
+     * event. Returns an empty list for plain transfer proposals.
+     * @param {bigint|number} proposalId
+     * @returns {Promise<Array<{target: string, value: bigint, data: string}>>}
+     */
+    async getProposalActions(proposalId) {
+        if ((await this.governanceProposal.actionsHash(proposalId)) === ZeroHash) {
+            return [];
+        }
+
+        // Proposals are created in the block after their snapshot
+        const block = Number(await this.governanceProposal.getProposalSnapshot(proposalId)) + 1;
+        const filter = this.governanceProposal.filters.ActionProposalCreated(proposalId);
+        const [event] = await this.governanceProposal.queryFilter(filter, block, block);
+        if (!event) {
+            throw new DaoError(`ActionProposalCreated event not found for proposal ${proposalId}`, {
+                code: "EVENT_NOT_FOUND",
+            });
+        }
+
+        // Positional, since Result.values would resolve to Array.prototype.values
+        const [, targets, values, calldatas] = event.args;
+        return targets.map((target, i) => ({ target, value: values[i], data: calldatas[i] }));
+    }
+
+    /**
+     * Vote on a proposal. Voting again before voting ends replaces the earlier vote.
+     * @param {bigint|number} proposalId
+     * @param {string|number} support "for", "against", "abstain" or the numeric VoteType
+     * @param {string} [reason] Recorded in the VoteCast event
+     */
+    async castVote(proposalId, support, reason) {
+        const voteType = toEnumValue(VoteType, support);
+        if (reason) {
+            return this._send(this.governanceProposal, "castVoteWithReason", [proposalId, voteType, reason]);
+        }
+        return this._send(this.governanceProposal, "vote", [proposalId, voteType]);
+    }
+
+    /**
+     * Split a delegatee's vote across FOR, AGAINST and ABSTAIN. Shares are
+     * percentages and must add up to 100. They are rounded to basis points,
+     * with the last non-zero share taking whatever the others leave, so
+     * 33.333/33.333/33.334 still adds up. Rounding leftovers of the voting
+     * power count as ABSTAIN.
+     * @param {bigint|number} proposalId
+     * @param {{for?: number, against?: number, abstain?: number}} shares
+     * @param {string} [reason] Recorded in the VoteSplit event
+     * @returns {Promise<{forVotes: bigint, againstVotes: bigint, abstainVotes: bigint, receipt: import("ethers").TransactionReceipt}>}
+     */
+    async castVoteSplit(proposalId, shares, reason = "") {
+        const percentages = [shares.for, shares.against, shares.abstain].map((share) => share ?? 0);
+        const basisPoints = percentages.map((share) => Math.round(share * 100));
+        const last = percentages.findLastIndex((share) => share !== 0);
+        if (last >= 0 && Math.abs(percentages.reduce((sum, share) => sum + share, 0) - 100) < 1e-9) {
+            basisPoints[last] = 10000 - basisPoints.reduce((sum, share, i) => (i === last ? sum : sum + share), 0);
+        }
+        const [forShare, againstShare, abstainShare] = basisPoints;
+        const receipt = await this._send(this.governanceProposal, "castVoteSplit", [
+            proposalId,
+            forShare,
+            againstShare,
+            abstainShare,
+            reason,
+        ]);
+        const { forVotes, againstVotes, abstainVotes } = this._findEvent(receipt, this.governanceProposal, "VoteSplit").args;
+        return { forVotes, againstVotes, abstainVotes, receipt };
+    }
+
+    async delegate(delegatee) {
+        return this._send(this.governanceProposal, "delegate", [delegatee]);
+    }
+
+    async revokeDelegate() {
+        return this._send(this.governanceProposal, "revokeDelegate", []);
+    }
+
+    /**
+     * Voting power delegated to a member, including delegation chains.
+     * Their own power is not included; add getVotingPower() for the total
+     * they would vote with.
+     * @param {string} delegatee
+     * @returns {Promise<bigint>}
+     */
+    async getDelegatedPower(delegatee) {
+        return this.governanceProposal.getDelegatedPower(delegatee);
+    }
+
+    async getDelegators(delegatee) {
+        return [...(await this.governanceProposal.getDelegators(delegatee))];
+    }
+
+    // ============ Signed votes and delegations ============
+
+    /**
+     * EIP-712 domain GovernanceProposal checks signatures against.
+     * @returns {Promise<import("ethers").TypedDataDomain>}
+     */
+    async getSigningDomain() {
+        const domain = await this.governanceProposal.eip712Domain();
+        return {
+            name: domain.name,
+            version: domain.version,
+            chainId: domain.chainId,
+            verifyingContract: domain.verifyingContract,
+        };
+    }
+
+    /**
+     * Nonce the next signature from an account has to cover.
+     * @param {string} account
+     * @returns {Promise<bigint>}
+     */
+    async getNonce(account) {
+        return this.governanceProposal.nonces(account);
+    }
+
+    /**
+     * Sign a vote off-chain, for anyone to submit with castVoteBySig() or hand
+     * to a relayer. Costs the voter no gas.
+     * @param {bigint|number} proposalId
+     * @param {string|number} support "for", "against", "abstain" or the numeric VoteType
+     * @param {{nonce?: bigint|number, expiry?: bigint|number}} [options] Nonce defaults to
+     *   the voter's current one, expiry to a day after the latest block
+     * @returns {Promise<{proposalId: bigint, voteType: number, voter: string, nonce: bigint, expiry: bigint, signature: string}>}
+     */
+    async signVote(proposalId, support, options = {}) {
+        const voter = await this.runner.getAddress();
+        const ballot = {
+            proposalId: BigInt(proposalId),
+            voteType: toEnumValue(VoteType, support),
+            voter,
+            ...(await this._signatureWindow(voter, options)),
+        };
+        const signature = await this.runner.signTypedData(await this.getSigningDomain(), BALLOT_TYPES, ballot);
+        return { ...ballot, signature };
+    }
+
+    /**
+     * Sign a delegation off-chain, for anyone to submit with delegateBySig().
+     * @param {string} delegatee
+     * @param {{nonce?: bigint|number, expiry?: bigint|number}} [options] As for signVote()
+     * @returns {Promise<{delegator: string, delegatee: string, nonce: bigint, expiry: bigint, signature: string}>}
+     */
+    async signDelegation(delegatee, options = {}) {
+        const delegator = await this.runner.getAddress();
+        const delegation = {
+            delegator,
+            delegatee,
+            ...(await this._signatureWindow(delegator, options)),
+        };
+        const signature = await this.runner.signTypedData(await this.getSigningDomain(), DELEGATION_TYPES, delegation);
+        return { ...delegation, signature };
+    }
+
+    /**
+     * Submit a vote signed by someone else, paying its gas.
+     * @param {{proposalId, voteType, voter, expiry, signature}} ballot From signVote()
+     */
+    async castVoteBySig(ballot) {
+        return this._send(this.governanceProposal, "castVoteBySig", this._bySigArgs(ballot));
+    }
+
+    /**
+     * Submit a delegation signed by someone else, paying its gas.
+     * @param {{delegator, delegatee, expiry, signature}} delegation From signDelegation()
+     */
+    async delegateBySig(delegation) {
+        return this._send(this.governanceProposal, "delegateBySig", this._bySigArgs(delegation));
+    }
+
+    /**
+     * Submit several signed votes and delegations in one transaction. They are
+     * applied in order, and any rejection reverts them all.
+     * @param {Object[]} signed Ballots and delegations, in nonce order per signer
+     */
+    async submitSigned(signed) {
+        return this._send(this.governanceProposal, "multicall", [signed.map((item) => this._encodeSigned(item))]);
+    }
+
+    /**
+     * Dry-run submitSigned() without sending anything.
+     * @param {Object[]} signed
+     * @throws {import("./errors").DaoError} With the reason the batch would revert
+     */
+    async simulateSigned(signed) {
+        try {
+            await this.governanceProposal.multicall.staticCall(signed.map((item) => this._encodeSigned(item)));
+        } catch (error) {
+            throw translateError(error, this.interfaces);
+        }
+    }
+
+    /**
+     * Tally a finished vote and, if it passed, schedule it in the timelock,
+     * both in one transaction. Does nothing if it has already been tallied.
+     * @param {bigint|number} proposalId
+     * @returns {Promise<{state: string, executionTime: number}>}
+     */
+    async queue(proposalId) {
+        if ((await this.getProposalState(proposalId)) === "ACTIVE") {
+            await this._send(this.governanceProposal, "queueProposal", [proposalId]);
+        }
+
+        const state = await this.getProposalState(proposalId);
+        return { state, executionTime: Number(await this.timelock.executionTimes(proposalId)) };
+    }
+
+    /**
+     * Execute a queued proposal once its timelock has expired. Action
+     * proposals are executed with the actions fetched from their creation event.
+     * @param {bigint|number} proposalId
+     */
+    async execute(proposalId) {
+        const actions = await this.getProposalActions(proposalId);
+        if (actions.length === 0) {
+            return this._send(this.timelock, "executeProposal", [proposalId]);
+        }
+        const { targets, values, calldatas } = splitActions(actions);
+        return this._send(this.timelock, "executeActions", [proposalId, targets, values, calldatas]);
+    }
+
+    /**
+     * Cancel a proposal. The guardian can cancel it until it executes; its
+     * proposer can withdraw it until the first vote is cast. A queued proposal
+     * is unscheduled from the timelock in the same transaction.
+     * @param {bigint|number} proposalId
+     */
+    async cancel(proposalId) {
+        return this._send(this.governanceProposal, "cancelProposal", [proposalId]);
+    }
+
+    async getProposalCount() {
+        return this.governanceProposal.proposalCount();
+    }
+
+    async getProposalState(proposalId) {
+        return toEnumName(ProposalState, await this.governanceProposal.state(proposalId));
+    }
+
+    /**
+     * Fetch a proposal as a named object with enum fields resolved to names.
+     * @param {bigint|number} proposalId
+     */
+    async getProposal(proposalId) {
+        const proposal = await this.governanceProposal.getProposal(proposalId);
+        const [quorum, threshold] = await this.governanceProposal.getProposalThresholds(proposalId);
+        const executionTime = await this.timelock.executionTimes(proposalId);
+        const gracePeriod = executionTime > 0n ? await this.timelock.GRACE_PERIOD() : 0n;
+        const snapshotBlock = await this.governanceProposal.getProposalSnapshot(proposalId);
+        const actionsHash = await this.governanceProposal.actionsHash(proposalId);
+        const token = await this.governanceProposal.proposalToken(proposalId);
+        const vesting = await this.governanceProposal.vestingSchedules(proposalId);
+
+        return {
+            id: BigInt(proposalId),
+            proposer: proposal.proposer,
+            proposalType: toEnumName(ProposalType, proposal.proposalType),
+            recipient: proposal.recipient,
+            amount: proposal.amount,
+            token: token === ZeroAddress ? null : token,
+            vesting: vesting.duration > 0n
+                ? { cliff: Number(vesting.cliff), duration: Number(vesting.duration) }
+                : null,
+            description: proposal.description,
+            forVotes: proposal.forVotes,
+            againstVotes: proposal.againstVotes,
+            abstainVotes: proposal.abstainVotes,
+            startTime: Number(proposal.startTime),
+            endTime: Number(proposal.endTime),
+            snapshotBlock: Number(snapshotBlock),
+            isActionProposal: actionsHash !== ZeroHash,
+            state: toEnumName(ProposalState, proposal.state),
+            quorum: Number(quorum),
+            threshold: Number(threshold),
+            executionTime: Number(executionTime),
+            // Last moment it can execute; 0 until it is scheduled
+            expiresAt: executionTime > 0n ? Number(executionTime + gracePeriod) : 0,
+        };
+    }
+
+    async hasVoted(proposalId, voter) {
+        return this.governanceProposal.hasVoted(proposalId, voter);
+    }
+
+    /**
+     * How a voter's power is counted on a proposal; all zero if they have not voted.
+     * @param {bigint|number} proposalId
+     * @param {string} voter
+     * @returns {Promise<{forVotes: bigint, againstVotes: bigint, abstainVotes: bigint}>}
+     */
+    async getReceipt(proposalId, voter) {
+        const { forVotes, againstVotes, abstainVotes } = await this.governanceProposal.getReceipt(proposalId, voter);
+        return { forVotes, againstVotes, abstainVotes };
+    }
+
+    /**
+     * Everything a proposal type decides, keyed by ProposalType name: the ETH
+     * amounts it accepts, its voting rules, its timelock delay, and the treasury
+     * tier that pays it out. Durations are in seconds. With a token, the amounts
+     * and the tier are the token's; a type without a band for the token has
+     * a maxAmount of 0 and takes its payouts only as HIGH_CONVICTION.
+     * @param {string} [token] ERC-20 token to report on instead of ETH
+     * @returns {Promise<Object<string, {minAmount: bigint, maxAmount: bigint, quorum: number, threshold: number, votingDelay: number, votingPeriod: number, timelockDelay: number, fundBalance: bigint, fundCap: number}>>}
+     */
+    async getTiers(token) {
+        const names = Object.keys(ProposalType);
+        const rows = await Promise.all(names.map((name) => Promise.all([
+            token
+                ? this.governanceProposal.tokenAmountBands(token, ProposalType[name])
+                : this.governanceProposal.amountBands(ProposalType[name]),
+            this.governanceProposal.votingConfigs(ProposalType[name]),
+            this.timelock.getTimelockDelay(ProposalType[name]),
+            token ? this.treasury.getTokenFundBalance(token, FundType[name]) : this.treasury.getFundBalance(FundType[name]),
+            token ? this.treasury.getTokenFundCap(token, FundType[name]) : this.treasury.getFundCap(FundType[name]),
+        ])));
+
+        const tiers = {};
+        names.forEach((name, i) => {
+            const [band, voting, delay, fundBalance, fundCap] = rows[i];
+            tiers[name] = {
+                minAmount: band.min,
+                maxAmount: band.max,
+                quorum: Number(voting.quorum),
+                threshold: Number(voting.threshold),
+                votingDelay: Number(voting.votingDelay),
+                votingPeriod: Number(voting.votingPeriod),
+                timelockDelay: Number(delay),
+                fundBalance,
+                fundCap: Number(fundCap),
+            };
+        });
+        return tiers;
+    }
+
+    // ============ Treasury ============
+
+    /**
+     * Treasury totals, with tier balances, cap percentages and the amounts
+     * reserved for queued proposals keyed by FundType name.
+     * @param {string} [token] ERC-20 token to report on instead of ETH
+     * @returns {Promise<{total: bigint, funds: Object<string, bigint>, caps: Object<string, number>, reserved: Object<string, bigint>}>}
+     */
+    async getTreasury(token) {
+        const names = Object.keys(FundType);
+        const [total, balances, caps, reserved] = await Promise.all(token
+            ? [
+                this.treasury.getTokenTreasury(token),
+                this.treasury.getAllTokenFundBalances(token),
+                Promise.all(names.map((name) => this.treasury.getTokenFundCap(token, FundType[name]))),
+                Promise.all(names.map((name) => this.treasury.reservedBalances(token, FundType[name]))),
+            ]
+            : [
+                this.treasury.getTotalTreasury(),
+                this.treasury.getAllFundBalances(),
+                Promise.all(names.map((name) => this.treasury.getFundCap(FundType[name]))),
+                Promise.all(names.map((name) => this.treasury.reservedBalances(ZeroAddress, FundType[name]))),
+            ]);
+        const funds = {};
+        const capsByName = {};
+        const reservedByName = {};
+        names.forEach((name, i) => {
+            funds[name] = balances[FundType[name]];
+            capsByName[name] = Number(caps[i]);
+            reservedByName[name] = reserved[i];
+        });
+        return { total, funds, caps: capsByName, reserved: reservedByName };
+    }
+
+    /**
+     * Balances rebalanceFunds would leave each ETH tier with, keyed by FundType name.
+     * @returns {Promise<Object<string, bigint>>}
+     */
+    async getRebalanceTargets() {
+        const targets = await this.treasury.getRebalanceTargets();
+        const byName = {};
+        for (const name of Object.keys(FundType)) {
+            byName[name] = targets[FundType[name]];
+        }
+        return byName;
+    }
+
+    /**
+     * Redistribute the ETH tiers towards their targets (allocator only).
+     * @returns {Promise<{moves: Array<{from: string, to: string, amount: bigint}>, receipt: import("ethers").TransactionReceipt}>}
+     */
+    async rebalance() {
+        const receipt = await this._send(this.treasury, "rebalanceFunds", []);
+        const moves = [];
+        for (const log of receipt.logs) {
+            if (log.address.toLowerCase() !== this.treasury.target.toLowerCase()) continue;
+            const parsed = this.treasury.interface.parseLog(log);
+            if (parsed && parsed.name === "FundsMoved") {
+                moves.push({
+                    from: toEnumName(FundType, parsed.args.from),
+                    to: toEnumName(FundType, parsed.args.to),
+                    amount: parsed.args.amount,
+                });
+            }
+        }
+        return { moves, receipt };
+    }
+
+    /**
+     * Move ETH from one tier to another (allocator only).
+     * @param {string|number} from FundType name or value
+     * @param {string|number} to FundType name or value
+     * @param {bigint|string|number} amount Wei as bigint, or ETH as string/number
+     */
+    async moveFunds(from, to, amount) {
+        return this._send(this.treasury, "moveFunds", [
+            toEnumValue(FundType, from),
+            toEnumValue(FundType, to),
+            toWei(amount),
+        ]);
+    }
+
+    /**
+     * Rolling spending limits of each tier, keyed by FundType name. A zero
+     * budget or recipient cap means none is set, and the matching remaining
+     * amount is MaxUint256. Remaining amounts count what queued proposals have
+     * reserved as paid. Windows are in seconds.
+     * @param {string} [recipient] Also report what the tier can still pay this address
+     * @param {string} [token] ERC-20 token to report on instead of ETH
+     * @returns {Promise<Object<string, {window: number, budget: bigint, recipientCap: bigint, spent: bigint, remaining: bigint, recipientRemaining?: bigint}>>}
+     */
+    async getSpendingLimits(recipient, token) {
+        const names = Object.keys(FundType);
+        const asset = token || ZeroAddress;
+        const rows = await Promise.all(names.map((name) => Promise.all([
+            token ? this.treasury.tokenSpendingLimits(token, FundType[name]) : this.treasury.spendingLimits(FundType[name]),
+            this.treasury.getTokenSpentInWindow(asset, FundType[name]),
+            this.treasury.getTokenRemainingBudget(asset, FundType[name]),
+            recipient ? this.treasury.getTokenRemainingRecipientBudget(asset, FundType[name], recipient) : null,
+        ])));
+
+        const limits = {};
+        names.forEach((name, i) => {
+            const [limit, spent, remaining, recipientRemaining] = rows[i];
+            limits[name] = {
+                window: Number(limit.window),
+                budget: limit.budget,
+                recipientCap: limit.recipientCap,
+                spent,
+                remaining,
+            };
+            if (recipient) {
+                limits[name].recipientRemaining = recipientRemaining;
+            }
+        });
+        return limits;
+    }
+
+    /**
+     * Propose new spending limits for a tier, in ETH or an ERC-20. Executing it
+     * needs the timelock to be admin of the treasury, as scripts/deploy.js sets up.
+     * @param {{type: string|number, window: number, budget: bigint|string|number, recipientCap?: bigint|string|number, token?: string, description: string}} params
+     *        Window in seconds; a budget or cap of 0 removes that limit. With a
+     *        token, strings and numbers are read in its own decimals
+     * @returns {Promise<{proposalId: bigint, receipt: import("ethers").TransactionReceipt}>}
+     */
+    async proposeSpendingLimit({ type, window, budget, recipientCap = 0n, token, description }) {
+        const toUnits = (amount) => (token ? this._toTokenUnits(token, amount) : toWei(amount));
+        const limit = [toEnumValue(FundType, type), window, await toUnits(budget), await toUnits(recipientCap)];
+        const data = token
+            ? this.treasury.interface.encodeFunctionData("updateTokenSpendingLimit", [token, ...limit])
+            : this.treasury.interface.encodeFunctionData("updateSpendingLimit", limit);
+        return this.proposeActions({
+            actions: [{ target: this.treasury.target, value: 0n, data }],
+            description,
+        });
+    }
+
+    /**
+     * Release the reservation of a queued proposal that expired. Anyone can call this.
+     * @param {bigint|number} proposalId
+     */
+    async releaseReservation(proposalId) {
+        return this._send(this.timelock, "releaseReservation", [proposalId]);
+    }
+
+    /**
+     * The stream an executed vesting proposal opened, or null if there is none.
+     * @param {bigint|number} proposalId
+     */
+    async getStream(proposalId) {
+        const stream = await this.treasury.streams(proposalId);
+        if (stream.total === 0n) {
+            return null;
+        }
+
+        const [vested, claimable] = await Promise.all([
+            this.treasury.vestedAmount(proposalId),
+            this.treasury.claimableAmount(proposalId),
+        ]);
+        return {
+            proposalId: BigInt(proposalId),
+            token: stream.token === ZeroAddress ? null : stream.token,
+            recipient: stream.recipient,
+            fundType: toEnumName(FundType, stream.fundType),
+            total: stream.total,
+            claimed: stream.claimed,
+            vested,
+            claimable,
+            start: Number(stream.start),
+            cliffEnd: Number(stream.start + stream.cliff),
+            end: Number(stream.start + stream.duration),
+            cancelled: stream.cancelled,
+        };
+    }
+
+    /**
+     * Claim everything a stream has vested so far (recipient only).
+     * @param {bigint|number} proposalId
+     * @returns {Promise<{amount: bigint, receipt: import("ethers").TransactionReceipt}>}
+     */
+    async claimStream(proposalId) {
+        const receipt = await this._send(this.treasury, "claimStream", [proposalId]);
+        const event = this._findEvent(receipt, this.treasury, "StreamClaimed");
+        return { amount: event.args.amount, receipt };
+    }
+
+    /**
+     * Stop a stream (guardian only): vested funds go to the recipient, the rest
+     * back to the tier.
+     * @param {bigint|number} proposalId
+     * @returns {Promise<{paidOut: bigint, returned: bigint, receipt: import("ethers").TransactionReceipt}>}
+     */
+    async cancelStream(proposalId) {
+        const receipt = await this._send(this.treasury, "cancelStream", [proposalId]);
+        const event = this._findEvent(receipt, this.treasury, "StreamCancelled");
+        return { paidOut: event.args.paidOut, returned: event.args.returned, receipt };
+    }
+
+    /**
+     * Deposit ERC-20 tokens into the treasury, approving it first if needed.
+     * @param {string} token ERC-20 token address
+     * @param {bigint|string|number} amount Base units as bigint, or whole tokens as string/number
+     */
+    async depositToken(token, amount) {
+        const value = await this._toTokenUnits(token, amount);
+        const erc20 = this.token(token);
+        const owner = await this.runner.getAddress();
+
+        if ((await erc20.allowance(owner, this.addresses.MultiTierTreasury)) < value) {
+            await this._send(erc20, "approve", [this.addresses.MultiTierTreasury, value]);
+        }
+        return this._send(this.treasury, "depositToken", [token, value]);
+    }
+
+    /**
+     * Name, symbol and decimals of an ERC-20 token.
+     * @param {string} token
+     * @returns {Promise<{address: string, name: string, symbol: string, decimals: number}>}
+     */
+    async getTokenInfo(token) {
+        const erc20 = this.token(token);
+        const [name, symbol, decimals] = await Promise.all([erc20.name(), erc20.symbol(), erc20.decimals()]);
+        return { address: token, name, symbol, decimals: Number(decimals) };
+    }
+
+    /**
+     * @param {string} address ERC-20 token address
+     * @returns {Contract} The token, bound to this client's runner
+     */
+    token(address) {
+        return new Contract(address, ERC20_ABI, this.runner);
+    }
+
+    // ============ Emergency pause ============
+
+    /**
+     * Pause state of each contract, keyed by contract name.
+     * @returns {Promise<Object<string, {paused: boolean, pausedUntil: number}>>}
+     */
+    async getPauseStatus() {
+        const status = {};
+        for (const [name, contract] of Object.entries(this._pausables())) {
+            const [paused, pausedUntil] = await Promise.all([contract.paused(), contract.pausedUntil()]);
+            status[name] = { paused, pausedUntil: Number(pausedUntil) };
+        }
+        return status;
+    }
+
+    /**
+     * Pause all four contracts for `duration` seconds (timelock guardian only).
+     * @param {number} duration Seconds, at most MAX_PAUSE_DURATION
+     */
+    async pauseAll(duration) {
+        return this._send(this.timelock, "pauseAll", [duration]);
+    }
+
+    /**
+     * Lift the pause on all four contracts early (timelock guardian only).
+     */
+    async unpauseAll() {
+        return this._send(this.timelock, "unpauseAll", []);
+    }
+
+    /**
+     * Propose keeping all four contracts paused until `until`. Executing it
+     * needs the timelock to be admin of each contract, as scripts/deploy.js sets up.
+     * @param {{until: number, description: string}} params Unix timestamp the pause should end at
+     * @returns {Promise<{proposalId: bigint, receipt: import("ethers").TransactionReceipt}>}
+     */
+    async proposePauseExtension({ until, description }) {
+        const actions = Object.values(this._pausables()).map((contract) => ({
+            target: contract.target,
+            value: 0n,
+            data: contract.interface.encodeFunctionData("extendPause", [until]),
+        }));
+        return this.proposeActions({ actions, description });
+    }
+
+    // ============ Internals ============
+
+    _pausables() {
+        return {
+            GovernanceToken: this.governanceToken,
+            GovernanceProposal: this.governanceProposal,
+            TimelockController: this.timelock,
+            MultiTierTreasury: this.treasury,
+        };
+    }
+
+    get interfaces() {
+        return [
+            this.governanceToken.interface,
+            this.governanceProposal.interface,
+            this.timelock.interface,
+            this.treasury.interface,
+            ERC20_INTERFACE,
+        ];
+    }
+
+    async _signatureWindow(signer, { nonce, expiry }) {
+        if (expiry === undefined) {
+            const provider = this.runner.provider || this.runner;
+            expiry = (await provider.getBlock("latest")).timestamp + DEFAULT_SIGNATURE_TTL;
+        }
+        return {
+            nonce: BigInt(nonce ?? (await this.getNonce(signer))),
+            expiry: BigInt(expiry),
+        };
+    }
+
+    _bySigArgs(item) {
+        if (item.voter !== undefined) {
+            return [item.proposalId, item.voteType, item.voter, item.expiry, item.signature];
+        }
+        return [item.delegator, item.delegatee, item.expiry, item.signature];
+    }
+
+    _encodeSigned(item) {
+        const method = item.voter !== undefined ? "castVoteBySig" : "delegateBySig";
+        return this.governanceProposal.interface.encodeFunctionData(method, this._bySigArgs(item));
+    }
+
+    async _toTokenUnits(token, amount) {
+        if (typeof amount === "bigint") {
+            return amount;
+        }
+        return parseUnits(String(amount), await this.token(token).decimals());
+    }
+
+    async _send(contract, method, args, overrides = {}) {
+        try {
+            const tx = await contract[method](...args, overrides);
+            return await tx.wait();
+        } catch (error) {
+            throw translateError(error, this.interfaces);
+        }
+    }
+
+    _countEvents(receipt, contract, eventName) {
+        return receipt.logs.filter((log) => {
+            if (log.address.toLowerCase() !== contract.target.toLowerCase()) return false;
+            const parsed = contract.interface.parseLog(log);
+            return parsed !== null && parsed.name === eventName;
+        }).length;
+    }
+
+    _findEvent(receipt, contract, eventName) {
+        for (const log of receipt.logs) {
+            if (log.address.toLowerCase() !== contract.target.toLowerCase()) continue;
+            const parsed = contract.interface.parseLog(log);
+            if (parsed && parsed.name === eventName) {
+                return parsed;
+            }
+        }
+        throw new DaoError(`${eventName} event not found in transaction ${receipt.hash}`, {
+            code: "EVENT_NOT_FOUND",
+        });
+    }
+}
+
+module.exports = {
+    DEFAULT_SIGNATURE_TTL,
+    DaoClient,
+    splitActions,
+    toWei,
+};
@@ -0,0 +1,103 @@
+/**
+ * Enum mirrors for the on-chain types. Values follow the declaration order in
+ * the Solidity sources, so they can be passed straight into contract calls.
+ */
+
+const ProposalType = Object.freeze({
+    HIGH_CONVICTION: 0,
+    EXPERIMENTAL: 1,
+    OPERATIONAL: 2,
+});
+
+const ProposalState = Object.freeze({
+    PENDING: 0,
+    ACTIVE: 1,
+    DEFEATED: 2,
+    QUEUED: 3,
+    EXECUTED: 4,
+    CANCELLED: 5,
+    EXPIRED: 6,
+});
+
+const VoteType = Object.freeze({
+    AGAINST: 0,
+    FOR: 1,
+    ABSTAIN: 2,
+});
+
+const FundType = Object.freeze({
+    HIGH_CONVICTION: 0,
+    EXPERIMENTAL: 1,
+    OPERATIONAL: 2,
+});
+
+/** EIP-712 types of the votes and delegations GovernanceProposal accepts by signature */
+const BALLOT_TYPES = Object.freeze({
+    Ballot: [
+        { name: "proposalId", type: "uint256" },
+        { name: "voteType", type: "uint8" },
+        { name: "voter", type: "address" },
+        { name: "nonce", type: "uint256" },
+        { name: "expiry", type: "uint256" },
+    ],
+});
+
+const DELEGATION_TYPES = Object.freeze({
+    Delegation: [
+        { name: "delegator", type: "address" },
+        { name: "delegatee", type: "address" },
+        { name: "nonce", type: "uint256" },
+        { name: "expiry", type: "uint256" },
+    ],
+});
+
+/**
+ * Resolve an enum member from a name ("experimental", "HIGH-CONVICTION") or
+ * a numeric value.
+ * @param {Object} enumType One of the frozen enum objects above
+ * @param {string|number|bigint} value Name or numeric value
+ * @returns {number} Numeric enum value
+ */
+function toEnumValue(enumType, value) {
+    if (typeof value === "bigint" || typeof value === "number") {
+        const numeric = Number(value);
+        if (Object.values(enumType).includes(numeric)) {
+            return numeric;
+        }
+    } else if (typeof value === "string") {
+        const key = value.trim().toUpperCase().replace(/[\s-]/g, "_");
+        if (Object.prototype.hasOwnProperty.call(enumType, key)) {
+            return enumType[key];
+        }
+        if (/^\d+$/.test(key)) {
+            return toEnumValue(enumType, Number(key));
+        }
+    }
+    throw new TypeError(`Invalid enum value: ${value} (expected one of ${Object.keys(enumType).join(", ")})`);
+}
+
+/**
+ * Map a numeric enum value returned by a contract to its name.
+ * @param {Object} enumType One of the frozen enum objects above
+ * @param {number|bigint} value Numeric value
+ * @returns {string} Member name
+ */
+function toEnumName(enumType, value) {
+    const numeric = Number(value);
+    const name = Object.keys(enumType).find((key) => enumType[key] === numeric);
+    if (name === undefined) {
+        throw new TypeError(`Unknown enum value: ${value}`);
+    }
+    return name;
+}
+
+module.exports = {
+    ProposalType,
+    ProposalState,
+    VoteType,
+    FundType,
+    BALLOT_TYPES,
+    DELEGATION_TYPES,
+    toEnumValue,
+    toEnumName,
+};
@@ -0,0 +1,421 @@
+const fs = require("fs");
+const path = require("path");
+const { formatEther, parseEther } = require("ethers");
+const { FundType } = require("./constants");
+const { ConfigurationError } = require("./errors");
+const { REQUIRED_CONTRACTS } = require("./deployment");
+const { applyGovernanceConfig, applySpendingLimits } = require("./governanceConfig");
+
+/** Default location read by scripts/deploy.js */
+const DEFAULT_DEPLOY_CONFIG_PATH = path.join(__dirname, "..", "config", "deploy.json");
+
+/**
+ * Roles the contracts grant each other, as the contract holding the role, the
+ * role, and the contract it is granted to. The deployer grants them all, and
+ * verify() checks every one.
+ */
+const ROLE_GRANTS = Object.freeze([
+    // Stake locks on vote, and the minimum stake to propose
+    { contract: "GovernanceToken", role: "GOVERNANCE_ROLE", grantee: "GovernanceProposal" },
+    // TimelockController.rageQuit returns a dissenting member's stake through exitStake
+    { contract: "GovernanceToken", role: "RAGE_QUIT_ROLE", grantee: "TimelockController" },
+    // markExecuted and releaseDissentLock
+    { contract: "GovernanceProposal", role: "EXECUTOR_ROLE", grantee: "TimelockController" },
+    // Lets an executed action proposal cancel proposals, alongside the guardian
+    { contract: "GovernanceProposal", role: "GUARDIAN_ROLE", grantee: "TimelockController" },
+    // queueProposal and cancelProposal schedule and unschedule in the timelock
+    // (granted by its constructor, listed here so verify() checks it)
+    { contract: "TimelockController", role: "GOVERNANCE_ROLE", grantee: "GovernanceProposal" },
+    // Payouts, streams, reservations and rage-quit shares
+    { contract: "MultiTierTreasury", role: "EXECUTOR_ROLE", grantee: "TimelockController" },
+    // Lets an executed action proposal cancel a stream, alongside the guardian
+    { contract: "MultiTierTreasury", role: "GUARDIAN_ROLE", grantee: "TimelockController" },
+    // Lets an executed action proposal rebalance the funds (see scripts/drift.js)
+    { contract: "MultiTierTreasury", role: "ALLOCATOR_ROLE", grantee: "TimelockController" },
+    // Lets an executed action proposal register and remove members, alongside the
+    // deployer, which keeps ATTESTER_ROLE to onboard members until governance revokes it
+    { contract: "GovernanceToken", role: "ATTESTER_ROLE", grantee: "TimelockController" },
+    // TimelockController.pauseAll pauses the other three contracts along with itself
+    { contract: "GovernanceToken", role: "PAUSER_ROLE", grantee: "TimelockController" },
+    { contract: "GovernanceProposal", role: "PAUSER_ROLE", grantee: "TimelockController" },
+    { contract: "MultiTierTreasury", role: "PAUSER_ROLE", grantee: "TimelockController" },
+]);
+
+/**
+ * Roles each contract's constructor gives the deployer, which it gives up once
+ * the timelock is admin of every contract. It only keeps GUARDIAN_ROLE, to
+ * cancel proposals and pause, EXECUTOR_ROLE on TimelockController, to run the
+ * keeper that executes proposals, and ATTESTER_ROLE on GovernanceToken, to
+ * register the first members. Governance can revoke those through action proposals.
+ */
+const RENOUNCED_ROLES = Object.freeze({
+    GovernanceToken: Object.freeze(["DEFAULT_ADMIN_ROLE", "PAUSER_ROLE", "GOVERNANCE_ROLE"]),
+    GovernanceProposal: Object.freeze(["DEFAULT_ADMIN_ROLE", "PAUSER_ROLE", "PROPOSER_ROLE", "EXECUTOR_ROLE"]),
+    MultiTierTreasury: Object.freeze(["DEFAULT_ADMIN_ROLE", "PAUSER_ROLE", "EXECUTOR_ROLE", "ALLOCATOR_ROLE"]),
+    TimelockController: Object.freeze(["DEFAULT_ADMIN_ROLE", "PAUSER_ROLE"]),
+});
+
+/** Steps after the contracts are deployed, in order; each runs once per deployment */
+const STEPS = Object.freeze(["grantRoles", "fundTreasury", "allocateFunds", "configure", "handOffAdmin"]);
+
+function invalid(file, message) {
+    return new ConfigurationError(`Invalid deploy config ${file}: ${message}`, { code: "DEPLOY_CONFIG_INVALID" });
+}
+
+function parseEthSetting(file, name, value) {
+    if (typeof value !== "string" || !/^\d+(\.\d+)?$/.test(value)) {
+        throw invalid(file, `${name} must be an ETH amount as a string`);
+    }
+    return parseEther(value);
+}
+
+/**
+ * Load a deploy config and pick out one network's parameters. Settings under
+ * `networks.<name>` replace those under `defaults`.
+ * @param {string} network Network being deployed to
+ * @param {string} [file] Path to the config JSON (defaults to config/deploy.json)
+ * @returns {{initialFunding: bigint, allocations: Object<string, bigint>}} Amounts in wei
+ */
+function loadDeployConfig(network, file = DEFAULT_DEPLOY_CONFIG_PATH) {
+    if (!fs.existsSync(file)) {
+        throw new ConfigurationError(`Deploy config not found: ${file}`, { code: "DEPLOY_CONFIG_NOT_FOUND" });
+    }
+
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+        throw new ConfigurationError(`Deploy config is not valid JSON: ${file}`, {
+            code: "DEPLOY_CONFIG_INVALID",
+            cause: error,
+        });
+    }
+
+    const settings = { ...config.defaults, ...(config.networks || {})[network] };
+    for (const key of Object.keys(settings)) {
+        if (!["initialFunding", "allocations"].includes(key)) {
+            throw invalid(file, `unknown setting ${key}`);
+        }
+    }
+
+    const initialFunding = parseEthSetting(file, "initialFunding", settings.initialFunding ?? "0");
+    const allocations = {};
+    let allocated = 0n;
+    for (const [type, amount] of Object.entries(settings.allocations || {})) {
+        if (!(type in FundType)) {
+            throw invalid(file, `unknown fund type ${type}`);
+        }
+        allocations[type] = parseEthSetting(file, `allocations.${type}`, amount);
+        allocated += allocations[type];
+    }
+    if (allocated > initialFunding) {
+        throw invalid(file, `allocations for ${network} add up to more than its initialFunding`);
+    }
+
+    return { initialFunding, allocations };
+}
+
+/**
+ * Deploys the four contracts, wires their roles, funds the treasury and hands
+ * admin rights to the timelock, recording progress in a per-network registry.
+ *
+ * Re-running against the same registry is safe: contracts that are already
+ * deployed are reused, finished steps are skipped, and role grants are only
+ * sent when missing, so an interrupted deployment resumes where it stopped.
+ * A registry whose contracts no longer exist (a restarted local node) is
+ * archived and the deployment starts over, as it does with `fresh`. The
+ * contracts are not upgradeable: a fresh deployment replaces them all, and the
+ * registry keeps the earlier addresses under `previous`.
+ */
+class DaoDeployer {
+    /**
+     * @param {Object} options
+     * @param {import("ethers").Signer} options.signer Deployer account
+     * @param {string} options.network Network name recorded in the registry
+     * @param {(name: string) => Promise<import("ethers").ContractFactory>} options.getFactory
+     *        Contract factory bound to the signer, e.g. hre.ethers.getContractFactory
+     * @param {{initialFunding: bigint, allocations: Object<string, bigint>}} options.config From loadDeployConfig
+     * @param {Object} options.governanceConfig From loadGovernanceConfig
+     * @param {string|null} [options.registryFile] Registry to resume from and write to; null keeps it in memory
+     * @param {boolean} [options.fresh] Archive the existing deployment and deploy new contracts
+     * @param {{info: Function}} [options.logger]
+     */
+    constructor({
+        signer,
+        network,
+        getFactory,
+        config,
+        governanceConfig,
+        registryFile = null,
+        fresh = false,
+        logger = console,
+    }) {
+        this.signer = signer;
+        this.network = network;
+        this.getFactory = getFactory;
+        this.config = config;
+        this.governanceConfig = governanceConfig;
+        this.registryFile = registryFile;
+        this.fresh = fresh;
+        this.logger = logger;
+        this.registry = null;
+        this.contracts = {};
+    }
+
+    /**
+     * Run every step that has not run yet, then verify the result.
+     * @returns {Promise<{registry: Object, verification: {ok: boolean, checks: Array<{name: string, ok: boolean}>}}>}
+     * @throws {ConfigurationError} DEPLOYMENT_CHAIN_MISMATCH, DEPLOYER_MISMATCH or DEPLOYMENT_VERIFICATION_FAILED
+     */
+    async deploy() {
+        await this._openRegistry();
+        await this._deployContracts();
+
+        for (const step of STEPS) {
+            if (this.registry.completedSteps.includes(step)) {
+                this.logger.info(`⏭️  ${step} already done`);
+                continue;
+            }
+            await this[`_${step}`]();
+            this.registry.completedSteps.push(step);
+            this._save();
+        }
+
+        const verification = await this.verify();
+        if (!verification.ok) {
+            const failed = verification.checks.filter((check) => !check.ok).map((check) => check.name);
+            throw new ConfigurationError(`Deployment verification failed: ${failed.join("; ")}`, {
+                code: "DEPLOYMENT_VERIFICATION_FAILED",
+            });
+        }
+        return { registry: this.registry, verification };
+    }
+
+    /**
+     * Check every role in ROLE_GRANTS, that the timelock is admin of all four
+     * contracts, that the deployer renounced every role in RENOUNCED_ROLES, and
+     * that GovernanceProposal checks payouts against the treasury and schedules
+     * in the timelock. Without a prior deploy(), the registry file is
+     * read as it is.
+     * @returns {Promise<{ok: boolean, checks: Array<{name: string, ok: boolean}>}>}
+     */
+    async verify() {
+        if (!this.registry) {
+            this.registry = this._readRegistry();
+            if (!this.registry) {
+                throw new ConfigurationError(`No deployment registry at ${this.registryFile}`, { code: "DEPLOYMENT_NOT_FOUND" });
+            }
+        }
+        const contracts = await this._attachAll();
+        const address = (name) => this.registry.contracts[name];
+        const hasRole = async (name, role, account) =>
+            contracts[name].hasRole(await contracts[name][role](), account);
+
+        const checks = [];
+        for (const { contract, role, grantee } of ROLE_GRANTS) {
+            checks.push({
+                name: `${contract} ${role} granted to ${grantee}`,
+                ok: await hasRole(contract, role, address(grantee)),
+            });
+        }
+        for (const name of REQUIRED_CONTRACTS) {
+            checks.push({
+                name: `${name} DEFAULT_ADMIN_ROLE held by TimelockController`,
+                ok: await hasRole(name, "DEFAULT_ADMIN_ROLE", address("TimelockController")),
+            });
+            for (const role of RENOUNCED_ROLES[name]) {
+                checks.push({
+                    name: `${name} ${role} renounced by deployer`,
+                    ok: !(await hasRole(name, role, this.registry.deployer)),
+                });
+            }
+        }
+        checks.push({
+            name: "GovernanceProposal checks spending limits of MultiTierTreasury",
+            ok: (await contracts.GovernanceProposal.treasury()) === address("MultiTierTreasury"),
+        });
+        checks.push({
+            name: "GovernanceProposal schedules passed proposals in TimelockController",
+            ok: (await contracts.GovernanceProposal.timelock()) === address("TimelockController"),
+        });
+
+        return { ok: checks.every((check) => check.ok), checks };
+    }
+
+    async _openRegistry() {
+        const chainId = Number((await this.signer.provider.getNetwork()).chainId);
+        const deployer = await this.signer.getAddress();
+        const existing = this._readRegistry();
+
+        if (existing && existing.chainId !== chainId) {
+            throw new ConfigurationError(
+                `${this.registryFile} belongs to chain ${existing.chainId}, but ${this.network} is chain ${chainId}`,
+                { code: "DEPLOYMENT_CHAIN_MISMATCH" }
+            );
+        }
+
+        const stale = existing && !this.fresh && await this._isStale(existing);
+        if (existing && !this.fresh && !stale) {
+            const finished = existing.completedSteps.includes("handOffAdmin");
+            if (!finished && existing.deployer !== deployer) {
+                throw new ConfigurationError(
+                    `${this.registryFile} is a partial deployment by ${existing.deployer}; resume it with that account`,
+                    { code: "DEPLOYER_MISMATCH" }
+                );
+            }
+            this.logger.info(finished
+                ? `📒 Deployment on ${this.network} is complete, verifying it`
+                : `📒 Resuming deployment on ${this.network} from ${this.registryFile}`);
+            this.registry = existing;
+            return;
+        }
+
+        const previous = existing ? [...(existing.previous || [])] : [];
+        if (existing) {
+            this.logger.info(stale
+                ? `🗄️  Contracts in ${this.registryFile} no longer exist, starting over`
+                : `🗄️  Archiving the deployment from ${existing.timestamp}`);
+            previous.push({ deployer: existing.deployer, timestamp: existing.timestamp, contracts: existing.contracts });
+        }
+        this.registry = {
+            network: this.network,
+            chainId,
+            deployer,
+            timestamp: new Date().toISOString(),
+            contracts: {},
+            completedSteps: [],
+            previous,
+        };
+        this._save();
+    }
+
+    async _isStale(registry) {
+        for (const address of Object.values(registry.contracts)) {
+            if ((await this.signer.provider.getCode(address)) === "0x") {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    async _deployContracts() {
+        const constructorArgs = {
+            GovernanceToken: () => [],
+            GovernanceProposal: () => [this.registry.contracts.GovernanceToken],
+            MultiTierTreasury: () => [],
+            TimelockController: () => [this.registry.contracts.GovernanceProposal, this.registry.contracts.MultiTierTreasury],
+        };
+
+        for (const name of REQUIRED_CONTRACTS) {
+            if (this.registry.contracts[name]) {
+                this.logger.info(`♻️  ${name} already at ${this.registry.contracts[name]}`);
+                continue;
+            }
+            const factory = await this.getFactory(name);
+            const contract = await factory.deploy(...constructorArgs[name]());
+            await contract.waitForDeployment();
+            this.registry.contracts[name] = await contract.getAddress();
+            this._save();
+            this.logger.info(`✅ ${name} deployed to ${this.registry.contracts[name]}`);
+        }
+    }
+
+    async _grantRoles() {
+        const contracts = await this._attachAll();
+        for (const { contract, role, grantee } of ROLE_GRANTS) {
+            const roleId = await contracts[contract][role]();
+            const account = this.registry.contracts[grantee];
+            if (await contracts[contract].hasRole(roleId, account)) {
+                continue;
+            }
+            await (await contracts[contract].grantRole(roleId, account)).wait();
+            this.logger.info(`✅ Granted ${role} on ${contract} to ${grantee}`);
+        }
+    }
+
+    async _fundTreasury() {
+        if (this.config.initialFunding === 0n) {
+            return;
+        }
+        const tx = await this.signer.sendTransaction({
+            to: this.registry.contracts.MultiTierTreasury,
+            value: this.config.initialFunding,
+        });
+        await tx.wait();
+        this.logger.info(`✅ Treasury funded with ${formatEther(this.config.initialFunding)} ETH`);
+    }
+
+    async _allocateFunds() {
+        const { MultiTierTreasury: treasury } = await this._attachAll();
+        for (const [type, amount] of Object.entries(this.config.allocations)) {
+            if (amount === 0n) {
+                continue;
+            }
+            await (await treasury.allocateFunds(FundType[type], amount)).wait();
+            this.logger.info(`✅ Allocated ${formatEther(amount)} ETH to ${type}`);
+        }
+    }
+
+    // Voting rules and spending limits have to be set while the deployer is still admin
+    async _configure() {
+        const { GovernanceProposal: governanceProposal, MultiTierTreasury: treasury } = await this._attachAll();
+        await applyGovernanceConfig(governanceProposal, this.governanceConfig);
+        await applySpendingLimits(treasury, this.governanceConfig);
+        await (await governanceProposal.setTreasury(this.registry.contracts.MultiTierTreasury)).wait();
+        await (await governanceProposal.setTimelock(this.registry.contracts.TimelockController)).wait();
+        this.logger.info("✅ Governance config applied");
+    }
+
+    // From here on roles, fund caps and timelock delays only change through an
+    // executed action proposal. Pauses go through the guardian's pauseAll.
+    async _handOffAdmin() {
+        const contracts = await this._attachAll();
+        const timelock = this.registry.contracts.TimelockController;
+        for (const name of REQUIRED_CONTRACTS) {
+            const contract = contracts[name];
+            const adminRole = await contract.DEFAULT_ADMIN_ROLE();
+            if (!(await contract.hasRole(adminRole, timelock))) {
+                await (await contract.grantRole(adminRole, timelock)).wait();
+            }
+            for (const role of RENOUNCED_ROLES[name]) {
+                const roleId = await contract[role]();
+                if (await contract.hasRole(roleId, this.registry.deployer)) {
+                    await (await contract.renounceRole(roleId, this.registry.deployer)).wait();
+                }
+            }
+            this.logger.info(`✅ TimelockController is now the only admin of ${name}`);
+        }
+    }
+
+    async _attachAll() {
+        for (const name of REQUIRED_CONTRACTS) {
+            if (!this.contracts[name]) {
+                this.contracts[name] = (await this.getFactory(name)).attach(this.registry.contracts[name]);
+            }
+        }
+        return this.contracts;
+    }
+
+    _readRegistry() {
+        if (!this.registryFile || !fs.existsSync(this.registryFile)) {
+            return null;
+        }
+        return JSON.parse(fs.readFileSync(this.registryFile, "utf8"));
+    }
+
+    _save() {
+        this.registry.timestamp = new Date().toISOString();
+        if (this.registryFile) {
+            fs.mkdirSync(path.dirname(this.registryFile), { recursive: true });
+            fs.writeFileSync(this.registryFile, `${JSON.stringify(this.registry, null, 2)}\n`);
+        }
+    }
+}
+
+module.exports = {
+    DEFAULT_DEPLOY_CONFIG_PATH,
+    ROLE_GRANTS,
+    RENOUNCED_ROLES,
+    loadDeployConfig,
+    DaoDeployer,
+};
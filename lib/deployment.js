@@ -0,0 +1,87 @@
+const fs = require("fs");
+const path = require("path");
+const { ConfigurationError } = require("./errors");
+
+/** Contracts every deployment file must list */
+const REQUIRED_CONTRACTS = [
+    "GovernanceToken",
+    "GovernanceProposal",
+    "MultiTierTreasury",
+    "TimelockController",
+];
+
+/** Single-file location used before deployments were kept per network */
+const DEFAULT_DEPLOYMENT_PATH = path.join(__dirname, "..", "deployment-addresses.json");
+
+/** Directory holding one registry per network, written by scripts/deploy.js */
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+/**
+ * @param {string} network Network name, e.g. localhost or sepolia
+ * @returns {string} Path of the network's deployment registry
+ */
+function deploymentPath(network) {
+    return path.join(DEPLOYMENTS_DIR, `${network}.json`);
+}
+
+/** Network the legacy deployment-addresses.json was written for */
+const LEGACY_NETWORK = "localhost";
+
+/**
+ * Deployment file to use for a network: an explicit file, else the network's
+ * registry. On localhost, a missing registry falls back to the legacy
+ * deployment-addresses.json; other networks never read it, so they cannot pick
+ * up local contract addresses.
+ * @param {string} network Network name
+ * @param {string} [file] Explicit path, takes precedence
+ * @returns {string}
+ */
+function resolveDeploymentPath(network, file) {
+    if (file) {
+        return file;
+    }
+    const registry = deploymentPath(network);
+    return network === LEGACY_NETWORK && !fs.existsSync(registry) ? DEFAULT_DEPLOYMENT_PATH : registry;
+}
+
+/**
+ * Load and validate a deployment file produced by scripts/deploy.js.
+ * @param {string} [file] Path to the deployment JSON (defaults to the repo root copy)
+ * @returns {{network: string, deployer: string, timestamp: string, contracts: Object<string, string>}}
+ */
+function loadDeployment(file = DEFAULT_DEPLOYMENT_PATH) {
+    if (!fs.existsSync(file)) {
+        throw new ConfigurationError(`Deployment file not found: ${file}. Run scripts/deploy.js first.`, {
+            code: "DEPLOYMENT_NOT_FOUND",
+        });
+    }
+
+    let deployment;
+    try {
+        deployment = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+        throw new ConfigurationError(`Deployment file is not valid JSON: ${file}`, {
+            code: "DEPLOYMENT_INVALID",
+            cause: error,
+        });
+    }
+
+    const contracts = deployment.contracts || {};
+    const missing = REQUIRED_CONTRACTS.filter((name) => !contracts[name]);
+    if (missing.length > 0) {
+        throw new ConfigurationError(`Deployment file is missing addresses for: ${missing.join(", ")}`, {
+            code: "DEPLOYMENT_INCOMPLETE",
+        });
+    }
+
+    return deployment;
+}
+
+module.exports = {
+    REQUIRED_CONTRACTS,
+    DEFAULT_DEPLOYMENT_PATH,
+    DEPLOYMENTS_DIR,
+    deploymentPath,
+    resolveDeploymentPath,
+    loadDeployment,
+};
@@ -0,0 +1,175 @@
+const { FundType } = require("./constants");
+
+/** Proposals in these states can still execute a pending rebalance */
+const OPEN_STATES = new Set(["PENDING", "ACTIVE", "QUEUED"]);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * @param {bigint} amount
+ * @param {bigint} pool
+ * @returns {number} `amount` as percentage points of `pool`, to two decimals
+ */
+function toPoints(amount, pool) {
+    return pool === 0n ? 0 : Number((amount * 10000n) / pool) / 100;
+}
+
+/**
+ * Watches how far each ETH fund has drifted from the balance rebalanceFunds
+ * would give it, and recommends a rebalance once any fund is more than
+ * `threshold` percentage points of the funds' total away from its target.
+ *
+ * Targets come from MultiTierTreasury.getRebalanceTargets: reservations of
+ * queued proposals stay where they are and the rest is split by fund cap.
+ * With `propose`, the monitor also creates an action proposal that calls
+ * rebalanceFunds through the timelock, unless one is already open. The
+ * timelock needs ALLOCATOR_ROLE on the treasury to execute it.
+ */
+class DriftMonitor {
+    /**
+     * @param {Object} options
+     * @param {import("./client").DaoClient} options.client Client bound to the proposer when `propose` is set
+     * @param {number} [options.threshold] Drift that triggers a rebalance, in percentage points
+     * @param {boolean} [options.propose] Create a rebalance proposal instead of only recommending one
+     * @param {number} [options.pollInterval] Delay between checks when running, in ms
+     * @param {{info: Function, warn: Function}} [options.logger]
+     */
+    constructor({
+        client,
+        threshold = 5,
+        propose = false,
+        pollInterval = 60000,
+        logger = console,
+    }) {
+        this.client = client;
+        this.threshold = threshold;
+        this.propose = propose;
+        this.pollInterval = pollInterval;
+        this.logger = logger;
+        this.running = false;
+    }
+
+    /**
+     * Compare each fund with its target and act on the result.
+     *
+     * `action` is "none" when every fund is within the threshold, "recommend"
+     * when a rebalance is due, "pending" when an open proposal already
+     * rebalances, "proposed" when this check created one, and "blocked" when
+     * the funds hold less than is reserved, so rebalanceFunds would revert.
+     *
+     * @returns {Promise<{pool: bigint, reserved: bigint, funds: Object<string, {balance: bigint, reserved: bigint, target: bigint, cap: number, share: number, drift: bigint, driftPoints: number}>, maxDrift: number, action: string, proposalId?: bigint}>}
+     */
+    async check() {
+        const [{ funds: balances, caps, reserved }, targets] = await Promise.all([
+            this.client.getTreasury(),
+            this.client.getRebalanceTargets(),
+        ]);
+
+        const names = Object.keys(FundType);
+        const pool = names.reduce((sum, name) => sum + balances[name], 0n);
+        const totalReserved = names.reduce((sum, name) => sum + reserved[name], 0n);
+
+        const funds = {};
+        let maxDrift = 0;
+        for (const name of names) {
+            const drift = balances[name] - targets[name];
+            const driftPoints = toPoints(drift, pool);
+            funds[name] = {
+                balance: balances[name],
+                reserved: reserved[name],
+                target: targets[name],
+                cap: caps[name],
+                share: toPoints(balances[name], pool),
+                drift,
+                driftPoints,
+            };
+            maxDrift = Math.max(maxDrift, Math.abs(driftPoints));
+        }
+
+        const report = { pool, reserved: totalReserved, funds, maxDrift, action: "none" };
+        if (totalReserved > pool) {
+            report.action = "blocked";
+            this.logger.warn(`Funds hold ${pool} wei but ${totalReserved} wei is reserved for queued proposals; rebalancing would revert`);
+            return report;
+        }
+        if (maxDrift <= this.threshold) {
+            return report;
+        }
+
+        const pending = await this.findRebalanceProposal();
+        if (pending !== undefined) {
+            report.action = "pending";
+            report.proposalId = pending;
+            this.logger.info(`Drift of ${maxDrift} points; proposal #${pending} already rebalances`);
+        } else if (this.propose) {
+            const { proposalId } = await this.client.proposeActions({
+                actions: [this.rebalanceAction()],
+                description: `Rebalance treasury funds (drift of ${maxDrift} points)`,
+            });
+            report.action = "proposed";
+            report.proposalId = proposalId;
+            this.logger.info(`Drift of ${maxDrift} points; proposed a rebalance as #${proposalId}`);
+        } else {
+            report.action = "recommend";
+            this.logger.info(`Drift of ${maxDrift} points exceeds ${this.threshold}; a rebalance is recommended`);
+        }
+        return report;
+    }
+
+    /**
+     * Check, then keep checking every pollInterval until stop() is called.
+     */
+    async run() {
+        this.running = true;
+        while (this.running) {
+            try {
+                await this.check();
+            } catch (error) {
+                this.logger.warn(`Check failed: ${error.message}`);
+            }
+            if (this.running) {
+                await sleep(this.pollInterval);
+            }
+        }
+    }
+
+    stop() {
+        this.running = false;
+    }
+
+    /**
+     * The action that makes the timelock call rebalanceFunds.
+     * @returns {{target: string, value: bigint, data: string}}
+     */
+    rebalanceAction() {
+        return {
+            target: this.client.addresses.MultiTierTreasury,
+            value: 0n,
+            data: this.client.treasury.interface.encodeFunctionData("rebalanceFunds"),
+        };
+    }
+
+    /**
+     * ID of an active or queued proposal whose only action is a rebalance,
+     * newest first, or undefined if there is none.
+     * @returns {Promise<bigint|undefined>}
+     */
+    async findRebalanceProposal() {
+        const { target, data } = this.rebalanceAction();
+        const count = Number(await this.client.getProposalCount());
+
+        for (let proposalId = count; proposalId >= 1; proposalId--) {
+            if (!OPEN_STATES.has(await this.client.getProposalState(proposalId))) continue;
+
+            const actions = await this.client.getProposalActions(proposalId);
+            if (actions.length === 1 && actions[0].target.toLowerCase() === target.toLowerCase() && actions[0].data === data) {
+                return BigInt(proposalId);
+            }
+        }
+        return undefined;
+    }
+}
+
+module.exports = {
+    DriftMonitor,
+};
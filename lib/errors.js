@@ -0,0 +1,296 @@
+/**
+ * Structured errors for DAO interactions. Contract reverts are translated from
+ * their reason strings (or custom errors) into one of the classes below so
+ * callers can branch on `instanceof` or `error.code` instead of parsing text.
+ */
+
+class DaoError extends Error {
+    constructor(message, { code = "UNKNOWN", reason, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.reason = reason;
+    }
+}
+
+/** Deployment file missing or incomplete */
+class ConfigurationError extends DaoError {}
+
+/** Deposits, withdrawals, lockups and stake requirements */
+class StakeError extends DaoError {}
+
+/** Member registry attestations rejected by GovernanceToken */
+class RegistryError extends DaoError {}
+
+/** Invalid proposal parameters at creation */
+class ProposalValidationError extends DaoError {}
+
+/** Vote rejected by GovernanceProposal */
+class VotingError extends DaoError {}
+
+/** Delegation rejected by GovernanceProposal */
+class DelegationError extends DaoError {}
+
+/** Signed vote or delegation rejected: expired, replayed or not signed by the member */
+class SignatureError extends DaoError {}
+
+/** Queue, execute or cancel attempted in the wrong lifecycle state */
+class LifecycleError extends DaoError {}
+
+/** Treasury balance or cap violations */
+class TreasuryError extends DaoError {}
+
+/** Rejected because of, or by, the emergency pause */
+class PauseError extends DaoError {}
+
+/** Caller lacks the role required by AccessControl */
+class AccessDeniedError extends DaoError {
+    constructor(message, { account, role, ...options } = {}) {
+        super(message, options);
+        this.account = account;
+        this.role = role;
+    }
+}
+
+/**
+ * Known revert reason strings, keyed to the error class and code they map to.
+ */
+const REVERT_REASONS = {
+    // Shared
+    "Amount must be greater than 0": [DaoError, "ZERO_AMOUNT"],
+
+    // GovernanceToken
+    "Must deposit ETH": [StakeError, "ZERO_DEPOSIT"],
+    "Insufficient stake": [StakeError, "INSUFFICIENT_STAKE"],
+    "Cannot withdraw with active votes": [StakeError, "ACTIVE_VOTES"],
+    "Stake is locked": [StakeError, "STAKE_LOCKED"],
+    "No stake to lock": [StakeError, "NO_STAKE"],
+    "Unlock time must be in the future": [StakeError, "INVALID_UNLOCK_TIME"],
+    "Can only extend lock": [StakeError, "LOCK_NOT_EXTENDED"],
+    "Lock too long": [StakeError, "LOCK_TOO_LONG"],
+    "ETH transfer failed": [TreasuryError, "TRANSFER_FAILED"],
+    "Block not yet mined": [DaoError, "FUTURE_BLOCK"],
+    "Time not yet reached": [DaoError, "FUTURE_TIME"],
+
+    // GovernanceToken: member registry
+    "Invalid member": [RegistryError, "INVALID_MEMBER"],
+    "Already registered": [RegistryError, "ALREADY_REGISTERED"],
+    "Not registered": [RegistryError, "NOT_REGISTERED"],
+
+    // GovernanceProposal: creation
+    "Insufficient stake to create proposal": [StakeError, "INSUFFICIENT_PROPOSAL_STAKE"],
+    "Invalid recipient": [ProposalValidationError, "INVALID_RECIPIENT"],
+    "Invalid token": [ProposalValidationError, "INVALID_TOKEN"],
+    "Invalid vesting schedule": [ProposalValidationError, "INVALID_VESTING"],
+    "Description required": [ProposalValidationError, "DESCRIPTION_REQUIRED"],
+    "Amount outside tier band": [ProposalValidationError, "AMOUNT_OUT_OF_BAND"],
+    "Invalid amount band": [ProposalValidationError, "INVALID_AMOUNT_BAND"],
+    "Invalid quorum": [ProposalValidationError, "INVALID_QUORUM"],
+    "Invalid threshold": [ProposalValidationError, "INVALID_THRESHOLD"],
+    "Invalid voting delay": [ProposalValidationError, "INVALID_VOTING_DELAY"],
+    "Invalid voting period": [ProposalValidationError, "INVALID_VOTING_PERIOD"],
+    "Invalid timelock": [ConfigurationError, "INVALID_TIMELOCK"],
+    "No actions": [ProposalValidationError, "NO_ACTIONS"],
+    "Action length mismatch": [ProposalValidationError, "ACTION_LENGTH_MISMATCH"],
+    "Invalid action target": [ProposalValidationError, "INVALID_ACTION_TARGET"],
+
+    // GovernanceProposal: voting
+    "Proposal not active": [VotingError, "PROPOSAL_NOT_ACTIVE"],
+    "Voting not started": [VotingError, "VOTING_NOT_STARTED"],
+    "Voting ended": [VotingError, "VOTING_ENDED"],
+    "No voting power": [VotingError, "NO_VOTING_POWER"],
+    "Voting power delegated": [VotingError, "VOTING_POWER_DELEGATED"],
+    "Voting power already used by delegate": [VotingError, "POWER_ALREADY_USED"],
+    "Only delegatees can split": [VotingError, "NOT_DELEGATEE"],
+    "Shares must add up to 100%": [VotingError, "INVALID_SPLIT"],
+
+    // GovernanceProposal: delegation
+    "Cannot delegate to zero address": [DelegationError, "ZERO_DELEGATE"],
+    "Cannot delegate to self": [DelegationError, "SELF_DELEGATION"],
+    "Circular delegation": [DelegationError, "CIRCULAR_DELEGATION"],
+    "Already delegated to this address": [DelegationError, "ALREADY_DELEGATED"],
+    "No active delegation": [DelegationError, "NO_DELEGATION"],
+    "No voting power to delegate": [DelegationError, "NO_VOTING_POWER"],
+    "Too many delegators": [DelegationError, "TOO_MANY_DELEGATORS"],
+
+    // GovernanceProposal: signed votes and delegations
+    "Signature expired": [SignatureError, "SIGNATURE_EXPIRED"],
+    "Invalid signature": [SignatureError, "INVALID_SIGNATURE"],
+
+    // Lifecycle (GovernanceProposal and TimelockController)
+    "Voting period not ended": [LifecycleError, "VOTING_NOT_ENDED"],
+    "Proposal not queued": [LifecycleError, "NOT_QUEUED"],
+    "Cannot cancel proposal": [LifecycleError, "NOT_CANCELLABLE"],
+    "Votes already cast": [LifecycleError, "VOTES_CAST"],
+    "Proposal not finalized": [LifecycleError, "NOT_FINALIZED"],
+    "Proposal already executed": [LifecycleError, "ALREADY_EXECUTED"],
+    "Proposal already queued": [LifecycleError, "ALREADY_QUEUED"],
+    "Timelock not set": [ConfigurationError, "TIMELOCK_NOT_SET"],
+    "Timelock not expired": [LifecycleError, "TIMELOCK_NOT_EXPIRED"],
+    "Proposal expired": [LifecycleError, "EXPIRED"],
+    "Use executeActions": [LifecycleError, "ACTION_PROPOSAL"],
+    "Actions do not match proposal": [LifecycleError, "ACTIONS_MISMATCH"],
+    "Action failed": [LifecycleError, "ACTION_FAILED"],
+    "Action not allowed": [LifecycleError, "ACTION_NOT_ALLOWED"],
+    "Delay too short": [LifecycleError, "INVALID_DELAY"],
+    "Delay too long": [LifecycleError, "INVALID_DELAY"],
+    "Treasury transfer failed": [TreasuryError, "TREASURY_TRANSFER_FAILED"],
+    "Reservation failed": [TreasuryError, "RESERVATION_FAILED"],
+    "Release failed": [TreasuryError, "RELEASE_FAILED"],
+    "Proposal not expired": [LifecycleError, "NOT_EXPIRED"],
+
+    // Rage-quit (TimelockController, GovernanceProposal and MultiTierTreasury)
+    "Rage-quit window closed": [LifecycleError, "RAGE_QUIT_CLOSED"],
+    "Did not vote against": [VotingError, "NOT_DISSENTER"],
+    "Lock already released": [VotingError, "LOCK_RELEASED"],
+    "Invalid stake": [StakeError, "INVALID_STAKE"],
+    "Rage-quit payout failed": [TreasuryError, "RAGE_QUIT_PAYOUT_FAILED"],
+
+    // MultiTierTreasury
+    "Exceeds fund cap": [TreasuryError, "EXCEEDS_FUND_CAP"],
+    "Insufficient fund balance": [TreasuryError, "INSUFFICIENT_FUND_BALANCE"],
+    "Insufficient treasury balance": [TreasuryError, "INSUFFICIENT_TREASURY_BALANCE"],
+    "Invalid cap percentage": [TreasuryError, "INVALID_CAP"],
+    "Not stream recipient": [TreasuryError, "NOT_STREAM_RECIPIENT"],
+    "Stream not active": [TreasuryError, "STREAM_NOT_ACTIVE"],
+    "Nothing to claim": [TreasuryError, "NOTHING_TO_CLAIM"],
+    "Funds already reserved": [TreasuryError, "ALREADY_RESERVED"],
+    "No reservation": [TreasuryError, "NO_RESERVATION"],
+    "Cannot move to the same fund": [TreasuryError, "SAME_FUND"],
+    "Funds reserved for queued proposals": [TreasuryError, "FUNDS_RESERVED"],
+    "Reservations exceed allocated funds": [TreasuryError, "OVER_RESERVED"],
+    "Exceeds tier budget": [TreasuryError, "OVER_BUDGET"],
+    "Exceeds recipient cap": [TreasuryError, "OVER_RECIPIENT_CAP"],
+    "Invalid spending window": [TreasuryError, "INVALID_SPENDING_WINDOW"],
+    "Invalid spending limit": [TreasuryError, "INVALID_SPENDING_LIMIT"],
+
+    // Emergency pause (all four contracts)
+    "Contract paused": [PauseError, "PAUSED"],
+    "Already paused": [PauseError, "ALREADY_PAUSED"],
+    "Not paused": [PauseError, "NOT_PAUSED"],
+    "Invalid pause duration": [PauseError, "INVALID_PAUSE_DURATION"],
+    "Pause cooldown active": [PauseError, "PAUSE_COOLDOWN"],
+    "Invalid pause end": [PauseError, "INVALID_PAUSE_END"],
+    "Not authorized to unpause": [AccessDeniedError, "NOT_PAUSER"],
+};
+
+const REASON_PATTERN = /reverted with reason string '([^']*)'/;
+const CUSTOM_ERROR_PATTERN = /reverted with custom error '(\w+)\(([^)]*)\)'/;
+
+/**
+ * Walk an ethers (or Hardhat) error and pull out the revert reason or
+ * custom error, decoding raw revert data with the given interfaces.
+ * @param {Error} error Error thrown by a contract call
+ * @param {import("ethers").Interface[]} interfaces Interfaces used to decode custom errors
+ * @returns {{reason?: string, customError?: {name: string, args: any[]}}}
+ */
+function extractRevert(error, interfaces = []) {
+    const seen = new Set();
+    let current = error;
+
+    while (current && typeof current === "object" && !seen.has(current)) {
+        seen.add(current);
+
+        if (current.revert && current.revert.name) {
+            if (current.revert.name === "Error") {
+                return { reason: current.revert.args[0] };
+            }
+            return { customError: { name: current.revert.name, args: [...current.revert.args] } };
+        }
+        if (typeof current.reason === "string" && current.reason.length > 0) {
+            return { reason: current.reason };
+        }
+        if (typeof current.data === "string" && current.data.length > 10) {
+            for (const iface of interfaces) {
+                try {
+                    const parsed = iface.parseError(current.data);
+                    if (parsed) {
+                        if (parsed.name === "Error") {
+                            return { reason: parsed.args[0] };
+                        }
+                        return { customError: { name: parsed.name, args: [...parsed.args] } };
+                    }
+                } catch (_) {
+                    // Not one of ours; try the next interface
+                }
+            }
+        }
+        if (typeof current.message === "string") {
+            const reasonMatch = current.message.match(REASON_PATTERN);
+            if (reasonMatch) {
+                return { reason: reasonMatch[1] };
+            }
+            const customMatch = current.message.match(CUSTOM_ERROR_PATTERN);
+            if (customMatch) {
+                const args = customMatch[2]
+                    .split(",")
+                    .map((arg) => arg.trim().replace(/^"|"$/g, ""))
+                    .filter((arg) => arg.length > 0);
+                return { customError: { name: customMatch[1], args } };
+            }
+        }
+
+        current = current.error || current.info?.error || current.cause;
+    }
+
+    return {};
+}
+
+/**
+ * Translate a failed contract interaction into a structured DaoError.
+ * Errors that are already DaoErrors, or that carry no revert information
+ * (network failures, user rejections), are returned unchanged.
+ * @param {Error} error Original error
+ * @param {import("ethers").Interface[]} interfaces Interfaces used to decode custom errors
+ * @returns {Error} Translated error
+ */
+function translateError(error, interfaces = []) {
+    if (error instanceof DaoError) {
+        return error;
+    }
+
+    const { reason, customError } = extractRevert(error, interfaces);
+
+    if (reason !== undefined) {
+        const [ErrorClass, code] = REVERT_REASONS[reason] || [DaoError, "REVERTED"];
+        return new ErrorClass(reason, { code, reason, cause: error });
+    }
+
+    if (customError) {
+        if (customError.name === "AccessControlUnauthorizedAccount") {
+            const [account, role] = customError.args.map(String);
+            return new AccessDeniedError(`Account ${account} is missing role ${role}`, {
+                code: "MISSING_ROLE",
+                reason: customError.name,
+                account,
+                role,
+                cause: error,
+            });
+        }
+        return new DaoError(`Reverted with ${customError.name}`, {
+            code: "REVERTED",
+            reason: customError.name,
+            cause: error,
+        });
+    }
+
+    return error;
+}
+
+module.exports = {
+    DaoError,
+    ConfigurationError,
+    StakeError,
+    RegistryError,
+    ProposalValidationError,
+    VotingError,
+    DelegationError,
+    SignatureError,
+    LifecycleError,
+    TreasuryError,
+    PauseError,
+    AccessDeniedError,
+    REVERT_REASONS,
+    extractRevert,
+    translateError,
+};
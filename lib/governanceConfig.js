@@ -0,0 +1,145 @@
+const fs = require("fs");
+const path = require("path");
+const { parseEther } = require("ethers");
+const { ProposalType, FundType } = require("./constants");
+const { ConfigurationError } = require("./errors");
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+/** Default location read by scripts/deploy.js */
+const DEFAULT_GOVERNANCE_CONFIG_PATH = path.join(__dirname, "..", "config", "governance.json");
+
+/**
+ * Bounds GovernanceProposal.updateVotingConfig enforces, as inclusive
+ * [min, max] pairs. Checked here too so a bad file fails before anything
+ * is deployed. Durations are in seconds.
+ */
+const VOTING_CONFIG_BOUNDS = Object.freeze({
+    quorum: [1, 100],
+    threshold: [51, 100],
+    votingDelay: [0, 7 * DAY],
+    votingPeriod: [HOUR, 30 * DAY],
+});
+
+/** Window bounds MultiTierTreasury.updateSpendingLimit enforces, in seconds */
+const SPENDING_WINDOW_BOUNDS = Object.freeze([DAY, 365 * DAY]);
+
+function invalid(file, message) {
+    return new ConfigurationError(`Invalid governance config ${file}: ${message}`, { code: "GOVERNANCE_CONFIG_INVALID" });
+}
+
+/** Read an ETH amount such as "2.5" into wei */
+function parseEthSetting(file, name, value) {
+    if (typeof value !== "string" || !/^\d+(\.\d+)?$/.test(value)) {
+        throw invalid(file, `${name} must be an ETH amount as a string`);
+    }
+    return parseEther(value);
+}
+
+/**
+ * Load and validate a governance config file. Proposal types left out of
+ * `votingConfigs` keep the contract defaults; listed types must set every field.
+ * Tiers left out of `spendingLimits` have none; listed tiers set a `window` in
+ * seconds, a `budget` and optionally a `recipientCap` in ETH ("0" for no limit).
+ * @param {string} [file] Path to the config JSON (defaults to config/governance.json)
+ * @returns {{votingConfigs: Object<string, {quorum: number, threshold: number, votingDelay: number, votingPeriod: number}>, spendingLimits: Object<string, {window: number, budget: bigint, recipientCap: bigint}>}}
+ */
+function loadGovernanceConfig(file = DEFAULT_GOVERNANCE_CONFIG_PATH) {
+    if (!fs.existsSync(file)) {
+        throw new ConfigurationError(`Governance config not found: ${file}`, { code: "GOVERNANCE_CONFIG_NOT_FOUND" });
+    }
+
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+        throw new ConfigurationError(`Governance config is not valid JSON: ${file}`, {
+            code: "GOVERNANCE_CONFIG_INVALID",
+            cause: error,
+        });
+    }
+
+    const votingConfigs = config.votingConfigs || {};
+    for (const [type, rules] of Object.entries(votingConfigs)) {
+        if (!(type in ProposalType)) {
+            throw invalid(file, `unknown proposal type ${type}`);
+        }
+        for (const key of Object.keys(rules)) {
+            if (!(key in VOTING_CONFIG_BOUNDS)) {
+                throw invalid(file, `unknown setting ${type}.${key}`);
+            }
+        }
+        for (const [key, [min, max]] of Object.entries(VOTING_CONFIG_BOUNDS)) {
+            const value = rules[key];
+            if (!Number.isInteger(value) || value < min || value > max) {
+                throw invalid(file, `${type}.${key} must be an integer from ${min} to ${max}`);
+            }
+        }
+    }
+
+    const spendingLimits = {};
+    for (const [type, limit] of Object.entries(config.spendingLimits || {})) {
+        if (!(type in FundType)) {
+            throw invalid(file, `unknown fund type ${type}`);
+        }
+        for (const key of Object.keys(limit)) {
+            if (!["window", "budget", "recipientCap"].includes(key)) {
+                throw invalid(file, `unknown setting ${type}.${key}`);
+            }
+        }
+        const [min, max] = SPENDING_WINDOW_BOUNDS;
+        if (!Number.isInteger(limit.window) || limit.window < min || limit.window > max) {
+            throw invalid(file, `${type}.window must be an integer from ${min} to ${max}`);
+        }
+        const budget = parseEthSetting(file, `${type}.budget`, limit.budget);
+        const recipientCap = parseEthSetting(file, `${type}.recipientCap`, limit.recipientCap ?? "0");
+        if (budget > 0n && recipientCap > budget) {
+            throw invalid(file, `${type}.recipientCap cannot exceed the budget`);
+        }
+        spendingLimits[type] = { window: limit.window, budget, recipientCap };
+    }
+
+    return { votingConfigs, spendingLimits };
+}
+
+/**
+ * Write a loaded config's voting rules to GovernanceProposal. The signer must
+ * still hold DEFAULT_ADMIN_ROLE, so this runs before admin passes to the timelock.
+ * @param {import("ethers").Contract} governanceProposal
+ * @param {{votingConfigs: Object<string, {quorum: number, threshold: number, votingDelay: number, votingPeriod: number}>}} config
+ */
+async function applyGovernanceConfig(governanceProposal, config) {
+    for (const [type, rules] of Object.entries(config.votingConfigs)) {
+        const tx = await governanceProposal.updateVotingConfig(
+            ProposalType[type],
+            rules.quorum,
+            rules.threshold,
+            rules.votingDelay,
+            rules.votingPeriod
+        );
+        await tx.wait();
+    }
+}
+
+/**
+ * Write a loaded config's spending limits to MultiTierTreasury. Like
+ * applyGovernanceConfig, this needs the signer to still be admin.
+ * @param {import("ethers").Contract} treasury
+ * @param {{spendingLimits: Object<string, {window: number, budget: bigint, recipientCap: bigint}>}} config
+ */
+async function applySpendingLimits(treasury, config) {
+    for (const [type, limit] of Object.entries(config.spendingLimits)) {
+        const tx = await treasury.updateSpendingLimit(FundType[type], limit.window, limit.budget, limit.recipientCap);
+        await tx.wait();
+    }
+}
+
+module.exports = {
+    DEFAULT_GOVERNANCE_CONFIG_PATH,
+    VOTING_CONFIG_BOUNDS,
+    SPENDING_WINDOW_BOUNDS,
+    loadGovernanceConfig,
+    applyGovernanceConfig,
+    applySpendingLimits,
+};
@@ -0,0 +1,50 @@
+/**
+ * CryptoVentures DAO JavaScript SDK
+ *
+ * Shared by scripts, bots and dashboards. Only depends on ethers v6, so it can
+ * run against any provider, inside or outside Hardhat.
+ */
+
+const { DaoClient, toWei } = require("./client");
+const { DaoKeeper, isTransientError } = require("./keeper");
+const { VoteRelayer, sendToRelayer } = require("./relayer");
+const { ProposalSimulator } = require("./simulator");
+const { TreasuryReporter, statementToCsv } = require("./reporting");
+const { DriftMonitor } = require("./drift");
+const { LOCK_PERIOD, MAX_LOCK_DURATION, votingPowerAt, powerCurve, renderPowerCurve } = require("./lockups");
+const { DaoDeployer, loadDeployConfig, DEFAULT_DEPLOY_CONFIG_PATH, ROLE_GRANTS, RENOUNCED_ROLES } = require("./deployer");
+const constants = require("./constants");
+const errors = require("./errors");
+const abi = require("./abi");
+const deployment = require("./deployment");
+const governanceConfig = require("./governanceConfig");
+const networks = require("./networks");
+
+module.exports = {
+    DaoClient,
+    toWei,
+    DaoKeeper,
+    isTransientError,
+    VoteRelayer,
+    sendToRelayer,
+    ProposalSimulator,
+    TreasuryReporter,
+    statementToCsv,
+    DriftMonitor,
+    LOCK_PERIOD,
+    MAX_LOCK_DURATION,
+    votingPowerAt,
+    powerCurve,
+    renderPowerCurve,
+    DaoDeployer,
+    loadDeployConfig,
+    DEFAULT_DEPLOY_CONFIG_PATH,
+    ROLE_GRANTS,
+    RENOUNCED_ROLES,
+    ...constants,
+    ...errors,
+    ...abi,
+    ...deployment,
+    ...governanceConfig,
+    ...networks,
+};
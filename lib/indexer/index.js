@@ -0,0 +1,7 @@
+const { DaoIndexer } = require("./indexer");
+const { IndexerStore } = require("./store");
+
+module.exports = {
+    DaoIndexer,
+    IndexerStore,
+};
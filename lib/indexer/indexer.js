@@ -0,0 +1,249 @@
+const { Interface } = require("ethers");
+const {
+    GOVERNANCE_TOKEN_ABI,
+    GOVERNANCE_PROPOSAL_ABI,
+    TIMELOCK_CONTROLLER_ABI,
+    MULTI_TIER_TREASURY_ABI,
+} = require("../abi");
+const { ProposalType, VoteType, FundType, toEnumName } = require("../constants");
+
+const CONTRACT_ABIS = {
+    GovernanceToken: GOVERNANCE_TOKEN_ABI,
+    GovernanceProposal: GOVERNANCE_PROPOSAL_ABI,
+    TimelockController: TIMELOCK_CONTROLLER_ABI,
+    MultiTierTreasury: MULTI_TIER_TREASURY_ABI,
+};
+
+/** Event arguments that carry enum values, by argument name */
+const ENUM_ARGS = {
+    proposalType: ProposalType,
+    voteType: VoteType,
+    fundType: FundType,
+};
+
+/** Enum arguments whose names are too generic to map for every event */
+const EVENT_ENUM_ARGS = {
+    FundsMoved: { from: FundType, to: FundType },
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Follows the DAO contracts and writes their events into an IndexerStore.
+ *
+ * Each sync checks that the last processed block is still canonical; on a
+ * mismatch it walks back through the stored block hashes to the common
+ * ancestor, rolls the store back to it, and re-indexes from there.
+ */
+class DaoIndexer {
+    /**
+     * @param {Object} options
+     * @param {import("ethers").Provider} options.provider
+     * @param {Object<string, string>} options.addresses Contract addresses keyed by contract name
+     * @param {import("./store").IndexerStore} options.store
+     * @param {number} [options.startBlock] First block to backfill from
+     * @param {number} [options.batchSize] Maximum blocks per getLogs request
+     * @param {number} [options.pollInterval] Delay between syncs when following, in ms
+     * @param {number} [options.maxReorgDepth] Block hashes kept for reorg detection
+     * @param {{info: Function, warn: Function}} [options.logger]
+     */
+    constructor({
+        provider,
+        addresses,
+        store,
+        startBlock = 0,
+        batchSize = 2000,
+        pollInterval = 4000,
+        maxReorgDepth = 128,
+        logger = console,
+    }) {
+        this.provider = provider;
+        this.store = store;
+        this.startBlock = startBlock;
+        this.batchSize = batchSize;
+        this.pollInterval = pollInterval;
+        this.maxReorgDepth = maxReorgDepth;
+        this.logger = logger;
+        this.running = false;
+
+        this.contracts = {};
+        for (const [name, abi] of Object.entries(CONTRACT_ABIS)) {
+            this.contracts[addresses[name].toLowerCase()] = { name, iface: new Interface(abi) };
+        }
+        this.addresses = Object.values(addresses).map((address) => address.toLowerCase());
+
+        this._checkAddresses();
+    }
+
+    /**
+     * Index everything up to the current head.
+     * @returns {Promise<{fromBlock: number, toBlock: number, events: number, reorg?: number}>}
+     */
+    async syncOnce() {
+        const reorg = await this._handleReorg();
+        const head = await this.provider.getBlockNumber();
+        const last = this.store.getLastBlock();
+        const fromBlock = last === undefined ? this.startBlock : last + 1;
+
+        let events = 0;
+        for (let start = fromBlock; start <= head; start += this.batchSize) {
+            const end = Math.min(start + this.batchSize - 1, head);
+            events += await this._indexRange(start, end);
+        }
+
+        const result = { fromBlock, toBlock: head, events };
+        if (reorg !== undefined) {
+            result.reorg = reorg;
+        }
+        return result;
+    }
+
+    /**
+     * Backfill, then keep following new blocks until stop() is called.
+     */
+    async run() {
+        this.running = true;
+        while (this.running) {
+            try {
+                const { fromBlock, toBlock, events } = await this.syncOnce();
+                if (toBlock >= fromBlock) {
+                    this.logger.info(`Indexed blocks ${fromBlock}-${toBlock} (${events} events)`);
+                }
+            } catch (error) {
+                this.logger.warn(`Sync failed, retrying: ${error.message}`);
+            }
+            if (this.running) {
+                await sleep(this.pollInterval);
+            }
+        }
+    }
+
+    stop() {
+        this.running = false;
+    }
+
+    // ============ Internals ============
+
+    /**
+     * A database is bound to one deployment; refuse to mix contracts.
+     */
+    _checkAddresses() {
+        const key = [...this.addresses].sort().join(",");
+        const stored = this.store.getMeta("contracts");
+        if (stored === undefined) {
+            this.store.setMeta("contracts", key);
+        } else if (stored !== key) {
+            throw new Error("Database was built for a different deployment; use a new database file");
+        }
+    }
+
+    /**
+     * @returns {Promise<number|undefined>} The ancestor rolled back to, if a reorg was found
+     */
+    async _handleReorg() {
+        const last = this.store.getLastBlock();
+        if (last === undefined) {
+            return undefined;
+        }
+
+        const stored = this.store.getBlocksBefore(last, this.maxReorgDepth);
+        if (stored.length === 0) {
+            return undefined;
+        }
+
+        const tip = await this.provider.getBlock(stored[0].number);
+        if (tip && tip.hash === stored[0].hash) {
+            return undefined;
+        }
+
+        let ancestor = this.startBlock - 1;
+        for (const block of stored.slice(1)) {
+            const canonical = await this.provider.getBlock(block.number);
+            if (canonical && canonical.hash === block.hash) {
+                ancestor = block.number;
+                break;
+            }
+        }
+
+        this.logger.warn(`Reorg detected at block ${stored[0].number}; rolling back to ${ancestor}`);
+        this.store.rollback(ancestor);
+        return ancestor;
+    }
+
+    async _indexRange(fromBlock, toBlock) {
+        const logs = await this.provider.getLogs({ address: this.addresses, fromBlock, toBlock });
+
+        const blocks = new Map();
+        const blockInfo = async (number) => {
+            if (!blocks.has(number)) {
+                const block = await this.provider.getBlock(number);
+                blocks.set(number, { number, hash: block.hash, timestamp: block.timestamp });
+            }
+            return blocks.get(number);
+        };
+
+        const events = [];
+        for (const log of logs) {
+            const event = this._decode(log);
+            if (event) {
+                event.timestamp = (await blockInfo(log.blockNumber)).timestamp;
+                events.push(event);
+            }
+        }
+        await blockInfo(toBlock);
+
+        // A block whose hash changed between getLogs and getBlock means a reorg
+        // happened mid-range; skip the commit and let the next sync handle it.
+        for (const event of events) {
+            if (blocks.get(event.blockNumber).hash !== event.blockHash) {
+                throw new Error(`Block ${event.blockNumber} changed while indexing`);
+            }
+        }
+
+        events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+        this.store.commitRange([...blocks.values()], events, toBlock, toBlock - this.maxReorgDepth);
+        return events.length;
+    }
+
+    _decode(log) {
+        const contract = this.contracts[log.address.toLowerCase()];
+        if (!contract) {
+            return undefined;
+        }
+
+        let parsed;
+        try {
+            parsed = contract.iface.parseLog(log);
+        } catch (_) {
+            return undefined;
+        }
+        if (!parsed) {
+            return undefined;
+        }
+
+        const args = {};
+        parsed.fragment.inputs.forEach((input, i) => {
+            const value = parsed.args[i];
+            const enumType = EVENT_ENUM_ARGS[parsed.name]?.[input.name] || ENUM_ARGS[input.name];
+            if (enumType) {
+                args[input.name] = toEnumName(enumType, value);
+            } else {
+                args[input.name] = typeof value === "bigint" ? value.toString() : value;
+            }
+        });
+
+        return {
+            blockNumber: log.blockNumber,
+            logIndex: log.index,
+            blockHash: log.blockHash,
+            txHash: log.transactionHash,
+            contract: contract.name,
+            name: parsed.name,
+            args,
+        };
+    }
+}
+
+module.exports = {
+    DaoIndexer,
+};
@@ -0,0 +1,557 @@
+const Database = require("better-sqlite3");
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+);
+
+-- Hashes of processed blocks, used to detect reorgs
+CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL
+);
+
+-- Raw decoded events: the source of truth every other table is derived from
+CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    block_timestamp INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    contract TEXT NOT NULL,
+    name TEXT NOT NULL,
+    args TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+);
+
+CREATE TABLE IF NOT EXISTS members (
+    address TEXT PRIMARY KEY,
+    stake TEXT NOT NULL,
+    voting_power TEXT NOT NULL,
+    unlock_time INTEGER,
+    registered INTEGER NOT NULL DEFAULT 0,
+    first_block INTEGER NOT NULL,
+    updated_block INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS stake_changes (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    member TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    stake_after TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+);
+
+CREATE TABLE IF NOT EXISTS proposals (
+    id INTEGER PRIMARY KEY,
+    proposer TEXT NOT NULL,
+    proposal_type TEXT NOT NULL,
+    recipient TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    token TEXT,
+    vesting_cliff INTEGER,
+    vesting_duration INTEGER,
+    description TEXT NOT NULL,
+    state TEXT NOT NULL,
+    for_votes TEXT NOT NULL DEFAULT '0',
+    against_votes TEXT NOT NULL DEFAULT '0',
+    abstain_votes TEXT NOT NULL DEFAULT '0',
+    defeat_reason TEXT,
+    queued_time INTEGER,
+    execution_time INTEGER,
+    created_block INTEGER NOT NULL,
+    created_at INTEGER NOT NULL,
+    updated_block INTEGER NOT NULL
+);
+
+-- Each voter's current vote; support is SPLIT when a delegatee split it
+CREATE TABLE IF NOT EXISTS votes (
+    proposal_id INTEGER NOT NULL,
+    voter TEXT NOT NULL,
+    support TEXT NOT NULL,
+    voting_power TEXT NOT NULL,
+    for_votes TEXT,
+    against_votes TEXT,
+    abstain_votes TEXT,
+    reason TEXT,
+    block_number INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    PRIMARY KEY (proposal_id, voter)
+);
+
+CREATE TABLE IF NOT EXISTS delegations (
+    delegator TEXT PRIMARY KEY,
+    delegatee TEXT NOT NULL,
+    updated_block INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS treasury_movements (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    fund_type TEXT,
+    proposal_id INTEGER,
+    counterparty TEXT,
+    amount TEXT NOT NULL,
+    token TEXT
+);
+
+CREATE INDEX IF NOT EXISTS votes_by_voter ON votes (voter);
+CREATE INDEX IF NOT EXISTS delegations_by_delegatee ON delegations (delegatee);
+CREATE INDEX IF NOT EXISTS treasury_movements_by_block ON treasury_movements (block_number);
+`;
+
+/** Columns added after the first release, created on databases that predate them */
+const ADDED_COLUMNS = [
+    ["proposals", "token", "TEXT"],
+    ["proposals", "vesting_cliff", "INTEGER"],
+    ["proposals", "vesting_duration", "INTEGER"],
+    ["treasury_movements", "token", "TEXT"],
+    ["votes", "for_votes", "TEXT"],
+    ["votes", "against_votes", "TEXT"],
+    ["votes", "abstain_votes", "TEXT"],
+    ["votes", "reason", "TEXT"],
+    ["members", "unlock_time", "INTEGER"],
+    ["members", "registered", "INTEGER NOT NULL DEFAULT 0"],
+];
+
+/** Tables rebuilt from `events` after a reorg */
+const PROJECTION_TABLES = ["members", "stake_changes", "proposals", "votes", "delegations", "treasury_movements"];
+
+/**
+ * SQLite persistence for the indexer. Every write for a block range happens in
+ * a single transaction, so a crash never leaves a half-applied range behind.
+ */
+class IndexerStore {
+    /**
+     * @param {string} file Database path, or ":memory:"
+     */
+    constructor(file) {
+        this.db = new Database(file);
+        this.db.pragma("journal_mode = WAL");
+        this.db.exec(SCHEMA);
+        this._addMissingColumns();
+    }
+
+    close() {
+        this.db.close();
+    }
+
+    getMeta(key) {
+        const row = this.db.prepare("SELECT value FROM meta WHERE key = ?").get(key);
+        return row ? row.value : undefined;
+    }
+
+    setMeta(key, value) {
+        this.db.prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value")
+            .run(key, String(value));
+    }
+
+    /**
+     * Last fully processed block, or undefined before the first sync.
+     * @returns {number|undefined}
+     */
+    getLastBlock() {
+        const value = this.getMeta("last_block");
+        return value === undefined ? undefined : Number(value);
+    }
+
+    getBlockHash(number) {
+        const row = this.db.prepare("SELECT hash FROM blocks WHERE number = ?").get(number);
+        return row ? row.hash : undefined;
+    }
+
+    /**
+     * Stored blocks at or below `number`, newest first.
+     * @returns {{number: number, hash: string}[]}
+     */
+    getBlocksBefore(number, limit) {
+        return this.db.prepare("SELECT number, hash FROM blocks WHERE number <= ? ORDER BY number DESC LIMIT ?")
+            .all(number, limit);
+    }
+
+    /**
+     * Persist a processed range: its block hashes, decoded events and the
+     * projections derived from them, then advance the cursor.
+     * @param {{number: number, hash: string, timestamp: number}[]} blocks
+     * @param {Object[]} events Decoded events in chain order
+     * @param {number} lastBlock Final block of the range
+     * @param {number} pruneBelow Drop stored block hashes older than this
+     */
+    commitRange(blocks, events, lastBlock, pruneBelow) {
+        const insertBlock = this.db.prepare(
+            "INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (@number, @hash, @timestamp)"
+        );
+        const insertEvent = this.db.prepare(`
+            INSERT INTO events (block_number, log_index, block_hash, block_timestamp, tx_hash, contract, name, args)
+            VALUES (@blockNumber, @logIndex, @blockHash, @timestamp, @txHash, @contract, @name, @args)
+        `);
+
+        this.db.transaction(() => {
+            for (const block of blocks) {
+                insertBlock.run(block);
+            }
+            for (const event of events) {
+                insertEvent.run({ ...event, args: JSON.stringify(event.args) });
+                this._apply(event);
+            }
+            this.db.prepare("DELETE FROM blocks WHERE number < ?").run(pruneBelow);
+            this.setMeta("last_block", lastBlock);
+        })();
+    }
+
+    /**
+     * Discard everything after `ancestor` and rebuild the projections from
+     * the remaining events.
+     * @param {number} ancestor Last block still on the canonical chain
+     */
+    rollback(ancestor) {
+        this.db.transaction(() => {
+            this.db.prepare("DELETE FROM events WHERE block_number > ?").run(ancestor);
+            this.db.prepare("DELETE FROM blocks WHERE number > ?").run(ancestor);
+            for (const table of PROJECTION_TABLES) {
+                this.db.prepare(`DELETE FROM ${table}`).run();
+            }
+
+            const rows = this.db.prepare("SELECT * FROM events ORDER BY block_number, log_index").all();
+            for (const row of rows) {
+                this._apply({
+                    blockNumber: row.block_number,
+                    logIndex: row.log_index,
+                    blockHash: row.block_hash,
+                    txHash: row.tx_hash,
+                    contract: row.contract,
+                    name: row.name,
+                    args: JSON.parse(row.args),
+                    timestamp: row.block_timestamp,
+                });
+            }
+
+            this.setMeta("last_block", ancestor);
+        })();
+    }
+
+    // ============ Queries ============
+
+    getMembers() {
+        return this.db.prepare("SELECT * FROM members ORDER BY address").all();
+    }
+
+    getProposal(id) {
+        return this.db.prepare("SELECT * FROM proposals WHERE id = ?").get(id);
+    }
+
+    getProposals() {
+        return this.db.prepare("SELECT * FROM proposals ORDER BY id").all();
+    }
+
+    getVotes(proposalId) {
+        return this.db.prepare("SELECT * FROM votes WHERE proposal_id = ? ORDER BY block_number, voter").all(proposalId);
+    }
+
+    getDelegations() {
+        return this.db.prepare("SELECT * FROM delegations ORDER BY delegator").all();
+    }
+
+    getTreasuryMovements() {
+        return this.db.prepare("SELECT * FROM treasury_movements ORDER BY id").all();
+    }
+
+    getStakeChanges(member) {
+        return this.db.prepare("SELECT * FROM stake_changes WHERE member = ? ORDER BY block_number, log_index").all(member);
+    }
+
+    // ============ Projections ============
+
+    _addMissingColumns() {
+        for (const [table, column, type] of ADDED_COLUMNS) {
+            const columns = this.db.prepare(`PRAGMA table_info(${table})`).all().map((info) => info.name);
+            if (!columns.includes(column)) {
+                this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+            }
+        }
+    }
+
+    _apply(event) {
+        const handler = PROJECTIONS[`${event.contract}.${event.name}`];
+        if (handler) {
+            handler(this.db, event.args, event);
+        }
+    }
+}
+
+function addAmounts(a, b) {
+    return (BigInt(a) + BigInt(b)).toString();
+}
+
+/** Store a voter's current vote, weights keyed by tally column, and add it to the proposal's tally */
+function recordVote(db, event, args, support, weights) {
+    const id = Number(args.proposalId);
+    const votingPower = Object.values(weights).reduce(addAmounts, "0");
+    db.prepare(`
+        INSERT OR REPLACE INTO votes
+            (proposal_id, voter, support, voting_power, for_votes, against_votes, abstain_votes, reason, block_number, tx_hash)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        id, args.voter, support, votingPower, weights.for_votes, weights.against_votes, weights.abstain_votes,
+        args.reason || null, event.blockNumber, event.txHash
+    );
+    addToTally(db, id, weights, event.blockNumber);
+}
+
+function addToTally(db, id, weights, blockNumber) {
+    const proposal = db.prepare("SELECT * FROM proposals WHERE id = ?").get(id);
+    if (proposal) {
+        const fields = {};
+        for (const [column, amount] of Object.entries(weights)) {
+            fields[column] = addAmounts(proposal[column], amount);
+        }
+        updateProposal(db, id, fields, blockNumber);
+    }
+}
+
+function upsertMember(db, address, fields, blockNumber) {
+    const existing = db.prepare("SELECT * FROM members WHERE address = ?").get(address);
+    const row = {
+        address,
+        stake: "0",
+        voting_power: "0",
+        unlock_time: null,
+        registered: 0,
+        first_block: blockNumber,
+        ...existing,
+        ...fields,
+        updated_block: blockNumber,
+    };
+    db.prepare(`
+        INSERT OR REPLACE INTO members (address, stake, voting_power, unlock_time, registered, first_block, updated_block)
+        VALUES (@address, @stake, @voting_power, @unlock_time, @registered, @first_block, @updated_block)
+    `).run(row);
+}
+
+function updateProposal(db, id, fields, blockNumber) {
+    const columns = Object.keys(fields).map((column) => `${column} = @${column}`).join(", ");
+    db.prepare(`UPDATE proposals SET ${columns}, updated_block = @updated_block WHERE id = @id`)
+        .run({ ...fields, id, updated_block: blockNumber });
+}
+
+function recordMovement(db, event, fields) {
+    db.prepare(`
+        INSERT INTO treasury_movements (block_number, log_index, tx_hash, kind, fund_type, proposal_id, counterparty, amount, token)
+        VALUES (@block_number, @log_index, @tx_hash, @kind, @fund_type, @proposal_id, @counterparty, @amount, @token)
+    `).run({
+        block_number: event.blockNumber,
+        log_index: event.logIndex,
+        tx_hash: event.txHash,
+        fund_type: null,
+        proposal_id: null,
+        counterparty: null,
+        token: null,
+        ...fields,
+    });
+}
+
+/** The movement that opened a proposal's stream, for the token and fund it draws on */
+function findStream(db, proposalId) {
+    return db.prepare("SELECT * FROM treasury_movements WHERE kind = 'stream' AND proposal_id = ?").get(proposalId) || {};
+}
+
+function recordStakeChange(db, event, member, kind, amount, stakeAfter) {
+    db.prepare(`
+        INSERT INTO stake_changes (block_number, log_index, tx_hash, member, kind, amount, stake_after)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(event.blockNumber, event.logIndex, event.txHash, member, kind, amount, stakeAfter);
+}
+
+/**
+ * How each event updates the derived tables. Keys are `<contract>.<event>`;
+ * args arrive with bigints already converted to strings and enums to names.
+ */
+const PROJECTIONS = {
+    "GovernanceToken.Staked": (db, args, event) => {
+        upsertMember(db, args.member, { stake: args.newStake, voting_power: args.votingPower }, event.blockNumber);
+        recordStakeChange(db, event, args.member, "stake", args.amount, args.newStake);
+    },
+    "GovernanceToken.Withdrawn": (db, args, event) => {
+        // Withdrawing the whole stake clears its lock
+        const lock = args.remainingStake === "0" ? { unlock_time: null } : {};
+        upsertMember(db, args.member, { stake: args.remainingStake, ...lock }, event.blockNumber);
+        recordStakeChange(db, event, args.member, "withdraw", args.amount, args.remainingStake);
+    },
+    "GovernanceToken.VotingPowerChanged": (db, args, event) => {
+        upsertMember(db, args.member, { voting_power: args.newPower }, event.blockNumber);
+    },
+    "GovernanceToken.StakeLocked": (db, args, event) => {
+        upsertMember(db, args.member, { unlock_time: Number(args.unlockTime) }, event.blockNumber);
+    },
+    "GovernanceToken.MemberAttested": (db, args, event) => {
+        upsertMember(db, args.member, { registered: 1 }, event.blockNumber);
+    },
+    "GovernanceToken.AttestationRevoked": (db, args, event) => {
+        upsertMember(db, args.member, { registered: 0 }, event.blockNumber);
+    },
+
+    "GovernanceProposal.ProposalCreated": (db, args, event) => {
+        db.prepare(`
+            INSERT OR REPLACE INTO proposals
+                (id, proposer, proposal_type, recipient, amount, description, state, created_block, created_at, updated_block)
+            VALUES (?, ?, ?, ?, ?, ?, 'ACTIVE', ?, ?, ?)
+        `).run(
+            Number(args.proposalId), args.proposer, args.proposalType, args.recipient, args.amount,
+            args.description, event.blockNumber, event.timestamp, event.blockNumber
+        );
+    },
+    "GovernanceProposal.TokenProposalCreated": (db, args, event) => {
+        updateProposal(db, Number(args.proposalId), { token: args.token }, event.blockNumber);
+    },
+    "GovernanceProposal.StreamProposalCreated": (db, args, event) => {
+        updateProposal(db, Number(args.proposalId), {
+            vesting_cliff: Number(args.cliff),
+            vesting_duration: Number(args.duration),
+        }, event.blockNumber);
+    },
+    "GovernanceProposal.ProposalEscalated": (db, args, event) => {
+        // Also emitted when a payout is queued, if queued payouts have filled its tier
+        updateProposal(db, Number(args.proposalId), { proposal_type: args.proposalType }, event.blockNumber);
+    },
+    "GovernanceProposal.VoteCast": (db, args, event) => {
+        const weights = { for_votes: "0", against_votes: "0", abstain_votes: "0" };
+        weights[{ FOR: "for_votes", AGAINST: "against_votes", ABSTAIN: "abstain_votes" }[args.voteType]] = args.votingPower;
+        recordVote(db, event, args, args.voteType, weights);
+    },
+    "GovernanceProposal.VoteSplit": (db, args, event) => {
+        recordVote(db, event, args, "SPLIT", {
+            for_votes: args.forVotes,
+            against_votes: args.againstVotes,
+            abstain_votes: args.abstainVotes,
+        });
+    },
+    // Followed in the same transaction by the VoteCast or VoteSplit that replaces the vote
+    "GovernanceProposal.VoteChanged": (db, args, event) => {
+        addToTally(db, Number(args.proposalId), {
+            for_votes: `-${args.forVotes}`,
+            against_votes: `-${args.againstVotes}`,
+            abstain_votes: `-${args.abstainVotes}`,
+        }, event.blockNumber);
+    },
+    "GovernanceProposal.DelegateChanged": (db, args, event) => {
+        if (args.toDelegate === "0x0000000000000000000000000000000000000000") {
+            db.prepare("DELETE FROM delegations WHERE delegator = ?").run(args.delegator);
+        } else {
+            db.prepare("INSERT OR REPLACE INTO delegations (delegator, delegatee, updated_block) VALUES (?, ?, ?)")
+                .run(args.delegator, args.toDelegate, event.blockNumber);
+        }
+    },
+    "GovernanceProposal.ProposalQueued": (db, args, event) => {
+        updateProposal(db, Number(args.proposalId), { state: "QUEUED", queued_time: Number(args.queuedTime) }, event.blockNumber);
+    },
+    "GovernanceProposal.ProposalDefeated": (db, args, event) => {
+        updateProposal(db, Number(args.proposalId), { state: "DEFEATED", defeat_reason: args.reason }, event.blockNumber);
+    },
+    "GovernanceProposal.ProposalExecuted": (db, args, event) => {
+        updateProposal(db, Number(args.proposalId), { state: "EXECUTED" }, event.blockNumber);
+    },
+    "GovernanceProposal.ProposalCancelled": (db, args, event) => {
+        updateProposal(db, Number(args.proposalId), { state: "CANCELLED" }, event.blockNumber);
+    },
+
+    "TimelockController.ProposalQueued": (db, args, event) => {
+        updateProposal(db, Number(args.proposalId), { execution_time: Number(args.executionTime) }, event.blockNumber);
+    },
+    "TimelockController.ProposalCancelled": (db, args, event) => {
+        updateProposal(db, Number(args.proposalId), { execution_time: null }, event.blockNumber);
+    },
+    // Expiry has no event of its own; releasing the reservation is the first trace of it
+    "TimelockController.ProposalExpired": (db, args, event) => {
+        updateProposal(db, Number(args.proposalId), { state: "EXPIRED" }, event.blockNumber);
+    },
+
+    "MultiTierTreasury.FundsDeposited": (db, args, event) => {
+        recordMovement(db, event, { kind: "deposit", counterparty: args.from, amount: args.amount });
+    },
+    "MultiTierTreasury.FundsAllocated": (db, args, event) => {
+        recordMovement(db, event, { kind: "allocation", fund_type: args.fundType, amount: args.amount });
+    },
+    "MultiTierTreasury.TransferExecuted": (db, args, event) => {
+        recordMovement(db, event, {
+            kind: "transfer",
+            fund_type: args.fundType,
+            proposal_id: Number(args.proposalId),
+            counterparty: args.recipient,
+            amount: args.amount,
+        });
+    },
+    "MultiTierTreasury.TokenDeposited": (db, args, event) => {
+        recordMovement(db, event, { kind: "deposit", counterparty: args.from, amount: args.amount, token: args.token });
+    },
+    "MultiTierTreasury.TokenFundsAllocated": (db, args, event) => {
+        recordMovement(db, event, { kind: "allocation", fund_type: args.fundType, amount: args.amount, token: args.token });
+    },
+    "MultiTierTreasury.TokenTransferExecuted": (db, args, event) => {
+        recordMovement(db, event, {
+            kind: "transfer",
+            fund_type: args.fundType,
+            proposal_id: Number(args.proposalId),
+            counterparty: args.recipient,
+            amount: args.amount,
+            token: args.token,
+        });
+    },
+    "MultiTierTreasury.StreamOpened": (db, args, event) => {
+        recordMovement(db, event, {
+            kind: "stream",
+            fund_type: args.fundType,
+            proposal_id: Number(args.proposalId),
+            counterparty: args.recipient,
+            amount: args.amount,
+            token: args.token === "0x0000000000000000000000000000000000000000" ? null : args.token,
+        });
+    },
+    "MultiTierTreasury.StreamClaimed": (db, args, event) => {
+        const proposalId = Number(args.proposalId);
+        recordMovement(db, event, {
+            kind: "claim",
+            proposal_id: proposalId,
+            counterparty: args.recipient,
+            amount: args.amount,
+            token: findStream(db, proposalId).token ?? null,
+        });
+    },
+    "MultiTierTreasury.StreamCancelled": (db, args, event) => {
+        const proposalId = Number(args.proposalId);
+        const stream = findStream(db, proposalId);
+        const fields = { proposal_id: proposalId, token: stream.token ?? null };
+        if (args.paidOut !== "0") {
+            recordMovement(db, event, { ...fields, kind: "claim", counterparty: stream.counterparty, amount: args.paidOut });
+        }
+        recordMovement(db, event, { ...fields, kind: "refund", fund_type: stream.fund_type, amount: args.returned });
+    },
+    "MultiTierTreasury.FundsMoved": (db, args, event) => {
+        recordMovement(db, event, { kind: "move_out", fund_type: args.from, amount: args.amount });
+        recordMovement(db, event, { kind: "move_in", fund_type: args.to, amount: args.amount });
+    },
+    "MultiTierTreasury.RageQuitPaid": (db, args, event) => {
+        recordMovement(db, event, { kind: "rage_quit", counterparty: args.member, amount: args.amount });
+    },
+    "MultiTierTreasury.FundsRebalanced": (db, args, event) => {
+        for (const [fundType, amount] of [
+            ["HIGH_CONVICTION", args.highConviction],
+            ["EXPERIMENTAL", args.experimental],
+            ["OPERATIONAL", args.operational],
+        ]) {
+            recordMovement(db, event, { kind: "rebalance", fund_type: fundType, amount });
+        }
+    },
+};
+
+module.exports = {
+    IndexerStore,
+    PROJECTIONS,
+};
@@ -0,0 +1,253 @@
+const { splitActions } = require("./client");
+const { translateError } = require("./errors");
+
+/** ethers error codes for failures that may succeed when simply tried again */
+const TRANSIENT_CODES = new Set([
+    "NETWORK_ERROR",
+    "SERVER_ERROR",
+    "TIMEOUT",
+    "NONCE_EXPIRED",
+    "REPLACEMENT_UNDERPRICED",
+    "TRANSACTION_REPLACED",
+    "ECONNREFUSED",
+    "ECONNRESET",
+    "ETIMEDOUT",
+]);
+
+/** Proposals in these states never need another transition */
+const FINAL_STATES = new Set(["EXECUTED", "DEFEATED", "CANCELLED"]);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * @param {Error} error
+ * @returns {boolean} True for RPC/network hiccups, false for contract reverts
+ */
+function isTransientError(error) {
+    for (let current = error; current; current = current.error || current.cause) {
+        if (TRANSIENT_CODES.has(current.code)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Moves proposals through their lifecycle without anyone having to remember:
+ *
+ *   tally    GovernanceProposal.queueProposal  once voting has ended; a vote
+ *            that passed is scheduled in the timelock in the same transaction
+ *   execute  TimelockController.executeProposal once the timelock has expired
+ *            (executeActions for action proposals)
+ *   release  TimelockController.releaseReservation once a payout proposal has
+ *            expired unexecuted, so its tier can spend the amount again
+ *
+ * Network failures are retried with exponential backoff; reverts are logged
+ * and the proposal is looked at again on the next tick.
+ */
+class DaoKeeper {
+    /**
+     * @param {Object} options
+     * @param {import("./client").DaoClient} options.client Client bound to the keeper's signer
+     * @param {boolean} [options.dryRun] Simulate each transition instead of sending it
+     * @param {number} [options.pollInterval] Delay between ticks when running, in ms
+     * @param {number} [options.maxRetries] Retries for a transient failure
+     * @param {number} [options.retryDelay] Initial backoff between retries, in ms
+     * @param {{info: Function, warn: Function}} [options.logger]
+     */
+    constructor({
+        client,
+        dryRun = false,
+        pollInterval = 15000,
+        maxRetries = 3,
+        retryDelay = 2000,
+        logger = console,
+    }) {
+        this.client = client;
+        this.dryRun = dryRun;
+        this.pollInterval = pollInterval;
+        this.maxRetries = maxRetries;
+        this.retryDelay = retryDelay;
+        this.logger = logger;
+        this.running = false;
+
+        this.finalized = new Set();
+        this.canExecute = undefined;
+    }
+
+    /**
+     * Scan every open proposal once and perform the transitions that are due.
+     * @returns {Promise<{proposalId: number, step: string, status: string, txHash?: string, state?: string, error?: Error}[]>}
+     */
+    async tick() {
+        const count = Number(await this._withRetry("read proposal count", () => this.client.getProposalCount()));
+        const actions = [];
+
+        for (let proposalId = 1; proposalId <= count; proposalId++) {
+            if (this.finalized.has(proposalId)) continue;
+
+            try {
+                actions.push(...(await this._advance(proposalId)));
+            } catch (error) {
+                this.logger.warn(`#${proposalId} could not be checked: ${error.message}`);
+            }
+        }
+
+        return actions;
+    }
+
+    /**
+     * Tick, then keep ticking every pollInterval until stop() is called.
+     */
+    async run() {
+        this.running = true;
+        while (this.running) {
+            try {
+                await this.tick();
+            } catch (error) {
+                this.logger.warn(`Tick failed: ${error.message}`);
+            }
+            if (this.running) {
+                await sleep(this.pollInterval);
+            }
+        }
+    }
+
+    stop() {
+        this.running = false;
+    }
+
+    // ============ Internals ============
+
+    /**
+     * Perform every step that is currently due for one proposal, reading it
+     * again after each one.
+     */
+    async _advance(proposalId) {
+        const actions = [];
+
+        for (;;) {
+            const proposal = await this._withRetry(`read #${proposalId}`, () => this.client.getProposal(proposalId));
+            if (FINAL_STATES.has(proposal.state)) {
+                this.finalized.add(proposalId);
+                return actions;
+            }
+
+            const step = await this._nextStep(proposal);
+            if (!step) {
+                if (proposal.state === "EXPIRED") {
+                    this.finalized.add(proposalId);
+                }
+                return actions;
+            }
+
+            const action = await this._perform(proposalId, step);
+            actions.push(action);
+            if (action.status !== "done") {
+                return actions;
+            }
+        }
+    }
+
+    async _nextStep(proposal) {
+        const now = await this._withRetry("read latest block", () => this._latestTimestamp());
+        const args = [proposal.id];
+
+        if (proposal.state === "ACTIVE" && now > proposal.endTime) {
+            return { name: "tally", contract: this.client.governanceProposal, method: "queueProposal", args };
+        }
+        if (proposal.state === "QUEUED" && now >= proposal.executionTime) {
+            if (proposal.isActionProposal) {
+                const actions = await this._withRetry(`read #${proposal.id} actions`, () =>
+                    this.client.getProposalActions(proposal.id)
+                );
+                const { targets, values, calldatas } = splitActions(actions);
+                args.push(targets, values, calldatas);
+                return { name: "execute", contract: this.client.timelock, method: "executeActions", args };
+            }
+            return { name: "execute", contract: this.client.timelock, method: "executeProposal", args };
+        }
+        if (proposal.state === "EXPIRED" && !proposal.isActionProposal) {
+            const reservation = await this._withRetry(`read #${proposal.id} reservation`, () =>
+                this.client.treasury.reservations(proposal.id)
+            );
+            if (reservation.amount > 0n) {
+                return { name: "release", contract: this.client.timelock, method: "releaseReservation", args };
+            }
+        }
+        return undefined;
+    }
+
+    async _perform(proposalId, step) {
+        if (step.name === "execute" && !(await this._hasExecutorRole())) {
+            this.logger.warn(`#${proposalId} is ready to execute, but the keeper lacks EXECUTOR_ROLE on the timelock`);
+            return { proposalId, step: step.name, status: "skipped" };
+        }
+
+        if (this.dryRun) {
+            try {
+                await this._withRetry(`simulate ${step.name} #${proposalId}`, () => step.contract[step.method].staticCall(...step.args));
+                this.logger.info(`[dry-run] #${proposalId} would ${step.name}`);
+                return { proposalId, step: step.name, status: "dry-run" };
+            } catch (error) {
+                this.logger.warn(`[dry-run] #${proposalId} ${step.name} would fail: ${error.message}`);
+                return { proposalId, step: step.name, status: "failed", error };
+            }
+        }
+
+        try {
+            const receipt = await this._withRetry(`${step.name} #${proposalId}`, async () => {
+                const tx = await step.contract[step.method](...step.args);
+                return tx.wait();
+            });
+            const state = await this.client.getProposalState(proposalId);
+            this.logger.info(`#${proposalId} ${step.name} -> ${state} (tx ${receipt.hash})`);
+            return { proposalId, step: step.name, status: "done", txHash: receipt.hash, state };
+        } catch (error) {
+            this.logger.warn(`#${proposalId} ${step.name} failed: ${error.message}`);
+            return { proposalId, step: step.name, status: "failed", error };
+        }
+    }
+
+    /**
+     * Run `fn`, retrying transient failures with exponential backoff. Other
+     * errors are translated into DaoErrors and thrown straight away.
+     */
+    async _withRetry(label, fn) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await fn();
+            } catch (error) {
+                if (!isTransientError(error) || attempt >= this.maxRetries) {
+                    throw translateError(error, this.client.interfaces);
+                }
+                const delay = this.retryDelay * 2 ** attempt;
+                this.logger.warn(`${label} failed (${error.code}), retrying in ${delay}ms`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    async _latestTimestamp() {
+        const provider = this.client.runner.provider || this.client.runner;
+        return (await provider.getBlock("latest")).timestamp;
+    }
+
+    async _hasExecutorRole() {
+        if (this.canExecute === undefined) {
+            const runner = this.client.runner;
+            if (typeof runner.getAddress !== "function") {
+                return true; // No account to check; let the simulation report it
+            }
+            const timelock = this.client.timelock;
+            this.canExecute = await timelock.hasRole(await timelock.EXECUTOR_ROLE(), await runner.getAddress());
+        }
+        return this.canExecute;
+    }
+}
+
+module.exports = {
+    DaoKeeper,
+    isTransientError,
+    TRANSIENT_CODES,
+};
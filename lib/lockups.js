@@ -0,0 +1,82 @@
+/**
+ * Off-chain mirror of GovernanceToken's lockup maths, for charting how a
+ * member's voting power decays as their lock runs out. Results match
+ * getVotingPower to the wei for any time at or after the lock was written.
+ */
+
+/** Lock ends are rounded down to a multiple of this, in seconds */
+const LOCK_PERIOD = 7 * 24 * 60 * 60;
+
+/** Longest lock, which doubles voting power, in seconds (104 weeks) */
+const MAX_LOCK_DURATION = 104 * LOCK_PERIOD;
+
+/** Floor square root of a bigint, as VotingMath.sqrt */
+function sqrt(value) {
+    if (value < 2n) {
+        return value;
+    }
+    let x = value;
+    let y = (x + 1n) / 2n;
+    while (y < x) {
+        x = y;
+        y = (value / y + y) / 2n;
+    }
+    return x;
+}
+
+/**
+ * Voting power of a stake at a given time: sqrt(stake), boosted by up to 2x
+ * for the time left on its lock.
+ * @param {{stake: bigint, unlockTime: number}} lock Stake in wei and when it unlocks (unix seconds, 0 if never locked)
+ * @param {number} timestamp Unix seconds
+ * @returns {bigint}
+ */
+function votingPowerAt({ stake, unlockTime }, timestamp) {
+    const power = sqrt(stake);
+    const remaining = Math.max(unlockTime - timestamp, 0);
+    return power + (power * BigInt(remaining)) / BigInt(MAX_LOCK_DURATION);
+}
+
+/**
+ * Sample a member's voting power from `from` until their lock ends. The curve
+ * falls in a straight line to plain sqrt(stake) at the unlock time and stays
+ * flat after it, so the last point is the unlock time itself.
+ * @param {{stake: bigint, unlockTime: number}} lock
+ * @param {{from: number, points?: number}} options Start time (unix seconds) and number of points, at least 2
+ * @returns {Array<{time: number, votingPower: bigint}>}
+ */
+function powerCurve(lock, { from, points = 9 }) {
+    if (!Number.isInteger(points) || points < 2) {
+        throw new RangeError(`points must be an integer of at least 2, got ${points}`);
+    }
+    const to = Math.max(lock.unlockTime, from);
+    const curve = [];
+    for (let i = 0; i < points; i++) {
+        const time = from + Math.round(((to - from) * i) / (points - 1));
+        curve.push({ time, votingPower: votingPowerAt(lock, time) });
+    }
+    return curve;
+}
+
+/**
+ * Render a power curve as a text bar chart, one row per point.
+ * @param {Array<{time: number, votingPower: bigint}>} curve From powerCurve
+ * @param {{width?: number, formatPower?: function(bigint): string}} [options] Width of the longest bar in characters
+ * @returns {string}
+ */
+function renderPowerCurve(curve, { width = 40, formatPower = String } = {}) {
+    const max = curve.reduce((highest, point) => (point.votingPower > highest ? point.votingPower : highest), 0n);
+    return curve.map(({ time, votingPower }) => {
+        const length = max === 0n ? 0 : Number((votingPower * BigInt(width)) / max);
+        const day = new Date(time * 1000).toISOString().slice(0, 10);
+        return `${day}  ${"█".repeat(length).padEnd(width)}  ${formatPower(votingPower)}`;
+    }).join("\n");
+}
+
+module.exports = {
+    LOCK_PERIOD,
+    MAX_LOCK_DURATION,
+    votingPowerAt,
+    powerCurve,
+    renderPowerCurve,
+};
@@ -0,0 +1,94 @@
+const { FetchRequest, JsonRpcProvider, Network, Wallet } = require("ethers");
+const { ConfigurationError } = require("./errors");
+
+/** RPC endpoints for the networks declared in hardhat.config.js */
+const NETWORKS = {
+    localhost: {
+        url: "http://127.0.0.1:8545",
+        chainId: 31337,
+    },
+    sepolia: {
+        url: process.env.SEPOLIA_RPC_URL || "",
+        chainId: 11155111,
+    },
+};
+
+/**
+ * Resolve the RPC URL for a named network, or use an explicit URL.
+ * @param {string} network Network name from NETWORKS
+ * @param {string} [rpcUrl] Explicit URL, takes precedence over the name
+ * @returns {string}
+ */
+function resolveRpcUrl(network, rpcUrl) {
+    if (rpcUrl) {
+        return rpcUrl;
+    }
+    const config = NETWORKS[network];
+    if (!config) {
+        throw new ConfigurationError(`Unknown network: ${network} (expected one of ${Object.keys(NETWORKS).join(", ")})`, {
+            code: "UNKNOWN_NETWORK",
+        });
+    }
+    if (!config.url) {
+        throw new ConfigurationError(`No RPC URL configured for ${network}`, { code: "MISSING_RPC_URL" });
+    }
+    return config.url;
+}
+
+/**
+ * Ask an endpoint for its chain id. Fails fast instead of letting ethers retry
+ * network detection forever when the node is down.
+ * @param {string} url RPC endpoint
+ * @returns {Promise<bigint>}
+ */
+async function fetchChainId(url) {
+    const request = new FetchRequest(url);
+    request.timeout = 10000;
+    request.setHeader("content-type", "application/json");
+    request.body = JSON.stringify({ jsonrpc: "2.0", id: 1, method: "eth_chainId", params: [] });
+
+    try {
+        const response = await request.send();
+        response.assertOk();
+        return BigInt(response.bodyJson.result);
+    } catch (error) {
+        throw new ConfigurationError(`Cannot reach RPC endpoint ${url}`, { code: "RPC_UNREACHABLE", cause: error });
+    }
+}
+
+/**
+ * Create a provider for a network, pinned to the chain id the node reports.
+ * Set cacheTimeout to -1 when the caller changes chain state between identical
+ * reads: ethers otherwise answers repeats within 250ms from its cache.
+ * @param {{network?: string, rpcUrl?: string, cacheTimeout?: number}} options
+ * @returns {Promise<JsonRpcProvider>}
+ */
+async function createProvider({ network = "localhost", rpcUrl, cacheTimeout } = {}) {
+    const url = resolveRpcUrl(network, rpcUrl);
+    const chainId = await fetchChainId(url);
+    return new JsonRpcProvider(url, Network.from(chainId), {
+        staticNetwork: true,
+        ...(cacheTimeout !== undefined && { cacheTimeout }),
+    });
+}
+
+/**
+ * Build an ethers signer for a network. Uses PRIVATE_KEY when set, otherwise
+ * an unlocked node account (Hardhat node) at the given index.
+ * @param {{network?: string, rpcUrl?: string, account?: number, privateKey?: string}} options
+ * @returns {Promise<import("ethers").Signer>}
+ */
+async function createSigner({ network = "localhost", rpcUrl, account = 0, privateKey = process.env.PRIVATE_KEY } = {}) {
+    const provider = await createProvider({ network, rpcUrl });
+    if (privateKey) {
+        return new Wallet(privateKey, provider);
+    }
+    return provider.getSigner(account);
+}
+
+module.exports = {
+    NETWORKS,
+    resolveRpcUrl,
+    createProvider,
+    createSigner,
+};
@@ -0,0 +1,447 @@
+const http = require("http");
+const { getAddress, isAddress, isHexString, keccak256, verifyTypedData } = require("ethers");
+const { BALLOT_TYPES, DELEGATION_TYPES, VoteType, toEnumValue } = require("./constants");
+const { DaoError, SignatureError, REVERT_REASONS } = require("./errors");
+
+/** Largest request body the relayer reads, in bytes */
+const MAX_BODY_SIZE = 16 * 1024;
+
+/** HTTP status for each error code the relayer answers with; rejected signatures and votes are 422 */
+const HTTP_STATUS = {
+    INVALID_REQUEST: 400,
+    NOT_FOUND: 404,
+    METHOD_NOT_ALLOWED: 405,
+    DUPLICATE_SUBMISSION: 409,
+    BODY_TOO_LARGE: 413,
+    TOO_MANY_PENDING: 429,
+    RELAYER_BUSY: 503,
+};
+
+const KINDS = {
+    ballots: "ballot",
+    delegations: "delegation",
+};
+
+function toJson(value) {
+    return JSON.stringify(value, (_, v) => (typeof v === "bigint" ? v.toString() : v));
+}
+
+function invalid(message) {
+    return new DaoError(message, { code: "INVALID_REQUEST" });
+}
+
+function readAddress(body, field) {
+    if (typeof body[field] !== "string" || !isAddress(body[field])) {
+        throw invalid(`${field} must be an address`);
+    }
+    return getAddress(body[field]);
+}
+
+function readUint(body, field) {
+    const value = body[field];
+    if ((typeof value !== "string" && typeof value !== "number") || !/^\d+$/.test(String(value))) {
+        throw invalid(`${field} must be a non-negative integer`);
+    }
+    return BigInt(value);
+}
+
+/**
+ * Turn a ballot or delegation posted as JSON back into the signed message.
+ * @param {string} kind "ballot" or "delegation"
+ * @param {Object} body Parsed request body
+ * @returns {Object} Message fields plus `signature`
+ */
+function parseSigned(kind, body) {
+    if (body === null || typeof body !== "object" || Array.isArray(body)) {
+        throw invalid("Request body must be a JSON object");
+    }
+    if (typeof body.signature !== "string" || !isHexString(body.signature, 65)) {
+        throw invalid("signature must be a 65-byte hex string");
+    }
+
+    const common = { nonce: readUint(body, "nonce"), expiry: readUint(body, "expiry"), signature: body.signature };
+    if (kind === "ballot") {
+        let voteType;
+        try {
+            voteType = toEnumValue(VoteType, body.voteType);
+        } catch (error) {
+            throw invalid(`voteType must be one of ${Object.keys(VoteType).join(", ")}`);
+        }
+        return {
+            proposalId: readUint(body, "proposalId"),
+            voteType,
+            voter: readAddress(body, "voter"),
+            ...common,
+        };
+    }
+    return {
+        delegator: readAddress(body, "delegator"),
+        delegatee: readAddress(body, "delegatee"),
+        ...common,
+    };
+}
+
+/**
+ * Accepts signed votes and delegations over HTTP and submits them to
+ * GovernanceProposal in batches, paying the gas so members do not have to:
+ *
+ *   POST /ballots           {proposalId, voteType, voter, nonce, expiry, signature}
+ *   POST /delegations       {delegator, delegatee, nonce, expiry, signature}
+ *   GET  /submissions/:id   Status of an accepted submission
+ *   GET  /status            Relayer address and queue counts
+ *
+ * Submissions are checked off-chain (signature, expiry, nonce) before they are
+ * queued. A batch goes out every batchInterval, or as soon as maxBatchSize
+ * submissions are waiting. Each one is simulated on top of the rest of the
+ * batch first, so a vote that has become invalid is rejected on its own
+ * instead of reverting everyone else's.
+ *
+ * Signatures for a later nonce than the member's next one cannot be simulated
+ * yet, so only nonceWindow of them are taken ahead. The queue is capped per
+ * signer and in total, queued signatures are dropped once they expire, and
+ * finished submissions are forgotten after `retention`.
+ */
+class VoteRelayer {
+    /**
+     * @param {Object} options
+     * @param {import("./client").DaoClient} options.client Client bound to the signer paying for submissions
+     * @param {number} [options.maxBatchSize] Submissions per transaction
+     * @param {number} [options.batchInterval] Delay between batches while listening, in ms
+     * @param {number} [options.maxPending] Queued submissions accepted in total
+     * @param {number} [options.maxPendingPerSigner] Queued submissions accepted from one member
+     * @param {number} [options.nonceWindow] How far past a member's next nonce a signature may be
+     * @param {number} [options.retention] How long submitted and rejected submissions stay queryable, in ms
+     * @param {{info: Function, warn: Function}} [options.logger]
+     */
+    constructor({
+        client,
+        maxBatchSize = 20,
+        batchInterval = 10000,
+        maxPending = 1000,
+        maxPendingPerSigner = 10,
+        nonceWindow = 5,
+        retention = 60 * 60 * 1000,
+        logger = console,
+    }) {
+        this.client = client;
+        this.maxBatchSize = maxBatchSize;
+        this.batchInterval = batchInterval;
+        this.maxPending = maxPending;
+        this.maxPendingPerSigner = maxPendingPerSigner;
+        this.nonceWindow = nonceWindow;
+        this.retention = retention;
+        this.logger = logger;
+
+        this.submissions = new Map();
+        this.server = undefined;
+        this._timer = undefined;
+        this._flushing = Promise.resolve();
+    }
+
+    /**
+     * Check a signed ballot or delegation and queue it for the next batch.
+     * @param {string} kind "ballot" or "delegation"
+     * @param {Object} body Fields as produced by DaoClient.signVote() / signDelegation()
+     * @returns {Promise<Object>} The queued submission
+     */
+    async submit(kind, body) {
+        const item = parseSigned(kind, body);
+        const signer = kind === "ballot" ? item.voter : item.delegator;
+        const id = keccak256(item.signature);
+
+        if (this.submissions.has(id)) {
+            throw new DaoError(`Submission ${id} already received`, { code: "DUPLICATE_SUBMISSION" });
+        }
+
+        const [domain, now, nonce] = await Promise.all([
+            this.client.getSigningDomain(),
+            this._latestTimestamp(),
+            this.client.getNonce(signer),
+        ]);
+        const { signature, ...message } = item;
+        const types = kind === "ballot" ? BALLOT_TYPES : DELEGATION_TYPES;
+
+        if (item.expiry <= BigInt(now)) {
+            throw new SignatureError("Signature expired", { code: "SIGNATURE_EXPIRED" });
+        }
+        if (verifyTypedData(domain, types, message, signature) !== signer) {
+            throw new SignatureError("Invalid signature", { code: "INVALID_SIGNATURE" });
+        }
+        if (item.nonce < nonce) {
+            throw new SignatureError(`Nonce ${item.nonce} already used (next is ${nonce})`, { code: "NONCE_USED" });
+        }
+        if (item.nonce > nonce + BigInt(this.nonceWindow)) {
+            throw new SignatureError(`Nonce ${item.nonce} is too far ahead (next is ${nonce})`, { code: "NONCE_TOO_FAR" });
+        }
+
+        this._prune(BigInt(now));
+        const queued = this._queued();
+        if (queued.length >= this.maxPending) {
+            throw new DaoError("Too many submissions waiting, try again later", { code: "RELAYER_BUSY" });
+        }
+        if (queued.filter((submission) => submission.signer === signer).length >= this.maxPendingPerSigner) {
+            throw new DaoError(`Too many submissions from ${signer} waiting`, { code: "TOO_MANY_PENDING" });
+        }
+
+        if (item.nonce === nonce) {
+            // Catch votes the contract would refuse (voting ended, already voted) right away
+            await this.client.simulateSigned([item]);
+        }
+
+        const submission = { id, kind, signer, nonce: item.nonce, status: "queued", item };
+        this.submissions.set(id, submission);
+        this.logger.info(`Queued ${kind} ${id} from ${signer}`);
+
+        if (this._queued().length >= this.maxBatchSize) {
+            this.flush().catch((error) => this.logger.warn(`Batch failed: ${error.message}`));
+        }
+
+        return this.getSubmission(id);
+    }
+
+    /**
+     * @param {string} id Submission id (hash of the signature)
+     * @returns {Object|undefined} Public view of the submission
+     */
+    getSubmission(id) {
+        const submission = this.submissions.get(id);
+        if (!submission) {
+            return undefined;
+        }
+        const { item, ...view } = submission;
+        if (submission.kind === "ballot") {
+            view.proposalId = item.proposalId;
+        }
+        return view;
+    }
+
+    /**
+     * Send one batch of queued submissions. Batches never overlap: a call made
+     * while one is in flight waits for it first.
+     * @returns {Promise<{txHash?: string, submitted: string[], rejected: string[]}>}
+     */
+    flush() {
+        const run = this._flushing.then(() => this._sendBatch());
+        this._flushing = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Serve the HTTP API and start sending batches every batchInterval.
+     * @param {number} [port] 0 picks a free port
+     * @param {string} [host]
+     * @returns {Promise<{address: string, port: number}>}
+     */
+    async listen(port = 0, host = "127.0.0.1") {
+        this.server = http.createServer((request, response) => {
+            this._handle(request, response);
+        });
+        await new Promise((resolve, reject) => {
+            this.server.once("error", reject);
+            this.server.listen(port, host, resolve);
+        });
+
+        this._timer = setInterval(() => {
+            if (this._queued().length > 0) {
+                this.flush().catch((error) => this.logger.warn(`Batch failed: ${error.message}`));
+            }
+        }, this.batchInterval);
+
+        return this.server.address();
+    }
+
+    /**
+     * Stop accepting requests and wait for the batch in flight, if any.
+     * Queued submissions are not sent.
+     */
+    async close() {
+        clearInterval(this._timer);
+        if (this.server) {
+            await new Promise((resolve) => this.server.close(resolve));
+            this.server = undefined;
+        }
+        await this._flushing;
+    }
+
+    // ============ Internals ============
+
+    _queued() {
+        // Nonce order keeps each signer's submissions in the order the contract accepts them
+        return [...this.submissions.values()]
+            .filter((submission) => submission.status === "queued")
+            .sort((a, b) => (a.nonce < b.nonce ? -1 : a.nonce > b.nonce ? 1 : 0));
+    }
+
+    async _sendBatch() {
+        const rejected = this._prune(BigInt(await this._latestTimestamp()));
+        const nextNonces = new Map();
+        const batch = [];
+
+        for (const submission of this._queued()) {
+            if (batch.length >= this.maxBatchSize) break;
+
+            const { signer } = submission;
+            if (!nextNonces.has(signer)) {
+                nextNonces.set(signer, await this.client.getNonce(signer));
+            }
+            const expected = nextNonces.get(signer);
+            if (submission.nonce > expected) {
+                // An earlier signature from this member has not arrived yet
+                continue;
+            }
+            if (submission.nonce < expected) {
+                this._reject(submission, new SignatureError(`Nonce ${submission.nonce} already used`, { code: "NONCE_USED" }));
+                rejected.push(submission.id);
+                continue;
+            }
+
+            try {
+                await this.client.simulateSigned([...batch, submission].map((queued) => queued.item));
+            } catch (error) {
+                this._reject(submission, error);
+                rejected.push(submission.id);
+                continue;
+            }
+            batch.push(submission);
+            nextNonces.set(signer, expected + 1n);
+        }
+
+        if (batch.length === 0) {
+            return { submitted: [], rejected };
+        }
+
+        // If the transaction itself fails the submissions stay queued, and are
+        // simulated again against the new state on the next batch
+        const receipt = await this.client.submitSigned(batch.map((submission) => submission.item));
+        for (const submission of batch) {
+            submission.status = "submitted";
+            submission.txHash = receipt.hash;
+            submission.finishedAt = Date.now();
+        }
+        this.logger.info(`Submitted ${batch.length} signed message(s) in ${receipt.hash}`);
+
+        return { txHash: receipt.hash, submitted: batch.map((submission) => submission.id), rejected };
+    }
+
+    _reject(submission, error) {
+        submission.status = "rejected";
+        submission.error = { code: error.code || "UNKNOWN", message: error.message };
+        submission.finishedAt = Date.now();
+        this.logger.warn(`Rejected ${submission.kind} ${submission.id}: ${error.message}`);
+    }
+
+    _prune(now) {
+        // Expired signatures can never be submitted; finished ones are only kept to answer status queries
+        const expired = [];
+        for (const [id, submission] of this.submissions) {
+            if (submission.status === "queued" && submission.item.expiry <= now) {
+                this._reject(submission, new SignatureError("Signature expired", { code: "SIGNATURE_EXPIRED" }));
+                expired.push(id);
+            } else if (submission.status !== "queued" && Date.now() - submission.finishedAt >= this.retention) {
+                this.submissions.delete(id);
+            }
+        }
+        return expired;
+    }
+
+    async _handle(request, response) {
+        try {
+            const [, resource, id, ...rest] = request.url.split("?")[0].split("/");
+
+            if (KINDS[resource] && id === undefined) {
+                this._requireMethod(request, "POST");
+                const submission = await this.submit(KINDS[resource], await this._readJson(request));
+                return this._respond(response, 202, submission);
+            }
+            if (resource === "submissions" && id && rest.length === 0) {
+                this._requireMethod(request, "GET");
+                const submission = this.getSubmission(id);
+                if (!submission) {
+                    throw new DaoError(`Unknown submission ${id}`, { code: "NOT_FOUND" });
+                }
+                return this._respond(response, 200, submission);
+            }
+            if (resource === "status" && id === undefined) {
+                this._requireMethod(request, "GET");
+                const counts = { queued: 0, submitted: 0, rejected: 0 };
+                for (const submission of this.submissions.values()) {
+                    counts[submission.status]++;
+                }
+                return this._respond(response, 200, { relayer: await this.client.runner.getAddress(), ...counts });
+            }
+            throw new DaoError(`No route for ${request.url}`, { code: "NOT_FOUND" });
+        } catch (error) {
+            const rejected = error instanceof SignatureError || (error instanceof DaoError && error.reason !== undefined);
+            const status = HTTP_STATUS[error.code] || (rejected ? 422 : 500);
+            if (status === 500) {
+                this.logger.warn(`Request failed: ${error.message}`);
+            }
+            return this._respond(response, status, { error: { code: error.code || "UNKNOWN", message: error.message } });
+        }
+    }
+
+    _requireMethod(request, method) {
+        if (request.method !== method) {
+            throw new DaoError(`Use ${method} for ${request.url}`, { code: "METHOD_NOT_ALLOWED" });
+        }
+    }
+
+    async _readJson(request) {
+        let body = "";
+        for await (const chunk of request) {
+            body += chunk;
+            if (body.length > MAX_BODY_SIZE) {
+                throw new DaoError("Request body too large", { code: "BODY_TOO_LARGE" });
+            }
+        }
+        try {
+            return JSON.parse(body);
+        } catch (error) {
+            throw invalid("Request body must be valid JSON");
+        }
+    }
+
+    _respond(response, status, body) {
+        response.writeHead(status, { "content-type": "application/json" });
+        response.end(toJson(body));
+    }
+
+    async _latestTimestamp() {
+        const provider = this.client.runner.provider || this.client.runner;
+        return (await provider.getBlock("latest")).timestamp;
+    }
+}
+
+/**
+ * Post a ballot from DaoClient.signVote() or a delegation from
+ * DaoClient.signDelegation() to a relayer.
+ * @param {string} url Relayer base URL
+ * @param {Object} signed
+ * @returns {Promise<Object>} The queued submission
+ * @throws {DaoError} With the relayer's error code when it refuses the submission
+ */
+async function sendToRelayer(url, signed) {
+    const resource = signed.voter !== undefined ? "ballots" : "delegations";
+    let response;
+    try {
+        response = await fetch(new URL(resource, url.endsWith("/") ? url : `${url}/`), {
+            method: "POST",
+            headers: { "content-type": "application/json" },
+            body: toJson(signed),
+        });
+    } catch (error) {
+        throw new DaoError(`Cannot reach relayer ${url}`, { code: "RELAYER_UNREACHABLE", cause: error });
+    }
+
+    const body = await response.json();
+    if (!response.ok) {
+        const [ErrorClass] = REVERT_REASONS[body.error.message] || [response.status === 422 ? SignatureError : DaoError];
+        throw new ErrorClass(body.error.message, { code: body.error.code });
+    }
+    return body;
+}
+
+module.exports = {
+    VoteRelayer,
+    sendToRelayer,
+};
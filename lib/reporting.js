@@ -0,0 +1,396 @@
+const { ZeroAddress } = require("ethers");
+const { FundType, toEnumName } = require("./constants");
+const { ConfigurationError } = require("./errors");
+
+const FUNDS = Object.keys(FundType);
+
+/** Columns of the CSV export, one row per movement plus opening and closing rows */
+const CSV_COLUMNS = ["type", "date", "block", "txHash", "account", "proposalId", "counterparty", "amount"];
+
+/**
+ * Builds treasury statements for a date range from the treasury's events:
+ *
+ *   opening   fund, stream and total balances read at the block before the range
+ *   movements every deposit, allocation, payout, stream, rebalance and rage-quit in the range,
+ *             replayed on top of the opening balances
+ *   closing   the balances read at the last block of the range
+ *
+ * The replayed balances are reconciled against the closing ones; anything the
+ * events do not explain (ETH forced in without a deposit, tokens sent with a
+ * plain transfer) is reported as a discrepancy.
+ *
+ * Reads contract state at past blocks, so on a public network the provider
+ * must be an archive node.
+ */
+class TreasuryReporter {
+    /**
+     * @param {Object} options
+     * @param {import("./client").DaoClient} options.client
+     */
+    constructor({ client }) {
+        this.client = client;
+        this.provider = client.runner.provider || client.runner;
+    }
+
+    /**
+     * Build the statement for one asset.
+     * @param {Object} [options]
+     * @param {Date|number} [options.from] Start of the range (Date or unix seconds) [default: the first block]
+     * @param {Date|number} [options.to] End of the range, inclusive [default: now]
+     * @param {string} [options.token] ERC-20 to report on [default: ETH]
+     * @returns {Promise<Object>} Statement with summaries, movements and the reconciliation
+     */
+    async statement({ from, to, token } = {}) {
+        const latest = await this.provider.getBlockNumber();
+        const toBlock = to === undefined ? latest : await this._lastBlockAt(toSeconds(to), latest);
+        const fromBlock = from === undefined ? 0 : (await this._lastBlockAt(toSeconds(from) - 1, latest)) + 1;
+        if (toBlock < fromBlock) {
+            throw new ConfigurationError("No blocks were mined in the report range", { code: "INVALID_RANGE" });
+        }
+
+        const asset = token ? await this.client.getTokenInfo(token) : { symbol: "ETH", decimals: 18 };
+        const opening = await this._balances(token, fromBlock - 1);
+        const closing = await this._balances(token, toBlock);
+        const expected = cloneBalances(opening);
+        const movements = await this._movements(token, fromBlock, toBlock, expected);
+        const reconciliation = reconcile(expected, closing);
+
+        return {
+            asset: { token: token ?? null, ...asset },
+            period: {
+                from: fromBlock > 0 ? (await this._block(fromBlock)).timestamp : null,
+                to: (await this._block(toBlock)).timestamp,
+                fromBlock,
+                toBlock,
+            },
+            funds: Object.fromEntries(FUNDS.map((name) => [name, summarizeFund(name, opening, closing, movements)])),
+            streams: summarizeStreams(opening, closing, movements),
+            treasury: summarizeTreasury(opening, closing, movements),
+            inflows: movements.filter((m) => m.type === "deposit"),
+            allocations: movements.filter((m) => m.type === "allocation"),
+            outflows: movements.filter((m) => m.type === "transfer" || m.type === "stream" || m.type === "claim"),
+            rebalances: movements.filter((m) => m.type === "rebalance"),
+            rageQuits: movements.filter((m) => m.type === "rage-quit"),
+            movements,
+            reconciliation: { block: toBlock, ...reconciliation },
+        };
+    }
+
+    // ============ Internals ============
+
+    async _balances(token, blockTag) {
+        const treasury = this.client.treasury;
+        const empty = { total: 0n, streamed: 0n, funds: Object.fromEntries(FUNDS.map((name) => [name, 0n])) };
+        if (blockTag < 0 || (await this.provider.getCode(treasury.target, blockTag)) === "0x") {
+            return empty;
+        }
+
+        const overrides = { blockTag };
+        const [total, funds, streamed] = await Promise.all(token
+            ? [
+                treasury.getTokenTreasury(token, overrides),
+                treasury.getAllTokenFundBalances(token, overrides),
+                treasury.streamedBalances(token, overrides),
+            ]
+            : [
+                treasury.getTotalTreasury(overrides),
+                treasury.getAllFundBalances(overrides),
+                treasury.streamedBalances(ZeroAddress, overrides),
+            ]);
+        return { total, streamed, funds: Object.fromEntries(FUNDS.map((name) => [name, funds[FundType[name]]])) };
+    }
+
+    /**
+     * The range's movements of one asset, in chain order, each applied to
+     * `running` as it is read. Amounts are signed for rebalances only.
+     */
+    async _movements(token, fromBlock, toBlock, running) {
+        const { treasury } = this.client;
+        const asset = token ? token.toLowerCase() : ZeroAddress;
+        const events = await treasury.queryFilter("*", fromBlock, toBlock);
+        const movements = [];
+
+        const add = async (event, type, fields) => {
+            const { timestamp } = await this._block(event.blockNumber);
+            const movement = { type, timestamp, block: event.blockNumber, txHash: event.transactionHash, ...fields };
+            movements.push(movement);
+            applyMovement(running, movement);
+        };
+
+        for (const event of events) {
+            const args = event.args;
+            switch (event.eventName) {
+                case "FundsDeposited":
+                    if (!token) {
+                        await add(event, "deposit", { counterparty: args.from, amount: args.amount });
+                    }
+                    break;
+                case "TokenDeposited":
+                    if (args.token.toLowerCase() === asset) {
+                        await add(event, "deposit", { counterparty: args.from, amount: args.amount });
+                    }
+                    break;
+                case "FundsAllocated":
+                    if (!token) {
+                        await add(event, "allocation", { fund: fundName(args.fundType), amount: args.amount });
+                    }
+                    break;
+                case "TokenFundsAllocated":
+                    if (args.token.toLowerCase() === asset) {
+                        await add(event, "allocation", { fund: fundName(args.fundType), amount: args.amount });
+                    }
+                    break;
+                case "TransferExecuted":
+                    if (!token) {
+                        await add(event, "transfer", {
+                            fund: fundName(args.fundType),
+                            proposalId: args.proposalId,
+                            counterparty: args.recipient,
+                            amount: args.amount,
+                        });
+                    }
+                    break;
+                case "TokenTransferExecuted":
+                    if (args.token.toLowerCase() === asset) {
+                        await add(event, "transfer", {
+                            fund: fundName(args.fundType),
+                            proposalId: args.proposalId,
+                            counterparty: args.recipient,
+                            amount: args.amount,
+                        });
+                    }
+                    break;
+                case "StreamOpened":
+                    if (args.token.toLowerCase() === asset) {
+                        await add(event, "stream", {
+                            fund: fundName(args.fundType),
+                            proposalId: args.proposalId,
+                            counterparty: args.recipient,
+                            amount: args.amount,
+                        });
+                    }
+                    break;
+                case "StreamClaimed": {
+                    const stream = await this._stream(args.proposalId);
+                    if (stream.token.toLowerCase() === asset) {
+                        await add(event, "claim", { proposalId: args.proposalId, counterparty: args.recipient, amount: args.amount });
+                    }
+                    break;
+                }
+                case "StreamCancelled": {
+                    const stream = await this._stream(args.proposalId);
+                    if (stream.token.toLowerCase() !== asset) {
+                        break;
+                    }
+                    if (args.paidOut > 0n) {
+                        await add(event, "claim", { proposalId: args.proposalId, counterparty: stream.recipient, amount: args.paidOut });
+                    }
+                    await add(event, "refund", { fund: stream.fund, proposalId: args.proposalId, amount: args.returned });
+                    break;
+                }
+                case "FundsMoved":
+                    // Emitted by moveFunds and for each move of a rebalance;
+                    // FundsRebalanced only repeats the resulting balances
+                    if (!token) {
+                        await add(event, "rebalance", { fund: fundName(args.from), amount: -args.amount });
+                        await add(event, "rebalance", { fund: fundName(args.to), amount: args.amount });
+                    }
+                    break;
+                case "RageQuitPaid":
+                    // Paid from unallocated ETH, never from a fund
+                    if (!token) {
+                        await add(event, "rage-quit", { counterparty: args.member, amount: args.amount });
+                    }
+                    break;
+                default:
+                    break;
+            }
+        }
+        return movements;
+    }
+
+    async _stream(proposalId) {
+        this._streams = this._streams || new Map();
+        const key = proposalId.toString();
+        if (!this._streams.has(key)) {
+            const stream = await this.client.treasury.streams(proposalId);
+            this._streams.set(key, { token: stream.token, recipient: stream.recipient, fund: fundName(stream.fundType) });
+        }
+        return this._streams.get(key);
+    }
+
+    async _block(number) {
+        this._blocks = this._blocks || new Map();
+        if (!this._blocks.has(number)) {
+            this._blocks.set(number, await this.provider.getBlock(number));
+        }
+        return this._blocks.get(number);
+    }
+
+    /** Last block mined at or before a timestamp, or -1 if there is none */
+    async _lastBlockAt(timestamp, latest) {
+        let low = -1;
+        let high = latest;
+        while (low < high) {
+            const mid = Math.ceil((low + high + 1) / 2);
+            if ((await this._block(mid)).timestamp <= timestamp) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return low;
+    }
+}
+
+function toSeconds(value) {
+    return value instanceof Date ? Math.floor(value.getTime() / 1000) : Number(value);
+}
+
+function fundName(fundType) {
+    return toEnumName(FundType, fundType);
+}
+
+function cloneBalances(balances) {
+    return { ...balances, funds: { ...balances.funds } };
+}
+
+/** Apply one movement to a set of running balances, in place */
+function applyMovement(balances, { type, fund, amount }) {
+    switch (type) {
+        case "deposit":
+            balances.total += amount;
+            break;
+        case "allocation":
+        case "rebalance":
+            balances.funds[fund] += amount;
+            break;
+        case "transfer":
+            balances.funds[fund] -= amount;
+            balances.total -= amount;
+            break;
+        case "stream":
+            balances.funds[fund] -= amount;
+            balances.streamed += amount;
+            break;
+        case "claim":
+            balances.streamed -= amount;
+            balances.total -= amount;
+            break;
+        case "rage-quit":
+            balances.total -= amount;
+            break;
+        case "refund":
+            balances.streamed -= amount;
+            balances.funds[fund] += amount;
+            break;
+        default:
+            throw new TypeError(`Unknown movement type: ${type}`);
+    }
+}
+
+function reconcile(expected, actual) {
+    const accounts = {
+        total: [expected.total, actual.total],
+        streamed: [expected.streamed, actual.streamed],
+        ...Object.fromEntries(FUNDS.map((name) => [name, [expected.funds[name], actual.funds[name]]])),
+    };
+    const discrepancies = Object.entries(accounts)
+        .filter(([, [e, a]]) => e !== a)
+        .map(([account, [e, a]]) => ({ account, expected: e, actual: a, difference: a - e }));
+    return { ok: discrepancies.length === 0, discrepancies };
+}
+
+const sum = (movements) => movements.reduce((total, m) => total + m.amount, 0n);
+
+function summarizeFund(name, opening, closing, movements) {
+    const of = (...types) => movements.filter((m) => m.fund === name && types.includes(m.type));
+    return {
+        opening: opening.funds[name],
+        allocations: sum(of("allocation")),
+        outflows: sum(of("transfer", "stream")),
+        returned: sum(of("refund")),
+        rebalances: sum(of("rebalance")),
+        closing: closing.funds[name],
+    };
+}
+
+function summarizeStreams(opening, closing, movements) {
+    const of = (type) => movements.filter((m) => m.type === type);
+    return {
+        opening: opening.streamed,
+        opened: sum(of("stream")),
+        claimed: sum(of("claim")),
+        returned: sum(of("refund")),
+        closing: closing.streamed,
+    };
+}
+
+function summarizeTreasury(opening, closing, movements) {
+    const of = (...types) => movements.filter((m) => types.includes(m.type));
+    const unallocated = (b) => b.total - b.streamed - FUNDS.reduce((total, name) => total + b.funds[name], 0n);
+    return {
+        opening: opening.total,
+        inflows: sum(of("deposit")),
+        outflows: sum(of("transfer", "claim", "rage-quit")),
+        closing: closing.total,
+        unallocated: { opening: unallocated(opening), closing: unallocated(closing) },
+    };
+}
+
+function csvField(value) {
+    const text = value === undefined || value === null ? "" : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+/**
+ * Render a statement as CSV: opening balances, every movement in order, then
+ * closing balances. Amounts are in base units (wei for ETH).
+ * @param {Object} report Result of TreasuryReporter.statement()
+ * @returns {string}
+ */
+function statementToCsv(report) {
+    const date = (timestamp) => (timestamp === null ? "" : new Date(timestamp * 1000).toISOString());
+    const balanceRows = (type, timestamp, block, balances) => block < 0 ? [] : [
+        ...FUNDS.map((name) => [type, date(timestamp), block, "", name, "", "", balances[name]]),
+        [type, date(timestamp), block, "", "streams", "", "", balances.streams],
+        [type, date(timestamp), block, "", "total", "", "", balances.total],
+    ];
+    const balancesAt = (key) => ({
+        ...Object.fromEntries(FUNDS.map((name) => [name, report.funds[name][key]])),
+        streams: report.streams[key],
+        total: report.treasury[key],
+    });
+
+    const rows = [
+        CSV_COLUMNS,
+        ...balanceRows("opening", report.period.from, report.period.fromBlock - 1, balancesAt("opening")),
+        ...report.movements.map((m) => [
+            m.type,
+            date(m.timestamp),
+            m.block,
+            m.txHash,
+            m.fund,
+            m.proposalId,
+            m.counterparty,
+            m.amount,
+        ]),
+        ...balanceRows("closing", report.period.to, report.period.toBlock, balancesAt("closing")),
+        ...report.reconciliation.discrepancies.map((d) => [
+            "discrepancy",
+            date(report.period.to),
+            report.reconciliation.block,
+            "",
+            d.account,
+            "",
+            "",
+            d.difference,
+        ]),
+    ];
+    return `${rows.map((row) => row.map(csvField).join(",")).join("\n")}\n`;
+}
+
+module.exports = {
+    TreasuryReporter,
+    statementToCsv,
+};
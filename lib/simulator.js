@@ -0,0 +1,215 @@
+const { ZeroAddress, toQuantity, parseEther } = require("ethers");
+const { DaoError, VotingError } = require("./errors");
+
+/** Gas money given to each impersonated account */
+const IMPERSONATED_BALANCE = parseEther("100");
+
+/** Proposals that have not finished yet, and so can be simulated */
+const OPEN_STATES = ["PENDING", "ACTIVE", "QUEUED"];
+
+/**
+ * Dry-runs a proposal to the end of its lifecycle on a Hardhat network (a
+ * `hardhat node` or an in-process fork) and reports what executing it would do:
+ *
+ *   1. snapshot the chain
+ *   2. wait out the voting delay and have every member who has not voted yet
+ *      vote FOR, impersonating them (unless addVotes is false)
+ *   3. wait out the voting period, tally and schedule in the timelock
+ *   4. wait out the timelock and execute as an account holding EXECUTOR_ROLE
+ *   5. diff the treasury and recipient balances, then revert to the snapshot
+ *
+ * Needs the Hardhat-only RPC methods (evm_snapshot, hardhat_impersonateAccount,
+ * ...), so it cannot run against a public node directly: fork it first.
+ */
+class ProposalSimulator {
+    /**
+     * @param {Object} options
+     * @param {import("./client").DaoClient} options.client Client bound to the Hardhat network's provider. A
+     *        JsonRpcProvider needs cacheTimeout: -1, or repeated reads may be served from before a change
+     * @param {number} [options.fromBlock] First block to search for stakers and executors
+     */
+    constructor({ client, fromBlock = 0 }) {
+        this.client = client;
+        this.provider = client.runner.provider || client.runner;
+        this.fromBlock = fromBlock;
+    }
+
+    /**
+     * Simulate a proposal and leave the chain as it was.
+     * @param {bigint|number} proposalId A PENDING, ACTIVE or QUEUED proposal
+     * @param {{addVotes?: boolean}} [options] Set addVotes to false to tally only the votes cast so far
+     * @returns {Promise<Object>} Report with the outcome, tally and balance diffs
+     */
+    async simulate(proposalId, { addVotes = true } = {}) {
+        const snapshot = await this.provider.send("evm_snapshot", []);
+        try {
+            return await this._run(BigInt(proposalId), addVotes);
+        } finally {
+            await this.provider.send("evm_revert", [snapshot]);
+        }
+    }
+
+    // ============ Internals ============
+
+    async _run(proposalId, addVotes) {
+        const proposal = await this.client.getProposal(proposalId);
+        if (!OPEN_STATES.includes(proposal.state)) {
+            throw new DaoError(`Proposal ${proposalId} is ${proposal.state}; only open proposals can be simulated`, {
+                code: "NOT_SIMULATABLE",
+            });
+        }
+
+        const accounts = proposal.isActionProposal
+            ? [...new Set((await this.client.getProposalActions(proposalId)).map((action) => action.target))]
+            : [proposal.recipient];
+
+        const report = {
+            proposalId,
+            proposalType: proposal.proposalType,
+            // Payouts are drawn from the fund of the same name as the proposal type
+            fund: proposal.proposalType,
+            token: proposal.token,
+            recipient: proposal.isActionProposal ? null : proposal.recipient,
+            amount: proposal.amount,
+            isActionProposal: proposal.isActionProposal,
+            votesAdded: [],
+        };
+
+        if (proposal.state !== "QUEUED") {
+            await this._advanceTo(proposal.startTime);
+            if (addVotes) {
+                report.votesAdded = await this._voteFor(proposal);
+            }
+            await this._advanceTo(proposal.endTime + 1);
+        }
+
+        const executorAddress = await this._findExecutor();
+        const executor = this.client.connect(await this._impersonate(executorAddress));
+        const { state, executionTime } = await executor.queue(proposalId);
+        const tallied = await this.client.getProposal(proposalId);
+        report.tally = {
+            forVotes: tallied.forVotes,
+            againstVotes: tallied.againstVotes,
+            abstainVotes: tallied.abstainVotes,
+        };
+
+        // Taken after voting: impersonating members resets their ETH balance
+        const before = await this._balances(proposal.token, accounts);
+        let executorFee = 0n;
+
+        if (state === "DEFEATED") {
+            report.outcome = "DEFEATED";
+            report.defeatReason = await this._defeatReason(proposalId);
+        } else {
+            await this._advanceTo(executionTime);
+            try {
+                const receipt = await executor.execute(proposalId);
+                report.outcome = "EXECUTED";
+                report.txHash = receipt.hash;
+                report.gasUsed = receipt.gasUsed;
+                executorFee = receipt.fee;
+            } catch (error) {
+                if (!(error instanceof DaoError)) {
+                    throw error;
+                }
+                report.outcome = "REVERTED";
+                report.revert = { code: error.code, reason: error.reason ?? error.message };
+            }
+            if (report.outcome === "EXECUTED" && proposal.vesting) {
+                report.stream = await this.client.getStream(proposalId);
+            }
+        }
+
+        const after = await this._balances(proposal.token, accounts);
+        if (!proposal.token && executorAddress in after.accounts) {
+            // Report what the proposal moves, not the gas the simulation paid
+            after.accounts[executorAddress] += executorFee;
+        }
+        report.diffs = diffBalances(before, after);
+        return report;
+    }
+
+    /**
+     * Vote FOR as every staker who can still vote. Members delegating their
+     * power, or whose power a delegate already used, are left out.
+     * @returns {Promise<string[]>} Members who voted
+     */
+    async _voteFor(proposal) {
+        const { governanceToken, governanceProposal } = this.client;
+        const stakes = await governanceToken.queryFilter(governanceToken.filters.Staked(), this.fromBlock);
+        const members = [...new Set(stakes.map((event) => event.args.member))];
+        const voted = [];
+
+        for (const member of members) {
+            if (await governanceProposal.hasVoted(proposal.id, member)) continue;
+            if ((await governanceProposal.delegates(member)) !== ZeroAddress) continue;
+
+            try {
+                await this.client.connect(await this._impersonate(member)).castVote(proposal.id, "for");
+                voted.push(member);
+            } catch (error) {
+                // No power at the snapshot, or already used by a delegate
+                if (!(error instanceof VotingError)) {
+                    throw error;
+                }
+            }
+        }
+        return voted;
+    }
+
+    async _findExecutor() {
+        const { timelock } = this.client;
+        const role = await timelock.EXECUTOR_ROLE();
+        const grants = await timelock.queryFilter(timelock.filters.RoleGranted(role), this.fromBlock);
+
+        for (const grant of grants) {
+            if (await timelock.hasRole(role, grant.args.account)) {
+                return grant.args.account;
+            }
+        }
+        throw new DaoError("No account holds EXECUTOR_ROLE on the TimelockController", { code: "NO_EXECUTOR" });
+    }
+
+    async _defeatReason(proposalId) {
+        const { governanceProposal } = this.client;
+        const [event] = await governanceProposal.queryFilter(governanceProposal.filters.ProposalDefeated(proposalId), "latest");
+        return event ? event.args.reason : undefined;
+    }
+
+    async _impersonate(account) {
+        await this.provider.send("hardhat_impersonateAccount", [account]);
+        await this.provider.send("hardhat_setBalance", [account, toQuantity(IMPERSONATED_BALANCE)]);
+        return this.provider.getSigner(account);
+    }
+
+    async _advanceTo(timestamp) {
+        const latest = (await this.provider.getBlock("latest")).timestamp;
+        if (latest < timestamp) {
+            await this.provider.send("evm_setNextBlockTimestamp", [toQuantity(timestamp)]);
+            await this.provider.send("evm_mine", []);
+        }
+    }
+
+    async _balances(token, accounts) {
+        const treasury = await this.client.getTreasury(token ?? undefined);
+        const holders = {};
+        for (const account of accounts) {
+            holders[account] = token
+                ? await this.client.token(token).balanceOf(account)
+                : await this.provider.getBalance(account);
+        }
+        return { treasury: { total: treasury.total, ...treasury.funds }, accounts: holders };
+    }
+}
+
+function diffBalances(before, after) {
+    const diff = (from, to) => Object.fromEntries(Object.keys(from).map((key) => [
+        key,
+        { before: from[key], after: to[key], change: to[key] - from[key] },
+    ]));
+    return { treasury: diff(before.treasury, after.treasury), accounts: diff(before.accounts, after.accounts) };
+}
+
+module.exports = {
+    ProposalSimulator,
+};
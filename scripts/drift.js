@@ -0,0 +1,92 @@
+const { parseArgs } = require("util");
+const { formatEther } = require("ethers");
+const { DaoClient } = require("../lib/client");
+const { DriftMonitor } = require("../lib/drift");
+const { resolveDeploymentPath } = require("../lib/deployment");
+const { createSigner } = require("../lib/networks");
+
+const USAGE = `Usage: node scripts/drift.js [options]
+
+Reports how far each treasury fund has drifted from its rebalance target, and
+recommends a rebalance once any fund is more than --threshold percentage points
+of the funds' total away from it. With --propose it creates an action proposal
+that calls rebalanceFunds instead, unless one is already open; executing it
+requires ALLOCATOR_ROLE for the TimelockController on the treasury.
+
+Options:
+  --network <name>      Network to watch (localhost, sepolia) [default: localhost]
+  --rpc-url <url>       RPC endpoint, overrides --network
+  --account <index>     Unlocked node account to sign with when PRIVATE_KEY is unset [default: 0]
+  --deployment <file>   Deployment addresses file [default: deployments/<network>.json]
+  --threshold <points>  Drift that triggers a rebalance, in percentage points [default: 5]
+  --propose             Propose a rebalance instead of only recommending one
+  --poll <ms>           Delay between checks [default: 60000]
+  --once                Check once and exit`;
+
+function formatReport(report) {
+    const lines = [`Funds: ${formatEther(report.pool)} ETH, ${formatEther(report.reserved)} ETH reserved for queued proposals`];
+    for (const [name, fund] of Object.entries(report.funds)) {
+        const sign = fund.drift > 0n ? "+" : "";
+        lines.push(
+            `  ${name.padEnd(16)} ${formatEther(fund.balance)} ETH (${fund.share}%, cap ${fund.cap}%)` +
+            ` target ${formatEther(fund.target)} ETH, drift ${sign}${formatEther(fund.drift)} ETH (${sign}${fund.driftPoints} points)`
+        );
+    }
+    return lines.join("\n");
+}
+
+async function main() {
+    const { values: options } = parseArgs({
+        options: {
+            network: { type: "string", default: "localhost" },
+            "rpc-url": { type: "string" },
+            account: { type: "string", default: "0" },
+            deployment: { type: "string" },
+            threshold: { type: "string", default: "5" },
+            propose: { type: "boolean", default: false },
+            poll: { type: "string", default: "60000" },
+            once: { type: "boolean", default: false },
+            help: { type: "boolean", short: "h", default: false },
+        },
+    });
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const signer = await createSigner({
+        network: options.network,
+        rpcUrl: options["rpc-url"],
+        account: Number(options.account),
+    });
+    const monitor = new DriftMonitor({
+        client: DaoClient.fromDeployment(signer, resolveDeploymentPath(options.network, options.deployment)),
+        threshold: Number(options.threshold),
+        propose: options.propose,
+        pollInterval: Number(options.poll),
+    });
+
+    if (options.once) {
+        console.log(formatReport(await monitor.check()));
+        return;
+    }
+
+    console.log(`📈 Watching fund drift on ${options.network} (threshold ${monitor.threshold} points${options.propose ? ", proposing rebalances" : ""})`);
+
+    const shutdown = () => {
+        console.log("\n🛑 Stopping drift monitor...");
+        monitor.stop();
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+
+    await monitor.run();
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
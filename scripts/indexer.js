@@ -0,0 +1,79 @@
+const { parseArgs } = require("util");
+const { DaoIndexer, IndexerStore } = require("../lib/indexer");
+const { loadDeployment, resolveDeploymentPath } = require("../lib/deployment");
+const { createProvider } = require("../lib/networks");
+
+const USAGE = `Usage: node scripts/indexer.js [options]
+
+Backfills DAO events into SQLite, then follows new blocks.
+
+Options:
+  --network <name>      Network to index (localhost, sepolia) [default: localhost]
+  --rpc-url <url>       RPC endpoint, overrides --network
+  --deployment <file>   Deployment addresses file [default: deployments/<network>.json]
+  --db <file>           SQLite database [default: dao-index.sqlite]
+  --from-block <n>      First block to backfill on a fresh database [default: 0]
+  --batch-size <n>      Blocks per getLogs request [default: 2000]
+  --poll <ms>           Delay between polls when following [default: 4000]
+  --once                Sync to the current head and exit`;
+
+async function main() {
+    const { values: options } = parseArgs({
+        options: {
+            network: { type: "string", default: "localhost" },
+            "rpc-url": { type: "string" },
+            deployment: { type: "string" },
+            db: { type: "string", default: "dao-index.sqlite" },
+            "from-block": { type: "string", default: "0" },
+            "batch-size": { type: "string", default: "2000" },
+            poll: { type: "string", default: "4000" },
+            once: { type: "boolean", default: false },
+            help: { type: "boolean", short: "h", default: false },
+        },
+    });
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const provider = await createProvider({ network: options.network, rpcUrl: options["rpc-url"] });
+    const store = new IndexerStore(options.db);
+    const indexer = new DaoIndexer({
+        provider,
+        addresses: loadDeployment(resolveDeploymentPath(options.network, options.deployment)).contracts,
+        store,
+        startBlock: Number(options["from-block"]),
+        batchSize: Number(options["batch-size"]),
+        pollInterval: Number(options.poll),
+    });
+
+    const resumeFrom = store.getLastBlock();
+    console.log(resumeFrom === undefined
+        ? `🗂️  Indexing ${options.network} from block ${options["from-block"]} into ${options.db}`
+        : `🗂️  Resuming ${options.network} from block ${resumeFrom + 1} in ${options.db}`);
+
+    if (options.once) {
+        const { toBlock, events } = await indexer.syncOnce();
+        console.log(`✅ Indexed up to block ${toBlock} (${events} events)`);
+        store.close();
+        return;
+    }
+
+    const shutdown = () => {
+        console.log("\n🛑 Stopping indexer...");
+        indexer.stop();
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+
+    await indexer.run();
+    store.close();
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -0,0 +1,77 @@
+const { parseArgs } = require("util");
+const { DaoClient } = require("../lib/client");
+const { DaoKeeper } = require("../lib/keeper");
+const { resolveDeploymentPath } = require("../lib/deployment");
+const { createSigner } = require("../lib/networks");
+
+const USAGE = `Usage: node scripts/keeper.js [options]
+
+Tallies, schedules and executes proposals as soon as their windows elapse.
+Executing requires EXECUTOR_ROLE on the TimelockController.
+
+Options:
+  --network <name>      Network to watch (localhost, sepolia) [default: localhost]
+  --rpc-url <url>       RPC endpoint, overrides --network
+  --account <index>     Unlocked node account to sign with when PRIVATE_KEY is unset [default: 0]
+  --deployment <file>   Deployment addresses file [default: deployments/<network>.json]
+  --poll <ms>           Delay between scans [default: 15000]
+  --max-retries <n>     Retries for network failures [default: 3]
+  --dry-run             Simulate each transition instead of sending it
+  --once                Scan once and exit`;
+
+async function main() {
+    const { values: options } = parseArgs({
+        options: {
+            network: { type: "string", default: "localhost" },
+            "rpc-url": { type: "string" },
+            account: { type: "string", default: "0" },
+            deployment: { type: "string" },
+            poll: { type: "string", default: "15000" },
+            "max-retries": { type: "string", default: "3" },
+            "dry-run": { type: "boolean", default: false },
+            once: { type: "boolean", default: false },
+            help: { type: "boolean", short: "h", default: false },
+        },
+    });
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const signer = await createSigner({
+        network: options.network,
+        rpcUrl: options["rpc-url"],
+        account: Number(options.account),
+    });
+    const keeper = new DaoKeeper({
+        client: DaoClient.fromDeployment(signer, resolveDeploymentPath(options.network, options.deployment)),
+        dryRun: options["dry-run"],
+        pollInterval: Number(options.poll),
+        maxRetries: Number(options["max-retries"]),
+    });
+
+    console.log(`🤖 Keeper watching ${options.network} as ${await signer.getAddress()}${options["dry-run"] ? " (dry run)" : ""}`);
+
+    if (options.once) {
+        const actions = await keeper.tick();
+        console.log(`✅ Scan complete (${actions.length} actions)`);
+        return;
+    }
+
+    const shutdown = () => {
+        console.log("\n🛑 Stopping keeper...");
+        keeper.stop();
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+
+    await keeper.run();
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
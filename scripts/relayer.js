@@ -0,0 +1,79 @@
+const { parseArgs } = require("util");
+const { DaoClient } = require("../lib/client");
+const { VoteRelayer } = require("../lib/relayer");
+const { resolveDeploymentPath } = require("../lib/deployment");
+const { createSigner } = require("../lib/networks");
+
+const USAGE = `Usage: node scripts/relayer.js [options]
+
+Accepts signed votes and delegations over HTTP and submits them in batches,
+paying the gas on the members' behalf. Any funded account can relay.
+
+Options:
+  --network <name>      Network to submit to (localhost, sepolia) [default: localhost]
+  --rpc-url <url>       RPC endpoint, overrides --network
+  --account <index>     Unlocked node account to sign with when PRIVATE_KEY is unset [default: 0]
+  --deployment <file>   Deployment addresses file [default: deployments/<network>.json]
+  --host <address>      Interface to listen on [default: 127.0.0.1]
+  --port <port>         Port to listen on [default: 8787]
+  --batch-size <n>      Submissions per transaction [default: 20]
+  --batch-interval <ms> Delay between batches [default: 10000]
+  --max-pending <n>     Queued submissions accepted in total [default: 1000]
+  --max-per-signer <n>  Queued submissions accepted from one member [default: 10]`;
+
+async function main() {
+    const { values: options } = parseArgs({
+        options: {
+            network: { type: "string", default: "localhost" },
+            "rpc-url": { type: "string" },
+            account: { type: "string", default: "0" },
+            deployment: { type: "string" },
+            host: { type: "string", default: "127.0.0.1" },
+            port: { type: "string", default: "8787" },
+            "batch-size": { type: "string", default: "20" },
+            "batch-interval": { type: "string", default: "10000" },
+            "max-pending": { type: "string", default: "1000" },
+            "max-per-signer": { type: "string", default: "10" },
+            help: { type: "boolean", short: "h", default: false },
+        },
+    });
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const signer = await createSigner({
+        network: options.network,
+        rpcUrl: options["rpc-url"],
+        account: Number(options.account),
+    });
+    const relayer = new VoteRelayer({
+        client: DaoClient.fromDeployment(signer, resolveDeploymentPath(options.network, options.deployment)),
+        maxBatchSize: Number(options["batch-size"]),
+        batchInterval: Number(options["batch-interval"]),
+        maxPending: Number(options["max-pending"]),
+        maxPendingPerSigner: Number(options["max-per-signer"]),
+    });
+
+    const { address, port } = await relayer.listen(Number(options.port), options.host);
+    console.log(`📮 Relayer for ${options.network} listening on http://${address}:${port} as ${await signer.getAddress()}`);
+
+    await new Promise((resolve) => {
+        const shutdown = () => {
+            console.log("\n🛑 Stopping relayer...");
+            resolve();
+        };
+        process.once("SIGINT", shutdown);
+        process.once("SIGTERM", shutdown);
+    });
+
+    await relayer.close();
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -1,48 +1,165 @@
 const hre = require("hardhat");
 const fs = require("fs");
+const { DaoClient, ProposalType, resolveDeploymentPath } = require("../lib");
+
+// Moving the clock is only possible on a local chain
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+// OPERATIONAL voting delay used for the lifecycle walk, so proposals start PENDING
+const WALK_VOTING_DELAY = 60 * 60;
+
+async function advanceTime(seconds) {
+    if (seconds === 0) return;
+    await hre.network.provider.send("evm_increaseTime", [seconds]);
+    await hre.network.provider.send("evm_mine", []);
+}
+
+async function advanceTimeTo(timestamp) {
+    const { timestamp: now } = await hre.ethers.provider.getBlock("latest");
+    if (timestamp > now) await advanceTime(timestamp - now);
+}
+
+/**
+ * Set OPERATIONAL's voting delay the only way the deployed DAO allows: an
+ * action proposal, passed and executed through the timelock.
+ */
+async function setVotingDelay(dao, votingDelay, { deployer, member1, member2 }) {
+    const { quorum, threshold, votingPeriod } = (await dao.getTiers()).OPERATIONAL;
+    const { proposalId } = await dao.connect(member1).proposeActions({
+        actions: [{
+            target: dao.governanceProposal.target,
+            data: dao.governanceProposal.interface.encodeFunctionData("updateVotingConfig", [
+                ProposalType.OPERATIONAL, quorum, threshold, votingDelay, votingPeriod,
+            ]),
+        }],
+        description: `Lifecycle: OPERATIONAL voting delay of ${votingDelay}s`,
+    });
+
+    const { votingDelay: actionDelay, votingPeriod: actionPeriod } = (await dao.getTiers()).HIGH_CONVICTION;
+    await advanceTime(actionDelay);
+    for (const member of [member1, member2]) {
+        await dao.connect(member).castVote(proposalId, "for");
+    }
+    await advanceTime(actionPeriod + 1);
+    const { executionTime } = await dao.queue(proposalId);
+    await advanceTimeTo(executionTime);
+    await dao.connect(deployer).execute(proposalId);
+    console.log(`   ⚙️  OPERATIONAL voting delay set to ${votingDelay}s by action proposal #${proposalId}`);
+}
+
+/**
+ * Take a batch of small OPERATIONAL proposals through every transition of
+ * the proposal state machine. Runs before the sample proposals are created,
+ * so those are still open for voting afterwards.
+ */
+async function walkLifecycle(dao, { deployer, member1, member2, member3, recipient }) {
+    const propose = async (proposer, description) => {
+        const { proposalId } = await dao.connect(proposer).propose({
+            type: "OPERATIONAL",
+            recipient: recipient.address,
+            amount: "0.1",
+            description,
+        });
+        return proposalId;
+    };
+    const report = async (label, proposalId) => {
+        console.log(`   ${label.padEnd(34)} #${proposalId} → ${await dao.getProposalState(proposalId)}`);
+    };
+
+    // The default votingDelay of 0 (config/governance.json) skips PENDING, so
+    // the walk runs with a delay of its own and puts the default back after
+    const { votingDelay: defaultDelay } = (await dao.getTiers()).OPERATIONAL;
+    await setVotingDelay(dao, WALK_VOTING_DELAY, { deployer, member1, member2 });
+    const { votingDelay, votingPeriod } = (await dao.getTiers()).OPERATIONAL;
+
+    const withdrawn = await propose(member3, "Lifecycle: withdrawn by its proposer");
+    await report("Created", withdrawn);
+    await dao.connect(member3).cancel(withdrawn);
+    await report("Withdrawn before any vote", withdrawn);
+
+    const defeated = await propose(member3, "Lifecycle: voted down");
+    const executed = await propose(member2, "Lifecycle: executed");
+    const vetoed = await propose(member2, "Lifecycle: cancelled by the guardian");
+    const expired = await propose(member2, "Lifecycle: never executed");
+    await report("Created during the voting delay", executed);
+    await advanceTime(votingDelay);
+    await report("Voting delay over", executed);
+    await dao.connect(member1).castVote(defeated, "against");
+    for (const proposalId of [executed, vetoed, expired]) {
+        await dao.connect(member1).castVote(proposalId, "for");
+    }
+
+    await advanceTime(votingPeriod + 1);
+    await dao.queue(defeated);
+    await report("Tallied against", defeated);
+    let executionTime = 0;
+    for (const proposalId of [executed, vetoed, expired]) {
+        ({ executionTime } = await dao.queue(proposalId));
+    }
+    await report("Tallied for and scheduled", executed);
+
+    await dao.connect(deployer).cancel(vetoed);
+    await report("Cancelled by the guardian", vetoed);
+
+    await advanceTimeTo(executionTime);
+    await dao.connect(deployer).execute(executed);
+    await report("Executed after the timelock", executed);
+
+    const { expiresAt } = await dao.getProposal(expired);
+    await advanceTimeTo(expiresAt + 1);
+    await report("Left past the grace period", expired);
+    await dao.releaseReservation(expired);
+    console.log("   ✅ Expired proposal's reservation released back to the OPERATIONAL fund");
+
+    await setVotingDelay(dao, defaultDelay, { deployer, member1, member2 });
+}
 
 async function main() {
     console.log("🌱 Seeding DAO with test data...\n");
 
     // Load deployment addresses
-    if (!fs.existsSync("deployment-addresses.json")) {
-        console.error("❌ deployment-addresses.json not found. Please run deploy.js first.");
+    const deploymentFile = resolveDeploymentPath(hre.network.name);
+    if (!fs.existsSync(deploymentFile)) {
+        console.error(`❌ ${deploymentFile} not found. Please run deploy.js first.`);
         process.exit(1);
     }
 
-    const deployment = JSON.parse(fs.readFileSync("deployment-addresses.json", "utf8"));
-    const { GovernanceToken, GovernanceProposal, MultiTierTreasury } = deployment.contracts;
-
     const [deployer, member1, member2, member3, member4, recipient1, recipient2] = await hre.ethers.getSigners();
 
-    // Get contract instances
-    const governanceToken = await hre.ethers.getContractAt("GovernanceToken", GovernanceToken);
-    const governanceProposal = await hre.ethers.getContractAt("GovernanceProposal", GovernanceProposal);
+    const dao = DaoClient.fromDeployment(deployer, deploymentFile);
+    const governanceToken = dao.governanceToken;
+
+    // Only registered members' stake votes; the deployer keeps ATTESTER_ROLE to onboard them
+    console.log("🪪 Registering members 1-4 in the member registry...");
+    for (const member of [member1, member2, member3, member4]) {
+        await dao.connect(deployer).attest(member.address, "seed");
+    }
+    console.log("   ✅ Registered:", String(await governanceToken.registeredCount()), "members\n");
 
     console.log("📊 Creating test members with varying stakes...\n");
 
     // Member 1: Whale (100 ETH stake, 10 voting power)
     console.log("1️⃣  Member 1 (Whale): Depositing 100 ETH...");
-    await governanceToken.connect(member1).deposit({ value: hre.ethers.parseEther("100") });
-    const member1Power = await governanceToken.getVotingPower(member1.address);
+    await dao.connect(member1).stake("100");
+    const member1Power = await dao.getVotingPower(member1.address);
     console.log("   ✅ Stake: 100 ETH | Voting Power:", hre.ethers.formatUnits(member1Power, 9), "(quadratic)");
 
     // Member 2: Large holder (25 ETH stake, 5 voting power)
     console.log("\n2️⃣  Member 2 (Large): Depositing 25 ETH...");
-    await governanceToken.connect(member2).deposit({ value: hre.ethers.parseEther("25") });
-    const member2Power = await governanceToken.getVotingPower(member2.address);
+    await dao.connect(member2).stake("25");
+    const member2Power = await dao.getVotingPower(member2.address);
     console.log("   ✅ Stake: 25 ETH | Voting Power:", hre.ethers.formatUnits(member2Power, 9), "(quadratic)");
 
     // Member 3: Medium holder (9 ETH stake, 3 voting power)
     console.log("\n3️⃣  Member 3 (Medium): Depositing 9 ETH...");
-    await governanceToken.connect(member3).deposit({ value: hre.ethers.parseEther("9") });
-    const member3Power = await governanceToken.getVotingPower(member3.address);
+    await dao.connect(member3).stake("9");
+    const member3Power = await dao.getVotingPower(member3.address);
     console.log("   ✅ Stake: 9 ETH | Voting Power:", hre.ethers.formatUnits(member3Power, 9), "(quadratic)");
 
     // Member 4: Small holder (1 ETH stake, 1 voting power)
     console.log("\n4️⃣  Member 4 (Small): Depositing 1 ETH...");
-    await governanceToken.connect(member4).deposit({ value: hre.ethers.parseEther("1") });
-    const member4Power = await governanceToken.getVotingPower(member4.address);
+    await dao.connect(member4).stake("1");
+    const member4Power = await dao.getVotingPower(member4.address);
     console.log("   ✅ Stake: 1 ETH | Voting Power:", hre.ethers.formatUnits(member4Power, 9), "(quadratic)");
 
     const totalStaked = await governanceToken.totalStaked();
@@ -51,75 +168,80 @@ async function main() {
     console.log("📊 Total Voting Power:", hre.ethers.formatUnits(totalVotingPower, 9), "(quadratic)\n");
 
     console.log("=".repeat(60));
+    console.log("🔄 Walking proposals through their lifecycle...\n");
+    if (LOCAL_NETWORKS.includes(hre.network.name)) {
+        await walkLifecycle(dao, { deployer, member1, member2, member3, recipient: recipient2 });
+    } else {
+        console.log("   ⏭️  Skipped: needs a local chain to move time forward");
+    }
+
+    console.log("\n" + "=".repeat(60));
     console.log("📝 Creating sample proposals...\n");
 
     // Proposal 1: HIGH_CONVICTION (Major DeFi investment)
     console.log("1️⃣  Creating HIGH_CONVICTION proposal (15 ETH)...");
-    const tx1 = await governanceProposal.connect(member1).createProposal(
-        0, // HIGH_CONVICTION
-        recipient1.address,
-        hre.ethers.parseEther("15"),
-        "Major investment in Aave protocol - High conviction opportunity"
-    );
-    await tx1.wait();
-    console.log("   ✅ Proposal #1 created: Major DeFi Investment");
+    const { proposalId: highConvictionId } = await dao.connect(member1).propose({
+        type: "HIGH_CONVICTION",
+        recipient: recipient1.address,
+        amount: "15",
+        description: "Major investment in Aave protocol - High conviction opportunity",
+    });
+    console.log(`   ✅ Proposal #${highConvictionId} created: Major DeFi Investment`);
     console.log("   📋 Type: HIGH_CONVICTION | Amount: 15 ETH | Quorum: 30% | Threshold: 66%");
 
     // Proposal 2: EXPERIMENTAL (NFT project)
     console.log("\n2️⃣  Creating EXPERIMENTAL proposal (5 ETH)...");
-    const tx2 = await governanceProposal.connect(member2).createProposal(
-        1, // EXPERIMENTAL
-        recipient2.address,
-        hre.ethers.parseEther("5"),
-        "Experimental NFT marketplace - Medium risk bet"
-    );
-    await tx2.wait();
-    console.log("   ✅ Proposal #2 created: NFT Marketplace");
+    const { proposalId: experimentalId } = await dao.connect(member2).propose({
+        type: "EXPERIMENTAL",
+        recipient: recipient2.address,
+        amount: "5",
+        description: "Experimental NFT marketplace - Medium risk bet",
+    });
+    console.log(`   ✅ Proposal #${experimentalId} created: NFT Marketplace`);
     console.log("   📋 Type: EXPERIMENTAL | Amount: 5 ETH | Quorum: 20% | Threshold: 60%");
 
     // Proposal 3: OPERATIONAL (Server costs)
     console.log("\n3️⃣  Creating OPERATIONAL proposal (0.5 ETH)...");
-    const tx3 = await governanceProposal.connect(member3).createProposal(
-        2, // OPERATIONAL
-        deployer.address,
-        hre.ethers.parseEther("0.5"),
-        "Monthly server and infrastructure costs"
-    );
-    await tx3.wait();
-    console.log("   ✅ Proposal #3 created: Server Costs");
+    const { proposalId: operationalId } = await dao.connect(member3).propose({
+        type: "OPERATIONAL",
+        recipient: deployer.address,
+        amount: "0.5",
+        description: "Monthly server and infrastructure costs",
+    });
+    console.log(`   ✅ Proposal #${operationalId} created: Server Costs`);
     console.log("   📋 Type: OPERATIONAL | Amount: 0.5 ETH | Quorum: 10% | Threshold: 51%");
 
     console.log("\n" + "=".repeat(60));
     console.log("🗳️  Casting votes on proposals...\n");
 
     // Vote on Proposal 1 (will pass)
-    console.log("1️⃣  Voting on Proposal #1 (HIGH_CONVICTION):");
-    await governanceProposal.connect(member1).vote(1, 1); // FOR
+    console.log(`1️⃣  Voting on Proposal #${highConvictionId} (HIGH_CONVICTION):`);
+    await dao.connect(member1).castVote(highConvictionId, "for");
     console.log("   ✅ Member 1 voted FOR");
-    await governanceProposal.connect(member2).vote(1, 1); // FOR
+    await dao.connect(member2).castVote(highConvictionId, "for");
     console.log("   ✅ Member 2 voted FOR");
-    await governanceProposal.connect(member3).vote(1, 0); // AGAINST
+    await dao.connect(member3).castVote(highConvictionId, "against");
     console.log("   ✅ Member 3 voted AGAINST");
 
     // Vote on Proposal 2 (will pass)
-    console.log("\n2️⃣  Voting on Proposal #2 (EXPERIMENTAL):");
-    await governanceProposal.connect(member1).vote(2, 1); // FOR
+    console.log(`\n2️⃣  Voting on Proposal #${experimentalId} (EXPERIMENTAL):`);
+    await dao.connect(member1).castVote(experimentalId, "for");
     console.log("   ✅ Member 1 voted FOR");
-    await governanceProposal.connect(member4).vote(2, 1); // FOR
+    await dao.connect(member4).castVote(experimentalId, "for");
     console.log("   ✅ Member 4 voted FOR");
 
     // Vote on Proposal 3 (will pass)
-    console.log("\n3️⃣  Voting on Proposal #3 (OPERATIONAL):");
-    await governanceProposal.connect(member2).vote(3, 1); // FOR
+    console.log(`\n3️⃣  Voting on Proposal #${operationalId} (OPERATIONAL):`);
+    await dao.connect(member2).castVote(operationalId, "for");
     console.log("   ✅ Member 2 voted FOR");
-    await governanceProposal.connect(member3).vote(3, 1); // FOR
+    await dao.connect(member3).castVote(operationalId, "for");
     console.log("   ✅ Member 3 voted FOR");
 
     console.log("\n" + "=".repeat(60));
     console.log("🤝 Setting up delegation...\n");
 
     // Member 4 delegates to Member 1
-    await governanceProposal.connect(member4).delegate(member1.address);
+    await dao.connect(member4).delegate(member1.address);
     console.log("✅ Member 4 delegated voting power to Member 1 (Whale)");
 
     console.log("\n" + "=".repeat(60));
@@ -133,9 +255,10 @@ async function main() {
     console.log("   Delegations:    1");
 
     console.log("\n📝 Proposal Status:");
-    for (let i = 1; i <= 3; i++) {
-        const proposal = await governanceProposal.getProposal(i);
-        console.log(`\n   Proposal #${i}:`);
+    for (const proposalId of [highConvictionId, experimentalId, operationalId]) {
+        const proposal = await dao.getProposal(proposalId);
+        console.log(`\n   Proposal #${proposalId}:`);
+        console.log(`   Type:      ${proposal.proposalType} (${proposal.state})`);
         console.log(`   Amount:    ${hre.ethers.formatEther(proposal.amount)} ETH`);
         console.log(`   For Votes: ${hre.ethers.formatUnits(proposal.forVotes, 9)}`);
         console.log(`   Against:   ${hre.ethers.formatUnits(proposal.againstVotes, 9)}`);
@@ -144,9 +267,9 @@ async function main() {
 
     console.log("\n💡 Next Steps:");
     console.log("   1. Wait for voting period to end (3 days in production, instant in tests)");
-    console.log("   2. Queue approved proposals: governanceProposal.queueProposal(proposalId)");
+    console.log("   2. Queue approved proposals: dao.queue(proposalId)");
     console.log("   3. Wait for timelock period");
-    console.log("   4. Execute proposals: timelock.executeProposal(proposalId)");
+    console.log("   4. Execute proposals: dao.execute(proposalId)");
     console.log("\n" + "=".repeat(60) + "\n");
 }
 
@@ -0,0 +1,135 @@
+const { parseArgs } = require("util");
+const { formatUnits } = require("ethers");
+const { DaoClient } = require("../lib/client");
+const { ProposalSimulator } = require("../lib/simulator");
+const { resolveDeploymentPath } = require("../lib/deployment");
+const { createProvider, resolveRpcUrl } = require("../lib/networks");
+
+const USAGE = `Usage: node scripts/simulate.js <proposalId> [options]
+
+Runs the proposal through voting, the timelock and execution, and reports what
+it would change. Public networks are forked in-process; a local Hardhat node is
+used directly and reverted to a snapshot afterwards, so neither is changed.
+
+Options:
+  --network <name>      Network to simulate on (localhost, sepolia) [default: localhost]
+  --rpc-url <url>       RPC endpoint, overrides --network
+  --block <n>           Fork at this block [default: latest], not for Hardhat nodes
+  --from-block <n>      First block to search for stakers and executors [default: 0]
+  --deployment <file>   Deployment addresses file [default: deployments/<network>.json]
+  --as-is               Tally only the votes cast so far instead of voting FOR as everyone else
+  --json                Print machine-readable JSON`;
+
+function toJson(value) {
+    return JSON.stringify(value, (_, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+}
+
+function formatChange({ before, after, change }, asset) {
+    const sign = change > 0n ? "+" : "";
+    return `${formatUnits(before, asset.decimals)} -> ${formatUnits(after, asset.decimals)} ${asset.symbol} (${sign}${formatUnits(change, asset.decimals)})`;
+}
+
+function formatReport(report, asset) {
+    const lines = [
+        `Proposal #${report.proposalId} (${report.proposalType}), paid from the ${report.fund} fund`,
+        `Votes added:  ${report.votesAdded.length} member(s) voted FOR`,
+        `Tally:        for ${formatUnits(report.tally.forVotes, 9)}, against ${formatUnits(report.tally.againstVotes, 9)}, abstain ${formatUnits(report.tally.abstainVotes, 9)}`,
+    ];
+
+    if (report.outcome === "EXECUTED") {
+        lines.push(`Outcome:      ✅ executed (gas ${report.gasUsed})`);
+    } else if (report.outcome === "REVERTED") {
+        lines.push(`Outcome:      ❌ execution reverts: ${report.revert.reason} [${report.revert.code}]`);
+    } else {
+        lines.push(`Outcome:      ❌ defeated: ${report.defeatReason}`);
+    }
+    if (report.stream) {
+        lines.push(`Stream:       ${formatUnits(report.stream.total, asset.decimals)} ${asset.symbol} vesting until ${new Date(report.stream.end * 1000).toISOString()}`);
+    }
+
+    lines.push("Treasury:");
+    for (const [name, diff] of Object.entries(report.diffs.treasury)) {
+        lines.push(`  ${name.padEnd(16)} ${formatChange(diff, asset)}`);
+    }
+    lines.push(report.isActionProposal ? "Action targets:" : "Recipient:");
+    for (const [account, diff] of Object.entries(report.diffs.accounts)) {
+        lines.push(`  ${account} ${formatChange(diff, asset)}`);
+    }
+    return lines.join("\n");
+}
+
+/**
+ * Provider to simulate on. A Hardhat node already supports snapshots and
+ * impersonation, and Hardhat cannot fork chain 31337, so it is used directly.
+ * Anything else is forked into the in-process Hardhat network.
+ */
+async function openNetwork(options) {
+    const url = resolveRpcUrl(options.network, options["rpc-url"]);
+    // The simulator reads the same balances before and after executing
+    const remote = await createProvider({ rpcUrl: url, cacheTimeout: -1 });
+    const clientVersion = await remote.send("web3_clientVersion", []).catch(() => "");
+    if (clientVersion.startsWith("HardhatNetwork")) {
+        if (options.block) {
+            console.error("--block is not supported on a Hardhat node: it can only simulate from its latest block");
+            remote.destroy();
+            return null;
+        }
+        return remote;
+    }
+    remote.destroy();
+
+    // hardhat.config.js forks the in-process network from these, so they must
+    // be set before Hardhat is loaded
+    process.env.FORK_URL = url;
+    if (options.block) {
+        process.env.FORK_BLOCK = options.block;
+    }
+    return require("hardhat").ethers.provider;
+}
+
+async function main() {
+    const { values: options, positionals } = parseArgs({
+        options: {
+            network: { type: "string", default: "localhost" },
+            "rpc-url": { type: "string" },
+            block: { type: "string" },
+            "from-block": { type: "string", default: "0" },
+            deployment: { type: "string" },
+            "as-is": { type: "boolean", default: false },
+            json: { type: "boolean", default: false },
+            help: { type: "boolean", short: "h", default: false },
+        },
+        allowPositionals: true,
+    });
+
+    const [proposalId] = positionals;
+    if (options.help || !/^\d+$/.test(proposalId || "")) {
+        console.log(USAGE);
+        process.exitCode = options.help ? 0 : 2;
+        return;
+    }
+
+    const provider = await openNetwork(options);
+    if (!provider) {
+        process.exitCode = 2;
+        return;
+    }
+
+    const dao = DaoClient.fromDeployment(provider, resolveDeploymentPath(options.network, options.deployment));
+    const simulator = new ProposalSimulator({ client: dao, fromBlock: Number(options["from-block"]) });
+    const report = await simulator.simulate(BigInt(proposalId), { addVotes: !options["as-is"] });
+
+    if (options.json) {
+        console.log(toJson(report));
+        return;
+    }
+    const asset = report.token ? await dao.getTokenInfo(report.token) : { symbol: "ETH", decimals: 18 };
+    console.log(formatReport(report, asset));
+}
+
+main()
+    .then(() => process.exit(process.exitCode || 0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
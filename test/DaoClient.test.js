@@ -0,0 +1,628 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+    DaoClient,
+    ProposalType,
+    VoteType,
+    toEnumValue,
+    toEnumName,
+    loadDeployment,
+    loadGovernanceConfig,
+    applyGovernanceConfig,
+    applySpendingLimits,
+    ConfigurationError,
+    StakeError,
+    VotingError,
+    SignatureError,
+    ProposalValidationError,
+    LifecycleError,
+    TreasuryError,
+    AccessDeniedError,
+} = require("../lib");
+
+describe("DaoClient", function () {
+    async function deployDaoFixture() {
+        const [owner, member1, member2, member3, recipient] = await ethers.getSigners();
+
+        const GovernanceToken = await ethers.getContractFactory("GovernanceToken");
+        const governanceToken = await GovernanceToken.deploy();
+        for (const member of [member1, member2, member3]) {
+            await governanceToken.attest(member.address, ethers.ZeroHash);
+        }
+
+        const GovernanceProposal = await ethers.getContractFactory("GovernanceProposal");
+        const governanceProposal = await GovernanceProposal.deploy(await governanceToken.getAddress());
+
+        const MultiTierTreasury = await ethers.getContractFactory("MultiTierTreasury");
+        const treasury = await MultiTierTreasury.deploy();
+
+        const TimelockController = await ethers.getContractFactory("TimelockController");
+        const timelock = await TimelockController.deploy(
+            await governanceProposal.getAddress(),
+            await treasury.getAddress()
+        );
+
+        await governanceToken.grantRole(await governanceToken.GOVERNANCE_ROLE(), await governanceProposal.getAddress());
+        await governanceProposal.grantRole(await governanceProposal.EXECUTOR_ROLE(), await timelock.getAddress());
+        await governanceProposal.setTimelock(await timelock.getAddress());
+        await governanceProposal.grantRole(await governanceProposal.GUARDIAN_ROLE(), await timelock.getAddress());
+        await treasury.grantRole(await treasury.EXECUTOR_ROLE(), await timelock.getAddress());
+
+        await owner.sendTransaction({ to: await treasury.getAddress(), value: ethers.parseEther("50") });
+        await treasury.allocateFunds(0, ethers.parseEther("30"));
+        await treasury.allocateFunds(1, ethers.parseEther("15"));
+        await treasury.allocateFunds(2, ethers.parseEther("5"));
+
+        const addresses = {
+            GovernanceToken: await governanceToken.getAddress(),
+            GovernanceProposal: await governanceProposal.getAddress(),
+            MultiTierTreasury: await treasury.getAddress(),
+            TimelockController: await timelock.getAddress(),
+        };
+        const client = new DaoClient(owner, addresses);
+
+        await client.connect(member1).stake("100");
+        await client.connect(member2).stake("25");
+        await client.connect(member3).stake("9");
+
+        return { client, addresses, governanceToken, owner, member1, member2, member3, recipient };
+    }
+
+    describe("Enums", function () {
+        it("Should resolve enum names case-insensitively", function () {
+            expect(toEnumValue(ProposalType, "experimental")).to.equal(1);
+            expect(toEnumValue(ProposalType, "high-conviction")).to.equal(0);
+            expect(toEnumValue(VoteType, "FOR")).to.equal(1);
+            expect(toEnumValue(VoteType, 2n)).to.equal(2);
+        });
+
+        it("Should map numeric values back to names", function () {
+            expect(toEnumName(VoteType, 0)).to.equal("AGAINST");
+            expect(toEnumName(ProposalType, 2n)).to.equal("OPERATIONAL");
+        });
+
+        it("Should reject unknown enum values", function () {
+            expect(() => toEnumValue(VoteType, "maybe")).to.throw(TypeError);
+            expect(() => toEnumName(VoteType, 7)).to.throw(TypeError);
+        });
+    });
+
+    describe("Deployment loading", function () {
+        it("Should load a deployment file", function () {
+            const file = path.join(os.tmpdir(), `dao-deployment-${process.pid}.json`);
+            fs.writeFileSync(file, JSON.stringify({
+                network: "localhost",
+                contracts: {
+                    GovernanceToken: ethers.ZeroAddress,
+                    GovernanceProposal: ethers.ZeroAddress,
+                    MultiTierTreasury: ethers.ZeroAddress,
+                    TimelockController: ethers.ZeroAddress,
+                },
+            }));
+
+            try {
+                expect(loadDeployment(file).network).to.equal("localhost");
+            } finally {
+                fs.unlinkSync(file);
+            }
+        });
+
+        it("Should reject a missing deployment file", function () {
+            expect(() => loadDeployment(path.join(os.tmpdir(), "does-not-exist.json")))
+                .to.throw(ConfigurationError);
+        });
+    });
+
+    describe("Governance config", function () {
+        function writeConfig(config) {
+            const file = path.join(os.tmpdir(), `dao-governance-${process.pid}.json`);
+            fs.writeFileSync(file, JSON.stringify(config));
+            return file;
+        }
+
+        it("Should ship a config matching the contract defaults", async function () {
+            const { client } = await loadFixture(deployDaoFixture);
+            const { votingConfigs } = loadGovernanceConfig();
+            const tiers = await client.getTiers();
+
+            for (const [type, rules] of Object.entries(votingConfigs)) {
+                const { quorum, threshold, votingDelay, votingPeriod } = tiers[type];
+                expect({ quorum, threshold, votingDelay, votingPeriod }).to.deep.equal(rules);
+            }
+        });
+
+        it("Should apply a config's voting rules", async function () {
+            const { client, member1, recipient } = await loadFixture(deployDaoFixture);
+            const file = writeConfig({
+                votingConfigs: { OPERATIONAL: { quorum: 15, threshold: 55, votingDelay: 3600, votingPeriod: 86400 } },
+            });
+
+            try {
+                await applyGovernanceConfig(client.governanceProposal, loadGovernanceConfig(file));
+            } finally {
+                fs.unlinkSync(file);
+            }
+
+            const tiers = await client.getTiers();
+            expect(tiers.OPERATIONAL).to.include({ quorum: 15, threshold: 55, votingDelay: 3600, votingPeriod: 86400 });
+            expect(tiers.EXPERIMENTAL).to.include({ quorum: 20, threshold: 60 });
+
+            const { proposalId } = await client.connect(member1).propose({
+                type: "operational", recipient: recipient.address, amount: "0.5", description: "Ops",
+            });
+            const proposal = await client.getProposal(proposalId);
+            expect(proposal.endTime - proposal.startTime).to.equal(86400);
+            expect(proposal.quorum).to.equal(15);
+        });
+
+        it("Should apply a config's spending limits", async function () {
+            const { client } = await loadFixture(deployDaoFixture);
+            const { spendingLimits } = loadGovernanceConfig();
+            expect(spendingLimits.OPERATIONAL).to.deep.equal({
+                window: 30 * 24 * 60 * 60,
+                budget: ethers.parseEther("2"),
+                recipientCap: ethers.parseEther("1"),
+            });
+
+            await applySpendingLimits(client.treasury, { spendingLimits });
+            const limits = await client.getSpendingLimits();
+            expect(limits.OPERATIONAL).to.include({ budget: ethers.parseEther("2"), remaining: ethers.parseEther("2") });
+            expect(limits.HIGH_CONVICTION).to.include({ budget: 0n, remaining: ethers.MaxUint256 });
+
+            const cases = [
+                { LOW: { window: 86400, budget: "1" } },
+                { OPERATIONAL: { window: 3600, budget: "1" } },
+                { OPERATIONAL: { window: 86400, budget: 1 } },
+                { OPERATIONAL: { window: 86400, budget: "1", recipientCap: "2" } },
+            ];
+            for (const limitsConfig of cases) {
+                const file = writeConfig({ spendingLimits: limitsConfig });
+                try {
+                    expect(() => loadGovernanceConfig(file)).to.throw(ConfigurationError, "Invalid governance config");
+                } finally {
+                    fs.unlinkSync(file);
+                }
+            }
+        });
+
+        it("Should reject configs outside the contract's bounds", function () {
+            const cases = [
+                { OPERATIONAL: { quorum: 15, threshold: 50, votingDelay: 0, votingPeriod: 86400 } },
+                { OPERATIONAL: { quorum: 15, threshold: 55, votingDelay: 0 } },
+                { OPERATIONAL: { quorum: 15, threshold: 55, votingDelay: 0, votingPeriod: 86400, timelock: 1 } },
+                { MODERATE: { quorum: 15, threshold: 55, votingDelay: 0, votingPeriod: 86400 } },
+            ];
+            for (const votingConfigs of cases) {
+                const file = writeConfig({ votingConfigs });
+                try {
+                    expect(() => loadGovernanceConfig(file)).to.throw(ConfigurationError, "Invalid governance config");
+                } finally {
+                    fs.unlinkSync(file);
+                }
+            }
+        });
+    });
+
+    describe("Staking", function () {
+        it("Should stake and report voting power", async function () {
+            const { client, member1 } = await loadFixture(deployDaoFixture);
+
+            expect(await client.getStake(member1.address)).to.equal(ethers.parseEther("100"));
+            expect(await client.getVotingPower(member1.address)).to.be.closeTo(10n ** 10n, 10n ** 8n);
+        });
+
+        it("Should translate withdrawal reverts into StakeError", async function () {
+            const { client, member1 } = await loadFixture(deployDaoFixture);
+
+            const error = await client.connect(member1).withdraw("1000").catch((e) => e);
+            expect(error).to.be.instanceOf(StakeError);
+            expect(error.code).to.equal("INSUFFICIENT_STAKE");
+        });
+    });
+
+    describe("Proposals", function () {
+        it("Should create a proposal and return its id", async function () {
+            const { client, member1, recipient } = await loadFixture(deployDaoFixture);
+
+            const { proposalId } = await client.connect(member1).propose({
+                type: "experimental",
+                recipient: recipient.address,
+                amount: "5",
+                description: "NFT marketplace",
+            });
+
+            expect(proposalId).to.equal(1n);
+        });
+
+        it("Should return proposals as named objects", async function () {
+            const { client, member1, recipient } = await loadFixture(deployDaoFixture);
+
+            await client.connect(member1).propose({
+                type: "operational",
+                recipient: recipient.address,
+                amount: "0.5",
+                description: "Server costs",
+            });
+            await client.connect(member1).castVote(1, "for");
+
+            const proposal = await client.getProposal(1);
+            expect(proposal.proposalType).to.equal("OPERATIONAL");
+            expect(proposal.state).to.equal("ACTIVE");
+            expect(proposal.recipient).to.equal(recipient.address);
+            expect(proposal.amount).to.equal(ethers.parseEther("0.5"));
+            expect(proposal.forVotes).to.be.gt(0);
+            expect(proposal.quorum).to.equal(10);
+            expect(proposal.threshold).to.equal(51);
+        });
+
+        it("Should translate validation reverts into ProposalValidationError", async function () {
+            const { client, member1, recipient } = await loadFixture(deployDaoFixture);
+
+            const error = await client.connect(member1).propose({
+                type: "high_conviction",
+                recipient: recipient.address,
+                amount: "5",
+                description: "Too small",
+            }).catch((e) => e);
+
+            expect(error).to.be.instanceOf(ProposalValidationError);
+            expect(error.code).to.equal("AMOUNT_OUT_OF_BAND");
+            expect(error.reason).to.equal("Amount outside tier band");
+        });
+
+        it("Should translate vote changes after voting ends into VotingError", async function () {
+            const { client, member1, member2, recipient } = await loadFixture(deployDaoFixture);
+
+            await client.connect(member1).propose({
+                type: "operational",
+                recipient: recipient.address,
+                amount: "0.5",
+                description: "Server costs",
+            });
+            await client.connect(member2).castVote(1, "against");
+            await time.increase(3 * 24 * 60 * 60 + 1);
+
+            const error = await client.connect(member2).castVote(1, "for").catch((e) => e);
+            expect(error).to.be.instanceOf(VotingError);
+            expect(error.code).to.equal("VOTING_ENDED");
+        });
+
+        it("Should report delegated power and reject votes from delegators", async function () {
+            const { client, member1, member2, member3, recipient } = await loadFixture(deployDaoFixture);
+
+            await client.connect(member2).delegate(member1.address);
+            await client.connect(member3).delegate(member2.address);
+            expect(await client.getDelegatedPower(member1.address))
+                .to.equal(await client.getVotingPower(member2.address) + await client.getVotingPower(member3.address));
+            expect(await client.getDelegators(member1.address)).to.deep.equal([member2.address]);
+
+            await client.connect(member1).propose({
+                type: "operational",
+                recipient: recipient.address,
+                amount: "0.5",
+                description: "Server costs",
+            });
+            const error = await client.connect(member2).castVote(1, "for").catch((e) => e);
+            expect(error).to.be.instanceOf(VotingError);
+            expect(error.code).to.equal("VOTING_POWER_DELEGATED");
+        });
+    });
+
+    describe("Signed votes", function () {
+        it("Should sign votes and delegations that anyone can submit", async function () {
+            const { client, member1, member2, member3, recipient } = await loadFixture(deployDaoFixture);
+
+            await client.connect(member1).propose({
+                type: "operational",
+                recipient: recipient.address,
+                amount: "0.5",
+                description: "Server costs",
+            });
+            const delegation = await client.connect(member3).signDelegation(member2.address);
+            const ballot = await client.connect(member2).signVote(1, "against");
+            expect(ballot).to.include({ proposalId: 1n, voteType: VoteType.AGAINST, voter: member2.address, nonce: 0n });
+
+            // The owner pays for both; nothing is sent from the members' accounts
+            await client.delegateBySig(delegation);
+            await client.castVoteBySig(ballot);
+
+            expect((await client.getProposal(1)).againstVotes)
+                .to.equal(await client.getVotingPower(member2.address) + await client.getVotingPower(member3.address));
+            expect(await client.getNonce(member2.address)).to.equal(1n);
+
+            const error = await client.castVoteBySig(ballot).catch((e) => e);
+            expect(error).to.be.instanceOf(SignatureError);
+            expect(error.code).to.equal("INVALID_SIGNATURE");
+        });
+
+        it("Should submit a batch of signed votes atomically", async function () {
+            const { client, member1, member2, recipient } = await loadFixture(deployDaoFixture);
+
+            await client.connect(member1).propose({
+                type: "operational",
+                recipient: recipient.address,
+                amount: "0.5",
+                description: "Server costs",
+            });
+            const ballots = [
+                await client.connect(member1).signVote(1, "for"),
+                await client.connect(member2).signVote(1, "for", { expiry: (await time.latest()) - 1 }),
+            ];
+
+            const error = await client.simulateSigned(ballots).catch((e) => e);
+            expect(error).to.be.instanceOf(SignatureError);
+            expect(error.code).to.equal("SIGNATURE_EXPIRED");
+
+            await client.submitSigned(ballots.slice(0, 1));
+            expect(await client.hasVoted(1, member1.address)).to.be.true;
+        });
+    });
+
+    describe("Tiers", function () {
+        it("Should report what each proposal type decides", async function () {
+            const { client } = await loadFixture(deployDaoFixture);
+
+            const tiers = await client.getTiers();
+            expect(Object.keys(tiers)).to.deep.equal(["HIGH_CONVICTION", "EXPERIMENTAL", "OPERATIONAL"]);
+            expect(tiers.EXPERIMENTAL).to.deep.equal({
+                minAmount: ethers.parseEther("1"),
+                maxAmount: ethers.parseEther("10"),
+                quorum: 20,
+                threshold: 60,
+                votingDelay: 0,
+                votingPeriod: 3 * 24 * 60 * 60,
+                timelockDelay: 3 * 24 * 60 * 60,
+                fundBalance: ethers.parseEther("15"),
+                fundCap: 30,
+            });
+            expect(tiers.HIGH_CONVICTION.maxAmount).to.equal(ethers.MaxUint256);
+        });
+    });
+
+    describe("Tokens", function () {
+        it("Should deposit tokens and propose token payouts in whole units", async function () {
+            const { client, owner, member1, recipient } = await loadFixture(deployDaoFixture);
+
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+            const token = await usdc.getAddress();
+            await usdc.mint(owner.address, ethers.parseUnits("1000", 6));
+
+            await client.depositToken(token, "1000");
+            await client.treasury.allocateTokenFunds(token, 2, ethers.parseUnits("100", 6));
+
+            const treasury = await client.getTreasury(token);
+            expect(treasury.total).to.equal(ethers.parseUnits("1000", 6));
+            expect(treasury.funds.OPERATIONAL).to.equal(ethers.parseUnits("100", 6));
+            expect(await client.getTokenInfo(token)).to.deep.equal({ address: token, name: "USD Coin", symbol: "USDC", decimals: 6 });
+
+            const { proposalId } = await client.connect(member1).propose({
+                type: "operational",
+                token,
+                recipient: recipient.address,
+                amount: "250",
+                description: "Hosting",
+            });
+            const proposal = await client.getProposal(proposalId);
+            expect(proposal.token).to.equal(token);
+            expect(proposal.amount).to.equal(ethers.parseUnits("250", 6));
+        });
+    });
+
+    describe("Streams", function () {
+        it("Should propose a vesting payout and claim it over time", async function () {
+            const { client, member1, member2, recipient } = await loadFixture(deployDaoFixture);
+            const DAY = 24 * 60 * 60;
+
+            const { proposalId } = await client.connect(member1).propose({
+                type: "experimental",
+                recipient: recipient.address,
+                amount: "6",
+                description: "Contributor grant",
+                vesting: { cliff: 10 * DAY, duration: 60 * DAY },
+            });
+            expect((await client.getProposal(proposalId)).vesting).to.deep.equal({ cliff: 10 * DAY, duration: 60 * DAY });
+            expect(await client.getStream(proposalId)).to.be.null;
+
+            await client.connect(member1).castVote(proposalId, "for");
+            await client.connect(member2).castVote(proposalId, "for");
+            await time.increase(3 * DAY + 1);
+            const { executionTime } = await client.queue(proposalId);
+            await time.increaseTo(executionTime);
+            await client.execute(proposalId);
+
+            const stream = await client.getStream(proposalId);
+            expect(stream.fundType).to.equal("EXPERIMENTAL");
+            expect(stream.total).to.equal(ethers.parseEther("6"));
+            expect(stream.cliffEnd - stream.start).to.equal(10 * DAY);
+            expect(stream.claimable).to.equal(0);
+
+            const early = await client.connect(recipient).claimStream(proposalId).catch((e) => e);
+            expect(early).to.be.instanceOf(TreasuryError);
+            expect(early.code).to.equal("NOTHING_TO_CLAIM");
+
+            await time.increaseTo(stream.start + 30 * DAY - 1);
+            const { amount } = await client.connect(recipient).claimStream(proposalId);
+            expect(amount).to.equal(ethers.parseEther("3"));
+
+            const { paidOut, returned } = await client.cancelStream(proposalId);
+            expect(paidOut + returned).to.equal(ethers.parseEther("3"));
+            expect((await client.getStream(proposalId)).cancelled).to.be.true;
+        });
+    });
+
+    describe("Lifecycle", function () {
+        it("Should queue and execute an approved proposal", async function () {
+            const { client, member1, member2, recipient } = await loadFixture(deployDaoFixture);
+
+            await client.connect(member1).propose({
+                type: "experimental",
+                recipient: recipient.address,
+                amount: "5",
+                description: "NFT marketplace",
+            });
+            await client.connect(member1).castVote(1, "for");
+            await client.connect(member2).castVote(1, "for");
+
+            await time.increase(3 * 24 * 60 * 60 + 1);
+
+            const { state, executionTime } = await client.queue(1);
+            expect(state).to.equal("QUEUED");
+            expect(executionTime).to.be.gt(0);
+            expect((await client.getTreasury()).reserved.EXPERIMENTAL).to.equal(ethers.parseEther("5"));
+
+            const early = await client.execute(1).catch((e) => e);
+            expect(early).to.be.instanceOf(LifecycleError);
+            expect(early.code).to.equal("TIMELOCK_NOT_EXPIRED");
+
+            await time.increaseTo(executionTime);
+
+            const balanceBefore = await ethers.provider.getBalance(recipient.address);
+            await client.execute(1);
+            expect(await ethers.provider.getBalance(recipient.address) - balanceBefore)
+                .to.equal(ethers.parseEther("5"));
+            expect(await client.getProposalState(1)).to.equal("EXECUTED");
+
+            const { funds } = await client.getTreasury();
+            expect(funds.EXPERIMENTAL).to.equal(ethers.parseEther("10"));
+        });
+
+        it("Should unschedule a queued proposal cancelled in governance and release its reservation", async function () {
+            const { client, member1, member2, recipient } = await loadFixture(deployDaoFixture);
+
+            await client.connect(member1).propose({
+                type: "experimental",
+                recipient: recipient.address,
+                amount: "5",
+                description: "NFT marketplace",
+            });
+            await client.connect(member1).castVote(1, "for");
+            await client.connect(member2).castVote(1, "for");
+            await time.increase(3 * 24 * 60 * 60 + 1);
+            await client.queue(1);
+            expect((await client.getTreasury()).reserved.EXPERIMENTAL).to.equal(ethers.parseEther("5"));
+
+            await client.cancel(1);
+            expect((await client.getTreasury()).reserved.EXPERIMENTAL).to.equal(0n);
+            expect(await client.timelock.executionTimes(1)).to.equal(0n);
+
+            // Nothing is left for anyone to release
+            const error = await client.connect(member2).releaseReservation(1).catch((e) => e);
+            expect(error.code).to.equal("NOT_EXPIRED");
+        });
+
+        it("Should propose and execute contract calls through the timelock", async function () {
+            const { client, addresses, member1, member2 } = await loadFixture(deployDaoFixture);
+            await client.treasury.grantRole(await client.treasury.DEFAULT_ADMIN_ROLE(), addresses.TimelockController);
+
+            const actions = [{
+                target: addresses.MultiTierTreasury,
+                data: client.treasury.interface.encodeFunctionData("updateFundCap", [1, 40]),
+            }];
+            const { proposalId } = await client.connect(member1).proposeActions({ actions, description: "Raise cap" });
+
+            const proposal = await client.getProposal(proposalId);
+            expect(proposal.isActionProposal).to.be.true;
+            expect(proposal.proposalType).to.equal("HIGH_CONVICTION");
+            expect(await client.getProposalActions(proposalId)).to.deep.equal([
+                { target: addresses.MultiTierTreasury, value: 0n, data: actions[0].data },
+            ]);
+
+            await client.connect(member1).castVote(proposalId, "for");
+            await client.connect(member2).castVote(proposalId, "for");
+            await time.increase(3 * 24 * 60 * 60 + 1);
+            const { executionTime } = await client.queue(proposalId);
+            await time.increaseTo(executionTime);
+
+            await client.execute(proposalId);
+            expect(await client.getProposalState(proposalId)).to.equal("EXECUTED");
+            expect((await client.getTreasury()).caps.EXPERIMENTAL).to.equal(40);
+        });
+
+        it("Should translate invalid action lists into ProposalValidationError", async function () {
+            const { client, member1 } = await loadFixture(deployDaoFixture);
+
+            const error = await client.connect(member1)
+                .proposeActions({ actions: [], description: "Nothing" })
+                .catch((e) => e);
+            expect(error).to.be.instanceOf(ProposalValidationError);
+            expect(error.code).to.equal("NO_ACTIONS");
+        });
+
+        it("Should let voters withdraw once their proposal is finished", async function () {
+            const { client, member1, member2, member3, recipient } = await loadFixture(deployDaoFixture);
+
+            await client.connect(member1).propose({
+                type: "operational",
+                recipient: recipient.address,
+                amount: "0.5",
+                description: "Server costs",
+            });
+            await client.connect(member1).propose({
+                type: "operational",
+                recipient: recipient.address,
+                amount: "0.5",
+                description: "Domain renewal",
+            });
+            // Both get voted down
+            await client.connect(member2).castVote(1, "against");
+            await client.connect(member2).castVote(2, "against");
+            await client.connect(member3).castVote(1, "for");
+            await client.connect(member3).castVote(2, "for");
+
+            const locked = await client.connect(member3).withdraw("9").catch((e) => e);
+            expect(locked).to.be.instanceOf(StakeError);
+            expect(locked.code).to.equal("ACTIVE_VOTES");
+
+            await time.increase(3 * 24 * 60 * 60 + 1);
+            await client.queue(1);
+            expect(await client.getVoteLocks(member3.address)).to.deep.equal({ active: 1, unlockable: 0 });
+            await client.queue(2);
+            expect(await client.getVoteLocks(member3.address)).to.deep.equal({ active: 0, unlockable: 0 });
+
+            await client.connect(member3).withdraw("9");
+            expect(await client.getStake(member3.address)).to.equal(0);
+        });
+
+        it("Should report a defeated proposal when queueing", async function () {
+            const { client, member1, member3, recipient } = await loadFixture(deployDaoFixture);
+
+            await client.connect(member1).propose({
+                type: "high_conviction",
+                recipient: recipient.address,
+                amount: "15",
+                description: "Major investment",
+            });
+            await client.connect(member3).castVote(1, "for");
+
+            await time.increase(3 * 24 * 60 * 60 + 1);
+
+            const { state, executionTime } = await client.queue(1);
+            expect(state).to.equal("DEFEATED");
+            expect(executionTime).to.equal(0);
+        });
+
+        it("Should translate missing roles into AccessDeniedError", async function () {
+            const { client, member1, member2, recipient } = await loadFixture(deployDaoFixture);
+
+            await client.connect(member1).propose({
+                type: "operational",
+                recipient: recipient.address,
+                amount: "0.5",
+                description: "Server costs",
+            });
+            await client.connect(member1).castVote(1, "for");
+            await time.increase(3 * 24 * 60 * 60 + 1);
+            await client.queue(1);
+
+            const error = await client.connect(member2).execute(1).catch((e) => e);
+            expect(error).to.be.instanceOf(AccessDeniedError);
+            expect(error.account).to.equal(member2.address);
+        });
+    });
+});
@@ -0,0 +1,251 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { DaoClient, PauseError, AccessDeniedError } = require("../lib");
+
+describe("Emergency pause", function () {
+    const DAY = 24 * 60 * 60;
+    const USDC = (amount) => ethers.parseUnits(amount, 6);
+
+    // Wired like scripts/deploy.js: the timelock pauses the other three and is
+    // the only admin, and a separate guardian holds the GUARDIAN_ROLE of both
+    // the timelock and GovernanceProposal
+    async function deployDaoFixture() {
+        const [owner, guardian, member1, member2, recipient] = await ethers.getSigners();
+
+        const GovernanceToken = await ethers.getContractFactory("GovernanceToken");
+        const governanceToken = await GovernanceToken.deploy();
+        for (const member of [member1, member2]) {
+            await governanceToken.attest(member.address, ethers.ZeroHash);
+        }
+
+        const GovernanceProposal = await ethers.getContractFactory("GovernanceProposal");
+        const governanceProposal = await GovernanceProposal.deploy(await governanceToken.getAddress());
+
+        const MultiTierTreasury = await ethers.getContractFactory("MultiTierTreasury");
+        const treasury = await MultiTierTreasury.deploy();
+
+        const TimelockController = await ethers.getContractFactory("TimelockController");
+        const timelock = await TimelockController.deploy(
+            await governanceProposal.getAddress(),
+            await treasury.getAddress()
+        );
+        const timelockAddress = await timelock.getAddress();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+
+        await governanceToken.grantRole(await governanceToken.GOVERNANCE_ROLE(), await governanceProposal.getAddress());
+        await governanceProposal.grantRole(await governanceProposal.EXECUTOR_ROLE(), timelockAddress);
+        await governanceProposal.setTimelock(timelockAddress);
+        await governanceProposal.grantRole(await governanceProposal.GUARDIAN_ROLE(), timelockAddress);
+        await treasury.grantRole(await treasury.EXECUTOR_ROLE(), timelockAddress);
+        await timelock.grantRole(await timelock.GUARDIAN_ROLE(), guardian.address);
+        await governanceProposal.grantRole(await governanceProposal.GUARDIAN_ROLE(), guardian.address);
+
+        await owner.sendTransaction({ to: await treasury.getAddress(), value: ethers.parseEther("50") });
+        await treasury.allocateFunds(0, ethers.parseEther("30"));
+        await treasury.allocateFunds(1, ethers.parseEther("15"));
+        await treasury.allocateFunds(2, ethers.parseEther("5"));
+        await usdc.mint(owner.address, USDC("1000"));
+        await usdc.approve(await treasury.getAddress(), USDC("1000"));
+        await treasury.depositToken(await usdc.getAddress(), USDC("500"));
+        await treasury.allocateTokenFunds(await usdc.getAddress(), 2, USDC("50"));
+
+        // A stream the owner (treasury executor) opens, to claim and cancel while paused
+        await treasury.openStream(99, ethers.ZeroAddress, 2, recipient.address, ethers.parseEther("0.5"), 0, 30 * DAY);
+
+        for (const contract of [governanceToken, governanceProposal, treasury]) {
+            await contract.grantRole(await contract.PAUSER_ROLE(), timelockAddress);
+        }
+        for (const contract of [governanceToken, governanceProposal, treasury, timelock]) {
+            await contract.grantRole(await contract.DEFAULT_ADMIN_ROLE(), timelockAddress);
+            await contract.renounceRole(await contract.DEFAULT_ADMIN_ROLE(), owner.address);
+            await contract.renounceRole(await contract.PAUSER_ROLE(), owner.address);
+        }
+
+        const client = new DaoClient(owner, {
+            GovernanceToken: await governanceToken.getAddress(),
+            GovernanceProposal: await governanceProposal.getAddress(),
+            MultiTierTreasury: await treasury.getAddress(),
+            TimelockController: timelockAddress,
+        });
+        await client.connect(member1).stake("100");
+        await client.connect(member2).stake("25");
+        await client.connect(member1).propose({
+            type: "experimental",
+            recipient: recipient.address,
+            amount: "5",
+            description: "NFT marketplace",
+        });
+
+        return {
+            client,
+            governanceToken,
+            governanceProposal,
+            treasury,
+            timelock,
+            usdc,
+            owner,
+            guardian,
+            member1,
+            member2,
+            recipient,
+        };
+    }
+
+    describe("Pausing", function () {
+        it("Should pause and unpause all four contracts in one guardian call", async function () {
+            const { client, governanceToken, treasury, guardian, member1 } = await loadFixture(deployDaoFixture);
+
+            const denied = await client.connect(member1).pauseAll(DAY).catch((e) => e);
+            expect(denied).to.be.instanceOf(AccessDeniedError);
+            await expect(governanceToken.connect(guardian).pause(DAY)).to.be.revertedWithCustomError(
+                governanceToken,
+                "AccessControlUnauthorizedAccount"
+            );
+
+            await expect(client.timelock.connect(guardian).pauseAll(3 * DAY))
+                .to.emit(treasury, "Paused")
+                .withArgs(await client.timelock.getAddress(), (await time.latest()) + 1 + 3 * DAY);
+            const until = (await time.latest()) + 3 * DAY;
+
+            for (const status of Object.values(await client.getPauseStatus())) {
+                expect(status).to.deep.equal({ paused: true, pausedUntil: until });
+            }
+
+            await client.connect(guardian).unpauseAll();
+            for (const status of Object.values(await client.getPauseStatus())) {
+                expect(status.paused).to.be.false;
+            }
+        });
+
+        it("Should end on its own and not restart before the cooldown", async function () {
+            const { client, timelock, guardian } = await loadFixture(deployDaoFixture);
+            const guardianClient = client.connect(guardian);
+
+            for (const duration of [0, 7 * DAY + 1]) {
+                const error = await guardianClient.pauseAll(duration).catch((e) => e);
+                expect(error).to.be.instanceOf(PauseError);
+                expect(error.code).to.equal("INVALID_PAUSE_DURATION");
+            }
+
+            await guardianClient.pauseAll(3 * DAY);
+            expect((await guardianClient.pauseAll(DAY).catch((e) => e)).code).to.equal("ALREADY_PAUSED");
+
+            await time.increase(3 * DAY);
+            expect(await timelock.paused()).to.be.false;
+            expect((await guardianClient.pauseAll(DAY).catch((e) => e)).code).to.equal("PAUSE_COOLDOWN");
+
+            await time.increase(2 * DAY);
+            await guardianClient.pauseAll(DAY);
+            expect(await timelock.paused()).to.be.true;
+        });
+
+        it("Should only let governance extend a pause, through an action proposal", async function () {
+            const { client, governanceToken, guardian, member1, member2 } = await loadFixture(deployDaoFixture);
+            await client.connect(guardian).pauseAll(7 * DAY);
+
+            await expect(governanceToken.connect(guardian).extendPause((await time.latest()) + 30 * DAY))
+                .to.be.revertedWithCustomError(governanceToken, "AccessControlUnauthorizedAccount");
+
+            // Action proposals are created, voted on and scheduled while everything is paused
+            const until = (await time.latest()) + 30 * DAY;
+            const { proposalId } = await client.connect(member1).proposePauseExtension({
+                until,
+                description: "Keep the DAO paused while the incident is investigated",
+            });
+            await client.connect(member1).castVote(proposalId, "for");
+            await client.connect(member2).castVote(proposalId, "for");
+            await time.increase(3 * DAY + 1);
+            const { executionTime } = await client.queue(proposalId);
+
+            // The guardian's pause has run out by the time the timelock allows execution
+            await time.increaseTo(executionTime);
+            expect(await governanceToken.paused()).to.be.false;
+            await client.execute(proposalId);
+
+            for (const status of Object.values(await client.getPauseStatus())) {
+                expect(status).to.deep.equal({ paused: true, pausedUntil: until });
+            }
+        });
+    });
+
+    describe("Paused entry points", function () {
+        it("Should stop staking but let members withdraw unlocked stake", async function () {
+            const { client, guardian, member2 } = await loadFixture(deployDaoFixture);
+            await client.connect(guardian).pauseAll(DAY);
+
+            const error = await client.connect(member2).stake("1").catch((e) => e);
+            expect(error).to.be.instanceOf(PauseError);
+            expect(error.code).to.equal("PAUSED");
+
+            await client.connect(member2).withdraw("10");
+            expect(await client.governanceToken.stakes(member2.address)).to.equal(ethers.parseEther("15"));
+        });
+
+        it("Should stop payout proposals from being created, voted on and tallied", async function () {
+            const { client, governanceProposal, usdc, guardian, member1, member2, recipient } = await loadFixture(deployDaoFixture);
+            await client.connect(member1).castVote(1, "for");
+            await client.connect(guardian).pauseAll(7 * DAY);
+
+            const payout = { type: "operational", recipient: recipient.address, amount: "0.5", description: "Hosting" };
+            for (const extra of [{}, { token: await usdc.getAddress() }, { vesting: { duration: 30 * DAY } }]) {
+                const error = await client.connect(member1).propose({ ...payout, ...extra }).catch((e) => e);
+                expect(error.code).to.equal("PAUSED");
+            }
+
+            expect((await client.connect(member2).castVote(1, "for").catch((e) => e)).code).to.equal("PAUSED");
+            const ballot = await client.connect(member2).signVote(1, "for");
+            expect((await client.castVoteBySig(ballot).catch((e) => e)).code).to.equal("PAUSED");
+
+            await time.increase(3 * DAY + 1);
+            await expect(governanceProposal.queueProposal(1)).to.be.revertedWith("Contract paused");
+            expect(await client.getProposalState(1)).to.equal("ACTIVE");
+        });
+
+        it("Should stop payout proposals from being scheduled and executed, but not cancelled", async function () {
+            const { client, timelock, guardian, member1, member2 } = await loadFixture(deployDaoFixture);
+            await client.connect(member1).castVote(1, "for");
+            await client.connect(member2).castVote(1, "for");
+            await time.increase(3 * DAY + 1);
+
+            await client.connect(guardian).pauseAll(DAY);
+            await expect(client.governanceProposal.queueProposal(1)).to.be.revertedWith("Contract paused");
+            expect(await timelock.executionTimes(1)).to.equal(0);
+
+            await client.connect(guardian).unpauseAll();
+            const { executionTime } = await client.queue(1);
+            await time.increaseTo(executionTime);
+            await client.connect(guardian).pauseAll(DAY);
+
+            const error = await client.execute(1).catch((e) => e);
+            expect(error).to.be.instanceOf(PauseError);
+            expect(await client.getProposalState(1)).to.equal("QUEUED");
+
+            await client.connect(guardian).cancel(1);
+            expect(await client.getProposalState(1)).to.equal("CANCELLED");
+            expect((await client.getTreasury()).reserved.EXPERIMENTAL).to.equal(0n);
+        });
+
+        it("Should stop every deposit to and payment from the treasury", async function () {
+            const { client, treasury, usdc, owner, guardian, recipient } = await loadFixture(deployDaoFixture);
+            const token = await usdc.getAddress();
+            await client.connect(guardian).pauseAll(DAY);
+
+            // The owner keeps the treasury's EXECUTOR_ROLE, so it can call the payout paths directly
+
+            await expect(owner.sendTransaction({ to: await treasury.getAddress(), value: 1n })).to.be.revertedWith("Contract paused");
+            await expect(treasury.depositToken(token, USDC("1"))).to.be.revertedWith("Contract paused");
+            await expect(treasury.executeTransfer(100, 2, recipient.address, 1n)).to.be.revertedWith("Contract paused");
+            await expect(treasury.executeTokenTransfer(101, token, 2, recipient.address, 1n)).to.be.revertedWith("Contract paused");
+            await expect(treasury.openStream(102, ethers.ZeroAddress, 2, recipient.address, 1n, 0, DAY)).to.be.revertedWith("Contract paused");
+            await expect(treasury.connect(recipient).claimStream(99)).to.be.revertedWith("Contract paused");
+            await expect(treasury.cancelStream(99)).to.be.revertedWith("Contract paused");
+
+            // Bookkeeping inside the treasury carries on
+            await expect(treasury.moveFunds(0, 2, ethers.parseEther("0.1"))).to.emit(treasury, "FundsMoved");
+        });
+    });
+});
@@ -9,6 +9,9 @@ describe("GovernanceProposal", function () {
         // Deploy GovernanceToken
         const GovernanceToken = await ethers.getContractFactory("GovernanceToken");
         const governanceToken = await GovernanceToken.deploy();
+        for (const member of [member1, member2, member3]) {
+            await governanceToken.attest(member.address, ethers.ZeroHash);
+        }
 
         // Deploy GovernanceProposal
         const GovernanceProposal = await ethers.getContractFactory("GovernanceProposal");
@@ -18,12 +21,20 @@ describe("GovernanceProposal", function () {
         const GOVERNANCE_ROLE = await governanceToken.GOVERNANCE_ROLE();
         await governanceToken.grantRole(GOVERNANCE_ROLE, await governanceProposal.getAddress());
 
+        // Passed proposals are scheduled in the timelock as they are queued
+        const MultiTierTreasury = await ethers.getContractFactory("MultiTierTreasury");
+        const treasury = await MultiTierTreasury.deploy();
+        const TimelockController = await ethers.getContractFactory("TimelockController");
+        const timelock = await TimelockController.deploy(await governanceProposal.getAddress(), await treasury.getAddress());
+        await treasury.grantRole(await treasury.EXECUTOR_ROLE(), await timelock.getAddress());
+        await governanceProposal.setTimelock(await timelock.getAddress());
+
         // Setup members with stakes
         await governanceToken.connect(member1).deposit({ value: ethers.parseEther("100") }); // 10 voting power
         await governanceToken.connect(member2).deposit({ value: ethers.parseEther("25") });  // 5 voting power
         await governanceToken.connect(member3).deposit({ value: ethers.parseEther("9") });   // 3 voting power
 
-        return { governanceToken, governanceProposal, owner, member1, member2, member3, recipient };
+        return { governanceToken, governanceProposal, timelock, owner, member1, member2, member3, recipient };
     }
 
     describe("Proposal Creation", function () {
@@ -98,7 +109,7 @@ describe("GovernanceProposal", function () {
                     ethers.parseEther("10"),
                     "Test"
                 )
-            ).to.be.revertedWith("HIGH_CONVICTION requires > 10 ETH");
+            ).to.be.revertedWith("Amount outside tier band");
         });
 
         it("Should reject proposal with zero address recipient", async function () {
@@ -126,6 +137,86 @@ describe("GovernanceProposal", function () {
                 )
             ).to.be.revertedWith("Amount must be greater than 0");
         });
+
+        it("Should make token proposals high-conviction until the token has a band", async function () {
+            const { governanceProposal, member1, recipient } = await loadFixture(deployGovernanceFixture);
+            const token = ethers.Wallet.createRandom().address;
+
+            // Token amounts are not held to the ETH bands, and a type without a band for the token is escalated
+            await expect(governanceProposal.connect(member1).createTokenProposal(2, token, recipient.address, ethers.parseEther("50000"), "Stablecoin budget"))
+                .to.emit(governanceProposal, "ProposalEscalated").withArgs(1, 2, 0);
+
+            const proposal = await governanceProposal.getProposal(1);
+            expect(proposal.proposalType).to.equal(0);
+            expect(proposal.amount).to.equal(ethers.parseEther("50000"));
+            expect(await governanceProposal.proposalToken(1)).to.equal(token);
+        });
+
+        it("Should hold token proposals to the token's bands", async function () {
+            const { governanceProposal, member1, recipient } = await loadFixture(deployGovernanceFixture);
+            const token = ethers.Wallet.createRandom().address;
+
+            await expect(governanceProposal.updateTokenAmountBand(token, 2, 1, ethers.parseEther("1000")))
+                .to.emit(governanceProposal, "TokenAmountBandUpdated")
+                .withArgs(token, 2, 1, ethers.parseEther("1000"));
+            expect(await governanceProposal.tokenAmountBands(token, 2)).to.deep.equal([1n, ethers.parseEther("1000")]);
+
+            await expect(
+                governanceProposal.connect(member1).createTokenProposal(2, token, recipient.address, ethers.parseEther("50000"), "Stablecoin budget")
+            ).to.be.revertedWith("Amount outside tier band");
+            await expect(
+                governanceProposal.connect(member1).createStreamProposal(2, token, recipient.address, ethers.parseEther("50000"), "Stablecoin stream", 0, 30 * 24 * 60 * 60)
+            ).to.be.revertedWith("Amount outside tier band");
+
+            await expect(governanceProposal.connect(member1).createTokenProposal(2, token, recipient.address, ethers.parseEther("500"), "Hosting"))
+                .not.to.emit(governanceProposal, "ProposalEscalated");
+            expect((await governanceProposal.getProposal(1)).proposalType).to.equal(2);
+        });
+
+        it("Should only let the admin set valid token bands", async function () {
+            const { governanceProposal, member1 } = await loadFixture(deployGovernanceFixture);
+            const token = ethers.Wallet.createRandom().address;
+
+            await expect(governanceProposal.connect(member1).updateTokenAmountBand(token, 2, 1, 2))
+                .to.be.revertedWithCustomError(governanceProposal, "AccessControlUnauthorizedAccount");
+            await expect(governanceProposal.updateTokenAmountBand(ethers.ZeroAddress, 2, 1, 2)).to.be.revertedWith("Invalid token");
+            await expect(governanceProposal.updateTokenAmountBand(token, 2, 3, 2)).to.be.revertedWith("Invalid amount band");
+        });
+
+        it("Should reject token proposals without a token", async function () {
+            const { governanceProposal, member1, recipient } = await loadFixture(deployGovernanceFixture);
+
+            await expect(
+                governanceProposal.connect(member1).createTokenProposal(2, ethers.ZeroAddress, recipient.address, 1, "No token")
+            ).to.be.revertedWith("Invalid token");
+        });
+
+        it("Should record the vesting schedule of stream proposals", async function () {
+            const { governanceProposal, member1, recipient } = await loadFixture(deployGovernanceFixture);
+            const DAY = 24 * 60 * 60;
+
+            await expect(governanceProposal.connect(member1).createStreamProposal(
+                1, ethers.ZeroAddress, recipient.address, ethers.parseEther("5"), "Contributor grant", 30 * DAY, 180 * DAY
+            )).to.emit(governanceProposal, "StreamProposalCreated").withArgs(1, 30 * DAY, 180 * DAY);
+
+            const schedule = await governanceProposal.vestingSchedules(1);
+            expect(schedule.cliff).to.equal(30 * DAY);
+            expect(schedule.duration).to.equal(180 * DAY);
+            expect(await governanceProposal.proposalToken(1)).to.equal(ethers.ZeroAddress);
+        });
+
+        it("Should validate stream proposals", async function () {
+            const { governanceProposal, member1, recipient } = await loadFixture(deployGovernanceFixture);
+            const proposer = governanceProposal.connect(member1);
+
+            await expect(proposer.createStreamProposal(1, ethers.ZeroAddress, recipient.address, ethers.parseEther("5"), "Grant", 0, 0))
+                .to.be.revertedWith("Invalid vesting schedule");
+            await expect(proposer.createStreamProposal(1, ethers.ZeroAddress, recipient.address, ethers.parseEther("5"), "Grant", 10, 5))
+                .to.be.revertedWith("Invalid vesting schedule");
+            // ETH streams still respect the tier's amount band
+            await expect(proposer.createStreamProposal(2, ethers.ZeroAddress, recipient.address, ethers.parseEther("5"), "Grant", 0, 100))
+                .to.be.revertedWith("Amount outside tier band");
+        });
     });
 
     describe("Voting", function () {
@@ -143,8 +234,8 @@ describe("GovernanceProposal", function () {
                 .to.emit(governanceProposal, "VoteCast");
         });
 
-        it("Should prevent double voting", async function () {
-            const { governanceProposal, member1, member2, recipient } = await loadFixture(deployGovernanceFixture);
+        it("Should count a vote cast again only once", async function () {
+            const { governanceToken, governanceProposal, member1, member2, recipient } = await loadFixture(deployGovernanceFixture);
 
             await governanceProposal.connect(member1).createProposal(
                 2,
@@ -152,12 +243,16 @@ describe("GovernanceProposal", function () {
                 ethers.parseEther("0.5"),
                 "Test"
             );
+            const power = await governanceToken.getVotingPower(member2.address);
 
             await governanceProposal.connect(member2).vote(1, 1);
+            await expect(governanceProposal.connect(member2).vote(1, 0))
+                .to.emit(governanceProposal, "VoteChanged").withArgs(1, member2.address, power, 0, 0)
+                .and.to.emit(governanceProposal, "VoteCast").withArgs(1, member2.address, 0, power, "");
 
-            await expect(
-                governanceProposal.connect(member2).vote(1, 1)
-            ).to.be.revertedWith("Already voted");
+            const proposal = await governanceProposal.getProposal(1);
+            expect([proposal.forVotes, proposal.againstVotes]).to.deep.equal([0n, power]);
+            expect(await governanceToken.activeVotes(member2.address)).to.equal(1n);
         });
 
         it("Should prevent voting with zero voting power", async function () {
@@ -271,6 +366,296 @@ describe("GovernanceProposal", function () {
                 governanceProposal.connect(member1).revokeDelegate()
             ).to.be.revertedWith("No active delegation");
         });
+
+        it("Should prevent longer delegation cycles", async function () {
+            const { governanceProposal, member1, member2, member3 } = await loadFixture(deployGovernanceFixture);
+
+            await governanceProposal.connect(member1).delegate(member2.address);
+            await governanceProposal.connect(member2).delegate(member3.address);
+
+            await expect(
+                governanceProposal.connect(member3).delegate(member1.address)
+            ).to.be.revertedWith("Circular delegation");
+        });
+
+        it("Should refuse delegation from addresses without voting power", async function () {
+            const { governanceToken, governanceProposal, owner, member1, recipient } = await loadFixture(deployGovernanceFixture);
+
+            // No stake at all
+            await expect(
+                governanceProposal.connect(recipient).delegate(member1.address)
+            ).to.be.revertedWith("No voting power to delegate");
+
+            // Stake, but not a registered member
+            await governanceToken.connect(owner).deposit({ value: ethers.parseEther("4") });
+            await expect(
+                governanceProposal.connect(owner).delegate(member1.address)
+            ).to.be.revertedWith("No voting power to delegate");
+        });
+
+        it("Should cap the number of direct delegators", async function () {
+            const { governanceToken, governanceProposal, owner, member1 } = await loadFixture(deployGovernanceFixture);
+
+            const max = await governanceProposal.MAX_DELEGATORS();
+            const delegators = [];
+            for (let i = 0n; i <= max; i++) {
+                const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+                await owner.sendTransaction({ to: wallet.address, value: ethers.parseEther("1.1") });
+                await governanceToken.attest(wallet.address, ethers.ZeroHash);
+                await governanceToken.connect(wallet).deposit({ value: ethers.parseEther("1") });
+                delegators.push(wallet);
+            }
+
+            for (const wallet of delegators.slice(0, Number(max))) {
+                await governanceProposal.connect(wallet).delegate(member1.address);
+            }
+            await expect(
+                governanceProposal.connect(delegators[Number(max)]).delegate(member1.address)
+            ).to.be.revertedWith("Too many delegators");
+
+            // A slot frees up when a delegator leaves
+            await governanceProposal.connect(delegators[0]).revokeDelegate();
+            await governanceProposal.connect(delegators[Number(max)]).delegate(member1.address);
+        });
+
+        it("Should add delegated power to the delegatee's vote", async function () {
+            const { governanceToken, governanceProposal, member1, member2, recipient } = await loadFixture(deployGovernanceFixture);
+
+            await governanceProposal.connect(member2).delegate(member1.address);
+            await governanceProposal.connect(member1).createProposal(2, recipient.address, ethers.parseEther("0.5"), "Test");
+
+            const power1 = await governanceToken.getVotingPower(member1.address);
+            const power2 = await governanceToken.getVotingPower(member2.address);
+            expect(await governanceProposal.getDelegatedPower(member1.address)).to.equal(power2);
+
+            await expect(governanceProposal.connect(member1).vote(1, 1))
+                .to.emit(governanceProposal, "VoteCast")
+                .withArgs(1, member1.address, 1, power1 + power2, "");
+            expect((await governanceProposal.getProposal(1)).forVotes).to.equal(power1 + power2);
+        });
+
+        it("Should block delegators from voting themselves", async function () {
+            const { governanceProposal, member1, member2, recipient } = await loadFixture(deployGovernanceFixture);
+
+            await governanceProposal.connect(member2).delegate(member1.address);
+            await governanceProposal.connect(member1).createProposal(2, recipient.address, ethers.parseEther("0.5"), "Test");
+
+            await expect(
+                governanceProposal.connect(member2).vote(1, 0)
+            ).to.be.revertedWith("Voting power delegated");
+        });
+
+        it("Should follow delegation chains", async function () {
+            const { governanceToken, governanceProposal, member1, member2, member3, recipient } = await loadFixture(deployGovernanceFixture);
+
+            // member3 -> member2 -> member1
+            await governanceProposal.connect(member3).delegate(member2.address);
+            await governanceProposal.connect(member2).delegate(member1.address);
+            await governanceProposal.connect(member1).createProposal(2, recipient.address, ethers.parseEther("0.5"), "Test");
+
+            const power1 = await governanceToken.getVotingPower(member1.address);
+            const power2 = await governanceToken.getVotingPower(member2.address);
+            const power3 = await governanceToken.getVotingPower(member3.address);
+            expect(await governanceProposal.getDelegatedPower(member2.address)).to.equal(power3);
+            expect(await governanceProposal.getDelegatedPower(member1.address)).to.equal(power2 + power3);
+
+            await governanceProposal.connect(member1).vote(1, 1);
+            expect((await governanceProposal.getProposal(1)).forVotes).to.equal(power1 + power2 + power3);
+        });
+
+        it("Should stop counting revoked delegations", async function () {
+            const { governanceToken, governanceProposal, member1, member2, member3, recipient } = await loadFixture(deployGovernanceFixture);
+            const [, , , , , member4] = await ethers.getSigners();
+            await governanceToken.attest(member4.address, ethers.ZeroHash);
+            await governanceToken.connect(member4).deposit({ value: ethers.parseEther("4") });
+
+            await governanceProposal.connect(member2).delegate(member1.address);
+            await governanceProposal.connect(member3).delegate(member1.address);
+            await governanceProposal.connect(member4).delegate(member1.address);
+            await governanceProposal.connect(member3).revokeDelegate();
+
+            expect([...await governanceProposal.getDelegators(member1.address)])
+                .to.have.members([member2.address, member4.address]);
+
+            await governanceProposal.connect(member1).createProposal(2, recipient.address, ethers.parseEther("0.5"), "Test");
+            await governanceProposal.connect(member1).vote(1, 1);
+            await governanceProposal.connect(member3).vote(1, 0);
+
+            const power = (m) => governanceToken.getVotingPower(m.address);
+            const proposal = await governanceProposal.getProposal(1);
+            expect(proposal.forVotes).to.equal(await power(member1) + await power(member2) + await power(member4));
+            expect(proposal.againstVotes).to.equal(await power(member3));
+        });
+
+        it("Should not count power twice when redelegating mid-proposal", async function () {
+            const { governanceToken, governanceProposal, member1, member2, member3, recipient } = await loadFixture(deployGovernanceFixture);
+
+            await governanceProposal.connect(member3).delegate(member1.address);
+            await governanceProposal.connect(member1).createProposal(2, recipient.address, ethers.parseEther("0.5"), "Test");
+            await governanceProposal.connect(member1).vote(1, 1);
+
+            // member3's power was already used by member1
+            await governanceProposal.connect(member3).delegate(member2.address);
+            await governanceProposal.connect(member2).vote(1, 0);
+            expect((await governanceProposal.getProposal(1)).againstVotes)
+                .to.equal(await governanceToken.getVotingPower(member2.address));
+
+            await governanceProposal.connect(member3).revokeDelegate();
+            await expect(
+                governanceProposal.connect(member3).vote(1, 0)
+            ).to.be.revertedWith("Voting power already used by delegate");
+        });
+
+        it("Should not count delegators who already voted", async function () {
+            const { governanceToken, governanceProposal, member1, member3, recipient } = await loadFixture(deployGovernanceFixture);
+
+            await governanceProposal.connect(member1).createProposal(2, recipient.address, ethers.parseEther("0.5"), "Test");
+            await governanceProposal.connect(member3).vote(1, 0);
+            await governanceProposal.connect(member3).delegate(member1.address);
+            await governanceProposal.connect(member1).vote(1, 1);
+
+            expect((await governanceProposal.getProposal(1)).forVotes)
+                .to.equal(await governanceToken.getVotingPower(member1.address));
+        });
+
+        it("Should lock delegators' stake once their power is used", async function () {
+            const { governanceToken, governanceProposal, member1, member2, recipient } = await loadFixture(deployGovernanceFixture);
+
+            await governanceProposal.connect(member2).delegate(member1.address);
+            await governanceProposal.connect(member1).createProposal(2, recipient.address, ethers.parseEther("0.5"), "Test");
+            await governanceProposal.connect(member1).vote(1, 1);
+
+            await expect(
+                governanceToken.connect(member2).withdraw(ethers.parseEther("1"))
+            ).to.be.revertedWith("Cannot withdraw with active votes");
+        });
+    });
+
+    describe("Signed Votes and Delegations", function () {
+        const BALLOT_TYPES = {
+            Ballot: [
+                { name: "proposalId", type: "uint256" },
+                { name: "voteType", type: "uint8" },
+                { name: "voter", type: "address" },
+                { name: "nonce", type: "uint256" },
+                { name: "expiry", type: "uint256" },
+            ],
+        };
+        const DELEGATION_TYPES = {
+            Delegation: [
+                { name: "delegator", type: "address" },
+                { name: "delegatee", type: "address" },
+                { name: "nonce", type: "uint256" },
+                { name: "expiry", type: "uint256" },
+            ],
+        };
+
+        async function domainOf(governanceProposal) {
+            return {
+                name: "CryptoVentures DAO",
+                version: "1",
+                chainId: (await ethers.provider.getNetwork()).chainId,
+                verifyingContract: await governanceProposal.getAddress(),
+            };
+        }
+
+        async function signBallot(governanceProposal, signer, proposalId, voteType, { voter = signer.address, expiry } = {}) {
+            const ballot = {
+                proposalId,
+                voteType,
+                voter,
+                nonce: await governanceProposal.nonces(voter),
+                expiry: expiry ?? (await time.latest()) + 3600,
+            };
+            const signature = await signer.signTypedData(await domainOf(governanceProposal), BALLOT_TYPES, ballot);
+            return [proposalId, voteType, voter, ballot.expiry, signature];
+        }
+
+        async function signDelegation(governanceProposal, signer, delegatee) {
+            const delegation = {
+                delegator: signer.address,
+                delegatee,
+                nonce: await governanceProposal.nonces(signer.address),
+                expiry: (await time.latest()) + 3600,
+            };
+            const signature = await signer.signTypedData(await domainOf(governanceProposal), DELEGATION_TYPES, delegation);
+            return [signer.address, delegatee, delegation.expiry, signature];
+        }
+
+        it("Should count a relayed ballot as the voter's own vote", async function () {
+            const { governanceToken, governanceProposal, owner, member1, member3, recipient } = await loadFixture(deployGovernanceFixture);
+            await governanceProposal.connect(member1).createProposal(2, recipient.address, ethers.parseEther("0.5"), "Test");
+
+            const args = await signBallot(governanceProposal, member3, 1, 1);
+            const tx = governanceProposal.connect(owner).castVoteBySig(...args);
+
+            await expect(tx)
+                .to.emit(governanceProposal, "VoteCast")
+                .withArgs(1, member3.address, 1, await governanceToken.getVotingPower(member3.address), "");
+            await expect(tx).to.changeEtherBalance(member3, 0);
+
+            expect(await governanceProposal.hasVoted(1, member3.address)).to.be.true;
+            expect(await governanceProposal.nonces(member3.address)).to.equal(1);
+            expect(await governanceToken.activeVotes(member3.address)).to.equal(1);
+        });
+
+        it("Should reject replayed, expired and forged signatures", async function () {
+            const { governanceProposal, member1, member2, member3, recipient } = await loadFixture(deployGovernanceFixture);
+            await governanceProposal.connect(member1).createProposal(2, recipient.address, ethers.parseEther("0.5"), "Test");
+            await governanceProposal.connect(member1).createProposal(2, recipient.address, ethers.parseEther("0.5"), "Test 2");
+
+            const args = await signBallot(governanceProposal, member3, 1, 1);
+            await governanceProposal.castVoteBySig(...args);
+            await expect(governanceProposal.castVoteBySig(...args)).to.be.revertedWith("Invalid signature");
+
+            const expired = await signBallot(governanceProposal, member3, 2, 1, { expiry: await time.latest() });
+            await expect(governanceProposal.castVoteBySig(...expired)).to.be.revertedWith("Signature expired");
+
+            // member2 signing a ballot in member1's name
+            const forged = await signBallot(governanceProposal, member2, 2, 0, { voter: member1.address });
+            await expect(governanceProposal.castVoteBySig(...forged)).to.be.revertedWith("Invalid signature");
+
+            const tampered = await signBallot(governanceProposal, member3, 2, 0);
+            tampered[1] = 1;
+            await expect(governanceProposal.castVoteBySig(...tampered)).to.be.revertedWith("Invalid signature");
+        });
+
+        it("Should apply a signed delegation", async function () {
+            const { governanceToken, governanceProposal, member1, member2, recipient } = await loadFixture(deployGovernanceFixture);
+
+            await expect(governanceProposal.delegateBySig(...await signDelegation(governanceProposal, member2, member1.address)))
+                .to.emit(governanceProposal, "DelegateChanged")
+                .withArgs(member2.address, ethers.ZeroAddress, member1.address);
+            expect(await governanceProposal.nonces(member2.address)).to.equal(1);
+
+            await governanceProposal.connect(member1).createProposal(2, recipient.address, ethers.parseEther("0.5"), "Test");
+            await expect(governanceProposal.connect(member1).vote(1, 1))
+                .to.emit(governanceProposal, "VoteCast")
+                .withArgs(
+                    1,
+                    member1.address,
+                    1,
+                    (await governanceToken.getVotingPower(member1.address)) + (await governanceToken.getVotingPower(member2.address)),
+                    ""
+                );
+        });
+
+        it("Should submit several signed votes in one multicall", async function () {
+            const { governanceToken, governanceProposal, member1, member2, member3, recipient } = await loadFixture(deployGovernanceFixture);
+            await governanceProposal.connect(member1).createProposal(2, recipient.address, ethers.parseEther("0.5"), "Test");
+
+            const calls = [];
+            for (const [member, voteType] of [[member1, 1], [member2, 0], [member3, 2]]) {
+                const args = await signBallot(governanceProposal, member, 1, voteType);
+                calls.push(governanceProposal.interface.encodeFunctionData("castVoteBySig", args));
+            }
+            await governanceProposal.multicall(calls);
+
+            const proposal = await governanceProposal.getProposal(1);
+            expect(proposal.forVotes).to.equal(await governanceToken.getVotingPower(member1.address));
+            expect(proposal.againstVotes).to.equal(await governanceToken.getVotingPower(member2.address));
+            expect(proposal.abstainVotes).to.equal(await governanceToken.getVotingPower(member3.address));
+        });
     });
 
     describe("Proposal Queueing", function () {
@@ -344,6 +729,213 @@ describe("GovernanceProposal", function () {
         });
     });
 
+    describe("Snapshots", function () {
+        it("Should record the block before creation as the snapshot", async function () {
+            const { governanceProposal, member1, recipient } = await loadFixture(deployGovernanceFixture);
+
+            await governanceProposal.connect(member1).createProposal(2, recipient.address, ethers.parseEther("0.5"), "Test");
+
+            expect(await governanceProposal.getProposalSnapshot(1)).to.equal(await ethers.provider.getBlockNumber() - 1);
+        });
+
+        it("Should give no power to members who stake after creation", async function () {
+            const { governanceToken, governanceProposal, member1, recipient } = await loadFixture(deployGovernanceFixture);
+            const [, , , , , latecomer] = await ethers.getSigners();
+
+            await governanceProposal.connect(member1).createProposal(2, recipient.address, ethers.parseEther("0.5"), "Test");
+            await governanceToken.attest(latecomer.address, ethers.ZeroHash);
+            await governanceToken.connect(latecomer).deposit({ value: ethers.parseEther("1000") });
+
+            await expect(
+                governanceProposal.connect(latecomer).vote(1, 0)
+            ).to.be.revertedWith("No voting power");
+        });
+
+        it("Should ignore stake added after creation", async function () {
+            const { governanceToken, governanceProposal, member1, member2, member3, recipient } = await loadFixture(deployGovernanceFixture);
+
+            await governanceProposal.connect(member1).createProposal(2, recipient.address, ethers.parseEther("0.5"), "Test");
+            const power2 = await governanceToken.getVotingPower(member2.address);
+            const power3 = await governanceToken.getVotingPower(member3.address);
+
+            // member3 delegates to member2, and both top up to swing the vote
+            await governanceProposal.connect(member3).delegate(member2.address);
+            await governanceToken.connect(member2).deposit({ value: ethers.parseEther("1000") });
+            await governanceToken.connect(member3).deposit({ value: ethers.parseEther("1000") });
+            await governanceProposal.connect(member2).vote(1, 0);
+
+            expect((await governanceProposal.getProposal(1)).againstVotes).to.equal(power2 + power3);
+        });
+
+        it("Should not let late deposits dilute quorum", async function () {
+            const { governanceToken, governanceProposal, member1, member3, recipient } = await loadFixture(deployGovernanceFixture);
+            const [, , , , , whale] = await ethers.getSigners();
+
+            // OPERATIONAL: 10% quorum. member3 alone holds ~26% of the snapshot power
+            await governanceProposal.connect(member1).createProposal(2, recipient.address, ethers.parseEther("0.5"), "Test");
+            await governanceProposal.connect(member3).vote(1, 1);
+
+            // Live total power would leave member3 with ~3%
+            await governanceToken.attest(whale.address, ethers.ZeroHash);
+            await governanceToken.connect(whale).deposit({ value: ethers.parseEther("5000") });
+            await time.increase(3 * 24 * 60 * 60 + 1);
+
+            await expect(governanceProposal.queueProposal(1))
+                .to.emit(governanceProposal, "ProposalQueued");
+        });
+
+        it("Should not let withdrawals after voting rescue quorum", async function () {
+            const { governanceToken, governanceProposal, member1, member3, recipient } = await loadFixture(deployGovernanceFixture);
+
+            // HIGH_CONVICTION: 30% quorum. member3 holds ~26% of the snapshot power
+            await governanceProposal.connect(member1).createProposal(0, recipient.address, ethers.parseEther("15"), "Test");
+            await governanceProposal.connect(member3).vote(1, 1);
+            await time.increase(3 * 24 * 60 * 60 + 1);
+
+            // Without member1's stake the live total would put member3 above 50%
+            await governanceToken.connect(member1).withdraw(ethers.parseEther("100"));
+
+            await expect(governanceProposal.queueProposal(1))
+                .to.emit(governanceProposal, "ProposalDefeated")
+                .withArgs(1, "Quorum not met");
+        });
+    });
+
+    describe("Vote Locks", function () {
+        const VOTING_PERIOD = 3 * 24 * 60 * 60;
+
+        it("Should keep stake locked while a proposal is open", async function () {
+            const { governanceToken, governanceProposal, member1, member2, recipient } = await loadFixture(deployGovernanceFixture);
+
+            await governanceProposal.connect(member1).createProposal(2, recipient.address, ethers.parseEther("0.5"), "Test");
+            await governanceProposal.connect(member1).vote(1, 1);
+            await governanceProposal.connect(member2).vote(1, 1);
+            await time.increase(VOTING_PERIOD + 1);
+            await governanceProposal.queueProposal(1);
+
+            expect(await governanceToken.activeVotes(member1.address)).to.equal(1);
+            expect(await governanceProposal.unlockableVotes(member1.address)).to.equal(0);
+            await expect(
+                governanceToken.connect(member1).withdraw(ethers.parseEther("1"))
+            ).to.be.revertedWith("Cannot withdraw with active votes");
+        });
+
+        it("Should release locks when a proposal is defeated", async function () {
+            const { governanceToken, governanceProposal, member1, member3, recipient } = await loadFixture(deployGovernanceFixture);
+
+            await governanceProposal.connect(member1).createProposal(0, recipient.address, ethers.parseEther("15"), "Test");
+            await governanceProposal.connect(member3).vote(1, 1);
+            await time.increase(VOTING_PERIOD + 1);
+
+            await expect(governanceProposal.queueProposal(1))
+                .to.emit(governanceProposal, "VoteLockReleased")
+                .withArgs(1, member3.address);
+
+            expect(await governanceToken.activeVotes(member3.address)).to.equal(0);
+            await expect(governanceToken.connect(member3).withdraw(ethers.parseEther("9")))
+                .to.emit(governanceToken, "Withdrawn");
+        });
+
+        it("Should release locks when a proposal is executed", async function () {
+            const { governanceToken, governanceProposal, member1, member2, recipient } = await loadFixture(deployGovernanceFixture);
+
+            await governanceProposal.connect(member1).createProposal(2, recipient.address, ethers.parseEther("0.5"), "Test");
+            await governanceProposal.connect(member1).vote(1, 1);
+            await governanceProposal.connect(member2).vote(1, 1);
+            await time.increase(VOTING_PERIOD + 1);
+            await governanceProposal.queueProposal(1);
+
+            // The owner holds EXECUTOR_ROLE and stands in for the timelock
+            await governanceProposal.markExecuted(1);
+
+            expect(await governanceToken.activeVotes(member1.address)).to.equal(0);
+            expect(await governanceToken.activeVotes(member2.address)).to.equal(0);
+            await expect(governanceToken.connect(member1).withdraw(ethers.parseEther("100")))
+                .to.emit(governanceToken, "Withdrawn");
+        });
+
+        it("Should release locks when a proposal is cancelled, including delegators", async function () {
+            const { governanceToken, governanceProposal, member1, member2, recipient } = await loadFixture(deployGovernanceFixture);
+
+            await governanceProposal.connect(member2).delegate(member1.address);
+            await governanceProposal.connect(member1).createProposal(2, recipient.address, ethers.parseEther("0.5"), "Test");
+            await governanceProposal.connect(member1).vote(1, 1);
+            expect(await governanceToken.activeVotes(member2.address)).to.equal(1);
+
+            await governanceProposal.cancelProposal(1);
+
+            expect(await governanceToken.activeVotes(member1.address)).to.equal(0);
+            expect(await governanceToken.activeVotes(member2.address)).to.equal(0);
+        });
+
+        it("Should release large proposals in batches", async function () {
+            const { governanceToken, governanceProposal, owner, member1, recipient } = await loadFixture(deployGovernanceFixture);
+
+            await governanceProposal.connect(member1).createProposal(0, recipient.address, ethers.parseEther("15"), "Test");
+
+            const voters = [];
+            for (let i = 0; i < 30; i++) {
+                const voter = ethers.Wallet.createRandom().connect(ethers.provider);
+                await owner.sendTransaction({ to: voter.address, value: ethers.parseEther("1") });
+                voters.push(voter);
+            }
+            // Give them stake before a second proposal's snapshot
+            for (const voter of voters) {
+                await governanceToken.attest(voter.address, ethers.ZeroHash);
+                await governanceToken.connect(voter).deposit({ value: ethers.parseEther("0.01") });
+            }
+            await governanceProposal.connect(member1).createProposal(0, recipient.address, ethers.parseEther("15"), "Test");
+            for (const voter of voters) {
+                await governanceProposal.connect(voter).vote(2, 0);
+            }
+
+            await expect(
+                governanceProposal.releaseProposalLocks(2, 10)
+            ).to.be.revertedWith("Proposal not finalized");
+
+            await time.increase(VOTING_PERIOD + 1);
+            await governanceProposal.queueProposal(2); // defeated, releases the first 25
+
+            const limit = Number(await governanceProposal.AUTO_RELEASE_LIMIT());
+            expect(await governanceToken.activeVotes(voters[limit - 1].address)).to.equal(0);
+            expect(await governanceProposal.unlockableVotes(voters[limit].address)).to.equal(1);
+
+            // Pull path for one account, batch path for the rest
+            await governanceProposal.releaseLocks(voters[29].address);
+            expect(await governanceToken.activeVotes(voters[29].address)).to.equal(0);
+
+            const released = await governanceProposal.releaseProposalLocks.staticCall(2, 10);
+            expect(released).to.equal(4);
+            await governanceProposal.releaseProposalLocks(2, 10);
+
+            for (const voter of voters) {
+                expect(await governanceToken.activeVotes(voter.address)).to.equal(0);
+            }
+        });
+
+        it("Should pull locks from several finished proposals at once", async function () {
+            const { governanceToken, governanceProposal, member1, member3, recipient } = await loadFixture(deployGovernanceFixture);
+
+            await governanceProposal.connect(member1).createProposal(2, recipient.address, ethers.parseEther("0.5"), "First");
+            await governanceProposal.connect(member1).createProposal(2, recipient.address, ethers.parseEther("0.5"), "Second");
+            await governanceProposal.connect(member1).createProposal(2, recipient.address, ethers.parseEther("0.5"), "Still open");
+            await governanceProposal.connect(member3).vote(1, 0);
+            await governanceProposal.connect(member3).vote(2, 0);
+            await governanceProposal.connect(member3).vote(3, 0);
+            await governanceProposal.cancelProposal(1);
+            await governanceProposal.cancelProposal(2);
+
+            // Cancelling already released them; nothing is left to pull
+            expect(await governanceProposal.unlockableVotes(member3.address)).to.equal(0);
+            expect(await governanceProposal.releaseLocks.staticCall(member3.address)).to.equal(0);
+            await governanceProposal.releaseLocks(member3.address);
+            expect(await governanceToken.activeVotes(member3.address)).to.equal(1);
+
+            await governanceProposal.cancelProposal(3);
+            expect(await governanceToken.activeVotes(member3.address)).to.equal(0);
+        });
+    });
+
     describe("Guardian Functions", function () {
         it("Should allow guardian to cancel proposal", async function () {
             const { governanceProposal, owner, member1, recipient } = await loadFixture(deployGovernanceFixture);
@@ -366,6 +958,41 @@ describe("GovernanceProposal", function () {
         });
     });
 
+    describe("Tier Registry", function () {
+        it("Should start with the default amount bands", async function () {
+            const { governanceProposal } = await loadFixture(deployGovernanceFixture);
+
+            expect(await governanceProposal.amountBands(0)).to.deep.equal([ethers.parseEther("10") + 1n, ethers.MaxUint256]);
+            expect(await governanceProposal.amountBands(1)).to.deep.equal([ethers.parseEther("1"), ethers.parseEther("10")]);
+            expect(await governanceProposal.amountBands(2)).to.deep.equal([1n, ethers.parseEther("1") - 1n]);
+        });
+
+        it("Should validate proposals against updated bands", async function () {
+            const { governanceProposal, member1, recipient } = await loadFixture(deployGovernanceFixture);
+
+            await expect(governanceProposal.updateAmountBand(1, ethers.parseEther("0.1"), ethers.parseEther("10")))
+                .to.emit(governanceProposal, "AmountBandUpdated")
+                .withArgs(1, ethers.parseEther("0.1"), ethers.parseEther("10"));
+
+            await governanceProposal.connect(member1).createProposal(1, recipient.address, ethers.parseEther("0.5"), "Small bet");
+            expect((await governanceProposal.getProposal(1)).proposalType).to.equal(1);
+
+            await expect(governanceProposal.connect(member1).createProposal(1, recipient.address, ethers.parseEther("0.05"), "Too small"))
+                .to.be.revertedWith("Amount outside tier band");
+        });
+
+        it("Should only let the admin set valid bands", async function () {
+            const { governanceProposal, member1 } = await loadFixture(deployGovernanceFixture);
+
+            await expect(governanceProposal.connect(member1).updateAmountBand(2, 1, 2))
+                .to.be.revertedWithCustomError(governanceProposal, "AccessControlUnauthorizedAccount");
+            await expect(governanceProposal.updateAmountBand(2, 0, 2))
+                .to.be.revertedWith("Invalid amount band");
+            await expect(governanceProposal.updateAmountBand(2, 3, 2))
+                .to.be.revertedWith("Invalid amount band");
+        });
+    });
+
     describe("Threshold Configuration", function () {
         it("Should return correct thresholds for HIGH_CONVICTION", async function () {
             const { governanceProposal } = await loadFixture(deployGovernanceFixture);
@@ -390,5 +1017,55 @@ describe("GovernanceProposal", function () {
             expect(quorum).to.equal(10);
             expect(threshold).to.equal(51);
         });
+
+        it("Should let the admin update voting rules within bounds", async function () {
+            const { governanceProposal, member1 } = await loadFixture(deployGovernanceFixture);
+            const DAY = 24 * 60 * 60;
+
+            await expect(governanceProposal.updateVotingConfig(1, 25, 70, DAY, 5 * DAY))
+                .to.emit(governanceProposal, "VotingConfigUpdated")
+                .withArgs(1, 25, 70, DAY, 5 * DAY);
+            expect(await governanceProposal.votingConfigs(1)).to.deep.equal([BigInt(DAY), BigInt(5 * DAY), 25n, 70n]);
+            expect(await governanceProposal.getThresholds(1)).to.deep.equal([25n, 70n]);
+
+            await expect(governanceProposal.connect(member1).updateVotingConfig(1, 25, 70, 0, DAY))
+                .to.be.revertedWithCustomError(governanceProposal, "AccessControlUnauthorizedAccount");
+            await expect(governanceProposal.updateVotingConfig(1, 0, 70, 0, DAY)).to.be.revertedWith("Invalid quorum");
+            await expect(governanceProposal.updateVotingConfig(1, 101, 70, 0, DAY)).to.be.revertedWith("Invalid quorum");
+            await expect(governanceProposal.updateVotingConfig(1, 25, 50, 0, DAY)).to.be.revertedWith("Invalid threshold");
+            await expect(governanceProposal.updateVotingConfig(1, 25, 70, 8 * DAY, DAY)).to.be.revertedWith("Invalid voting delay");
+            await expect(governanceProposal.updateVotingConfig(1, 25, 70, 0, 60)).to.be.revertedWith("Invalid voting period");
+            await expect(governanceProposal.updateVotingConfig(1, 25, 70, 0, 31 * DAY)).to.be.revertedWith("Invalid voting period");
+        });
+
+        it("Should open and close voting on the type's schedule", async function () {
+            const { governanceProposal, member1, recipient } = await loadFixture(deployGovernanceFixture);
+            const DAY = 24 * 60 * 60;
+            await governanceProposal.updateVotingConfig(2, 10, 51, DAY, 2 * DAY);
+
+            await governanceProposal.connect(member1).createProposal(2, recipient.address, ethers.parseEther("0.5"), "Ops");
+            const created = await time.latest();
+
+            const proposal = await governanceProposal.getProposal(1);
+            expect(proposal.startTime).to.equal(created + DAY);
+            expect(proposal.endTime).to.equal(created + 3 * DAY);
+            await expect(governanceProposal.connect(member1).vote(1, 1)).to.be.revertedWith("Voting not started");
+
+            await time.increaseTo(created + DAY);
+            await governanceProposal.connect(member1).vote(1, 1);
+        });
+
+        it("Should tally open proposals with the rules they were created under", async function () {
+            const { governanceProposal, member1, member3, recipient } = await loadFixture(deployGovernanceFixture);
+
+            await governanceProposal.connect(member1).createProposal(2, recipient.address, ethers.parseEther("0.5"), "Ops");
+            await governanceProposal.connect(member3).vote(1, 1); // 3 of 18 power: 16.7% turnout
+
+            await governanceProposal.updateVotingConfig(2, 50, 90, 0, 3 * 24 * 60 * 60);
+            expect(await governanceProposal.getProposalThresholds(1)).to.deep.equal([10n, 51n]);
+
+            await time.increase(3 * 24 * 60 * 60 + 1);
+            await expect(governanceProposal.queueProposal(1)).to.emit(governanceProposal, "ProposalQueued");
+        });
     });
 });
@@ -1,6 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { loadFixture, mine, time } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("GovernanceToken", function () {
     async function deployGovernanceTokenFixture() {
@@ -8,6 +8,9 @@ describe("GovernanceToken", function () {
 
         const GovernanceToken = await ethers.getContractFactory("GovernanceToken");
         const governanceToken = await GovernanceToken.deploy();
+        for (const member of [member1, member2, member3]) {
+            await governanceToken.attest(member.address, ethers.ZeroHash);
+        }
 
         return { governanceToken, owner, member1, member2, member3 };
     }
@@ -201,4 +204,47 @@ describe("GovernanceToken", function () {
             expect(await governanceToken.activeVotes(member1.address)).to.equal(0);
         });
     });
+
+    describe("Checkpoints", function () {
+        it("Should record stake history per block", async function () {
+            const { governanceToken, member1 } = await loadFixture(deployGovernanceTokenFixture);
+
+            await governanceToken.connect(member1).deposit({ value: ethers.parseEther("4") });
+            const afterDeposit = await ethers.provider.getBlockNumber();
+            await governanceToken.connect(member1).deposit({ value: ethers.parseEther("5") });
+            const afterTopUp = await ethers.provider.getBlockNumber();
+            await governanceToken.connect(member1).withdraw(ethers.parseEther("8"));
+            await mine();
+
+            expect(await governanceToken.getPastStake(member1.address, afterDeposit - 1)).to.equal(0);
+            expect(await governanceToken.getPastStake(member1.address, afterDeposit)).to.equal(ethers.parseEther("4"));
+            expect(await governanceToken.getPastVotingPower(member1.address, afterTopUp, await time.latest()))
+                .to.equal(await governanceToken.getVotingPower(member1.address) * 3n);
+            expect(await governanceToken.getPastStake(member1.address, afterTopUp + 1)).to.equal(ethers.parseEther("1"));
+        });
+
+        it("Should record total voting power history", async function () {
+            const { governanceToken, member1, member2 } = await loadFixture(deployGovernanceTokenFixture);
+
+            await governanceToken.connect(member1).deposit({ value: ethers.parseEther("9") });
+            const before = await ethers.provider.getBlockNumber();
+            await governanceToken.connect(member2).deposit({ value: ethers.parseEther("16") });
+            await mine();
+
+            const now = await time.latest();
+            expect(await governanceToken.getPastTotalVotingPower(before, now))
+                .to.equal(await governanceToken.getPastVotingPower(member1.address, before, now));
+            expect(await governanceToken.getPastTotalVotingPower(before + 1, now))
+                .to.equal(await governanceToken.getTotalVotingPower());
+        });
+
+        it("Should reject lookups of blocks not yet mined", async function () {
+            const { governanceToken, member1 } = await loadFixture(deployGovernanceTokenFixture);
+
+            const current = await ethers.provider.getBlockNumber();
+            await expect(
+                governanceToken.getPastStake(member1.address, current + 1)
+            ).to.be.revertedWith("Block not yet mined");
+        });
+    });
 });
@@ -0,0 +1,223 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const {
+    DaoClient,
+    StakeError,
+    LOCK_PERIOD,
+    MAX_LOCK_DURATION,
+    votingPowerAt,
+    renderPowerCurve,
+} = require("../lib");
+
+describe("Stake lockups", function () {
+    const DAY = 24 * 60 * 60;
+
+    // Operational proposals wait a day before voting opens
+    async function deployDaoFixture() {
+        const [owner, member1, member2, member3, member4, recipient] = await ethers.getSigners();
+
+        const GovernanceToken = await ethers.getContractFactory("GovernanceToken");
+        const governanceToken = await GovernanceToken.deploy();
+        for (const member of [member1, member2, member3, member4]) {
+            await governanceToken.attest(member.address, ethers.ZeroHash);
+        }
+
+        const GovernanceProposal = await ethers.getContractFactory("GovernanceProposal");
+        const governanceProposal = await GovernanceProposal.deploy(await governanceToken.getAddress());
+
+        const MultiTierTreasury = await ethers.getContractFactory("MultiTierTreasury");
+        const treasury = await MultiTierTreasury.deploy();
+
+        const TimelockController = await ethers.getContractFactory("TimelockController");
+        const timelock = await TimelockController.deploy(
+            await governanceProposal.getAddress(),
+            await treasury.getAddress()
+        );
+        const timelockAddress = await timelock.getAddress();
+
+        await governanceToken.grantRole(await governanceToken.GOVERNANCE_ROLE(), await governanceProposal.getAddress());
+        await governanceToken.grantRole(await governanceToken.RAGE_QUIT_ROLE(), timelockAddress);
+        await governanceProposal.grantRole(await governanceProposal.EXECUTOR_ROLE(), timelockAddress);
+        await governanceProposal.setTimelock(timelockAddress);
+        await treasury.grantRole(await treasury.EXECUTOR_ROLE(), timelockAddress);
+        await governanceProposal.updateVotingConfig(2, 10, 51, DAY, 3 * DAY);
+
+        await owner.sendTransaction({ to: await treasury.getAddress(), value: ethers.parseEther("10") });
+        await treasury.allocateFunds(2, ethers.parseEther("1"));
+
+        const client = new DaoClient(owner, {
+            GovernanceToken: await governanceToken.getAddress(),
+            GovernanceProposal: await governanceProposal.getAddress(),
+            MultiTierTreasury: await treasury.getAddress(),
+            TimelockController: timelockAddress,
+        });
+        await client.connect(member1).stake("100");
+        await client.connect(member2).stake("25");
+        await client.connect(member3).stake("16");
+
+        return { client, governanceToken, governanceProposal, member1, member2, member3, member4, recipient };
+    }
+
+    /** sqrt(total stake), boosted by the stake-weighted average of the time left on every lock */
+    function expectedTotal(locks, timestamp) {
+        const total = locks.reduce((sum, lock) => sum + lock.stake, 0n);
+        const lockedStakeTime = locks.reduce(
+            (sum, lock) => sum + lock.stake * BigInt(Math.max(lock.unlockTime - timestamp, 0)),
+            0n
+        );
+        const power = votingPowerAt({ stake: total, unlockTime: 0 }, timestamp);
+        return power + (power * lockedStakeTime) / (total * BigInt(MAX_LOCK_DURATION));
+    }
+
+    it("Should boost locked stake up to 2x, decaying to 1x when the lock ends", async function () {
+        const { client, governanceToken, member1 } = await loadFixture(deployDaoFixture);
+        const plain = await client.getVotingPower(member1.address);
+
+        const requested = (await time.latest()) + MAX_LOCK_DURATION;
+        const { unlockTime, votingPower } = await client.connect(member1).lockStake(requested);
+        // Rounded down to a whole week
+        expect(unlockTime % LOCK_PERIOD).to.equal(0);
+        expect(unlockTime).to.be.greaterThan(requested - LOCK_PERIOD);
+        const lock = { stake: ethers.parseEther("100"), unlockTime };
+        expect(votingPower).to.equal(votingPowerAt(lock, await time.latest()));
+        expect(votingPower).to.be.greaterThan((plain * 199n) / 100n);
+
+        const halfway = unlockTime - MAX_LOCK_DURATION / 2;
+        await time.increaseTo(halfway);
+        expect(await client.getVotingPower(member1.address)).to.equal((plain * 3n) / 2n);
+
+        const error = await client.connect(member1).withdraw("1").catch((e) => e);
+        expect(error).to.be.instanceOf(StakeError);
+        expect(error.code).to.equal("STAKE_LOCKED");
+
+        // Deposits join the lock
+        await client.connect(member1).stake("21");
+        const topped = { ...lock, stake: ethers.parseEther("121") };
+        expect(await client.getVotingPower(member1.address)).to.equal(votingPowerAt(topped, await time.latest()));
+
+        await time.increaseTo(unlockTime);
+        expect(await client.getVotingPower(member1.address)).to.equal(11n * 10n ** 9n);
+        await client.connect(member1).withdraw("121");
+        expect(await governanceToken.lockEnds(member1.address)).to.equal(0n);
+    });
+
+    it("Should only let members with stake lock it, for up to 104 weeks, and only extend a lock", async function () {
+        const { client, member1, member4 } = await loadFixture(deployDaoFixture);
+        const now = await time.latest();
+
+        const cases = [
+            [member4, now + 10 * LOCK_PERIOD, "NO_STAKE"],
+            [member1, now, "INVALID_UNLOCK_TIME"],
+            [member1, now + MAX_LOCK_DURATION + 2 * LOCK_PERIOD, "LOCK_TOO_LONG"],
+        ];
+        for (const [signer, unlockTime, code] of cases) {
+            const error = await client.connect(signer).lockStake(unlockTime).catch((e) => e);
+            expect(error).to.be.instanceOf(StakeError);
+            expect(error.code).to.equal(code);
+        }
+
+        const { unlockTime } = await client.connect(member1).lockStake(new Date((now + 20 * LOCK_PERIOD) * 1000));
+        const shorter = await client.connect(member1).lockStake(unlockTime - LOCK_PERIOD).catch((e) => e);
+        expect(shorter.code).to.equal("LOCK_NOT_EXTENDED");
+        const extended = await client.connect(member1).lockStake(unlockTime + 10 * LOCK_PERIOD);
+        expect(extended.unlockTime).to.equal(unlockTime + 10 * LOCK_PERIOD);
+    });
+
+    it("Should keep total voting power in step with every member's decaying boost", async function () {
+        const { client, governanceToken, member1, member2, member3 } = await loadFixture(deployDaoFixture);
+        const now = await time.latest();
+        const locks = [
+            { stake: ethers.parseEther("100"), unlockTime: (await client.connect(member1).lockStake(now + 52 * LOCK_PERIOD)).unlockTime },
+            { stake: ethers.parseEther("25"), unlockTime: (await client.connect(member2).lockStake(now + 10 * LOCK_PERIOD)).unlockTime },
+            { stake: ethers.parseEther("16"), unlockTime: 0 },
+        ];
+        const snapshotBlock = await ethers.provider.getBlockNumber();
+        const snapshotTime = await time.latest();
+        expect(await governanceToken.getTotalVotingPower()).to.equal(expectedTotal(locks, snapshotTime));
+
+        // Past member2's unlock, their stake no longer counts as locked
+        await time.increaseTo(locks[1].unlockTime + 3 * DAY);
+        expect(await governanceToken.getTotalVotingPower()).to.equal(expectedTotal(locks, await time.latest()));
+
+        // Later locks leave the totals recorded for earlier blocks alone
+        await client.connect(member3).lockStake((await time.latest()) + 30 * LOCK_PERIOD);
+        await client.connect(member1).lockStake(locks[0].unlockTime + 20 * LOCK_PERIOD);
+        expect(await governanceToken.getPastTotalVotingPower(snapshotBlock, snapshotTime))
+            .to.equal(expectedTotal(locks, snapshotTime));
+        expect(await governanceToken.getPastVotingPower(member1.address, snapshotBlock, snapshotTime))
+            .to.equal(votingPowerAt(locks[0], snapshotTime));
+        await expect(governanceToken.getPastTotalVotingPower(snapshotBlock, (await time.latest()) + 1))
+            .to.be.revertedWith("Time not yet reached");
+
+        // Once every lock has run out, the total is plain sqrt(total stake) again
+        await time.increase(MAX_LOCK_DURATION);
+        expect(await governanceToken.getTotalVotingPower()).to.equal(expectedTotal(locks, await time.latest()));
+        expect(await governanceToken.getTotalVotingPower())
+            .to.equal(votingPowerAt({ stake: ethers.parseEther("141"), unlockTime: 0 }, 0));
+    });
+
+    it("Should vote with boosts as they were when the proposal was created", async function () {
+        const { client, member1, member2, recipient } = await loadFixture(deployDaoFixture);
+        const { unlockTime } = await client.connect(member2).lockStake((await time.latest()) + 26 * LOCK_PERIOD);
+
+        const { proposalId, receipt } = await client.connect(member1).propose({
+            type: "operational",
+            recipient: recipient.address,
+            amount: "0.5",
+            description: "Hosting",
+        });
+        const createdAt = (await ethers.provider.getBlock(receipt.blockNumber)).timestamp;
+        await time.increase(DAY);
+        await client.connect(member2).castVote(proposalId, "against");
+
+        const atCreation = votingPowerAt({ stake: ethers.parseEther("25"), unlockTime }, createdAt);
+        expect((await client.getProposal(proposalId)).againstVotes).to.equal(atCreation);
+        expect(atCreation).to.be.greaterThan(await client.getVotingPower(member2.address));
+    });
+
+    it("Should not let a member rage-quit out of a time lock", async function () {
+        const { client, governanceToken, member1, member2, recipient } = await loadFixture(deployDaoFixture);
+        const { unlockTime } = await client.connect(member2).lockStake((await time.latest()) + 52 * LOCK_PERIOD);
+        const { proposalId } = await client.connect(member1).propose({
+            type: "operational",
+            recipient: recipient.address,
+            amount: "0.5",
+            description: "Hosting",
+        });
+        await time.increase(DAY);
+        await client.connect(member1).castVote(proposalId, "for");
+        await client.connect(member2).castVote(proposalId, "against");
+        await time.increase(3 * DAY + 1);
+        await client.queue(proposalId);
+
+        // The boosted vote against does not buy an early exit
+        const error = await client.connect(member2).rageQuit(proposalId).catch((e) => e);
+        expect(error.code).to.equal("STAKE_LOCKED");
+        expect(await governanceToken.stakes(member2.address)).to.equal(ethers.parseEther("25"));
+        expect(await governanceToken.lockEnds(member2.address)).to.equal(BigInt(unlockTime));
+    });
+
+    it("Should chart a member's power curve until their lock ends", async function () {
+        const { client, member1, member3 } = await loadFixture(deployDaoFixture);
+        const { unlockTime } = await client.connect(member1).lockStake((await time.latest()) + 40 * LOCK_PERIOD);
+
+        const curve = await client.getPowerCurve(member1.address, { points: 5 });
+        expect(curve).to.have.lengthOf(5);
+        expect(curve[0]).to.deep.equal({ time: await time.latest(), votingPower: await client.getVotingPower(member1.address) });
+        expect(curve[4]).to.deep.equal({ time: unlockTime, votingPower: 10n ** 10n });
+        await time.increaseTo(curve[2].time);
+        expect(await client.getVotingPower(member1.address)).to.equal(curve[2].votingPower);
+
+        const chart = renderPowerCurve(curve, { width: 20 }).split("\n");
+        expect(chart).to.have.lengthOf(5);
+        expect(chart[0]).to.contain(`${"█".repeat(20)}  ${curve[0].votingPower}`);
+        expect(chart[4]).to.match(/^\d{4}-\d{2}-\d{2} {2}█+ +10000000000$/);
+
+        // Unlocked stake has a flat curve
+        const flat = await client.getPowerCurve(member3.address, { points: 2 });
+        expect(flat.map((point) => point.votingPower)).to.deep.equal([4n * 10n ** 9n, 4n * 10n ** 9n]);
+        expect((await client.getLock(member3.address)).locked).to.be.false;
+    });
+});
@@ -0,0 +1,201 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { DaoClient, RegistryError, AccessDeniedError, votingPowerAt } = require("../lib");
+
+describe("Member registry", function () {
+    const DAY = 24 * 60 * 60;
+
+    /** Voting power of an unlocked stake in ETH, as if its owner were registered */
+    const sqrtPower = (eth) => votingPowerAt({ stake: ethers.parseEther(String(eth)), unlockTime: 0 }, 0);
+
+    async function deployDaoFixture() {
+        const [owner, member1, member2, member3, attacker, recipient] = await ethers.getSigners();
+
+        const GovernanceToken = await ethers.getContractFactory("GovernanceToken");
+        const governanceToken = await GovernanceToken.deploy();
+
+        const GovernanceProposal = await ethers.getContractFactory("GovernanceProposal");
+        const governanceProposal = await GovernanceProposal.deploy(await governanceToken.getAddress());
+
+        const MultiTierTreasury = await ethers.getContractFactory("MultiTierTreasury");
+        const treasury = await MultiTierTreasury.deploy();
+
+        const TimelockController = await ethers.getContractFactory("TimelockController");
+        const timelock = await TimelockController.deploy(
+            await governanceProposal.getAddress(),
+            await treasury.getAddress()
+        );
+        const timelockAddress = await timelock.getAddress();
+
+        await governanceToken.grantRole(await governanceToken.GOVERNANCE_ROLE(), await governanceProposal.getAddress());
+        await governanceToken.grantRole(await governanceToken.ATTESTER_ROLE(), timelockAddress);
+        await governanceProposal.grantRole(await governanceProposal.EXECUTOR_ROLE(), timelockAddress);
+        await governanceProposal.setTimelock(timelockAddress);
+        await treasury.grantRole(await treasury.EXECUTOR_ROLE(), timelockAddress);
+
+        await owner.sendTransaction({ to: await treasury.getAddress(), value: ethers.parseEther("10") });
+        await treasury.allocateFunds(2, ethers.parseEther("1"));
+
+        const client = new DaoClient(owner, {
+            GovernanceToken: await governanceToken.getAddress(),
+            GovernanceProposal: await governanceProposal.getAddress(),
+            MultiTierTreasury: await treasury.getAddress(),
+            TimelockController: timelockAddress,
+        });
+        // The owner deployed the token, so it holds ATTESTER_ROLE
+        await client.attest(member1.address);
+        await client.attest(member2.address);
+        await client.connect(member1).stake("100");
+        await client.connect(member2).stake("25");
+
+        return { client, governanceToken, governanceProposal, timelock, owner, member1, member2, member3, attacker, recipient };
+    }
+
+    it("Should let attesters register and remove members, and no one else", async function () {
+        const { client, governanceToken, owner, member1, member3 } = await loadFixture(deployDaoFixture);
+
+        const denied = await client.connect(member1).attest(member3.address).catch((e) => e);
+        expect(denied).to.be.instanceOf(AccessDeniedError);
+
+        await expect(governanceToken.attest(member3.address, ethers.id("proof-of-personhood:0x42")))
+            .to.emit(governanceToken, "MemberAttested")
+            .withArgs(member3.address, owner.address, ethers.id("proof-of-personhood:0x42"));
+        const attestation = await client.getAttestation(member3.address);
+        expect(attestation).to.deep.include({ registered: true, attester: owner.address, issuedAt: await time.latest() });
+        expect(await governanceToken.registeredCount()).to.equal(3n);
+
+        const cases = [
+            [() => client.attest(member3.address), "ALREADY_REGISTERED"],
+            [() => client.attest(ethers.ZeroAddress), "INVALID_MEMBER"],
+            [() => client.revokeAttestation(owner.address), "NOT_REGISTERED"],
+        ];
+        for (const [action, code] of cases) {
+            const error = await action().catch((e) => e);
+            expect(error).to.be.instanceOf(RegistryError);
+            expect(error.code).to.equal(code);
+        }
+
+        await expect(governanceToken.revokeAttestation(member3.address))
+            .to.emit(governanceToken, "AttestationRevoked")
+            .withArgs(member3.address, owner.address);
+        expect(await client.getAttestation(member3.address)).to.deep.equal({
+            registered: false,
+            attester: null,
+            issuedAt: 0,
+            evidence: ethers.ZeroHash,
+        });
+        expect(await governanceToken.registeredCount()).to.equal(2n);
+    });
+
+    it("Should only give registered members' stake voting power", async function () {
+        const { client, governanceToken, member3 } = await loadFixture(deployDaoFixture);
+
+        await client.connect(member3).stake("16");
+        expect(await client.getVotingPower(member3.address)).to.equal(0n);
+        expect(await governanceToken.registeredStake()).to.equal(ethers.parseEther("125"));
+        expect(await governanceToken.getTotalVotingPower()).to.equal(sqrtPower(125));
+
+        await expect(governanceToken.attest(member3.address, ethers.ZeroHash))
+            .to.emit(governanceToken, "VotingPowerChanged")
+            .withArgs(member3.address, 0n, sqrtPower(16));
+        expect(await governanceToken.registeredStake()).to.equal(ethers.parseEther("141"));
+        expect(await governanceToken.getTotalVotingPower()).to.equal(sqrtPower(141));
+
+        // Removed members keep their stake, but not its vote
+        await client.revokeAttestation(member3.address);
+        expect(await client.getVotingPower(member3.address)).to.equal(0n);
+        expect(await governanceToken.getTotalVotingPower()).to.equal(sqrtPower(125));
+        await client.connect(member3).withdraw("16");
+        expect(await governanceToken.totalStaked()).to.equal(ethers.parseEther("125"));
+    });
+
+    it("Should make splitting a stake across wallets pay nothing", async function () {
+        const { client, governanceProposal, owner, member1, member2, attacker, recipient } = await loadFixture(deployDaoFixture);
+
+        // A 100 ETH whale registered under one address has sqrt(100) = 10 power.
+        // Split over 25 wallets of 4 ETH, the same stake would add up to 25 * 2 = 50
+        const wallets = [];
+        for (let i = 0; i < 25; i++) {
+            const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+            await attacker.sendTransaction({ to: wallet.address, value: ethers.parseEther("4.01") });
+            await client.connect(wallet).stake("4");
+            wallets.push(wallet);
+        }
+        expect(sqrtPower(4) * 25n).to.equal(5n * (await client.getVotingPower(member1.address)));
+
+        // The attacker can pass one wallet off as a person, but only one
+        await client.connect(owner).attest(wallets[0].address);
+        let splitPower = 0n;
+        for (const wallet of wallets) {
+            splitPower += await client.getVotingPower(wallet.address);
+        }
+        expect(splitPower).to.equal(sqrtPower(4));
+        expect(splitPower).to.be.lessThan(sqrtPower(100));
+
+        const { proposalId } = await client.connect(member2).propose({
+            type: "operational",
+            recipient: recipient.address,
+            amount: "0.5",
+            description: "Hosting",
+        });
+        for (const wallet of wallets.slice(1, 4)) {
+            await expect(governanceProposal.connect(wallet).vote(proposalId, 1)).to.be.revertedWith("No voting power");
+        }
+        await client.connect(wallets[0]).castVote(proposalId, "for");
+        await client.connect(member1).castVote(proposalId, "against");
+
+        const { forVotes, againstVotes } = await client.getProposal(proposalId);
+        expect(forVotes).to.equal(sqrtPower(4));
+        expect(againstVotes).to.equal(sqrtPower(100));
+    });
+
+    it("Should count registrations as they were when the proposal was created", async function () {
+        const { client, governanceToken, governanceProposal, member1, member2, member3, recipient } = await loadFixture(deployDaoFixture);
+        await client.connect(member3).stake("9");
+
+        const { proposalId } = await client.connect(member1).propose({
+            type: "operational",
+            recipient: recipient.address,
+            amount: "0.5",
+            description: "Hosting",
+        });
+        const snapshotBlock = await governanceProposal.getProposalSnapshot(proposalId);
+        const snapshotTime = await time.latest();
+
+        // Registering late does not add a vote; being removed does not take one away
+        await client.attest(member3.address);
+        await client.revokeAttestation(member2.address);
+        await expect(governanceProposal.connect(member3).vote(proposalId, 1)).to.be.revertedWith("No voting power");
+        await client.connect(member2).castVote(proposalId, "against");
+        expect((await client.getProposal(proposalId)).againstVotes).to.equal(sqrtPower(25));
+
+        expect(await governanceToken.getPastVotingPower(member3.address, snapshotBlock, snapshotTime)).to.equal(0n);
+        expect(await governanceToken.getPastVotingPower(member2.address, snapshotBlock, snapshotTime)).to.equal(sqrtPower(25));
+        expect(await governanceToken.getPastTotalVotingPower(snapshotBlock, snapshotTime)).to.equal(sqrtPower(125));
+        expect(await governanceToken.getTotalVotingPower()).to.equal(sqrtPower(109));
+    });
+
+    it("Should let governance register members through an action proposal", async function () {
+        const { client, governanceToken, timelock, member1, member2, member3 } = await loadFixture(deployDaoFixture);
+
+        const { proposalId } = await client.connect(member1).proposeActions({
+            actions: [{
+                target: await governanceToken.getAddress(),
+                data: governanceToken.interface.encodeFunctionData("attest", [member3.address, ethers.id("forum vote #7")]),
+            }],
+            description: "Register member3",
+        });
+        await client.connect(member1).castVote(proposalId, "for");
+        await client.connect(member2).castVote(proposalId, "for");
+        await time.increase(7 * DAY + 1);
+        const { executionTime } = await client.queue(proposalId);
+        await time.increaseTo(executionTime);
+        await client.execute(proposalId);
+
+        const attestation = await client.getAttestation(member3.address);
+        expect(attestation.attester).to.equal(await timelock.getAddress());
+        expect(attestation.evidence).to.equal(ethers.id("forum vote #7"));
+    });
+});
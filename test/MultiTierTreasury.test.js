@@ -0,0 +1,355 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("MultiTierTreasury", function () {
+    const DAY = 24 * 60 * 60;
+    const USDC = (amount) => ethers.parseUnits(amount, 6);
+
+    async function deployTreasuryFixture() {
+        const [owner, depositor, recipient, outsider] = await ethers.getSigners();
+
+        const MultiTierTreasury = await ethers.getContractFactory("MultiTierTreasury");
+        const treasury = await MultiTierTreasury.deploy();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+
+        await usdc.mint(depositor.address, USDC("1000000"));
+
+        return { treasury, usdc, owner, depositor, recipient, outsider };
+    }
+
+    async function fundedTreasuryFixture() {
+        const fixture = await deployTreasuryFixture();
+        const { treasury, usdc, depositor } = fixture;
+
+        await usdc.connect(depositor).approve(await treasury.getAddress(), USDC("100000"));
+        await treasury.connect(depositor).depositToken(await usdc.getAddress(), USDC("100000"));
+
+        return fixture;
+    }
+
+    describe("ETH Funds", function () {
+        it("Should pay from the named tier whatever the amount", async function () {
+            const { treasury, owner, recipient } = await loadFixture(deployTreasuryFixture);
+            await owner.sendTransaction({ to: await treasury.getAddress(), value: ethers.parseEther("50") });
+            await treasury.allocateFunds(1, ethers.parseEther("15"));
+            await treasury.allocateFunds(2, ethers.parseEther("5"));
+
+            await expect(treasury.executeTransfer(1, 1, recipient.address, ethers.parseEther("0.5")))
+                .to.emit(treasury, "TransferExecuted")
+                .withArgs(1, 1, recipient.address, ethers.parseEther("0.5"));
+
+            expect(await treasury.getAllFundBalances()).to.deep.equal([0n, ethers.parseEther("14.5"), ethers.parseEther("5")]);
+            await expect(treasury.executeTransfer(2, 2, recipient.address, ethers.parseEther("6")))
+                .to.be.revertedWith("Insufficient fund balance");
+        });
+    });
+
+    describe("Reservations and Rebalancing", function () {
+        async function allocatedFixture() {
+            const fixture = await deployTreasuryFixture();
+            const { treasury, owner } = fixture;
+
+            await owner.sendTransaction({ to: await treasury.getAddress(), value: ethers.parseEther("50") });
+            await treasury.allocateFunds(0, ethers.parseEther("30"));
+            await treasury.allocateFunds(1, ethers.parseEther("15"));
+            await treasury.allocateFunds(2, ethers.parseEther("5"));
+
+            return fixture;
+        }
+
+        it("Should keep a queued payout's reservation through a rebalance", async function () {
+            const { treasury, recipient } = await loadFixture(allocatedFixture);
+
+            await expect(treasury.reserveFunds(1, ethers.ZeroAddress, 1, recipient.address, ethers.parseEther("15")))
+                .to.emit(treasury, "FundsReserved")
+                .withArgs(1, ethers.ZeroAddress, 1, ethers.parseEther("15"));
+
+            // 35 ETH is free, split 60/30/10 on top of the 15 reserved in experimental
+            await expect(treasury.rebalanceFunds())
+                .to.emit(treasury, "FundsMoved").withArgs(0, 1, ethers.parseEther("9"))
+                .and.to.emit(treasury, "FundsMoved").withArgs(2, 1, ethers.parseEther("1.5"))
+                .and.to.emit(treasury, "FundsRebalanced")
+                .withArgs(ethers.parseEther("21"), ethers.parseEther("25.5"), ethers.parseEther("3.5"));
+            expect(await treasury.getAllFundBalances()).to.deep.equal([
+                ethers.parseEther("21"),
+                ethers.parseEther("25.5"),
+                ethers.parseEther("3.5"),
+            ]);
+
+            await expect(treasury.executeTransfer(1, 1, recipient.address, ethers.parseEther("15")))
+                .to.emit(treasury, "FundsReleased")
+                .withArgs(1, ethers.parseEther("15"));
+            expect(await treasury.reservedBalances(ethers.ZeroAddress, 1)).to.equal(0);
+            expect((await treasury.reservations(1)).amount).to.equal(0);
+        });
+
+        it("Should leave unallocated ETH out of rebalancing", async function () {
+            const { treasury, owner } = await loadFixture(allocatedFixture);
+            await owner.sendTransaction({ to: await treasury.getAddress(), value: ethers.parseEther("10") });
+
+            await treasury.moveFunds(0, 2, ethers.parseEther("1"));
+            await treasury.rebalanceFunds();
+
+            expect(await treasury.getAllFundBalances()).to.deep.equal([
+                ethers.parseEther("30"),
+                ethers.parseEther("15"),
+                ethers.parseEther("5"),
+            ]);
+            expect(await treasury.getTotalTreasury()).to.equal(ethers.parseEther("60"));
+        });
+
+        it("Should refuse to rebalance when reservations exceed the funds", async function () {
+            const { treasury, owner } = await loadFixture(allocatedFixture);
+            await treasury.reserveFunds(1, ethers.ZeroAddress, 2, owner.address, ethers.parseEther("45"));
+            await treasury.reserveFunds(2, ethers.ZeroAddress, 0, owner.address, ethers.parseEther("10"));
+
+            expect(await treasury.getRebalanceTargets()).to.deep.equal([ethers.parseEther("10"), 0n, ethers.parseEther("45")]);
+            await expect(treasury.rebalanceFunds()).to.be.revertedWith("Reservations exceed allocated funds");
+
+            await treasury.releaseFunds(1);
+            await expect(treasury.releaseFunds(1)).to.be.revertedWith("No reservation");
+            await treasury.rebalanceFunds();
+            expect(await treasury.getFundBalance(0)).to.equal(ethers.parseEther("34"));
+        });
+
+        it("Should move funds between tiers without touching reservations", async function () {
+            const { treasury, owner, outsider } = await loadFixture(allocatedFixture);
+            await owner.sendTransaction({ to: await treasury.getAddress(), value: ethers.parseEther("10") });
+            await treasury.reserveFunds(1, ethers.ZeroAddress, 1, owner.address, ethers.parseEther("12"));
+
+            await expect(treasury.moveFunds(1, 0, ethers.parseEther("3")))
+                .to.emit(treasury, "FundsMoved")
+                .withArgs(1, 0, ethers.parseEther("3"));
+            await expect(treasury.moveFunds(1, 0, 1)).to.be.revertedWith("Funds reserved for queued proposals");
+            await expect(treasury.moveFunds(0, 2, ethers.parseEther("3"))).to.be.revertedWith("Exceeds fund cap");
+            await expect(treasury.moveFunds(0, 0, 1)).to.be.revertedWith("Cannot move to the same fund");
+            await expect(treasury.moveFunds(2, 0, ethers.parseEther("9"))).to.be.revertedWith("Insufficient fund balance");
+
+            await expect(treasury.connect(outsider).moveFunds(0, 1, 1)).to.be.reverted;
+            await expect(treasury.connect(outsider).reserveFunds(2, ethers.ZeroAddress, 0, owner.address, 1)).to.be.reverted;
+            await expect(treasury.reserveFunds(1, ethers.ZeroAddress, 0, owner.address, 1)).to.be.revertedWith("Funds already reserved");
+        });
+    });
+
+    describe("ERC-20 Deposits", function () {
+        it("Should pull approved tokens and announce the deposit", async function () {
+            const { treasury, usdc, depositor } = await loadFixture(deployTreasuryFixture);
+            const token = await usdc.getAddress();
+
+            await usdc.connect(depositor).approve(await treasury.getAddress(), USDC("2500"));
+
+            await expect(treasury.connect(depositor).depositToken(token, USDC("2500")))
+                .to.emit(treasury, "TokenDeposited")
+                .withArgs(token, depositor.address, USDC("2500"), USDC("2500"));
+
+            expect(await treasury.getTokenTreasury(token)).to.equal(USDC("2500"));
+            // ETH accounting is untouched
+            expect(await treasury.getTotalTreasury()).to.equal(0);
+        });
+
+        it("Should count tokens sent with a plain transfer", async function () {
+            const { treasury, usdc, depositor } = await loadFixture(fundedTreasuryFixture);
+            const token = await usdc.getAddress();
+
+            await usdc.connect(depositor).transfer(await treasury.getAddress(), USDC("500"));
+
+            expect(await treasury.getTokenTreasury(token)).to.equal(USDC("100500"));
+        });
+
+        it("Should reject invalid deposits", async function () {
+            const { treasury, usdc, depositor } = await loadFixture(deployTreasuryFixture);
+
+            await expect(treasury.connect(depositor).depositToken(ethers.ZeroAddress, 1))
+                .to.be.revertedWith("Invalid token");
+            await expect(treasury.connect(depositor).depositToken(await usdc.getAddress(), 0))
+                .to.be.revertedWith("Amount must be greater than 0");
+        });
+    });
+
+    describe("ERC-20 Funds", function () {
+        it("Should allocate tokens to tiers within the cap", async function () {
+            const { treasury, usdc } = await loadFixture(fundedTreasuryFixture);
+            const token = await usdc.getAddress();
+
+            await expect(treasury.allocateTokenFunds(token, 1, USDC("30000")))
+                .to.emit(treasury, "TokenFundsAllocated")
+                .withArgs(token, 1, USDC("30000"), USDC("30000"));
+
+            expect(await treasury.getTokenFundBalance(token, 1)).to.equal(USDC("30000"));
+            expect(await treasury.getFundBalance(1)).to.equal(0);
+
+            await expect(treasury.allocateTokenFunds(token, 1, 1))
+                .to.be.revertedWith("Exceeds fund cap");
+        });
+
+        it("Should apply per-token caps and fall back to the ETH cap", async function () {
+            const { treasury, usdc } = await loadFixture(fundedTreasuryFixture);
+            const token = await usdc.getAddress();
+
+            expect(await treasury.getTokenFundCap(token, 2)).to.equal(10);
+
+            await expect(treasury.updateTokenFundCap(token, 2, 25))
+                .to.emit(treasury, "TokenFundCapUpdated")
+                .withArgs(token, 2, 25);
+            expect(await treasury.getTokenFundCap(token, 2)).to.equal(25);
+            expect(await treasury.getFundCap(2)).to.equal(10);
+
+            await treasury.allocateTokenFunds(token, 2, USDC("25000"));
+
+            // Resetting to 0 restores the ETH cap
+            await treasury.updateTokenFundCap(token, 2, 0);
+            expect(await treasury.getTokenFundCap(token, 2)).to.equal(10);
+        });
+
+        it("Should transfer tokens from the named tier once", async function () {
+            const { treasury, usdc, recipient } = await loadFixture(fundedTreasuryFixture);
+            const token = await usdc.getAddress();
+            await treasury.allocateTokenFunds(token, 2, USDC("10000"));
+
+            const transfer = treasury.executeTokenTransfer(1, token, 2, recipient.address, USDC("4000"));
+            await expect(transfer)
+                .to.emit(treasury, "TokenTransferExecuted")
+                .withArgs(1, token, 2, recipient.address, USDC("4000"));
+            await expect(transfer)
+                .to.changeTokenBalances(usdc, [treasury, recipient], [-USDC("4000"), USDC("4000")]);
+
+            expect(await treasury.getAllTokenFundBalances(token)).to.deep.equal([0n, 0n, USDC("6000")]);
+
+            await expect(treasury.executeTokenTransfer(1, token, 2, recipient.address, 1))
+                .to.be.revertedWith("Proposal already executed");
+            await expect(treasury.executeTokenTransfer(2, token, 1, recipient.address, 1))
+                .to.be.revertedWith("Insufficient fund balance");
+        });
+
+        it("Should restrict token management to the right roles", async function () {
+            const { treasury, usdc, recipient, outsider } = await loadFixture(fundedTreasuryFixture);
+            const token = await usdc.getAddress();
+
+            await expect(treasury.connect(outsider).allocateTokenFunds(token, 0, 1))
+                .to.be.revertedWithCustomError(treasury, "AccessControlUnauthorizedAccount");
+            await expect(treasury.connect(outsider).executeTokenTransfer(1, token, 0, recipient.address, 1))
+                .to.be.revertedWithCustomError(treasury, "AccessControlUnauthorizedAccount");
+            await expect(treasury.connect(outsider).updateTokenFundCap(token, 0, 50))
+                .to.be.revertedWithCustomError(treasury, "AccessControlUnauthorizedAccount");
+        });
+    });
+
+    describe("Streams", function () {
+        async function streamFixture() {
+            const fixture = await fundedTreasuryFixture();
+            const { treasury, usdc, owner, recipient } = fixture;
+
+            await owner.sendTransaction({ to: await treasury.getAddress(), value: ethers.parseEther("50") });
+            await treasury.allocateFunds(1, ethers.parseEther("15"));
+            await treasury.allocateTokenFunds(await usdc.getAddress(), 2, USDC("10000"));
+
+            // 10 ETH over 120 days with a 30-day cliff
+            await treasury.openStream(1, ethers.ZeroAddress, 1, recipient.address, ethers.parseEther("10"), 30 * DAY, 120 * DAY);
+            const start = await time.latest();
+
+            return { ...fixture, start };
+        }
+
+        it("Should reserve the amount from the tier when opened", async function () {
+            const { treasury, recipient, start } = await loadFixture(streamFixture);
+
+            const stream = await treasury.streams(1);
+            expect(stream.recipient).to.equal(recipient.address);
+            expect(stream.total).to.equal(ethers.parseEther("10"));
+            expect(stream.start).to.equal(start);
+            expect(await treasury.getFundBalance(1)).to.equal(ethers.parseEther("5"));
+            expect(await treasury.executedProposals(1)).to.be.true;
+
+            await expect(treasury.openStream(1, ethers.ZeroAddress, 1, recipient.address, 1, 0, DAY))
+                .to.be.revertedWith("Proposal already executed");
+        });
+
+        it("Should vest nothing before the cliff, then linearly", async function () {
+            const { treasury, recipient, start } = await loadFixture(streamFixture);
+
+            await time.increaseTo(start + 29 * DAY);
+            expect(await treasury.claimableAmount(1)).to.equal(0);
+            await expect(treasury.connect(recipient).claimStream(1)).to.be.revertedWith("Nothing to claim");
+
+            await time.setNextBlockTimestamp(start + 60 * DAY);
+            await expect(treasury.connect(recipient).claimStream(1))
+                .to.emit(treasury, "StreamClaimed")
+                .withArgs(1, recipient.address, ethers.parseEther("5"));
+
+            await time.increaseTo(start + 90 * DAY);
+            expect(await treasury.vestedAmount(1)).to.equal(ethers.parseEther("7.5"));
+            expect(await treasury.claimableAmount(1)).to.equal(ethers.parseEther("2.5"));
+
+            await time.increaseTo(start + 200 * DAY);
+            await expect(treasury.connect(recipient).claimStream(1))
+                .to.changeEtherBalances([treasury, recipient], [ethers.parseEther("-5"), ethers.parseEther("5")]);
+            expect(await treasury.claimableAmount(1)).to.equal(0);
+        });
+
+        it("Should keep streamed ETH out of rebalancing", async function () {
+            const { treasury, recipient, start } = await loadFixture(streamFixture);
+
+            await time.setNextBlockTimestamp(start + 60 * DAY);
+            await treasury.connect(recipient).claimStream(1);
+            expect(await treasury.streamedBalances(ethers.ZeroAddress)).to.equal(ethers.parseEther("5"));
+
+            // Only the 5 ETH left in the experimental fund is redistributed; the 5
+            // still owed to the stream stays out
+            await treasury.rebalanceFunds();
+            expect(await treasury.getAllFundBalances()).to.deep.equal([
+                ethers.parseEther("3"),
+                ethers.parseEther("1.5"),
+                ethers.parseEther("0.5"),
+            ]);
+            expect(await treasury.streamedBalances(ethers.ZeroAddress)).to.equal(ethers.parseEther("5"));
+        });
+
+        it("Should stream tokens and only pay the recipient", async function () {
+            const { treasury, usdc, recipient, outsider } = await loadFixture(streamFixture);
+            const token = await usdc.getAddress();
+
+            await treasury.openStream(2, token, 2, recipient.address, USDC("3000"), 0, 30 * DAY);
+            expect(await treasury.getTokenFundBalance(token, 2)).to.equal(USDC("7000"));
+
+            await time.increase(30 * DAY);
+            await expect(treasury.connect(outsider).claimStream(2)).to.be.revertedWith("Not stream recipient");
+            await treasury.connect(recipient).claimStream(2);
+
+            expect(await usdc.balanceOf(recipient.address)).to.equal(USDC("3000"));
+        });
+
+        it("Should return the unvested remainder to the tier on cancellation", async function () {
+            const { treasury, recipient, outsider, start } = await loadFixture(streamFixture);
+
+            await expect(treasury.connect(outsider).cancelStream(1))
+                .to.be.revertedWithCustomError(treasury, "AccessControlUnauthorizedAccount");
+
+            await time.setNextBlockTimestamp(start + 48 * DAY);
+            const cancel = treasury.cancelStream(1);
+            await expect(cancel)
+                .to.emit(treasury, "StreamCancelled")
+                .withArgs(1, ethers.parseEther("4"), ethers.parseEther("6"));
+            await expect(cancel).to.changeEtherBalance(recipient, ethers.parseEther("4"));
+
+            expect(await treasury.getFundBalance(1)).to.equal(ethers.parseEther("11"));
+            expect(await treasury.streamedBalances(ethers.ZeroAddress)).to.equal(0);
+            expect(await treasury.claimableAmount(1)).to.equal(0);
+            await expect(treasury.connect(recipient).claimStream(1)).to.be.revertedWith("Stream not active");
+            await expect(treasury.cancelStream(1)).to.be.revertedWith("Stream not active");
+        });
+
+        it("Should reject invalid schedules and unfunded streams", async function () {
+            const { treasury, recipient } = await loadFixture(streamFixture);
+
+            await expect(treasury.openStream(2, ethers.ZeroAddress, 1, recipient.address, 1, 0, 0))
+                .to.be.revertedWith("Invalid vesting schedule");
+            await expect(treasury.openStream(2, ethers.ZeroAddress, 1, recipient.address, 1, 2 * DAY, DAY))
+                .to.be.revertedWith("Invalid vesting schedule");
+            await expect(treasury.openStream(2, ethers.ZeroAddress, 1, recipient.address, ethers.parseEther("6"), 0, DAY))
+                .to.be.revertedWith("Insufficient fund balance");
+        });
+    });
+});
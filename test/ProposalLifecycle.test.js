@@ -0,0 +1,198 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { DaoClient, LifecycleError, VotingError } = require("../lib");
+
+describe("Proposal lifecycle", function () {
+    const DAY = 24 * 60 * 60;
+    const GRACE_PERIOD = 14 * DAY;
+
+    // Operational proposals wait a day before voting opens, vote for three
+    // days and sit in the timelock for one
+    async function deployDaoFixture() {
+        const [owner, member1, member2, recipient] = await ethers.getSigners();
+
+        const GovernanceToken = await ethers.getContractFactory("GovernanceToken");
+        const governanceToken = await GovernanceToken.deploy();
+        for (const member of [member1, member2]) {
+            await governanceToken.attest(member.address, ethers.ZeroHash);
+        }
+
+        const GovernanceProposal = await ethers.getContractFactory("GovernanceProposal");
+        const governanceProposal = await GovernanceProposal.deploy(await governanceToken.getAddress());
+
+        const MultiTierTreasury = await ethers.getContractFactory("MultiTierTreasury");
+        const treasury = await MultiTierTreasury.deploy();
+
+        const TimelockController = await ethers.getContractFactory("TimelockController");
+        const timelock = await TimelockController.deploy(
+            await governanceProposal.getAddress(),
+            await treasury.getAddress()
+        );
+        const timelockAddress = await timelock.getAddress();
+
+        await governanceToken.grantRole(await governanceToken.GOVERNANCE_ROLE(), await governanceProposal.getAddress());
+        await governanceProposal.grantRole(await governanceProposal.EXECUTOR_ROLE(), timelockAddress);
+        await governanceProposal.grantRole(await governanceProposal.GUARDIAN_ROLE(), timelockAddress);
+        await treasury.grantRole(await treasury.EXECUTOR_ROLE(), timelockAddress);
+        await governanceProposal.setTimelock(timelockAddress);
+        await governanceProposal.updateVotingConfig(2, 10, 51, DAY, 3 * DAY);
+
+        await owner.sendTransaction({ to: await treasury.getAddress(), value: ethers.parseEther("10") });
+        await treasury.allocateFunds(2, ethers.parseEther("1"));
+
+        const client = new DaoClient(owner, {
+            GovernanceToken: await governanceToken.getAddress(),
+            GovernanceProposal: await governanceProposal.getAddress(),
+            MultiTierTreasury: await treasury.getAddress(),
+            TimelockController: timelockAddress,
+        });
+        await client.connect(member1).stake("100");
+        await client.connect(member2).stake("25");
+
+        const { proposalId } = await client.connect(member1).propose({
+            type: "operational",
+            recipient: recipient.address,
+            amount: "0.5",
+            description: "Hosting",
+        });
+
+        return { client, governanceProposal, treasury, timelock, proposalId, owner, member1, member2, recipient };
+    }
+
+    // The fixture's proposal, voted through and scheduled in the timelock
+    async function queuedProposalFixture() {
+        const fixture = await deployDaoFixture();
+        const { client, proposalId, member1 } = fixture;
+        await time.increase(DAY);
+        await client.connect(member1).castVote(proposalId, "for");
+        await time.increase(3 * DAY + 1);
+        const { executionTime } = await client.queue(proposalId);
+        return { ...fixture, executionTime };
+    }
+
+    it("Should stay PENDING through the voting delay, then become ACTIVE", async function () {
+        const { client, governanceProposal, proposalId, member1 } = await loadFixture(deployDaoFixture);
+
+        expect(await governanceProposal.state(proposalId)).to.equal(0); // PENDING
+        expect(await client.getProposalState(proposalId)).to.equal("PENDING");
+        const early = await client.connect(member1).castVote(proposalId, "for").catch((e) => e);
+        expect(early).to.be.instanceOf(VotingError);
+        expect(early.code).to.equal("VOTING_NOT_STARTED");
+
+        await time.increase(DAY);
+        expect((await client.getProposal(proposalId)).state).to.equal("ACTIVE");
+        await client.connect(member1).castVote(proposalId, "for");
+
+        // Still ACTIVE once voting ends, until the vote is tallied
+        await time.increase(3 * DAY + 1);
+        expect(await client.getProposalState(proposalId)).to.equal("ACTIVE");
+        expect((await client.queue(proposalId)).state).to.equal("QUEUED");
+    });
+
+    it("Should let the proposer withdraw a proposal until the first vote", async function () {
+        const { client, governanceProposal, proposalId, member1, member2, recipient } = await loadFixture(deployDaoFixture);
+
+        // Nobody but the proposer and the guardian can cancel
+        await expect(governanceProposal.connect(member2).cancelProposal(proposalId))
+            .to.be.revertedWithCustomError(governanceProposal, "AccessControlUnauthorizedAccount");
+
+        await expect(governanceProposal.connect(member1).cancelProposal(proposalId))
+            .to.emit(governanceProposal, "ProposalCancelled").withArgs(proposalId);
+        expect(await client.getProposalState(proposalId)).to.equal("CANCELLED");
+
+        const { proposalId: voted } = await client.connect(member1).propose({
+            type: "operational",
+            recipient: recipient.address,
+            amount: "0.5",
+            description: "Hosting, again",
+        });
+        await time.increase(DAY);
+        await client.connect(member2).castVote(voted, "against");
+
+        const error = await client.connect(member1).cancel(voted).catch((e) => e);
+        expect(error).to.be.instanceOf(LifecycleError);
+        expect(error.code).to.equal("VOTES_CAST");
+
+        // The guardian still can, and the voter's stake is unlocked
+        await client.cancel(voted);
+        expect(await client.getProposalState(voted)).to.equal("CANCELLED");
+        expect((await client.getVoteLocks(member2.address)).active).to.equal(0);
+    });
+
+    it("Should end a vote that fails as DEFEATED and one that passes as EXECUTED", async function () {
+        const { client, proposalId, member1, member2, recipient } = await loadFixture(deployDaoFixture);
+        const { proposalId: rejected } = await client.connect(member1).propose({
+            type: "operational",
+            recipient: recipient.address,
+            amount: "0.2",
+            description: "Swag",
+        });
+        await time.increase(DAY);
+        await client.connect(member1).castVote(proposalId, "for");
+        await client.connect(member2).castVote(rejected, "against");
+        await time.increase(3 * DAY + 1);
+
+        expect((await client.queue(rejected)).state).to.equal("DEFEATED");
+        const { executionTime } = await client.queue(proposalId);
+        expect(await client.getProposalState(proposalId)).to.equal("QUEUED");
+        expect((await client.getProposal(proposalId)).expiresAt).to.equal(executionTime + GRACE_PERIOD);
+
+        await time.increaseTo(executionTime);
+        const before = await ethers.provider.getBalance(recipient.address);
+        await client.execute(proposalId);
+        expect(await ethers.provider.getBalance(recipient.address)).to.equal(before + ethers.parseEther("0.5"));
+        expect(await client.getProposalState(proposalId)).to.equal("EXECUTED");
+        const cancelled = await client.cancel(proposalId).catch((e) => e);
+        expect(cancelled.code).to.equal("NOT_CANCELLABLE");
+    });
+
+    it("Should expire a queued proposal nobody executed within the grace period", async function () {
+        const { client, governanceProposal, treasury, timelock, proposalId, executionTime, member1 } =
+            await loadFixture(queuedProposalFixture);
+
+        await time.increaseTo(executionTime + GRACE_PERIOD - 60);
+        expect(await client.getProposalState(proposalId)).to.equal("QUEUED");
+        expect(await timelock.isExecutable(proposalId)).to.be.true;
+
+        await time.increase(61);
+        expect(await client.getProposalState(proposalId)).to.equal("EXPIRED");
+        expect(await governanceProposal.state(proposalId)).to.equal(6);
+        expect(await timelock.isExpired(proposalId)).to.be.true;
+        expect(await timelock.isExecutable(proposalId)).to.be.false;
+
+        const error = await client.execute(proposalId).catch((e) => e);
+        expect(error).to.be.instanceOf(LifecycleError);
+        expect(error.code).to.equal("EXPIRED");
+        await expect(governanceProposal.cancelProposal(proposalId)).to.be.revertedWith("Cannot cancel proposal");
+
+        // Votes and reservation are freed as for any finished proposal
+        expect(await governanceProposal.unlockableVotes(member1.address)).to.equal(1n);
+        await governanceProposal.releaseLocks(member1.address);
+        expect((await client.getVoteLocks(member1.address)).active).to.equal(0);
+
+        await expect(timelock.releaseReservation(proposalId))
+            .to.emit(timelock, "ProposalExpired").withArgs(proposalId)
+            .and.to.emit(treasury, "FundsReleased").withArgs(proposalId, ethers.parseEther("0.5"));
+        expect(await treasury.reservedBalances(ethers.ZeroAddress, 2)).to.equal(0n);
+        expect(await client.getProposalState(proposalId)).to.equal("EXPIRED");
+        await expect(timelock.releaseReservation(proposalId)).to.be.revertedWith("No reservation");
+    });
+
+    it("Should only release the reservations of expired proposals", async function () {
+        const { client, governanceProposal, timelock, proposalId, executionTime } = await loadFixture(queuedProposalFixture);
+
+        await time.increaseTo(executionTime);
+        await expect(timelock.releaseReservation(proposalId)).to.be.revertedWith("Proposal not expired");
+
+        // Executed in time, it stays EXECUTED once the grace period is over
+        await client.execute(proposalId);
+        await time.increase(GRACE_PERIOD + 1);
+        expect(await governanceProposal.state(proposalId)).to.equal(4); // EXECUTED
+        await expect(timelock.releaseReservation(proposalId)).to.be.revertedWith("Proposal not expired");
+
+        // Queued proposals always have a timelock to expire in
+        await expect(governanceProposal.setTimelock(ethers.ZeroAddress)).to.be.revertedWith("Invalid timelock");
+    });
+});
@@ -0,0 +1,242 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { DaoClient, TreasuryReporter, LifecycleError, VotingError } = require("../lib");
+
+describe("Rage-quit", function () {
+    const DAY = 24 * 60 * 60;
+
+    // 100 ETH in the treasury, 75 ETH of it allocated, and a 40 ETH
+    // high-conviction proposal queued in the timelock over two dissenters
+    async function deployDaoFixture() {
+        const [owner, member1, member2, member3, member4, recipient] = await ethers.getSigners();
+
+        const GovernanceToken = await ethers.getContractFactory("GovernanceToken");
+        const governanceToken = await GovernanceToken.deploy();
+        for (const member of [member1, member2, member3, member4]) {
+            await governanceToken.attest(member.address, ethers.ZeroHash);
+        }
+
+        const GovernanceProposal = await ethers.getContractFactory("GovernanceProposal");
+        const governanceProposal = await GovernanceProposal.deploy(await governanceToken.getAddress());
+
+        const MultiTierTreasury = await ethers.getContractFactory("MultiTierTreasury");
+        const treasury = await MultiTierTreasury.deploy();
+
+        const TimelockController = await ethers.getContractFactory("TimelockController");
+        const timelock = await TimelockController.deploy(
+            await governanceProposal.getAddress(),
+            await treasury.getAddress()
+        );
+        const timelockAddress = await timelock.getAddress();
+
+        await governanceToken.grantRole(await governanceToken.GOVERNANCE_ROLE(), await governanceProposal.getAddress());
+        await governanceToken.grantRole(await governanceToken.RAGE_QUIT_ROLE(), timelockAddress);
+        await governanceProposal.grantRole(await governanceProposal.EXECUTOR_ROLE(), timelockAddress);
+        await governanceProposal.setTimelock(timelockAddress);
+        await governanceProposal.grantRole(await governanceProposal.GUARDIAN_ROLE(), timelockAddress);
+        await treasury.grantRole(await treasury.EXECUTOR_ROLE(), timelockAddress);
+        for (const contract of [governanceToken, governanceProposal, treasury]) {
+            await contract.grantRole(await contract.PAUSER_ROLE(), timelockAddress);
+        }
+
+        await owner.sendTransaction({ to: await treasury.getAddress(), value: ethers.parseEther("100") });
+        await treasury.allocateFunds(0, ethers.parseEther("50"));
+        await treasury.allocateFunds(1, ethers.parseEther("20"));
+        await treasury.allocateFunds(2, ethers.parseEther("5"));
+
+        const client = new DaoClient(owner, {
+            GovernanceToken: await governanceToken.getAddress(),
+            GovernanceProposal: await governanceProposal.getAddress(),
+            MultiTierTreasury: await treasury.getAddress(),
+            TimelockController: timelockAddress,
+        });
+        await client.connect(member1).stake("100");
+        await client.connect(member2).stake("4");
+        await client.connect(member3).stake("1");
+        await client.connect(member4).stake("1");
+
+        // 10 for, 3 against, 1 abstain: passes the 66% threshold
+        const { proposalId } = await client.connect(member1).propose({
+            type: "high-conviction",
+            recipient: recipient.address,
+            amount: "40",
+            description: "Acquisition",
+        });
+        await client.connect(member1).castVote(proposalId, "for");
+        await client.connect(member2).castVote(proposalId, "against");
+        await client.connect(member3).castVote(proposalId, "against");
+        await client.connect(member4).castVote(proposalId, "abstain");
+        await time.increase(3 * DAY + 1);
+        const { executionTime } = await client.queue(proposalId);
+
+        return {
+            client,
+            governanceToken,
+            governanceProposal,
+            treasury,
+            timelock,
+            proposalId,
+            executionTime,
+            owner,
+            member1,
+            member2,
+            member3,
+            member4,
+            recipient,
+        };
+    }
+
+    it("Should return a dissenter's stake and a pro-rata share of unallocated ETH", async function () {
+        const { client, governanceToken, treasury, timelock, proposalId, member2 } = await loadFixture(deployDaoFixture);
+        const stake = ethers.parseEther("4");
+        const share = (ethers.parseEther("25") * stake) / ethers.parseEther("106");
+
+        const quote = await client.connect(member2).getRageQuitQuote(proposalId);
+        expect(quote).to.include({ stake, share });
+
+        const tx = timelock.connect(member2).rageQuit(proposalId);
+        await expect(tx)
+            .to.emit(timelock, "RageQuit").withArgs(proposalId, member2.address, stake, share)
+            .and.to.emit(treasury, "RageQuitPaid").withArgs(member2.address, share, stake, ethers.parseEther("106"));
+        await expect(tx).to.changeEtherBalances([member2, treasury], [stake + share, -share]);
+
+        expect(await governanceToken.stakes(member2.address)).to.equal(0n);
+        expect(await governanceToken.totalStaked()).to.equal(ethers.parseEther("102"));
+        expect(await governanceToken.activeVotes(member2.address)).to.equal(0n);
+    });
+
+    it("Should leave queued payouts solvent", async function () {
+        const { client, treasury, timelock, proposalId, executionTime, member2, member3, recipient } = await loadFixture(deployDaoFixture);
+        const before = await client.getTreasury();
+
+        const first = await client.connect(member2).rageQuit(proposalId);
+        const second = await client.connect(member3).rageQuit(proposalId);
+
+        // Each share is taken against the stake at the snapshot that has not quit yet
+        expect(first.share).to.equal((ethers.parseEther("25") * ethers.parseEther("4")) / ethers.parseEther("106"));
+        expect(second.share).to.equal((ethers.parseEther("25") - first.share) * ethers.parseEther("1") / ethers.parseEther("102"));
+
+        const after = await client.getTreasury();
+        expect(after.funds).to.deep.equal(before.funds);
+        expect(after.reserved).to.deep.equal(before.reserved);
+        expect(after.total).to.equal(before.total - first.share - second.share);
+        expect(await treasury.unallocatedBalance()).to.equal(after.total - ethers.parseEther("75"));
+
+        await time.increaseTo(executionTime);
+        await expect(timelock.executeProposal(proposalId)).to.changeEtherBalance(recipient, ethers.parseEther("40"));
+        expect((await client.getTreasury()).funds.HIGH_CONVICTION).to.equal(ethers.parseEther("10"));
+    });
+
+    it("Should not pay a larger share for stake added after the vote", async function () {
+        const { client, treasury, proposalId, member2 } = await loadFixture(deployDaoFixture);
+        const share = (ethers.parseEther("25") * ethers.parseEther("4")) / ethers.parseEther("106");
+
+        await client.connect(member2).stake("5000");
+        expect((await client.connect(member2).getRageQuitQuote(proposalId)).share).to.equal(share);
+
+        const quit = await client.connect(member2).rageQuit(proposalId);
+        expect(quit).to.include({ stake: ethers.parseEther("5004"), share });
+        expect(await treasury.unallocatedBalance()).to.equal(ethers.parseEther("25") - share);
+    });
+
+    it("Should only let members who voted against quit, once", async function () {
+        const { client, proposalId, member1, member2, member4, recipient } = await loadFixture(deployDaoFixture);
+
+        for (const signer of [member1, member4, recipient]) {
+            const error = await client.connect(signer).rageQuit(proposalId).catch((e) => e);
+            expect(error).to.be.instanceOf(VotingError);
+            expect(error.code).to.equal("NOT_DISSENTER");
+        }
+
+        await client.connect(member2).rageQuit(proposalId);
+        expect((await client.connect(member2).rageQuit(proposalId).catch((e) => e)).code).to.equal("LOCK_RELEASED");
+    });
+
+    it("Should not count a split vote with any weight for or abstaining as dissent", async function () {
+        const { client, governanceProposal, member1, member3, member4, recipient } = await loadFixture(deployDaoFixture);
+        await client.connect(member4).delegate(member3.address);
+        const { proposalId } = await client.connect(member1).propose({
+            type: "operational",
+            recipient: recipient.address,
+            amount: "0.5",
+            description: "Hosting",
+        });
+        await client.connect(member1).castVote(proposalId, "for");
+        // 0.01% against, the rest for
+        await governanceProposal.connect(member3).castVoteSplit(proposalId, 9999, 1, 0, "");
+        await time.increase(3 * DAY + 1);
+        await client.queue(proposalId);
+
+        const error = await client.connect(member3).rageQuit(proposalId).catch((e) => e);
+        expect(error).to.be.instanceOf(VotingError);
+        expect(error.code).to.equal("NOT_DISSENTER");
+    });
+
+    it("Should only be open while the proposal waits in the timelock", async function () {
+        const { client, proposalId, executionTime, owner, member1, member2, member3, recipient } = await loadFixture(deployDaoFixture);
+
+        // Voted on, but not yet tallied and scheduled in the timelock
+        const { proposalId: other } = await client.connect(member1).propose({
+            type: "operational",
+            recipient: recipient.address,
+            amount: "0.5",
+            description: "Hosting",
+        });
+        await client.connect(member1).castVote(other, "for");
+        await client.connect(member3).castVote(other, "against");
+        await time.increase(3 * DAY + 1);
+        const notQueued = await client.connect(member3).rageQuit(other).catch((e) => e);
+        expect(notQueued).to.be.instanceOf(LifecycleError);
+        expect(notQueued.code).to.equal("NOT_QUEUED");
+
+        await time.increaseTo(executionTime);
+        expect((await client.connect(member2).rageQuit(proposalId).catch((e) => e)).code).to.equal("RAGE_QUIT_CLOSED");
+
+        await client.connect(owner).cancel(proposalId);
+        expect((await client.connect(member2).rageQuit(proposalId).catch((e) => e)).code).to.equal("NOT_QUEUED");
+    });
+
+    it("Should keep the stake locked by votes on open proposals", async function () {
+        const { client, proposalId, member1, member2, recipient } = await loadFixture(deployDaoFixture);
+        const { proposalId: open } = await client.connect(member1).propose({
+            type: "operational",
+            recipient: recipient.address,
+            amount: "0.5",
+            description: "Hosting",
+        });
+        await client.connect(member2).castVote(open, "against");
+
+        const error = await client.connect(member2).rageQuit(proposalId).catch((e) => e);
+        expect(error.code).to.equal("ACTIVE_VOTES");
+
+        // Defeating that proposal releases the lock
+        await time.increase(3 * DAY + 1);
+        await client.governanceProposal.queueProposal(open);
+        const { stake } = await client.connect(member2).rageQuit(proposalId);
+        expect(stake).to.equal(ethers.parseEther("4"));
+    });
+
+    it("Should stay open while the DAO is paused", async function () {
+        const { client, proposalId, owner, member2 } = await loadFixture(deployDaoFixture);
+        await client.connect(owner).pauseAll(DAY);
+
+        const { stake, share } = await client.connect(member2).rageQuit(proposalId);
+        expect(stake).to.equal(ethers.parseEther("4"));
+        expect(share).to.be.greaterThan(0n);
+    });
+
+    it("Should show up in treasury statements as an outflow of unallocated ETH", async function () {
+        const { client, proposalId, member2 } = await loadFixture(deployDaoFixture);
+        const { share } = await client.connect(member2).rageQuit(proposalId);
+
+        const report = await new TreasuryReporter({ client }).statement();
+
+        expect(report.rageQuits).to.have.lengthOf(1);
+        expect(report.rageQuits[0]).to.include({ counterparty: member2.address, amount: share });
+        expect(report.treasury.outflows).to.equal(share);
+        expect(report.treasury.unallocated.closing).to.equal(ethers.parseEther("25") - share);
+        expect(report.reconciliation.ok).to.be.true;
+    });
+});
@@ -0,0 +1,307 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { DaoClient, TreasuryError } = require("../lib");
+
+describe("Spending limits", function () {
+    const DAY = 24 * 60 * 60;
+    const WINDOW = 30 * DAY;
+
+    // Operational payouts capped at 2 ETH per 30 days (1 ETH per recipient),
+    // experimental ones at 10 ETH (5 ETH per recipient)
+    async function deployDaoFixture() {
+        const [owner, member1, member2, recipient, other] = await ethers.getSigners();
+
+        const GovernanceToken = await ethers.getContractFactory("GovernanceToken");
+        const governanceToken = await GovernanceToken.deploy();
+        for (const member of [member1, member2]) {
+            await governanceToken.attest(member.address, ethers.ZeroHash);
+        }
+
+        const GovernanceProposal = await ethers.getContractFactory("GovernanceProposal");
+        const governanceProposal = await GovernanceProposal.deploy(await governanceToken.getAddress());
+
+        const MultiTierTreasury = await ethers.getContractFactory("MultiTierTreasury");
+        const treasury = await MultiTierTreasury.deploy();
+
+        const TimelockController = await ethers.getContractFactory("TimelockController");
+        const timelock = await TimelockController.deploy(
+            await governanceProposal.getAddress(),
+            await treasury.getAddress()
+        );
+        const timelockAddress = await timelock.getAddress();
+
+        await governanceToken.grantRole(await governanceToken.GOVERNANCE_ROLE(), await governanceProposal.getAddress());
+        await governanceProposal.grantRole(await governanceProposal.EXECUTOR_ROLE(), timelockAddress);
+        await governanceProposal.setTimelock(timelockAddress);
+        await treasury.grantRole(await treasury.EXECUTOR_ROLE(), timelockAddress);
+        await governanceProposal.setTreasury(await treasury.getAddress());
+
+        await owner.sendTransaction({ to: await treasury.getAddress(), value: ethers.parseEther("100") });
+        await treasury.allocateFunds(0, ethers.parseEther("50"));
+        await treasury.allocateFunds(1, ethers.parseEther("20"));
+        await treasury.allocateFunds(2, ethers.parseEther("10"));
+        await treasury.updateSpendingLimit(1, WINDOW, ethers.parseEther("10"), ethers.parseEther("5"));
+        await treasury.updateSpendingLimit(2, WINDOW, ethers.parseEther("2"), ethers.parseEther("1"));
+
+        const client = new DaoClient(owner, {
+            GovernanceToken: await governanceToken.getAddress(),
+            GovernanceProposal: await governanceProposal.getAddress(),
+            MultiTierTreasury: await treasury.getAddress(),
+            TimelockController: timelockAddress,
+        });
+        await client.connect(member1).stake("100");
+        await client.connect(member2).stake("1");
+
+        return { client, governanceProposal, treasury, timelock, owner, member1, member2, recipient, other };
+    }
+
+    it("Should cap what a tier pays out over a rolling window", async function () {
+        const { treasury, member2, recipient, other } = await loadFixture(deployDaoFixture);
+        const amount = ethers.parseEther("0.9");
+
+        await treasury.executeTransfer(1, 2, recipient.address, amount);
+        await time.increase(10 * DAY);
+        await treasury.executeTransfer(2, 2, other.address, amount);
+        expect(await treasury.getSpentInWindow(2)).to.equal(amount * 2n);
+        expect(await treasury.getRemainingBudget(2)).to.equal(ethers.parseEther("0.2"));
+
+        await expect(treasury.executeTransfer(3, 2, member2.address, amount)).to.be.revertedWith("Exceeds tier budget");
+
+        // The first payout drops out of the window 30 days after it was made
+        await time.increase(20 * DAY);
+        expect(await treasury.getSpentInWindow(2)).to.equal(amount);
+        await expect(treasury.executeTransfer(3, 2, member2.address, amount)).to.emit(treasury, "TransferExecuted");
+
+        // Tiers without limits report an unlimited budget
+        expect(await treasury.getRemainingBudget(0)).to.equal(ethers.MaxUint256);
+        expect(await treasury.getSpentInWindow(0)).to.equal(0n);
+    });
+
+    it("Should cap what one recipient gets from a tier", async function () {
+        const { treasury, recipient, other } = await loadFixture(deployDaoFixture);
+
+        await treasury.executeTransfer(1, 2, recipient.address, ethers.parseEther("0.6"));
+        expect(await treasury.getRemainingRecipientBudget(2, recipient.address)).to.equal(ethers.parseEther("0.4"));
+        expect(await treasury.withinSpendingLimits(2, recipient.address, ethers.parseEther("0.6"))).to.be.false;
+        expect(await treasury.withinSpendingLimits(2, other.address, ethers.parseEther("0.6"))).to.be.true;
+
+        await expect(treasury.executeTransfer(2, 2, recipient.address, ethers.parseEther("0.6")))
+            .to.be.revertedWith("Exceeds recipient cap");
+        await treasury.executeTransfer(2, 2, other.address, ethers.parseEther("0.6"));
+
+        // Another tier keeps its own count
+        await treasury.executeTransfer(3, 1, recipient.address, ethers.parseEther("3"));
+        expect(await treasury.getRemainingRecipientBudget(1, recipient.address)).to.equal(ethers.parseEther("2"));
+    });
+
+    it("Should count ETH streams in full when they open", async function () {
+        const { treasury, recipient } = await loadFixture(deployDaoFixture);
+
+        await treasury.openStream(1, ethers.ZeroAddress, 2, recipient.address, ethers.parseEther("1"), 0, 90 * DAY);
+        expect(await treasury.getRemainingRecipientBudget(2, recipient.address)).to.equal(0n);
+        await expect(treasury.openStream(2, ethers.ZeroAddress, 2, recipient.address, ethers.parseEther("0.1"), 0, DAY))
+            .to.be.revertedWith("Exceeds recipient cap");
+    });
+
+    it("Should escalate proposals that would break their tier's limits", async function () {
+        const { client, governanceProposal, treasury, member1, recipient } = await loadFixture(deployDaoFixture);
+        await treasury.executeTransfer(100, 2, recipient.address, ethers.parseEther("0.5"));
+
+        const within = await client.connect(member1).propose({
+            type: "operational", recipient: recipient.address, amount: "0.5", description: "Hosting",
+        });
+        expect(within).to.include({ type: "OPERATIONAL", escalatedFrom: null });
+
+        const tx = governanceProposal.connect(member1).createProposal(2, recipient.address, ethers.parseEther("0.6"), "More hosting");
+        await expect(tx).to.emit(governanceProposal, "ProposalEscalated").withArgs(within.proposalId + 1n, 2, 1);
+
+        const escalated = await client.getProposal(within.proposalId + 1n);
+        expect(escalated.proposalType).to.equal("EXPERIMENTAL");
+        expect(escalated.threshold).to.equal(60);
+
+        // Paid from the experimental fund, after the experimental timelock delay
+        await client.connect(member1).castVote(escalated.id, "for");
+        await time.increaseTo(escalated.endTime + 1);
+        const { executionTime } = await client.queue(escalated.id);
+        expect(executionTime - (await time.latest())).to.equal(3 * DAY);
+        await time.increaseTo(executionTime);
+        const before = await client.getTreasury();
+        await client.execute(escalated.id);
+        const after = await client.getTreasury();
+        expect(before.funds.EXPERIMENTAL - after.funds.EXPERIMENTAL).to.equal(ethers.parseEther("0.6"));
+        expect(after.funds.OPERATIONAL).to.equal(before.funds.OPERATIONAL);
+    });
+
+    it("Should escalate as far as high-conviction, and not at all without a treasury", async function () {
+        const { client, governanceProposal, treasury, member1, recipient } = await loadFixture(deployDaoFixture);
+        await treasury.executeTransfer(100, 1, recipient.address, ethers.parseEther("5"));
+        await treasury.executeTransfer(101, 2, recipient.address, ethers.parseEther("1"));
+
+        const capped = await client.connect(member1).propose({
+            type: "operational", recipient: recipient.address, amount: "0.1", description: "Tip",
+        });
+        expect(capped).to.include({ type: "HIGH_CONVICTION", escalatedFrom: "OPERATIONAL" });
+
+        // Streams are escalated too
+        const streamed = await client.connect(member1).propose({
+            type: "experimental", recipient: recipient.address, amount: "2", description: "Grant",
+            vesting: { duration: 90 * DAY },
+        });
+        expect(streamed.type).to.equal("HIGH_CONVICTION");
+
+        await expect(governanceProposal.setTreasury(ethers.ZeroAddress))
+            .to.emit(governanceProposal, "TreasuryUpdated").withArgs(ethers.ZeroAddress);
+        const unchecked = await client.connect(member1).propose({
+            type: "operational", recipient: recipient.address, amount: "0.1", description: "Tip",
+        });
+        expect(unchecked).to.include({ type: "OPERATIONAL", escalatedFrom: null });
+    });
+
+    it("Should count queued payouts, and escalate a payout that no longer fits when it is queued", async function () {
+        const { client, governanceProposal, treasury, member1, member2, recipient, other } = await loadFixture(deployDaoFixture);
+        await treasury.executeTransfer(100, 2, recipient.address, ethers.parseEther("0.1"));
+        await treasury.executeTransfer(101, 2, member2.address, ethers.parseEther("0.5"));
+
+        // Both fit the 1.4 ETH left on their own, but not together
+        const first = await client.connect(member1).propose({
+            type: "operational", recipient: recipient.address, amount: "0.9", description: "Audit",
+        });
+        const second = await client.connect(member1).propose({
+            type: "operational", recipient: other.address, amount: "0.9", description: "Audit",
+        });
+        expect(second.escalatedFrom).to.equal(null);
+        await client.connect(member1).castVote(first.proposalId, "for");
+        await client.connect(member1).castVote(second.proposalId, "for");
+        await time.increase(3 * DAY + 1);
+
+        const queued = await client.queue(first.proposalId);
+        expect(await treasury.getRemainingBudget(2)).to.equal(ethers.parseEther("0.5"));
+        expect(await treasury.getRemainingRecipientBudget(2, recipient.address)).to.equal(0n);
+        expect(await treasury.withinSpendingLimits(2, other.address, ethers.parseEther("0.9"))).to.be.false;
+
+        // New proposals see the reservations too
+        const tip = await client.connect(member1).propose({
+            type: "operational", recipient: recipient.address, amount: "0.1", description: "Tip",
+        });
+        expect(tip).to.include({ type: "EXPERIMENTAL", escalatedFrom: "OPERATIONAL" });
+
+        await expect(governanceProposal.queueProposal(second.proposalId))
+            .to.emit(governanceProposal, "ProposalEscalated").withArgs(second.proposalId, 2, 1);
+        const escalated = await client.getProposal(second.proposalId);
+        expect(escalated).to.include({ proposalType: "EXPERIMENTAL", state: "QUEUED", quorum: 20, threshold: 60 });
+        const executionTime = Number(await client.timelock.executionTimes(second.proposalId));
+        expect(executionTime - (await time.latest())).to.equal(3 * DAY);
+
+        // Neither payout is held back: each comes out of a tier with room for it
+        await time.increaseTo(queued.executionTime);
+        await client.execute(first.proposalId);
+        await time.increaseTo(executionTime);
+        const before = await client.getTreasury();
+        await client.execute(second.proposalId);
+        const after = await client.getTreasury();
+        expect(before.funds.EXPERIMENTAL - after.funds.EXPERIMENTAL).to.equal(ethers.parseEther("0.9"));
+        expect(await treasury.getSpentInWindow(2)).to.equal(ethers.parseEther("1.5"));
+    });
+
+    it("Should hold back high-conviction payouts until the window has room again", async function () {
+        const { client, treasury, member1, recipient, other } = await loadFixture(deployDaoFixture);
+        await treasury.updateSpendingLimit(0, WINDOW, ethers.parseEther("20"), 0);
+        await treasury.executeTransfer(100, 0, other.address, ethers.parseEther("12"));
+        const spentAt = await time.latest();
+        await time.increase(15 * DAY);
+
+        // There is no stricter type to escalate to
+        const proposal = await client.connect(member1).propose({
+            type: "high_conviction", recipient: recipient.address, amount: "11", description: "Audit",
+        });
+        expect(proposal).to.include({ type: "HIGH_CONVICTION", escalatedFrom: null });
+        await client.connect(member1).castVote(proposal.proposalId, "for");
+        await time.increase(3 * DAY + 1);
+        const { executionTime } = await client.queue(proposal.proposalId);
+        await time.increaseTo(executionTime);
+
+        const error = await client.execute(proposal.proposalId).catch((e) => e);
+        expect(error).to.be.instanceOf(TreasuryError);
+        expect(error.code).to.equal("OVER_BUDGET");
+
+        // The earlier payout leaves the window before the proposal expires
+        await time.increaseTo(spentAt + WINDOW + 1);
+        await client.execute(proposal.proposalId);
+        expect((await client.getProposal(proposal.proposalId)).state).to.equal("EXECUTED");
+    });
+
+    it("Should limit ERC-20 payouts per token, apart from ETH", async function () {
+        const { client, governanceProposal, treasury, owner, member1, recipient, other } = await loadFixture(deployDaoFixture);
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+        const token = await usdc.getAddress();
+        const units = (amount) => ethers.parseUnits(amount, 6);
+        await usdc.mint(owner.address, units("1000"));
+        await client.depositToken(token, "1000");
+        await treasury.allocateTokenFunds(token, 2, units("100"));
+
+        await expect(treasury.updateTokenSpendingLimit(token, 2, WINDOW, units("50"), units("30")))
+            .to.emit(treasury, "TokenSpendingLimitUpdated").withArgs(token, 2, WINDOW, units("50"), units("30"));
+        await expect(treasury.updateTokenSpendingLimit(ethers.ZeroAddress, 2, WINDOW, 1, 0)).to.be.revertedWith("Invalid token");
+        await expect(treasury.updateTokenSpendingLimit(token, 2, WINDOW, 1, 2)).to.be.revertedWith("Invalid spending limit");
+
+        await treasury.executeTokenTransfer(1, token, 2, recipient.address, units("30"));
+        await expect(treasury.executeTokenTransfer(2, token, 2, recipient.address, 1n))
+            .to.be.revertedWith("Exceeds recipient cap");
+        await expect(treasury.openStream(3, token, 2, other.address, units("25"), 0, 90 * DAY))
+            .to.be.revertedWith("Exceeds tier budget");
+        await treasury.openStream(3, token, 2, other.address, units("20"), 0, 90 * DAY);
+        expect(await treasury.getTokenSpentInWindow(token, 2)).to.equal(units("50"));
+
+        // ETH and other tiers keep their own counts
+        expect(await treasury.getRemainingBudget(2)).to.equal(ethers.parseEther("2"));
+        expect(await treasury.getTokenRemainingBudget(token, 1)).to.equal(ethers.MaxUint256);
+
+        // Token proposals escalate against the token's limits
+        await governanceProposal.updateTokenAmountBand(token, 2, 1, units("10"));
+        const proposed = await client.connect(member1).propose({
+            type: "operational", token, recipient: recipient.address, amount: "5", description: "Hosting",
+        });
+        expect(proposed).to.include({ type: "EXPERIMENTAL", escalatedFrom: "OPERATIONAL" });
+
+        const limits = await client.getSpendingLimits(recipient.address, token);
+        expect(limits.OPERATIONAL).to.include({
+            window: WINDOW,
+            budget: units("50"),
+            spent: units("50"),
+            remaining: 0n,
+            recipientRemaining: 0n,
+        });
+        expect(limits.EXPERIMENTAL).to.include({ budget: 0n, remaining: ethers.MaxUint256 });
+    });
+
+    it("Should only let the admin set valid limits", async function () {
+        const { client, treasury, member1, recipient } = await loadFixture(deployDaoFixture);
+
+        await expect(treasury.updateSpendingLimit(0, 7 * DAY, ethers.parseEther("40"), 0))
+            .to.emit(treasury, "SpendingLimitUpdated").withArgs(0, 7 * DAY, ethers.parseEther("40"), 0);
+        await expect(treasury.updateSpendingLimit(0, DAY - 1, 1, 0)).to.be.revertedWith("Invalid spending window");
+        await expect(treasury.updateSpendingLimit(0, 366 * DAY, 1, 0)).to.be.revertedWith("Invalid spending window");
+        await expect(treasury.updateSpendingLimit(0, DAY, 1, 2)).to.be.revertedWith("Invalid spending limit");
+        await expect(treasury.connect(member1).updateSpendingLimit(0, DAY, 0, 0))
+            .to.be.revertedWithCustomError(treasury, "AccessControlUnauthorizedAccount");
+
+        await treasury.executeTransfer(100, 2, recipient.address, ethers.parseEther("0.25"));
+        const limits = await client.getSpendingLimits(recipient.address);
+        expect(limits.HIGH_CONVICTION).to.include({ window: 7 * DAY, budget: ethers.parseEther("40"), recipientCap: 0n });
+        expect(limits.HIGH_CONVICTION.recipientRemaining).to.equal(ethers.MaxUint256);
+        expect(limits.OPERATIONAL).to.include({
+            spent: ethers.parseEther("0.25"),
+            remaining: ethers.parseEther("1.75"),
+            recipientRemaining: ethers.parseEther("0.75"),
+        });
+
+        // Lengthening the window takes in payouts already made
+        await time.increase(WINDOW);
+        expect(await treasury.getSpentInWindow(2)).to.equal(0n);
+        await treasury.updateSpendingLimit(2, 2 * WINDOW, ethers.parseEther("2"), ethers.parseEther("1"));
+        expect(await treasury.getSpentInWindow(2)).to.equal(ethers.parseEther("0.25"));
+    });
+});
@@ -0,0 +1,536 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("TimelockController", function () {
+    const VOTING_PERIOD = 3 * 24 * 60 * 60;
+    const HIGH_CONVICTION_DELAY = 7 * 24 * 60 * 60;
+
+    async function deployDaoFixture() {
+        const [owner, member1, member2, member3, recipient] = await ethers.getSigners();
+
+        const GovernanceToken = await ethers.getContractFactory("GovernanceToken");
+        const governanceToken = await GovernanceToken.deploy();
+        for (const member of [member1, member2, member3]) {
+            await governanceToken.attest(member.address, ethers.ZeroHash);
+        }
+
+        const GovernanceProposal = await ethers.getContractFactory("GovernanceProposal");
+        const governanceProposal = await GovernanceProposal.deploy(await governanceToken.getAddress());
+
+        const MultiTierTreasury = await ethers.getContractFactory("MultiTierTreasury");
+        const treasury = await MultiTierTreasury.deploy();
+
+        const TimelockController = await ethers.getContractFactory("TimelockController");
+        const timelock = await TimelockController.deploy(
+            await governanceProposal.getAddress(),
+            await treasury.getAddress()
+        );
+        const timelockAddress = await timelock.getAddress();
+
+        await governanceToken.grantRole(await governanceToken.GOVERNANCE_ROLE(), await governanceProposal.getAddress());
+        await governanceProposal.grantRole(await governanceProposal.EXECUTOR_ROLE(), timelockAddress);
+        await governanceProposal.setTimelock(timelockAddress);
+        await governanceProposal.grantRole(await governanceProposal.GUARDIAN_ROLE(), timelockAddress);
+        await treasury.grantRole(await treasury.EXECUTOR_ROLE(), timelockAddress);
+        await treasury.grantRole(await treasury.GUARDIAN_ROLE(), timelockAddress);
+
+        // Governance administers the treasury and the timelock itself
+        await treasury.grantRole(await treasury.DEFAULT_ADMIN_ROLE(), timelockAddress);
+        await timelock.grantRole(await timelock.DEFAULT_ADMIN_ROLE(), timelockAddress);
+
+        await governanceToken.connect(member1).deposit({ value: ethers.parseEther("100") }); // 10 voting power
+        await governanceToken.connect(member2).deposit({ value: ethers.parseEther("25") });  // 5 voting power
+        await governanceToken.connect(member3).deposit({ value: ethers.parseEther("9") });   // 3 voting power
+
+        return { governanceToken, governanceProposal, treasury, timelock, owner, member1, member2, member3, recipient };
+    }
+
+    /**
+     * Create an action proposal, pass it and schedule it in the timelock.
+     */
+    async function queueActions(fixture, actions) {
+        const { governanceProposal, timelock, member1, member2 } = fixture;
+        const targets = actions.map((a) => a.target);
+        const values = actions.map((a) => a.value ?? 0n);
+        const calldatas = actions.map((a) => a.data);
+
+        await governanceProposal.connect(member1).createActionProposal(targets, values, calldatas, "Governance actions");
+        const proposalId = await governanceProposal.proposalCount();
+
+        await governanceProposal.connect(member1).vote(proposalId, 1);
+        await governanceProposal.connect(member2).vote(proposalId, 1);
+        await time.increase(VOTING_PERIOD + 1);
+        await governanceProposal.queueProposal(proposalId);
+
+        return { proposalId, targets, values, calldatas };
+    }
+
+    describe("Tier Agreement", function () {
+        const DAY = 24 * 60 * 60;
+        const TIERS = [
+            { type: 0, name: "HIGH_CONVICTION", amount: "12", quorum: 30, threshold: 66, delay: 7 * DAY },
+            { type: 1, name: "EXPERIMENTAL", amount: "5", quorum: 20, threshold: 60, delay: 3 * DAY },
+            { type: 2, name: "OPERATIONAL", amount: "0.5", quorum: 10, threshold: 51, delay: DAY },
+        ];
+
+        async function fundedDaoFixture() {
+            const fixture = await deployDaoFixture();
+            const { treasury, owner } = fixture;
+
+            await owner.sendTransaction({ to: await treasury.getAddress(), value: ethers.parseEther("100") });
+            await treasury.allocateFunds(0, ethers.parseEther("20"));
+            await treasury.allocateFunds(1, ethers.parseEther("10"));
+            await treasury.allocateFunds(2, ethers.parseEther("5"));
+
+            return fixture;
+        }
+
+        async function proposeEachTier({ governanceProposal, member1, recipient }) {
+            for (const tier of TIERS) {
+                await governanceProposal.connect(member1).createProposal(
+                    tier.type, recipient.address, ethers.parseEther(tier.amount), tier.name
+                );
+            }
+        }
+
+        it("Should hold each type to its own quorum and threshold", async function () {
+            const fixture = await loadFixture(fundedDaoFixture);
+            const { governanceProposal, member2, member3 } = fixture;
+            await proposeEachTier(fixture);
+
+            // 5 for, 3 against: 62.5% approval, 44% turnout
+            for (const [i, tier] of TIERS.entries()) {
+                expect(await governanceProposal.getThresholds(tier.type)).to.deep.equal([BigInt(tier.quorum), BigInt(tier.threshold)]);
+                await governanceProposal.connect(member2).vote(i + 1, 1);
+                await governanceProposal.connect(member3).vote(i + 1, 0);
+            }
+            await time.increase(VOTING_PERIOD + 1);
+
+            await expect(governanceProposal.queueProposal(1))
+                .to.emit(governanceProposal, "ProposalDefeated")
+                .withArgs(1, "Threshold not met");
+            await expect(governanceProposal.queueProposal(2)).to.emit(governanceProposal, "ProposalQueued");
+            await expect(governanceProposal.queueProposal(3)).to.emit(governanceProposal, "ProposalQueued");
+        });
+
+        it("Should apply each type's timelock delay and pay from its fund", async function () {
+            const fixture = await loadFixture(fundedDaoFixture);
+            const { governanceProposal, treasury, timelock, member1, member2, recipient } = fixture;
+            await proposeEachTier(fixture);
+
+            for (const i of TIERS.keys()) {
+                await governanceProposal.connect(member1).vote(i + 1, 1);
+                await governanceProposal.connect(member2).vote(i + 1, 1);
+            }
+            await time.increase(VOTING_PERIOD + 1);
+
+            for (const [i, tier] of TIERS.entries()) {
+                await governanceProposal.queueProposal(i + 1);
+                expect(await timelock.executionTimes(i + 1)).to.equal(await time.latest() + tier.delay);
+            }
+            await time.increase(7 * DAY);
+
+            for (const [i, tier] of TIERS.entries()) {
+                const fundBefore = await treasury.getFundBalance(tier.type);
+                await expect(timelock.executeProposal(i + 1))
+                    .to.emit(treasury, "TransferExecuted")
+                    .withArgs(i + 1, tier.type, recipient.address, ethers.parseEther(tier.amount));
+                expect(fundBefore - await treasury.getFundBalance(tier.type)).to.equal(ethers.parseEther(tier.amount));
+            }
+        });
+
+        it("Should let governance widen a band so a small bet uses the experimental tier", async function () {
+            const fixture = await loadFixture(fundedDaoFixture);
+            const { governanceProposal, treasury, timelock, member1, member2, recipient } = fixture;
+            await governanceProposal.grantRole(await governanceProposal.DEFAULT_ADMIN_ROLE(), await timelock.getAddress());
+
+            const small = ethers.parseEther("0.5");
+            await expect(governanceProposal.connect(member1).createProposal(1, recipient.address, small, "Small bet"))
+                .to.be.revertedWith("Amount outside tier band");
+
+            const { proposalId, targets, values, calldatas } = await queueActions(fixture, [
+                {
+                    target: await governanceProposal.getAddress(),
+                    data: governanceProposal.interface.encodeFunctionData("updateAmountBand", [1, ethers.parseEther("0.1"), ethers.parseEther("10")]),
+                },
+            ]);
+            await time.increase(HIGH_CONVICTION_DELAY);
+            await expect(timelock.executeActions(proposalId, targets, values, calldatas))
+                .to.emit(governanceProposal, "AmountBandUpdated")
+                .withArgs(1, ethers.parseEther("0.1"), ethers.parseEther("10"));
+
+            // The same amount still qualifies as operational; the proposer picks
+            await governanceProposal.connect(member1).createProposal(1, recipient.address, small, "Small bet");
+            const betId = await governanceProposal.proposalCount();
+            await governanceProposal.connect(member1).vote(betId, 1);
+            await governanceProposal.connect(member2).vote(betId, 1);
+            await time.increase(VOTING_PERIOD + 1);
+            await governanceProposal.queueProposal(betId);
+            expect(await timelock.executionTimes(betId)).to.equal(await time.latest() + 3 * DAY);
+            await time.increase(3 * DAY);
+
+            await expect(timelock.executeProposal(betId))
+                .to.emit(treasury, "TransferExecuted")
+                .withArgs(betId, 1, recipient.address, small);
+            expect(await treasury.getFundBalance(1)).to.equal(ethers.parseEther("9.5"));
+            expect(await treasury.getFundBalance(2)).to.equal(ethers.parseEther("5"));
+        });
+    });
+
+    describe("Reservations", function () {
+        const DAY = 24 * 60 * 60;
+
+        async function passedPayoutsFixture() {
+            const fixture = await deployDaoFixture();
+            const { governanceProposal, treasury, owner, member1, member2, recipient } = fixture;
+
+            await owner.sendTransaction({ to: await treasury.getAddress(), value: ethers.parseEther("100") });
+            await treasury.allocateFunds(1, ethers.parseEther("6"));
+
+            for (const description of ["Audit", "Hackathon"]) {
+                await governanceProposal.connect(member1).createProposal(1, recipient.address, ethers.parseEther("5"), description);
+            }
+            for (const proposalId of [1, 2]) {
+                await governanceProposal.connect(member1).vote(proposalId, 1);
+                await governanceProposal.connect(member2).vote(proposalId, 1);
+            }
+            await time.increase(VOTING_PERIOD + 1);
+
+            return fixture;
+        }
+
+        it("Should schedule and reserve a passed payout in the same transaction as the tally", async function () {
+            const { governanceProposal, treasury, timelock, recipient } = await loadFixture(passedPayoutsFixture);
+
+            const tx = governanceProposal.queueProposal(1);
+            await expect(tx).to.emit(governanceProposal, "ProposalQueued");
+            await expect(tx).to.emit(timelock, "ProposalQueued").withArgs(1, await time.latest() + 3 * DAY);
+            await expect(tx).to.emit(treasury, "FundsReserved").withArgs(1, ethers.ZeroAddress, 1, ethers.parseEther("5"));
+
+            // Split by caps alone, the experimental fund would keep 1.8 of its 6 ETH
+            await treasury.rebalanceFunds();
+            expect(await treasury.getAllFundBalances()).to.deep.equal([
+                ethers.parseEther("0.6"),
+                ethers.parseEther("5.3"),
+                ethers.parseEther("0.1"),
+            ]);
+
+            await time.increase(3 * DAY);
+            await expect(timelock.executeProposal(1))
+                .to.emit(treasury, "FundsReleased").withArgs(1, ethers.parseEther("5"))
+                .and.to.emit(treasury, "TransferExecuted").withArgs(1, 1, recipient.address, ethers.parseEther("5"));
+            await expect(timelock.executeProposal(1)).to.be.revertedWith("Proposal already executed");
+        });
+
+        it("Should only let GovernanceProposal schedule and unschedule", async function () {
+            const { governanceProposal, timelock, owner } = await loadFixture(passedPayoutsFixture);
+            expect(await timelock.hasRole(await timelock.GOVERNANCE_ROLE(), await governanceProposal.getAddress())).to.be.true;
+
+            await expect(timelock.schedule(1, 1, ethers.ZeroAddress, owner.address, ethers.parseEther("5")))
+                .to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount");
+            await governanceProposal.queueProposal(1);
+            await expect(timelock.connect(owner).cancel(1))
+                .to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount");
+        });
+
+        it("Should unschedule a queued proposal and release its reservation when the guardian cancels it", async function () {
+            const { governanceProposal, treasury, timelock } = await loadFixture(passedPayoutsFixture);
+            await governanceProposal.queueProposal(1);
+            await governanceProposal.queueProposal(2);
+            expect(await treasury.reservedBalances(ethers.ZeroAddress, 1)).to.equal(ethers.parseEther("10"));
+
+            const tx = governanceProposal.cancelProposal(1);
+            await expect(tx).to.emit(governanceProposal, "ProposalCancelled").withArgs(1);
+            await expect(tx).to.emit(timelock, "ProposalCancelled").withArgs(1);
+            await expect(tx).to.emit(treasury, "FundsReleased").withArgs(1, ethers.parseEther("5"));
+
+            expect(await governanceProposal.getProposalState(1)).to.equal(5); // CANCELLED
+            expect(await timelock.executionTimes(1)).to.equal(0);
+            expect(await timelock.isExecutable(1)).to.be.false;
+            expect(await treasury.reservedBalances(ethers.ZeroAddress, 1)).to.equal(ethers.parseEther("5"));
+
+            // Nothing is left behind to clean up, and the other proposal still executes
+            await expect(timelock.releaseReservation(1)).to.be.revertedWith("Proposal not expired");
+            await time.increase(3 * DAY);
+            await expect(timelock.executeProposal(1)).to.be.revertedWith("Proposal not queued");
+            await expect(timelock.executeProposal(2)).to.emit(timelock, "ProposalExecuted");
+        });
+    });
+
+    describe("Voting Rules", function () {
+        it("Should only change through an executed action proposal", async function () {
+            const fixture = await loadFixture(deployDaoFixture);
+            const { governanceProposal, timelock, owner } = fixture;
+            await governanceProposal.grantRole(await governanceProposal.DEFAULT_ADMIN_ROLE(), await timelock.getAddress());
+            await governanceProposal.renounceRole(await governanceProposal.DEFAULT_ADMIN_ROLE(), owner.address);
+
+            await expect(governanceProposal.updateVotingConfig(1, 25, 70, 0, 5 * 24 * 60 * 60))
+                .to.be.revertedWithCustomError(governanceProposal, "AccessControlUnauthorizedAccount");
+
+            const { proposalId, targets, values, calldatas } = await queueActions(fixture, [
+                {
+                    target: await governanceProposal.getAddress(),
+                    data: governanceProposal.interface.encodeFunctionData("updateVotingConfig", [1, 25, 70, 0, 5 * 24 * 60 * 60]),
+                },
+            ]);
+            await time.increase(HIGH_CONVICTION_DELAY);
+
+            await expect(timelock.executeActions(proposalId, targets, values, calldatas))
+                .to.emit(governanceProposal, "VotingConfigUpdated")
+                .withArgs(1, 25, 70, 0, 5 * 24 * 60 * 60);
+            expect(await governanceProposal.getThresholds(1)).to.deep.equal([25n, 70n]);
+        });
+    });
+
+    describe("Token Proposals", function () {
+        it("Should pay a token proposal from the tier matching its type", async function () {
+            const { governanceProposal, treasury, timelock, owner, member1, member2, recipient } = await loadFixture(deployDaoFixture);
+
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+            const token = await usdc.getAddress();
+            await usdc.mint(owner.address, ethers.parseUnits("100000", 6));
+            await usdc.approve(await treasury.getAddress(), ethers.parseUnits("100000", 6));
+            await treasury.depositToken(token, ethers.parseUnits("100000", 6));
+            await treasury.allocateTokenFunds(token, 1, ethers.parseUnits("20000", 6));
+
+            // 5,000 USDC fits the EXPERIMENTAL band set for the token
+            await governanceProposal.updateTokenAmountBand(token, 1, ethers.parseUnits("1000", 6), ethers.parseUnits("10000", 6));
+            await expect(governanceProposal.connect(member1).createTokenProposal(
+                1, token, recipient.address, ethers.parseUnits("5000", 6), "Audit grant"
+            )).to.emit(governanceProposal, "TokenProposalCreated").withArgs(1, token);
+            expect(await governanceProposal.proposalToken(1)).to.equal(token);
+
+            await governanceProposal.connect(member1).vote(1, 1);
+            await governanceProposal.connect(member2).vote(1, 1);
+            await time.increase(VOTING_PERIOD + 1);
+            await governanceProposal.queueProposal(1);
+            await time.increase(3 * 24 * 60 * 60);
+
+            await expect(timelock.executeProposal(1))
+                .to.emit(treasury, "TokenTransferExecuted")
+                .withArgs(1, token, 1, recipient.address, ethers.parseUnits("5000", 6));
+
+            expect(await usdc.balanceOf(recipient.address)).to.equal(ethers.parseUnits("5000", 6));
+            expect(await treasury.getTokenFundBalance(token, 1)).to.equal(ethers.parseUnits("15000", 6));
+        });
+    });
+
+    describe("Stream Proposals", function () {
+        it("Should open a stream on execution that governance can cancel", async function () {
+            const fixture = await loadFixture(deployDaoFixture);
+            const { governanceProposal, treasury, timelock, owner, member1, member2, recipient } = fixture;
+            const DAY = 24 * 60 * 60;
+
+            await owner.sendTransaction({ to: await treasury.getAddress(), value: ethers.parseEther("50") });
+            await treasury.allocateFunds(1, ethers.parseEther("15"));
+
+            await governanceProposal.connect(member1).createStreamProposal(
+                1, ethers.ZeroAddress, recipient.address, ethers.parseEther("8"), "Contributor grant", 0, 80 * DAY
+            );
+            await governanceProposal.connect(member1).vote(1, 1);
+            await governanceProposal.connect(member2).vote(1, 1);
+            await time.increase(VOTING_PERIOD + 1);
+            await governanceProposal.queueProposal(1);
+            await time.increase(3 * DAY);
+
+            await expect(timelock.executeProposal(1))
+                .to.emit(treasury, "StreamOpened")
+                .withArgs(1, ethers.ZeroAddress, 1, recipient.address, ethers.parseEther("8"), 0, 80 * DAY);
+            // Nothing leaves the treasury until the recipient claims
+            expect(await treasury.getFundBalance(1)).to.equal(ethers.parseEther("7"));
+            expect(await treasury.claimableAmount(1)).to.equal(0);
+
+            await time.increase(20 * DAY);
+            await treasury.connect(recipient).claimStream(1);
+
+            const { proposalId, targets, values, calldatas } = await queueActions(fixture, [
+                {
+                    target: await treasury.getAddress(),
+                    data: treasury.interface.encodeFunctionData("cancelStream", [1]),
+                },
+            ]);
+            await time.increase(HIGH_CONVICTION_DELAY);
+            await timelock.executeActions(proposalId, targets, values, calldatas);
+
+            const stream = await treasury.streams(1);
+            expect(stream.cancelled).to.be.true;
+            // About 30 of 80 days vested by then; the rest is back in the tier
+            expect(stream.claimed).to.be.closeTo(ethers.parseEther("3"), ethers.parseEther("0.01"));
+            expect(await treasury.getFundBalance(1)).to.equal(ethers.parseEther("15") - stream.claimed);
+        });
+    });
+
+    describe("Action Proposals", function () {
+        it("Should commit the actions hash at creation", async function () {
+            const { governanceProposal, treasury, member1 } = await loadFixture(deployDaoFixture);
+            const targets = [await treasury.getAddress()];
+            const calldatas = [treasury.interface.encodeFunctionData("updateFundCap", [1, 40])];
+
+            await expect(governanceProposal.connect(member1).createActionProposal(targets, [0], calldatas, "Raise cap"))
+                .to.emit(governanceProposal, "ActionProposalCreated")
+                .withArgs(1, targets, [0], calldatas);
+
+            expect(await governanceProposal.actionsHash(1))
+                .to.equal(await governanceProposal.hashActions(targets, [0], calldatas));
+            expect(await governanceProposal.actionsHash(1)).to.not.equal(ethers.ZeroHash);
+
+            const proposal = await governanceProposal.getProposal(1);
+            expect(proposal.proposalType).to.equal(0); // HIGH_CONVICTION
+            expect(proposal.recipient).to.equal(ethers.ZeroAddress);
+        });
+
+        it("Should reject malformed action lists", async function () {
+            const { governanceProposal, treasury, member1 } = await loadFixture(deployDaoFixture);
+            const target = await treasury.getAddress();
+            const proposer = governanceProposal.connect(member1);
+
+            await expect(proposer.createActionProposal([], [], [], "Nothing"))
+                .to.be.revertedWith("No actions");
+            await expect(proposer.createActionProposal([target], [0, 0], ["0x"], "Mismatch"))
+                .to.be.revertedWith("Action length mismatch");
+            await expect(proposer.createActionProposal([target], [0], ["0x"], ""))
+                .to.be.revertedWith("Description required");
+            await expect(proposer.createActionProposal([ethers.ZeroAddress], [0], ["0x"], "Burn"))
+                .to.be.revertedWith("Invalid action target");
+        });
+
+        it("Should let governance update fund caps and timelock delays", async function () {
+            const fixture = await loadFixture(deployDaoFixture);
+            const { governanceProposal, treasury, timelock } = fixture;
+
+            const { proposalId, targets, values, calldatas } = await queueActions(fixture, [
+                {
+                    target: await treasury.getAddress(),
+                    data: treasury.interface.encodeFunctionData("updateFundCap", [1, 40]),
+                },
+                {
+                    target: await timelock.getAddress(),
+                    data: timelock.interface.encodeFunctionData("updateTimelockDelay", [2, 2 * 24 * 60 * 60]),
+                },
+            ]);
+
+            await expect(timelock.executeActions(proposalId, targets, values, calldatas))
+                .to.be.revertedWith("Timelock not expired");
+
+            await time.increase(HIGH_CONVICTION_DELAY);
+
+            await expect(timelock.executeActions(proposalId, targets, values, calldatas))
+                .to.emit(timelock, "ActionsExecuted")
+                .withArgs(proposalId, 2, 0)
+                .and.to.emit(treasury, "FundCapUpdated")
+                .withArgs(1, 40);
+
+            expect(await treasury.getFundCap(1)).to.equal(40);
+            expect(await timelock.getTimelockDelay(2)).to.equal(2 * 24 * 60 * 60);
+            expect(await governanceProposal.getProposalState(proposalId)).to.equal(4); // EXECUTED
+
+            await expect(timelock.executeActions(proposalId, targets, values, calldatas))
+                .to.be.revertedWith("Proposal already executed");
+        });
+
+        it("Should pay action values from the timelock's balance", async function () {
+            const fixture = await loadFixture(deployDaoFixture);
+            const { timelock, owner, recipient } = fixture;
+            await owner.sendTransaction({ to: await timelock.getAddress(), value: ethers.parseEther("2") });
+
+            const { proposalId, targets, values, calldatas } = await queueActions(fixture, [
+                { target: recipient.address, value: ethers.parseEther("1.5"), data: "0x" },
+            ]);
+            await time.increase(HIGH_CONVICTION_DELAY);
+
+            await expect(timelock.executeActions(proposalId, targets, values, calldatas))
+                .to.changeEtherBalances([timelock, recipient], [ethers.parseEther("-1.5"), ethers.parseEther("1.5")]);
+        });
+
+        it("Should only execute the committed actions", async function () {
+            const fixture = await loadFixture(deployDaoFixture);
+            const { treasury, timelock } = fixture;
+
+            const { proposalId, targets, values } = await queueActions(fixture, [
+                {
+                    target: await treasury.getAddress(),
+                    data: treasury.interface.encodeFunctionData("updateFundCap", [1, 40]),
+                },
+            ]);
+            await time.increase(HIGH_CONVICTION_DELAY);
+
+            const tampered = [treasury.interface.encodeFunctionData("updateFundCap", [1, 100])];
+            await expect(timelock.executeActions(proposalId, targets, values, tampered))
+                .to.be.revertedWith("Actions do not match proposal");
+            await expect(timelock.executeProposal(proposalId))
+                .to.be.revertedWith("Use executeActions");
+        });
+
+        it("Should revert every action when one fails", async function () {
+            const fixture = await loadFixture(deployDaoFixture);
+            const { governanceProposal, treasury, timelock, recipient } = fixture;
+
+            const { proposalId, targets, values, calldatas } = await queueActions(fixture, [
+                {
+                    target: await treasury.getAddress(),
+                    data: treasury.interface.encodeFunctionData("updateFundCap", [1, 40]),
+                },
+                {
+                    target: await treasury.getAddress(),
+                    data: treasury.interface.encodeFunctionData("updateFundCap", [1, 101]),
+                },
+                // No balance to pay this with
+                { target: recipient.address, value: ethers.parseEther("1"), data: "0x" },
+            ]);
+            await time.increase(HIGH_CONVICTION_DELAY);
+
+            await expect(timelock.executeActions(proposalId, targets, values, calldatas))
+                .to.be.revertedWith("Invalid cap percentage");
+
+            expect(await treasury.getFundCap(1)).to.equal(30);
+            expect(await governanceProposal.getProposalState(proposalId)).to.equal(3); // QUEUED
+        });
+
+        it("Should report calls that fail without a reason", async function () {
+            const fixture = await loadFixture(deployDaoFixture);
+            const { timelock, recipient } = fixture;
+
+            const { proposalId, targets, values, calldatas } = await queueActions(fixture, [
+                { target: recipient.address, value: ethers.parseEther("1"), data: "0x" },
+            ]);
+            await time.increase(HIGH_CONVICTION_DELAY);
+
+            await expect(timelock.executeActions(proposalId, targets, values, calldatas))
+                .to.be.revertedWith("Action failed");
+        });
+
+        it("Should not let action proposals exit a member's stake", async function () {
+            const fixture = await loadFixture(deployDaoFixture);
+            const { governanceToken, timelock, member3 } = fixture;
+            await governanceToken.grantRole(await governanceToken.RAGE_QUIT_ROLE(), await timelock.getAddress());
+
+            const { proposalId, targets, values, calldatas } = await queueActions(fixture, [
+                {
+                    target: await governanceToken.getAddress(),
+                    data: governanceToken.interface.encodeFunctionData("exitStake", [member3.address]),
+                },
+            ]);
+            await time.increase(HIGH_CONVICTION_DELAY);
+
+            await expect(timelock.executeActions(proposalId, targets, values, calldatas))
+                .to.be.revertedWith("Action not allowed");
+            expect(await governanceToken.stakes(member3.address)).to.equal(ethers.parseEther("9"));
+        });
+
+        it("Should reject executeActions for transfer proposals", async function () {
+            const { governanceProposal, timelock, member1, member2, recipient } = await loadFixture(deployDaoFixture);
+
+            await governanceProposal.connect(member1).createProposal(2, recipient.address, ethers.parseEther("0.5"), "Ops");
+            await governanceProposal.connect(member1).vote(1, 1);
+            await governanceProposal.connect(member2).vote(1, 1);
+            await time.increase(VOTING_PERIOD + 1);
+            await governanceProposal.queueProposal(1);
+            await time.increase(24 * 60 * 60);
+
+            await expect(timelock.executeActions(1, [recipient.address], [0], ["0x"]))
+                .to.be.revertedWith("Actions do not match proposal");
+        });
+    });
+});
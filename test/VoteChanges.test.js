@@ -0,0 +1,165 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { DaoClient, VotingError } = require("../lib");
+
+describe("Vote changes and splits", function () {
+    const DAY = 24 * 60 * 60;
+
+    // member3 delegates to member2, who votes for both of them
+    async function deployDaoFixture() {
+        const [owner, member1, member2, member3, member4, recipient] = await ethers.getSigners();
+
+        const GovernanceToken = await ethers.getContractFactory("GovernanceToken");
+        const governanceToken = await GovernanceToken.deploy();
+        for (const member of [member1, member2, member3, member4]) {
+            await governanceToken.attest(member.address, ethers.ZeroHash);
+        }
+
+        const GovernanceProposal = await ethers.getContractFactory("GovernanceProposal");
+        const governanceProposal = await GovernanceProposal.deploy(await governanceToken.getAddress());
+
+        const MultiTierTreasury = await ethers.getContractFactory("MultiTierTreasury");
+        const treasury = await MultiTierTreasury.deploy();
+
+        const TimelockController = await ethers.getContractFactory("TimelockController");
+        const timelock = await TimelockController.deploy(
+            await governanceProposal.getAddress(),
+            await treasury.getAddress()
+        );
+        const timelockAddress = await timelock.getAddress();
+
+        await governanceToken.grantRole(await governanceToken.GOVERNANCE_ROLE(), await governanceProposal.getAddress());
+        await governanceToken.grantRole(await governanceToken.RAGE_QUIT_ROLE(), timelockAddress);
+        await governanceProposal.grantRole(await governanceProposal.EXECUTOR_ROLE(), timelockAddress);
+        await governanceProposal.setTimelock(timelockAddress);
+        await treasury.grantRole(await treasury.EXECUTOR_ROLE(), timelockAddress);
+
+        await owner.sendTransaction({ to: await treasury.getAddress(), value: ethers.parseEther("10") });
+        await treasury.allocateFunds(2, ethers.parseEther("1"));
+
+        const client = new DaoClient(owner, {
+            GovernanceToken: await governanceToken.getAddress(),
+            GovernanceProposal: await governanceProposal.getAddress(),
+            MultiTierTreasury: await treasury.getAddress(),
+            TimelockController: timelockAddress,
+        });
+        await client.connect(member1).stake("100");
+        await client.connect(member2).stake("25");
+        await client.connect(member3).stake("16");
+        await client.connect(member4).stake("9");
+        await client.connect(member3).delegate(member2.address);
+
+        const { proposalId } = await client.connect(member1).propose({
+            type: "operational",
+            recipient: recipient.address,
+            amount: "0.5",
+            description: "Hosting",
+        });
+
+        return { client, governanceToken, governanceProposal, proposalId, member1, member2, member3, member4 };
+    }
+
+    it("Should record reasons and let a member change their vote until voting ends", async function () {
+        const { client, governanceProposal, proposalId, member1, member4 } = await loadFixture(deployDaoFixture);
+        const power = await client.getVotingPower(member4.address);
+
+        const first = client.connect(member4).castVote(proposalId, "for", "Cheaper than self-hosting");
+        await expect(first).to.emit(governanceProposal, "VoteCast")
+            .withArgs(proposalId, member4.address, 1, power, "Cheaper than self-hosting");
+
+        await time.increase(3 * DAY - 60);
+        await expect(client.connect(member4).castVote(proposalId, "against", "The contract locks us in for years"))
+            .to.emit(governanceProposal, "VoteChanged").withArgs(proposalId, member4.address, power, 0, 0)
+            .and.to.emit(governanceProposal, "VoteCast")
+            .withArgs(proposalId, member4.address, 0, power, "The contract locks us in for years");
+        await client.connect(member1).castVote(proposalId, "for");
+
+        const proposal = await client.getProposal(proposalId);
+        expect(proposal.forVotes).to.equal(await client.getVotingPower(member1.address));
+        expect(proposal.againstVotes).to.equal(power);
+        expect(await client.getReceipt(proposalId, member4.address)).to.deep.equal({
+            forVotes: 0n,
+            againstVotes: power,
+            abstainVotes: 0n,
+        });
+
+        await time.increase(61);
+        const late = await client.connect(member4).castVote(proposalId, "for").catch((e) => e);
+        expect(late).to.be.instanceOf(VotingError);
+        expect(late.code).to.equal("VOTING_ENDED");
+    });
+
+    it("Should add the power of members who delegated since when a vote changes", async function () {
+        const { client, governanceToken, proposalId, member1, member4 } = await loadFixture(deployDaoFixture);
+        const own = await client.getVotingPower(member1.address);
+        await client.connect(member1).castVote(proposalId, "against");
+
+        await client.connect(member4).delegate(member1.address);
+        await client.connect(member1).castVote(proposalId, "for");
+
+        const total = own + (await client.getVotingPower(member4.address));
+        expect((await client.getProposal(proposalId)).forVotes).to.equal(total);
+        expect((await client.getProposal(proposalId)).againstVotes).to.equal(0n);
+        expect(await governanceToken.activeVotes(member4.address)).to.equal(1n);
+        expect(await governanceToken.activeVotes(member1.address)).to.equal(1n);
+    });
+
+    it("Should let delegatees split their weight across FOR, AGAINST and ABSTAIN", async function () {
+        const { client, governanceProposal, proposalId, member1, member2, member3 } = await loadFixture(deployDaoFixture);
+        const power = (await client.getVotingPower(member2.address)) + (await client.getVotingPower(member3.address));
+
+        const notDelegatee = await client.connect(member1).castVoteSplit(proposalId, { for: 50, against: 50 }).catch((e) => e);
+        expect(notDelegatee).to.be.instanceOf(VotingError);
+        expect(notDelegatee.code).to.equal("NOT_DELEGATEE");
+        const uneven = await client.connect(member2).castVoteSplit(proposalId, { for: 50, against: 40 }).catch((e) => e);
+        expect(uneven.code).to.equal("INVALID_SPLIT");
+
+        const split = await client.connect(member2).castVoteSplit(
+            proposalId,
+            { for: 33.33, against: 33.33, abstain: 33.34 },
+            "member3 asked for AGAINST"
+        );
+        expect(split.forVotes).to.equal((power * 3333n) / 10000n);
+        expect(split.againstVotes).to.equal(split.forVotes);
+        // Rounding leftovers count as ABSTAIN
+        expect(split.abstainVotes).to.equal(power - split.forVotes - split.againstVotes);
+        expect(await client.getReceipt(proposalId, member2.address)).to.deep.equal({
+            forVotes: split.forVotes,
+            againstVotes: split.againstVotes,
+            abstainVotes: split.abstainVotes,
+        });
+
+        // Shares that do not round evenly to basis points still add up to 100%
+        const thirds = await client.connect(member2).castVoteSplit(proposalId, { for: 33.333, against: 33.333, abstain: 33.334 });
+        expect(thirds.forVotes).to.equal((power * 3333n) / 10000n);
+        expect(thirds.againstVotes).to.equal(thirds.forVotes);
+        expect(thirds.abstainVotes).to.equal(power - thirds.forVotes - thirds.againstVotes);
+        const twoWay = await client.connect(member2).castVoteSplit(proposalId, { for: 66.667, abstain: 33.333 });
+        expect(twoWay.forVotes).to.equal((power * 6667n) / 10000n);
+        expect(twoWay.abstainVotes).to.equal(power - twoWay.forVotes);
+
+        // Changing a split takes all of its parts out of the tally
+        await expect(client.connect(member2).castVote(proposalId, "for"))
+            .to.emit(governanceProposal, "VoteChanged")
+            .withArgs(proposalId, member2.address, twoWay.forVotes, 0n, twoWay.abstainVotes);
+        const proposal = await client.getProposal(proposalId);
+        expect([proposal.forVotes, proposal.againstVotes, proposal.abstainVotes]).to.deep.equal([power, 0n, 0n]);
+    });
+
+    it("Should only let members whose final vote is wholly AGAINST rage-quit", async function () {
+        const { client, proposalId, member1, member2, member4 } = await loadFixture(deployDaoFixture);
+        await client.connect(member1).castVote(proposalId, "for");
+        await client.connect(member2).castVoteSplit(proposalId, { for: 75, against: 25 });
+        await client.connect(member4).castVote(proposalId, "abstain");
+        await client.connect(member4).castVote(proposalId, "against");
+        await time.increase(3 * DAY + 1);
+        await client.queue(proposalId);
+
+        const error = await client.connect(member2).rageQuit(proposalId).catch((e) => e);
+        expect(error.code).to.equal("NOT_DISSENTER");
+        const { stake } = await client.connect(member4).rageQuit(proposalId);
+        expect(stake).to.equal(ethers.parseEther("9"));
+    });
+});
@@ -0,0 +1,585 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { runCli } = require("../lib/cli");
+const { DaoClient, VoteRelayer } = require("../lib");
+
+describe("dao CLI", function () {
+    const deploymentFile = path.join(os.tmpdir(), `dao-cli-deployment-${process.pid}.json`);
+
+    after(function () {
+        if (fs.existsSync(deploymentFile)) fs.unlinkSync(deploymentFile);
+    });
+
+    async function deployDaoFixture() {
+        const [owner, member1, member2, member3, recipient] = await ethers.getSigners();
+
+        const GovernanceToken = await ethers.getContractFactory("GovernanceToken");
+        const governanceToken = await GovernanceToken.deploy();
+        for (const member of [member1, member2, member3]) {
+            await governanceToken.attest(member.address, ethers.ZeroHash);
+        }
+
+        const GovernanceProposal = await ethers.getContractFactory("GovernanceProposal");
+        const governanceProposal = await GovernanceProposal.deploy(await governanceToken.getAddress());
+
+        const MultiTierTreasury = await ethers.getContractFactory("MultiTierTreasury");
+        const treasury = await MultiTierTreasury.deploy();
+
+        const TimelockController = await ethers.getContractFactory("TimelockController");
+        const timelock = await TimelockController.deploy(
+            await governanceProposal.getAddress(),
+            await treasury.getAddress()
+        );
+
+        await governanceToken.grantRole(await governanceToken.GOVERNANCE_ROLE(), await governanceProposal.getAddress());
+        await governanceProposal.grantRole(await governanceProposal.EXECUTOR_ROLE(), await timelock.getAddress());
+        await governanceProposal.setTimelock(await timelock.getAddress());
+        await governanceProposal.grantRole(await governanceProposal.GUARDIAN_ROLE(), await timelock.getAddress());
+        await treasury.grantRole(await treasury.EXECUTOR_ROLE(), await timelock.getAddress());
+
+        await owner.sendTransaction({ to: await treasury.getAddress(), value: ethers.parseEther("50") });
+        await treasury.allocateFunds(0, ethers.parseEther("30"));
+        await treasury.allocateFunds(1, ethers.parseEther("15"));
+        await treasury.allocateFunds(2, ethers.parseEther("5"));
+
+        const contracts = {
+            GovernanceToken: await governanceToken.getAddress(),
+            GovernanceProposal: await governanceProposal.getAddress(),
+            MultiTierTreasury: await treasury.getAddress(),
+            TimelockController: await timelock.getAddress(),
+        };
+        writeDeployment(contracts);
+
+        return { contracts, governanceToken, governanceProposal, treasury, timelock, owner, member1, member2, member3, recipient };
+    }
+
+    function writeDeployment(contracts) {
+        fs.writeFileSync(deploymentFile, JSON.stringify({ network: "hardhat", contracts }));
+    }
+
+    // Fixtures are restored from snapshots, so the file has to be rewritten for each test
+    async function load(fixture) {
+        const loaded = await loadFixture(fixture);
+        writeDeployment(loaded.contracts);
+        return loaded;
+    }
+
+    async function dao(signer, ...args) {
+        let stdout = "";
+        let stderr = "";
+        const code = await runCli([...args, "--deployment", deploymentFile], {
+            signer,
+            stdout: { write: (chunk) => { stdout += chunk; } },
+            stderr: { write: (chunk) => { stderr += chunk; } },
+        });
+        return { code, stdout, stderr, json: () => JSON.parse(stdout) };
+    }
+
+    async function proposalFixture() {
+        const fixture = await deployDaoFixture();
+        const { member1, member2, recipient } = fixture;
+
+        await dao(member1, "stake", "100");
+        await dao(member2, "stake", "25");
+        await dao(member1, "propose", "--type", "experimental", "--to", recipient.address, "--amount", "5");
+
+        return fixture;
+    }
+
+    describe("General", function () {
+        it("Should print usage with --help", async function () {
+            const result = await dao(undefined, "--help");
+            expect(result.code).to.equal(0);
+            expect(result.stdout).to.contain("Usage: dao <command>");
+        });
+
+        it("Should reject unknown commands", async function () {
+            const result = await dao(undefined, "launch");
+            expect(result.code).to.equal(2);
+            expect(result.stderr).to.contain("Unknown command: launch");
+        });
+
+        it("Should report contract errors as JSON", async function () {
+            const { member1 } = await load(deployDaoFixture);
+
+            const result = await dao(member1, "withdraw", "1", "--json");
+            expect(result.code).to.equal(1);
+            expect(result.json().error.code).to.equal("INSUFFICIENT_STAKE");
+        });
+    });
+
+    describe("Staking", function () {
+        it("Should stake ETH", async function () {
+            const { governanceToken, member1 } = await load(deployDaoFixture);
+
+            const result = await dao(member1, "stake", "9");
+            expect(result.code).to.equal(0);
+            expect(result.stdout).to.contain("Staked 9 ETH");
+            expect(await governanceToken.stakes(member1.address)).to.equal(ethers.parseEther("9"));
+        });
+
+        it("Should withdraw ETH", async function () {
+            const { governanceToken, member1 } = await load(deployDaoFixture);
+
+            await dao(member1, "stake", "9");
+            const result = await dao(member1, "withdraw", "4", "--json");
+
+            expect(result.code).to.equal(0);
+            expect(result.json().stake).to.equal(ethers.parseEther("5").toString());
+            expect(await governanceToken.stakes(member1.address)).to.equal(ethers.parseEther("5"));
+        });
+
+        it("Should lock stake and chart the voting power until it unlocks", async function () {
+            const { governanceToken, member1 } = await load(deployDaoFixture);
+
+            await dao(member1, "stake", "9");
+            const locked = await dao(member1, "lock", "364");
+            expect(locked.code).to.equal(0);
+            expect(locked.stdout).to.match(/^Locked stake until \d{4}-/);
+            expect(await governanceToken.lockEnds(member1.address)).to.be.greaterThan(0n);
+
+            const power = await dao(member1, "power");
+            expect(power.code).to.equal(0);
+            expect(power.stdout).to.contain(`Voting power:  ${ethers.formatUnits(await governanceToken.getVotingPower(member1.address), 9)}`);
+            // Nine points from now to the unlock time, the last at plain sqrt(9 ETH)
+            const chart = power.stdout.trim().split("\n").slice(-9);
+            expect(chart[0]).to.contain("█".repeat(40));
+            expect(chart[8]).to.match(/ 3\.0$/);
+
+            const withdrawn = await dao(member1, "withdraw", "1");
+            expect(withdrawn.stderr).to.contain("Error [STAKE_LOCKED]");
+        });
+
+        it("Should register a member so their stake votes, and remove them again", async function () {
+            const { governanceToken, owner, member1, recipient } = await load(deployDaoFixture);
+
+            await dao(recipient, "stake", "4");
+            const before = await dao(recipient, "power");
+            expect(before.stdout).to.contain("Registered:    no, stake has no voting power");
+            expect(before.stdout).to.contain("Voting power:  0.0");
+
+            const attested = await dao(owner, "attest", recipient.address, "--evidence", "passport check #12");
+            expect(attested.stdout).to.equal(`Registered ${recipient.address} (evidence ${ethers.id("passport check #12")})\n`);
+            expect(await governanceToken.getVotingPower(recipient.address)).to.equal(2n * 10n ** 9n);
+            expect((await dao(owner, "attest", recipient.address)).stderr).to.contain("Error [ALREADY_REGISTERED]");
+
+            const denied = await dao(member1, "attest", member1.address, "--revoke");
+            expect(denied.stderr).to.contain("Error [MISSING_ROLE]");
+
+            const revoked = await dao(owner, "attest", recipient.address, "--revoke");
+            expect(revoked.stdout).to.equal(`Removed ${recipient.address} from the registry\n`);
+            expect(await governanceToken.getVotingPower(recipient.address)).to.equal(0n);
+        });
+    });
+
+    describe("Proposals", function () {
+        it("Should create a proposal", async function () {
+            const { member1, recipient } = await load(deployDaoFixture);
+
+            await dao(member1, "stake", "1");
+            const result = await dao(
+                member1, "propose",
+                "--type", "operational",
+                "--to", recipient.address,
+                "--amount", "0.5",
+                "--description", "Server costs",
+                "--json"
+            );
+
+            expect(result.code).to.equal(0);
+            const proposal = result.json();
+            expect(proposal.id).to.equal("1");
+            expect(proposal.proposalType).to.equal("OPERATIONAL");
+            expect(proposal.description).to.equal("Server costs");
+        });
+
+        it("Should create an action proposal from a file", async function () {
+            const { contracts, treasury, member1 } = await load(deployDaoFixture);
+            const actionsFile = path.join(os.tmpdir(), `dao-cli-actions-${process.pid}.json`);
+            fs.writeFileSync(actionsFile, JSON.stringify([{
+                target: contracts.MultiTierTreasury,
+                data: treasury.interface.encodeFunctionData("updateFundCap", [1, 40]),
+            }]));
+
+            try {
+                await dao(member1, "stake", "1");
+                const result = await dao(member1, "propose", "--actions", actionsFile, "--description", "Raise cap");
+
+                expect(result.code).to.equal(0);
+                expect(result.stdout).to.contain("Created action proposal #1 (HIGH_CONVICTION");
+
+                const status = await dao(member1, "status", "1");
+                expect(status.stdout).to.contain("contract calls through the timelock");
+            } finally {
+                fs.unlinkSync(actionsFile);
+            }
+        });
+
+        it("Should reject an invalid recipient", async function () {
+            const { member1 } = await load(deployDaoFixture);
+
+            const result = await dao(member1, "propose", "--type", "operational", "--to", "0x1234", "--amount", "0.5");
+            expect(result.code).to.equal(2);
+            expect(result.stderr).to.contain("Invalid --to");
+        });
+
+        it("Should vote on a proposal", async function () {
+            const { governanceProposal, member2 } = await load(proposalFixture);
+
+            const result = await dao(member2, "vote", "1", "against");
+            expect(result.code).to.equal(0);
+            expect(result.stdout).to.contain("Voted AGAINST on proposal #1");
+            expect(await governanceProposal.hasVoted(1, member2.address)).to.be.true;
+        });
+
+        it("Should change a vote with a reason, and split a delegatee's vote", async function () {
+            const { governanceProposal, member1, member2, member3 } = await load(proposalFixture);
+
+            await dao(member2, "vote", "1", "for");
+            const changed = await dao(member2, "vote", "1", "against", "--reason", "Audit is overdue");
+            expect(changed.stdout).to.contain("Voted AGAINST on proposal #1");
+            expect((await governanceProposal.getReceipt(1, member2.address)).forVotes).to.equal(0n);
+
+            await dao(member3, "stake", "4");
+            await dao(member3, "delegate", member1.address);
+            const split = await dao(member1, "vote", "1", "--split", "80,20,0", "--json");
+            expect(split.code).to.equal(0);
+            const receipt = await governanceProposal.getReceipt(1, member1.address);
+            expect(split.json()).to.include({ support: "SPLIT", forVotes: receipt.forVotes.toString() });
+            expect(receipt.againstVotes).to.be.gt(0n);
+
+            const invalid = await dao(member1, "vote", "1", "--split", "80,20");
+            expect(invalid.code).to.equal(2);
+            expect(invalid.stderr).to.contain("Invalid --split");
+        });
+
+        it("Should show proposal status", async function () {
+            const { member1 } = await load(proposalFixture);
+
+            await dao(member1, "vote", "1", "for");
+            const result = await dao(member1, "status", "1", "--json");
+
+            expect(result.code).to.equal(0);
+            const status = result.json();
+            expect(status.state).to.equal("ACTIVE");
+            expect(status.amount).to.equal(ethers.parseEther("5").toString());
+            expect(BigInt(status.forVotes)).to.be.gt(0n);
+        });
+    });
+
+    describe("Delegation", function () {
+        it("Should delegate and revoke", async function () {
+            const { governanceProposal, member1, member2 } = await load(deployDaoFixture);
+
+            await dao(member2, "stake", "4");
+            expect((await dao(member2, "delegate", member1.address)).code).to.equal(0);
+            expect(await governanceProposal.delegates(member2.address)).to.equal(member1.address);
+
+            const result = await dao(member2, "delegate", "--revoke");
+            expect(result.stdout).to.contain("Delegation revoked");
+            expect(await governanceProposal.delegates(member2.address)).to.equal(ethers.ZeroAddress);
+        });
+    });
+
+    describe("Relayer", function () {
+        it("Should vote and delegate through a relayer without spending gas", async function () {
+            const { contracts, governanceProposal, owner, member1, member2, member3 } = await load(proposalFixture);
+            const relayer = new VoteRelayer({
+                client: new DaoClient(owner, contracts),
+                batchInterval: 60000,
+                logger: { info: () => {}, warn: () => {} },
+            });
+            const { port } = await relayer.listen();
+            const url = `http://127.0.0.1:${port}`;
+
+            try {
+                const balanceBefore = await ethers.provider.getBalance(member2.address);
+                const vote = await dao(member2, "vote", "1", "for", "--relayer", url);
+                expect(vote.code).to.equal(0);
+                expect(vote.stdout).to.contain("Signed FOR vote on proposal #1 and sent it to the relayer");
+
+                await dao(member3, "stake", "4");
+                const delegation = await dao(member3, "delegate", member1.address, "--relayer", url, "--json");
+                expect(delegation.json().submissionId).to.match(/^0x[0-9a-f]{64}$/);
+
+                const revoke = await dao(member3, "delegate", "--revoke", "--relayer", url);
+                expect(revoke.code).to.equal(2);
+
+                await relayer.flush();
+                expect(await governanceProposal.hasVoted(1, member2.address)).to.be.true;
+                expect(await governanceProposal.delegates(member3.address)).to.equal(member1.address);
+                expect(await ethers.provider.getBalance(member2.address)).to.equal(balanceBefore);
+            } finally {
+                await relayer.close();
+            }
+        });
+    });
+
+    describe("Lifecycle", function () {
+        it("Should queue and execute a passed proposal", async function () {
+            const { owner, member1, member2, recipient } = await load(proposalFixture);
+
+            await dao(member1, "vote", "1", "for");
+            await dao(member2, "vote", "1", "for");
+            await time.increase(3 * 24 * 60 * 60 + 1);
+
+            const queued = await dao(owner, "queue", "1", "--json");
+            expect(queued.code).to.equal(0);
+            expect(queued.json().state).to.equal("QUEUED");
+
+            await time.increaseTo(queued.json().executionTime);
+
+            const balanceBefore = await ethers.provider.getBalance(recipient.address);
+            const executed = await dao(owner, "execute", "1");
+            expect(executed.code).to.equal(0);
+            expect(await ethers.provider.getBalance(recipient.address) - balanceBefore).to.equal(ethers.parseEther("5"));
+        });
+
+        it("Should refuse to execute before the timelock expires", async function () {
+            const { owner, member1 } = await load(proposalFixture);
+
+            await dao(member1, "vote", "1", "for");
+            await time.increase(3 * 24 * 60 * 60 + 1);
+            await dao(owner, "queue", "1");
+
+            const result = await dao(owner, "execute", "1");
+            expect(result.code).to.equal(1);
+            expect(result.stderr).to.contain("TIMELOCK_NOT_EXPIRED");
+        });
+
+        it("Should cancel a queued proposal", async function () {
+            const { timelock, owner, member1 } = await load(proposalFixture);
+
+            await dao(member1, "vote", "1", "for");
+            await time.increase(3 * 24 * 60 * 60 + 1);
+            await dao(owner, "queue", "1");
+
+            const result = await dao(owner, "cancel", "1", "--json");
+            expect(result.code).to.equal(0);
+            expect(result.json().state).to.equal("CANCELLED");
+            expect(await timelock.executionTimes(1)).to.equal(0);
+        });
+
+        it("Should free stake for withdrawal once a proposal is cancelled", async function () {
+            const { owner, member2 } = await load(proposalFixture);
+
+            await dao(member2, "vote", "1", "for");
+            expect((await dao(member2, "withdraw", "1", "--json")).json().error.code).to.equal("ACTIVE_VOTES");
+
+            await dao(owner, "cancel", "1");
+            const unlocked = await dao(member2, "unlock", "--json");
+            expect(unlocked.code).to.equal(0);
+            expect(unlocked.json().activeVotes).to.equal(0);
+
+            expect((await dao(member2, "withdraw", "1")).code).to.equal(0);
+        });
+
+        it("Should rage-quit before a proposal the member voted against", async function () {
+            const { governanceToken, treasury, timelock, owner, member1, member2 } = await load(proposalFixture);
+            await governanceToken.grantRole(await governanceToken.RAGE_QUIT_ROLE(), await timelock.getAddress());
+            await owner.sendTransaction({ to: await treasury.getAddress(), value: ethers.parseEther("5") });
+
+            await dao(member1, "vote", "1", "for");
+            await dao(member2, "vote", "1", "against");
+            await time.increase(3 * 24 * 60 * 60 + 1);
+            await dao(owner, "queue", "1");
+
+            const denied = await dao(member1, "ragequit", "1", "--json");
+            expect(denied.json().error.code).to.equal("NOT_DISSENTER");
+
+            // 25 of 125 ETH staked takes a fifth of the 5 ETH nobody allocated
+            const result = await dao(member2, "ragequit", "1");
+            expect(result.code).to.equal(0);
+            expect(result.stdout).to.contain("Rage-quit before proposal #1: withdrew 25.0 ETH stake and 1.0 ETH treasury share");
+        });
+
+        it("Should reject cancellation from non-guardians", async function () {
+            const { member2 } = await load(proposalFixture);
+
+            const result = await dao(member2, "cancel", "1", "--json");
+            expect(result.code).to.equal(1);
+            expect(result.json().error.code).to.equal("MISSING_ROLE");
+        });
+    });
+
+    describe("Streams", function () {
+        it("Should propose, show and claim a vesting payout", async function () {
+            const { owner, member1, member2, recipient } = await load(deployDaoFixture);
+            const DAY = 24 * 60 * 60;
+
+            await dao(member1, "stake", "100");
+            await dao(member2, "stake", "25");
+            const created = await dao(member1, "propose", "--type", "experimental", "--to", recipient.address,
+                "--amount", "4", "--vesting", "40", "--cliff", "10");
+            expect(created.code).to.equal(0);
+            expect(created.stdout).to.contain("4.0 ETH to " + recipient.address + ", vesting over 40 days");
+
+            await dao(member1, "vote", "1", "for");
+            await dao(member2, "vote", "1", "for");
+            await time.increase(3 * DAY + 1);
+            const queued = await dao(owner, "queue", "1", "--json");
+            await time.increaseTo(queued.json().executionTime);
+            expect((await dao(owner, "execute", "1")).code).to.equal(0);
+
+            const early = await dao(recipient, "claim", "1");
+            expect(early.code).to.equal(1);
+            expect(early.stderr).to.contain("NOTHING_TO_CLAIM");
+
+            const { start } = (await dao(owner, "stream", "1", "--json")).json();
+            await time.setNextBlockTimestamp(start + 20 * DAY);
+            const claimed = await dao(recipient, "claim", "1");
+            expect(claimed.code).to.equal(0);
+            expect(claimed.stdout).to.contain("Claimed 2.0 ETH from proposal #1 (2.0 ETH still to vest or claim)");
+
+            const shown = await dao(owner, "stream", "1");
+            expect(shown.stdout).to.contain("Total:      4.0 ETH");
+            expect(shown.stdout).to.contain("Fund:       EXPERIMENTAL");
+
+            const cancelled = await dao(owner, "cancel", "1", "--stream");
+            expect(cancelled.code).to.equal(0);
+            expect(cancelled.stdout).to.contain("Stream for proposal #1 cancelled");
+
+            const missing = await dao(owner, "stream", "2");
+            expect(missing.code).to.equal(2);
+            expect(missing.stderr).to.contain("Proposal #2 has no stream");
+        });
+    });
+
+    describe("Treasury", function () {
+        it("Should deposit and show ERC-20 balances", async function () {
+            const { owner } = await load(deployDaoFixture);
+
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+            const token = await usdc.getAddress();
+            await usdc.mint(owner.address, ethers.parseUnits("500", 6));
+
+            const deposit = await dao(owner, "deposit", "500", "--token", token);
+            expect(deposit.code).to.equal(0);
+            expect(deposit.stdout).to.contain("Deposited 500 USDC (treasury holds 500.0 USDC)");
+
+            const result = await dao(owner, "treasury", "--token", token);
+            expect(result.stdout).to.contain("Treasury total: 500.0 USDC");
+            expect(result.stdout).to.match(/OPERATIONAL\s+0\.0 USDC \(cap 10%\)/);
+        });
+
+        it("Should show what each proposal type decides", async function () {
+            const { member1 } = await load(deployDaoFixture);
+
+            const result = await dao(member1, "tiers");
+            expect(result.code).to.equal(0);
+            expect(result.stdout).to.contain("EXPERIMENTAL\n  Amount:     1.0 ETH to 10.0 ETH\n  Approval:   60% with 20% quorum\n  Voting:     3 days\n  Timelock:   3 days\n  Fund:       15.0 ETH (cap 30%)");
+            expect(result.stdout).to.contain("HIGH_CONVICTION\n  Amount:     10.000000000000000001 ETH and up");
+        });
+
+        it("Should show the amount bands of a token", async function () {
+            const { governanceProposal, member1 } = await load(deployDaoFixture);
+
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+            const token = await usdc.getAddress();
+            await governanceProposal.updateTokenAmountBand(token, 2, 1, ethers.parseUnits("1000", 6));
+
+            const result = await dao(member1, "tiers", "--token", token);
+            expect(result.code).to.equal(0);
+            expect(result.stdout).to.contain("OPERATIONAL\n  Amount:     0.000001 USDC to 1000.0 USDC");
+            expect(result.stdout).to.contain("EXPERIMENTAL\n  Amount:     no band, USDC payouts are high-conviction");
+            expect(result.stdout).to.contain("Fund:       0.0 USDC (cap 30%)");
+        });
+
+        it("Should show spending limits and escalate proposals over them", async function () {
+            const { governanceProposal, treasury, member1, recipient } = await load(deployDaoFixture);
+            await governanceProposal.setTreasury(await treasury.getAddress());
+            await treasury.updateSpendingLimit(2, 30 * 24 * 60 * 60, ethers.parseEther("2"), ethers.parseEther("1"));
+            await treasury.executeTransfer(100, 2, recipient.address, ethers.parseEther("0.75"));
+            await dao(member1, "stake", "10");
+
+            const result = await dao(member1, "budget", recipient.address);
+            expect(result.code).to.equal(0);
+            expect(result.stdout).to.contain("HIGH_CONVICTION\n  No spending limits");
+            expect(result.stdout).to.contain("OPERATIONAL\n  Window:     30 days\n  Budget:     2.0 ETH, 0.75 ETH spent, 1.25 ETH left\n  Per payee:  1.0 ETH (0.25 ETH left for this recipient)");
+
+            const proposed = await dao(member1, "propose", "--type", "operational", "--to", recipient.address, "--amount", "0.5");
+            expect(proposed.stdout).to.contain("(EXPERIMENTAL, 0.5 ETH to");
+            expect(proposed.stdout).to.contain("Escalated from OPERATIONAL");
+
+            expect((await dao(member1, "budget", "nobody")).code).to.equal(2);
+        });
+
+        it("Should show treasury balances", async function () {
+            const { member1 } = await load(deployDaoFixture);
+
+            const result = await dao(member1, "treasury", "--json");
+            expect(result.code).to.equal(0);
+
+            const treasury = result.json();
+            expect(treasury.total).to.equal(ethers.parseEther("50").toString());
+            expect(treasury.funds.HIGH_CONVICTION).to.equal(ethers.parseEther("30").toString());
+            expect(treasury.caps.OPERATIONAL).to.equal(10);
+        });
+
+        it("Should rebalance the funds", async function () {
+            const { treasury, owner, member1 } = await load(deployDaoFixture);
+            await owner.sendTransaction({ to: await treasury.getAddress(), value: ethers.parseEther("10") });
+            await treasury.moveFunds(0, 1, ethers.parseEther("3"));
+
+            const denied = await dao(member1, "rebalance");
+            expect(denied.code).to.equal(1);
+
+            const result = await dao(owner, "rebalance");
+            expect(result.code).to.equal(0);
+            expect(result.stdout).to.contain("Rebalanced funds in 1 move(s)\n  3.0 ETH EXPERIMENTAL -> HIGH_CONVICTION");
+            expect(result.stdout).to.contain("EXPERIMENTAL     15.0 ETH");
+        });
+
+        it("Should pause and unpause all contracts", async function () {
+            const { governanceToken, governanceProposal, treasury, timelock, owner, member1 } = await load(deployDaoFixture);
+            for (const contract of [governanceToken, governanceProposal, treasury]) {
+                await contract.grantRole(await contract.PAUSER_ROLE(), await timelock.getAddress());
+            }
+
+            const denied = await dao(member1, "pause", "1");
+            expect(denied.code).to.equal(1);
+
+            const paused = await dao(owner, "pause", "2");
+            expect(paused.code).to.equal(0);
+            expect(paused.stdout).to.match(/^Paused all contracts\n  GovernanceToken\s+paused until /);
+
+            const invalid = await dao(owner, "pause", "8");
+            expect(invalid.code).to.equal(1);
+            expect(invalid.stderr).to.contain("ALREADY_PAUSED");
+
+            expect((await dao(owner, "unpause")).stdout).to.contain("Pause lifted on all contracts");
+            const status = await dao(member1, "pause");
+            expect(status.stdout).to.match(/MultiTierTreasury\s+running/);
+        });
+
+        it("Should print and export a treasury statement", async function () {
+            const { member1 } = await load(deployDaoFixture);
+            const csvFile = path.join(os.tmpdir(), `dao-cli-report-${process.pid}.csv`);
+
+            try {
+                const result = await dao(member1, "report", "--to", "2999-12-31", "--csv", csvFile);
+                expect(result.code).to.equal(0);
+                expect(result.stdout).to.match(/EXPERIMENTAL\s+0\.0\s+15\.0\s+0\.0\s+0\.0\s+0\.0\s+15\.0/);
+                expect(result.stdout).to.contain("Treasury: 0.0 ETH + 50.0 ETH in - 0.0 ETH out = 50.0 ETH (0.0 ETH unallocated)");
+                expect(result.stdout).to.contain("Reconciliation: ✅");
+
+                const csv = fs.readFileSync(csvFile, "utf8").trim().split("\n");
+                expect(csv[0]).to.equal("type,date,block,txHash,account,proposalId,counterparty,amount");
+                expect(csv.filter((line) => line.startsWith("allocation,"))).to.have.lengthOf(3);
+            } finally {
+                if (fs.existsSync(csvFile)) fs.unlinkSync(csvFile);
+            }
+
+            const invalid = await dao(member1, "report", "--from", "last tuesday");
+            expect(invalid.code).to.equal(2);
+            expect(invalid.stderr).to.contain("Invalid --from: last tuesday");
+        });
+    });
+});
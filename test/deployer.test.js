@@ -0,0 +1,264 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadFixture, impersonateAccount, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+
+const {
+    DaoDeployer,
+    ConfigurationError,
+    ROLE_GRANTS,
+    RENOUNCED_ROLES,
+    DEFAULT_DEPLOYMENT_PATH,
+    deploymentPath,
+    resolveDeploymentPath,
+    loadDeployment,
+    loadDeployConfig,
+    loadGovernanceConfig,
+} = require("../lib");
+
+describe("DaoDeployer", function () {
+    const registryFile = path.join(os.tmpdir(), `dao-deployer-registry-${process.pid}.json`);
+    const configFile = path.join(os.tmpdir(), `dao-deployer-config-${process.pid}.json`);
+
+    afterEach(function () {
+        for (const file of [registryFile, configFile]) {
+            if (fs.existsSync(file)) fs.unlinkSync(file);
+        }
+    });
+
+    // Every test deploys from scratch, so the fixture only resets the chain
+    async function signersFixture() {
+        const [owner, other] = await ethers.getSigners();
+        return { owner, other };
+    }
+
+    function createDeployer(signer, options = {}) {
+        const messages = [];
+        const deployer = new DaoDeployer({
+            signer,
+            network: "localhost",
+            getFactory: (name) => ethers.getContractFactory(name, signer),
+            config: loadDeployConfig("localhost"),
+            governanceConfig: loadGovernanceConfig(),
+            registryFile,
+            logger: { info: (message) => messages.push(message) },
+            ...options,
+        });
+        return { deployer, messages };
+    }
+
+    function readRegistry() {
+        return JSON.parse(fs.readFileSync(registryFile, "utf8"));
+    }
+
+    it("Should deploy, wire and verify the DAO, recording it by network and chain", async function () {
+        const { owner } = await loadFixture(signersFixture);
+        const { deployer } = createDeployer(owner);
+
+        const { registry, verification } = await deployer.deploy();
+
+        expect(verification.ok).to.be.true;
+        expect(verification.checks).to.have.lengthOf(ROLE_GRANTS.length + 4 + Object.values(RENOUNCED_ROLES).flat().length + 2);
+        expect(readRegistry()).to.deep.equal(registry);
+        expect(registry).to.include({ network: "localhost", chainId: 31337, deployer: owner.address });
+        expect(registry.completedSteps).to.deep.equal(["grantRoles", "fundTreasury", "allocateFunds", "configure", "handOffAdmin"]);
+
+        const treasury = await ethers.getContractAt("MultiTierTreasury", registry.contracts.MultiTierTreasury);
+        expect(await ethers.provider.getBalance(registry.contracts.MultiTierTreasury)).to.equal(ethers.parseEther("50"));
+        expect(await treasury.getAllFundBalances()).to.deep.equal([
+            ethers.parseEther("30"),
+            ethers.parseEther("15"),
+            ethers.parseEther("5"),
+        ]);
+        expect((await treasury.spendingLimits(2)).budget).to.equal(ethers.parseEther("2"));
+    });
+
+    it("Should leave the deployer only its guardian, keeper and attester roles", async function () {
+        const { owner } = await loadFixture(signersFixture);
+        const { registry } = await createDeployer(owner).deployer.deploy();
+
+        const hasRole = async (name, role) => {
+            const contract = await ethers.getContractAt(name, registry.contracts[name]);
+            return contract.hasRole(await contract[role](), owner.address);
+        };
+        const held = {
+            GovernanceToken: ["DEFAULT_ADMIN_ROLE", "PAUSER_ROLE", "GOVERNANCE_ROLE", "ATTESTER_ROLE"],
+            GovernanceProposal: ["DEFAULT_ADMIN_ROLE", "PAUSER_ROLE", "PROPOSER_ROLE", "EXECUTOR_ROLE", "GUARDIAN_ROLE"],
+            MultiTierTreasury: ["DEFAULT_ADMIN_ROLE", "PAUSER_ROLE", "EXECUTOR_ROLE", "ALLOCATOR_ROLE", "GUARDIAN_ROLE"],
+            TimelockController: ["DEFAULT_ADMIN_ROLE", "PAUSER_ROLE", "EXECUTOR_ROLE", "GUARDIAN_ROLE"],
+        };
+        const kept = [];
+        for (const [name, roles] of Object.entries(held)) {
+            for (const role of roles) {
+                if (await hasRole(name, role)) {
+                    kept.push(`${name} ${role}`);
+                }
+            }
+        }
+        expect(kept).to.deep.equal([
+            "GovernanceToken ATTESTER_ROLE",
+            "GovernanceProposal GUARDIAN_ROLE",
+            "MultiTierTreasury GUARDIAN_ROLE",
+            "TimelockController EXECUTOR_ROLE",
+            "TimelockController GUARDIAN_ROLE",
+        ]);
+    });
+
+    it("Should let the timelock return stakes on rage-quit but not manage vote locks", async function () {
+        const { owner } = await loadFixture(signersFixture);
+        const { registry } = await createDeployer(owner).deployer.deploy();
+        const governanceToken = await ethers.getContractAt("GovernanceToken", registry.contracts.GovernanceToken);
+        const timelock = registry.contracts.TimelockController;
+
+        expect(await governanceToken.hasRole(await governanceToken.RAGE_QUIT_ROLE(), timelock)).to.be.true;
+        expect(await governanceToken.hasRole(await governanceToken.GOVERNANCE_ROLE(), timelock)).to.be.false;
+    });
+
+    it("Should do nothing on a second run", async function () {
+        const { owner } = await loadFixture(signersFixture);
+        const { registry } = await createDeployer(owner).deployer.deploy();
+        const nonce = await ethers.provider.getTransactionCount(owner.address);
+
+        const { deployer, messages } = createDeployer(owner);
+        const rerun = await deployer.deploy();
+
+        expect(rerun.registry.contracts).to.deep.equal(registry.contracts);
+        expect(rerun.verification.ok).to.be.true;
+        expect(await ethers.provider.getTransactionCount(owner.address)).to.equal(nonce);
+        expect(await ethers.provider.getBalance(registry.contracts.MultiTierTreasury)).to.equal(ethers.parseEther("50"));
+        expect(messages).to.include("⏭️  fundTreasury already done");
+    });
+
+    it("Should resume an interrupted deployment", async function () {
+        const { owner, other } = await loadFixture(signersFixture);
+        const { deployer: failing } = createDeployer(owner, {
+            getFactory: async (name) => {
+                if (name === "TimelockController") throw new Error("connection reset");
+                return ethers.getContractFactory(name, owner);
+            },
+        });
+        expect((await failing.deploy().catch((e) => e)).message).to.equal("connection reset");
+        const partial = readRegistry();
+        expect(Object.keys(partial.contracts)).to.deep.equal(["GovernanceToken", "GovernanceProposal", "MultiTierTreasury"]);
+
+        // Only the account that started it can pick it up
+        const error = await createDeployer(other).deployer.deploy().catch((e) => e);
+        expect(error).to.be.instanceOf(ConfigurationError);
+        expect(error.code).to.equal("DEPLOYER_MISMATCH");
+
+        const { registry, verification } = await createDeployer(owner).deployer.deploy();
+        expect(registry.contracts).to.include(partial.contracts);
+        expect(registry.contracts.TimelockController).to.be.properAddress;
+        expect(verification.ok).to.be.true;
+    });
+
+    it("Should report wiring that was changed after deployment", async function () {
+        const { owner } = await loadFixture(signersFixture);
+        const { registry } = await createDeployer(owner).deployer.deploy();
+
+        const timelockAddress = registry.contracts.TimelockController;
+        await impersonateAccount(timelockAddress);
+        await setBalance(timelockAddress, ethers.parseEther("1"));
+        const timelock = await ethers.getSigner(timelockAddress);
+        const treasury = await ethers.getContractAt("MultiTierTreasury", registry.contracts.MultiTierTreasury);
+        await treasury.connect(timelock).revokeRole(await treasury.ALLOCATOR_ROLE(), timelockAddress);
+
+        const verification = await createDeployer(owner).deployer.verify();
+        expect(verification.ok).to.be.false;
+        expect(verification.checks.filter((check) => !check.ok)).to.deep.equal([
+            { name: "MultiTierTreasury ALLOCATOR_ROLE granted to TimelockController", ok: false },
+        ]);
+
+        const error = await createDeployer(owner).deployer.deploy().catch((e) => e);
+        expect(error.code).to.equal("DEPLOYMENT_VERIFICATION_FAILED");
+    });
+
+    it("Should refuse a registry from another chain", async function () {
+        const { owner } = await loadFixture(signersFixture);
+        fs.writeFileSync(registryFile, JSON.stringify({
+            network: "localhost",
+            chainId: 11155111,
+            contracts: {},
+            completedSteps: [],
+        }));
+
+        const error = await createDeployer(owner).deployer.deploy().catch((e) => e);
+        expect(error).to.be.instanceOf(ConfigurationError);
+        expect(error.code).to.equal("DEPLOYMENT_CHAIN_MISMATCH");
+    });
+
+    it("Should archive the previous deployment when redeploying", async function () {
+        const { owner } = await loadFixture(signersFixture);
+        const first = (await createDeployer(owner).deployer.deploy()).registry;
+
+        const { registry } = await createDeployer(owner, { fresh: true }).deployer.deploy();
+        expect(registry.contracts.GovernanceToken).to.not.equal(first.contracts.GovernanceToken);
+        expect(registry.previous).to.deep.equal([
+            { deployer: owner.address, timestamp: first.timestamp, contracts: first.contracts },
+        ]);
+
+        // A restarted node has lost the contracts, so they are redeployed too
+        const lost = { ...readRegistry(), contracts: { ...registry.contracts, GovernanceToken: ethers.Wallet.createRandom().address } };
+        fs.writeFileSync(registryFile, JSON.stringify(lost));
+        const { registry: restarted, verification } = await createDeployer(owner).deployer.deploy();
+        expect(restarted.previous).to.have.lengthOf(2);
+        expect(restarted.previous[1].contracts).to.deep.equal(lost.contracts);
+        expect(verification.ok).to.be.true;
+    });
+
+    describe("loadDeployConfig", function () {
+        function writeConfig(config) {
+            fs.writeFileSync(configFile, JSON.stringify(config));
+            return configFile;
+        }
+
+        it("Should let a network override the defaults", function () {
+            const file = writeConfig({
+                defaults: { initialFunding: "50", allocations: { HIGH_CONVICTION: "30", OPERATIONAL: "5" } },
+                networks: { sepolia: { initialFunding: "0.5", allocations: { OPERATIONAL: "0.25" } } },
+            });
+
+            expect(loadDeployConfig("localhost", file)).to.deep.equal({
+                initialFunding: ethers.parseEther("50"),
+                allocations: { HIGH_CONVICTION: ethers.parseEther("30"), OPERATIONAL: ethers.parseEther("5") },
+            });
+            expect(loadDeployConfig("sepolia", file)).to.deep.equal({
+                initialFunding: ethers.parseEther("0.5"),
+                allocations: { OPERATIONAL: ethers.parseEther("0.25") },
+            });
+        });
+
+        it("Should reject invalid configs", function () {
+            const cases = [
+                { defaults: { initialFunding: 50 } },
+                { defaults: { initialFunding: "50", allocations: { LOW: "1" } } },
+                { defaults: { initialFunding: "1", allocations: { HIGH_CONVICTION: "0.6", OPERATIONAL: "0.6" } } },
+                { defaults: { initialFunding: "1", timelockDelay: 60 } },
+            ];
+            for (const config of cases) {
+                const file = writeConfig(config);
+                expect(() => loadDeployConfig("localhost", file)).to.throw(ConfigurationError, "Invalid deploy config");
+            }
+
+            expect(() => loadDeployConfig("localhost", path.join(os.tmpdir(), "missing-deploy-config.json")))
+                .to.throw(ConfigurationError, "Deploy config not found");
+        });
+    });
+
+    describe("resolveDeploymentPath", function () {
+        it("Should only fall back to the legacy file on localhost", function () {
+            const localhost = deploymentPath("localhost");
+            expect(resolveDeploymentPath("localhost")).to.equal(fs.existsSync(localhost) ? localhost : DEFAULT_DEPLOYMENT_PATH);
+
+            const sepolia = resolveDeploymentPath("sepolia");
+            expect(sepolia).to.equal(deploymentPath("sepolia"));
+            if (!fs.existsSync(sepolia)) {
+                expect(() => loadDeployment(sepolia)).to.throw(ConfigurationError, "Deployment file not found");
+            }
+
+            expect(resolveDeploymentPath("sepolia", registryFile)).to.equal(registryFile);
+        });
+    });
+});
@@ -0,0 +1,164 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { DaoClient, DriftMonitor } = require("../lib");
+
+describe("DriftMonitor", function () {
+    const WEEK = 7 * 24 * 60 * 60;
+
+    async function deployDaoFixture() {
+        const [owner, member1, member2, recipient] = await ethers.getSigners();
+
+        const GovernanceToken = await ethers.getContractFactory("GovernanceToken");
+        const governanceToken = await GovernanceToken.deploy();
+        for (const member of [member1, member2]) {
+            await governanceToken.attest(member.address, ethers.ZeroHash);
+        }
+
+        const GovernanceProposal = await ethers.getContractFactory("GovernanceProposal");
+        const governanceProposal = await GovernanceProposal.deploy(await governanceToken.getAddress());
+
+        const MultiTierTreasury = await ethers.getContractFactory("MultiTierTreasury");
+        const treasury = await MultiTierTreasury.deploy();
+
+        const TimelockController = await ethers.getContractFactory("TimelockController");
+        const timelock = await TimelockController.deploy(
+            await governanceProposal.getAddress(),
+            await treasury.getAddress()
+        );
+
+        await governanceToken.grantRole(await governanceToken.GOVERNANCE_ROLE(), await governanceProposal.getAddress());
+        await governanceProposal.grantRole(await governanceProposal.EXECUTOR_ROLE(), await timelock.getAddress());
+        await governanceProposal.setTimelock(await timelock.getAddress());
+        await treasury.grantRole(await treasury.EXECUTOR_ROLE(), await timelock.getAddress());
+        await treasury.grantRole(await treasury.ALLOCATOR_ROLE(), await timelock.getAddress());
+
+        // 30/15/5 is on target; moving 3 ETH leaves two funds 6 points off
+        await owner.sendTransaction({ to: await treasury.getAddress(), value: ethers.parseEther("60") });
+        await treasury.allocateFunds(0, ethers.parseEther("30"));
+        await treasury.allocateFunds(1, ethers.parseEther("15"));
+        await treasury.allocateFunds(2, ethers.parseEther("5"));
+        await treasury.moveFunds(0, 1, ethers.parseEther("3"));
+
+        const client = new DaoClient(owner, {
+            GovernanceToken: await governanceToken.getAddress(),
+            GovernanceProposal: await governanceProposal.getAddress(),
+            MultiTierTreasury: await treasury.getAddress(),
+            TimelockController: await timelock.getAddress(),
+        });
+        await client.connect(member1).stake("100");
+        await client.connect(member2).stake("25");
+
+        return { client, member1, member2, recipient };
+    }
+
+    function createMonitor(client, options = {}) {
+        const logs = [];
+        const logger = {
+            info: (message) => logs.push(message),
+            warn: (message) => logs.push(message),
+        };
+        const monitor = new DriftMonitor({ client, logger, ...options });
+        return { monitor, logs };
+    }
+
+    it("Should report each fund's drift from its target", async function () {
+        const { client } = await loadFixture(deployDaoFixture);
+        const { monitor } = createMonitor(client, { threshold: 10 });
+
+        const report = await monitor.check();
+
+        expect(report.action).to.equal("none");
+        expect(report.pool).to.equal(ethers.parseEther("50"));
+        expect(report.maxDrift).to.equal(6);
+        expect(report.funds.EXPERIMENTAL).to.deep.equal({
+            balance: ethers.parseEther("18"),
+            reserved: 0n,
+            target: ethers.parseEther("15"),
+            cap: 30,
+            share: 36,
+            drift: ethers.parseEther("3"),
+            driftPoints: 6,
+        });
+        expect(report.funds.HIGH_CONVICTION.driftPoints).to.equal(-6);
+        expect(report.funds.OPERATIONAL.drift).to.equal(0n);
+    });
+
+    it("Should recommend a rebalance past the threshold without proposing one", async function () {
+        const { client } = await loadFixture(deployDaoFixture);
+        const { monitor, logs } = createMonitor(client);
+
+        const report = await monitor.check();
+
+        expect(report.action).to.equal("recommend");
+        expect(await client.getProposalCount()).to.equal(0n);
+        expect(logs).to.deep.equal(["Drift of 6 points exceeds 5; a rebalance is recommended"]);
+    });
+
+    it("Should propose a rebalance once and let governance execute it", async function () {
+        const { client, member1, member2 } = await loadFixture(deployDaoFixture);
+        const { monitor } = createMonitor(client.connect(member1), { propose: true });
+
+        const proposed = await monitor.check();
+        expect(proposed.action).to.equal("proposed");
+        expect(await client.getProposalActions(proposed.proposalId)).to.deep.equal([monitor.rebalanceAction()]);
+
+        const again = await monitor.check();
+        expect(again).to.include({ action: "pending", proposalId: proposed.proposalId });
+        expect(await client.getProposalCount()).to.equal(1n);
+
+        await client.connect(member1).castVote(proposed.proposalId, "for");
+        await client.connect(member2).castVote(proposed.proposalId, "for");
+        await time.increase(WEEK + 1);
+        const { executionTime } = await client.queue(proposed.proposalId);
+        await time.increaseTo(executionTime);
+        await client.execute(proposed.proposalId);
+
+        const after = await monitor.check();
+        expect(after.action).to.equal("none");
+        expect(after.funds.EXPERIMENTAL.balance).to.equal(ethers.parseEther("15"));
+    });
+
+    it("Should not propose again while the rebalance waits out its voting delay", async function () {
+        const { client, member1 } = await loadFixture(deployDaoFixture);
+        await client.governanceProposal.updateVotingConfig(0, 30, 66, 60 * 60, 3 * 24 * 60 * 60);
+        const { monitor } = createMonitor(client.connect(member1), { propose: true });
+
+        const proposed = await monitor.check();
+        expect(await client.getProposalState(proposed.proposalId)).to.equal("PENDING");
+
+        const again = await monitor.check();
+        expect(again).to.include({ action: "pending", proposalId: proposed.proposalId });
+        expect(await client.getProposalCount()).to.equal(1n);
+    });
+
+    it("Should keep reservations in the targets and report when they cannot be met", async function () {
+        const { client, member1, member2, recipient } = await loadFixture(deployDaoFixture);
+        const { monitor } = createMonitor(client);
+
+        // More than all the funds hold together
+        const { proposalId } = await client.connect(member1).propose({
+            type: "high-conviction",
+            recipient: recipient.address,
+            amount: "55",
+            description: "Acquisition",
+        });
+        await client.connect(member1).castVote(proposalId, "for");
+        await client.connect(member2).castVote(proposalId, "for");
+        await time.increase(WEEK + 1);
+        await client.queue(proposalId);
+
+        const report = await monitor.check();
+        expect(report.action).to.equal("blocked");
+        expect(report.reserved).to.equal(ethers.parseEther("55"));
+        expect(report.funds.HIGH_CONVICTION).to.include({
+            reserved: ethers.parseEther("55"),
+            target: ethers.parseEther("55"),
+        });
+        expect(report.funds.EXPERIMENTAL.target).to.equal(0n);
+
+        const error = await client.rebalance().catch((e) => e);
+        expect(error.code).to.equal("OVER_RESERVED");
+    });
+});
@@ -0,0 +1,375 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time, mine, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { DaoIndexer, IndexerStore } = require("../lib/indexer");
+
+describe("DaoIndexer", function () {
+    const silent = { info() {}, warn() {} };
+
+    async function deployDaoFixture() {
+        const [owner, member1, member2, member3, recipient] = await ethers.getSigners();
+        const startBlock = await ethers.provider.getBlockNumber() + 1;
+
+        const GovernanceToken = await ethers.getContractFactory("GovernanceToken");
+        const governanceToken = await GovernanceToken.deploy();
+        for (const member of [member1, member2, member3]) {
+            await governanceToken.attest(member.address, ethers.ZeroHash);
+        }
+
+        const GovernanceProposal = await ethers.getContractFactory("GovernanceProposal");
+        const governanceProposal = await GovernanceProposal.deploy(await governanceToken.getAddress());
+
+        const MultiTierTreasury = await ethers.getContractFactory("MultiTierTreasury");
+        const treasury = await MultiTierTreasury.deploy();
+
+        const TimelockController = await ethers.getContractFactory("TimelockController");
+        const timelock = await TimelockController.deploy(
+            await governanceProposal.getAddress(),
+            await treasury.getAddress()
+        );
+
+        await governanceToken.grantRole(await governanceToken.GOVERNANCE_ROLE(), await governanceProposal.getAddress());
+        await governanceProposal.grantRole(await governanceProposal.EXECUTOR_ROLE(), await timelock.getAddress());
+        await governanceProposal.setTimelock(await timelock.getAddress());
+        await governanceProposal.grantRole(await governanceProposal.GUARDIAN_ROLE(), await timelock.getAddress());
+        await treasury.grantRole(await treasury.EXECUTOR_ROLE(), await timelock.getAddress());
+
+        await owner.sendTransaction({ to: await treasury.getAddress(), value: ethers.parseEther("50") });
+        await treasury.allocateFunds(1, ethers.parseEther("15"));
+
+        await governanceToken.connect(member1).deposit({ value: ethers.parseEther("100") });
+        await governanceToken.connect(member2).deposit({ value: ethers.parseEther("25") });
+        await governanceToken.connect(member3).deposit({ value: ethers.parseEther("9") });
+
+        await governanceProposal.connect(member1).createProposal(1, recipient.address, ethers.parseEther("5"), "NFT marketplace");
+
+        const addresses = {
+            GovernanceToken: await governanceToken.getAddress(),
+            GovernanceProposal: await governanceProposal.getAddress(),
+            MultiTierTreasury: await treasury.getAddress(),
+            TimelockController: await timelock.getAddress(),
+        };
+
+        return { addresses, startBlock, governanceToken, governanceProposal, treasury, timelock, owner, member1, member2, member3, recipient };
+    }
+
+    function createIndexer(fixture, store) {
+        return new DaoIndexer({
+            provider: ethers.provider,
+            addresses: fixture.addresses,
+            store,
+            startBlock: fixture.startBlock,
+            logger: silent,
+        });
+    }
+
+    describe("Backfill", function () {
+        it("Should index members, stakes and proposals", async function () {
+            const fixture = await loadFixture(deployDaoFixture);
+            const store = new IndexerStore(":memory:");
+
+            await createIndexer(fixture, store).syncOnce();
+
+            const members = store.getMembers();
+            expect(members.map((m) => m.address)).to.have.members([
+                fixture.member1.address,
+                fixture.member2.address,
+                fixture.member3.address,
+            ]);
+            const whale = members.find((m) => m.address === fixture.member1.address);
+            expect(whale.stake).to.equal(ethers.parseEther("100").toString());
+            expect(BigInt(whale.voting_power)).to.be.gt(0n);
+
+            const proposal = store.getProposal(1);
+            expect(proposal.proposal_type).to.equal("EXPERIMENTAL");
+            expect(proposal.state).to.equal("ACTIVE");
+            expect(proposal.created_at).to.be.gt(0);
+        });
+
+        it("Should list every voter on a proposal", async function () {
+            const fixture = await loadFixture(deployDaoFixture);
+            const { governanceProposal, member1, member2, member3 } = fixture;
+            const store = new IndexerStore(":memory:");
+
+            await governanceProposal.connect(member1).vote(1, 1);
+            await governanceProposal.connect(member2).vote(1, 0);
+            await governanceProposal.connect(member3).vote(1, 2);
+            await createIndexer(fixture, store).syncOnce();
+
+            const votes = store.getVotes(1);
+            expect(votes.map((v) => [v.voter, v.support])).to.deep.equal([
+                [member1.address, "FOR"],
+                [member2.address, "AGAINST"],
+                [member3.address, "ABSTAIN"],
+            ]);
+
+            const proposal = store.getProposal(1);
+            expect(proposal.for_votes).to.equal(votes[0].voting_power);
+            expect(proposal.against_votes).to.equal(votes[1].voting_power);
+        });
+
+        it("Should keep each voter's latest vote, with its split and reason, and correct the tally", async function () {
+            const fixture = await loadFixture(deployDaoFixture);
+            const { governanceToken, governanceProposal, member1, member2, member3 } = fixture;
+            const store = new IndexerStore(":memory:");
+
+            await governanceProposal.connect(member3).delegate(member1.address);
+            await governanceProposal.connect(member2).castVoteWithReason(1, 1, "Promising team");
+            await governanceProposal.connect(member2).castVoteWithReason(1, 0, "Audit came back bad");
+            await governanceProposal.connect(member1).castVoteSplit(1, 5000, 5000, 0, "");
+            await createIndexer(fixture, store).syncOnce();
+
+            const power2 = await governanceToken.getVotingPower(member2.address);
+            const split = await governanceProposal.getReceipt(1, member1.address);
+            const [changed, splitVote] = store.getVotes(1);
+            expect(changed).to.include({ voter: member2.address, support: "AGAINST", reason: "Audit came back bad" });
+            expect(splitVote).to.include({
+                voter: member1.address,
+                support: "SPLIT",
+                for_votes: split.forVotes.toString(),
+                against_votes: split.againstVotes.toString(),
+                abstain_votes: split.abstainVotes.toString(),
+            });
+
+            const proposal = store.getProposal(1);
+            expect(proposal.for_votes).to.equal(split.forVotes.toString());
+            expect(proposal.against_votes).to.equal((split.againstVotes + power2).toString());
+        });
+
+        it("Should track delegations and their revocation", async function () {
+            const fixture = await loadFixture(deployDaoFixture);
+            const { governanceProposal, member1, member2, member3 } = fixture;
+            const store = new IndexerStore(":memory:");
+
+            await governanceProposal.connect(member2).delegate(member1.address);
+            await governanceProposal.connect(member3).delegate(member1.address);
+            await governanceProposal.connect(member3).revokeDelegate();
+            await createIndexer(fixture, store).syncOnce();
+
+            expect(store.getDelegations().map((d) => [d.delegator, d.delegatee])).to.deep.equal([
+                [member2.address, member1.address],
+            ]);
+        });
+
+        it("Should follow a proposal through execution and record treasury movements", async function () {
+            const fixture = await loadFixture(deployDaoFixture);
+            const { governanceProposal, timelock, member1, member2, recipient } = fixture;
+            const store = new IndexerStore(":memory:");
+
+            await governanceProposal.connect(member1).vote(1, 1);
+            await governanceProposal.connect(member2).vote(1, 1);
+            await time.increase(3 * 24 * 60 * 60 + 1);
+            await governanceProposal.queueProposal(1);
+            await time.increase(3 * 24 * 60 * 60);
+            await timelock.executeProposal(1);
+
+            await createIndexer(fixture, store).syncOnce();
+
+            const proposal = store.getProposal(1);
+            expect(proposal.state).to.equal("EXECUTED");
+            expect(proposal.execution_time).to.be.gt(proposal.queued_time);
+
+            const movements = store.getTreasuryMovements();
+            expect(movements.map((m) => m.kind)).to.deep.equal(["deposit", "allocation", "transfer"]);
+            expect(movements[2].counterparty).to.equal(recipient.address);
+            expect(movements[2].fund_type).to.equal("EXPERIMENTAL");
+            expect(movements[2].proposal_id).to.equal(1);
+        });
+
+        it("Should update a proposal's type when it escalates as it is queued", async function () {
+            const fixture = await loadFixture(deployDaoFixture);
+            const { governanceProposal, treasury, member1, member2, recipient } = fixture;
+            const store = new IndexerStore(":memory:");
+
+            // Experimental payouts limited to 8 ETH a month: two 5 ETH payouts fit one at a time
+            await governanceProposal.setTreasury(await treasury.getAddress());
+            await treasury.updateSpendingLimit(1, 30 * 24 * 60 * 60, ethers.parseEther("8"), 0);
+            await governanceProposal.connect(member1).createProposal(1, recipient.address, ethers.parseEther("5"), "Audit");
+            for (const id of [1, 2]) {
+                await governanceProposal.connect(member1).vote(id, 1);
+                await governanceProposal.connect(member2).vote(id, 1);
+            }
+            await time.increase(3 * 24 * 60 * 60 + 1);
+            await governanceProposal.queueProposal(1);
+            await governanceProposal.queueProposal(2);
+
+            await createIndexer(fixture, store).syncOnce();
+
+            expect(store.getProposal(1).proposal_type).to.equal("EXPERIMENTAL");
+            expect(store.getProposal(2)).to.include({ proposal_type: "HIGH_CONVICTION", state: "QUEUED" });
+        });
+
+        it("Should record token deposits, allocations and proposals", async function () {
+            const fixture = await loadFixture(deployDaoFixture);
+            const { treasury, governanceProposal, owner, member1, recipient } = fixture;
+            const store = new IndexerStore(":memory:");
+
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+            const token = await usdc.getAddress();
+            await usdc.mint(owner.address, 1000n);
+            await usdc.approve(await treasury.getAddress(), 1000n);
+            await treasury.depositToken(token, 1000n);
+            await treasury.allocateTokenFunds(token, 2, 100n);
+            await governanceProposal.connect(member1).createTokenProposal(2, token, recipient.address, 50n, "Hosting");
+
+            await createIndexer(fixture, store).syncOnce();
+
+            const movements = store.getTreasuryMovements().filter((m) => m.token !== null);
+            expect(movements.map((m) => [m.kind, m.fund_type, m.amount, m.token])).to.deep.equal([
+                ["deposit", null, "1000", token],
+                ["allocation", "OPERATIONAL", "100", token],
+            ]);
+            expect(store.getProposal(1).token).to.equal(null);
+            expect(store.getProposal(2).token).to.equal(token);
+        });
+
+        it("Should record stream openings, claims and cancellations", async function () {
+            const fixture = await loadFixture(deployDaoFixture);
+            const { treasury, governanceProposal, member1, recipient } = fixture;
+            const store = new IndexerStore(":memory:");
+            const DAY = 24 * 60 * 60;
+
+            await governanceProposal.connect(member1).createStreamProposal(
+                1, ethers.ZeroAddress, recipient.address, ethers.parseEther("2"), "Grant", DAY, 10 * DAY
+            );
+            await treasury.openStream(2, ethers.ZeroAddress, 1, recipient.address, ethers.parseEther("2"), 0, 10 * DAY);
+            const start = await time.latest();
+            await time.setNextBlockTimestamp(start + 5 * DAY);
+            await treasury.connect(recipient).claimStream(2);
+            await time.setNextBlockTimestamp(start + 6 * DAY);
+            await treasury.cancelStream(2);
+
+            await createIndexer(fixture, store).syncOnce();
+
+            expect(store.getProposal(2).vesting_cliff).to.equal(DAY);
+            expect(store.getProposal(2).vesting_duration).to.equal(10 * DAY);
+
+            const movements = store.getTreasuryMovements().filter((m) => m.proposal_id === 2);
+            expect(movements.map((m) => [m.kind, m.fund_type, m.amount])).to.deep.equal([
+                ["stream", "EXPERIMENTAL", ethers.parseEther("2").toString()],
+                ["claim", null, ethers.parseEther("1").toString()],
+                ["claim", null, ethers.parseEther("0.2").toString()],
+                ["refund", "EXPERIMENTAL", ethers.parseEther("0.8").toString()],
+            ]);
+            expect(movements[2].counterparty).to.equal(recipient.address);
+        });
+
+        it("Should record withdrawals as stake changes", async function () {
+            const fixture = await loadFixture(deployDaoFixture);
+            const { governanceToken, member3 } = fixture;
+            const store = new IndexerStore(":memory:");
+
+            await governanceToken.connect(member3).withdraw(ethers.parseEther("4"));
+            await createIndexer(fixture, store).syncOnce();
+
+            const changes = store.getStakeChanges(member3.address);
+            expect(changes.map((c) => c.kind)).to.deep.equal(["stake", "withdraw"]);
+            expect(changes[1].stake_after).to.equal(ethers.parseEther("5").toString());
+            expect(store.getMembers().find((m) => m.address === member3.address).stake)
+                .to.equal(ethers.parseEther("5").toString());
+        });
+
+        it("Should record when a member's stake unlocks, and their boosted power", async function () {
+            const fixture = await loadFixture(deployDaoFixture);
+            const { governanceToken, member2 } = fixture;
+            const store = new IndexerStore(":memory:");
+
+            await governanceToken.connect(member2).lockStake((await time.latest()) + 10 * 7 * 24 * 60 * 60);
+            await createIndexer(fixture, store).syncOnce();
+
+            const member = store.getMembers().find((m) => m.address === member2.address);
+            expect(member.unlock_time).to.equal(Number(await governanceToken.lockEnds(member2.address)));
+            expect(BigInt(member.voting_power)).to.be.greaterThan(5n * 10n ** 9n);
+        });
+
+        it("Should record which members are registered, and drop the power of those removed", async function () {
+            const fixture = await loadFixture(deployDaoFixture);
+            const { governanceToken, member1, member3 } = fixture;
+            const store = new IndexerStore(":memory:");
+
+            await governanceToken.revokeAttestation(member3.address);
+            await createIndexer(fixture, store).syncOnce();
+
+            const members = store.getMembers();
+            expect(members.find((m) => m.address === member1.address).registered).to.equal(1);
+            const removed = members.find((m) => m.address === member3.address);
+            expect(removed.registered).to.equal(0);
+            expect(removed.voting_power).to.equal("0");
+            expect(removed.stake).to.equal(ethers.parseEther("9").toString());
+        });
+    });
+
+    describe("Following", function () {
+        it("Should resume from the last processed block after a restart", async function () {
+            const fixture = await loadFixture(deployDaoFixture);
+            const { governanceProposal, member1, member2 } = fixture;
+            const file = path.join(os.tmpdir(), `dao-index-${process.pid}.sqlite`);
+
+            try {
+                let store = new IndexerStore(file);
+                await governanceProposal.connect(member1).vote(1, 1);
+                const first = await createIndexer(fixture, store).syncOnce();
+                store.close();
+
+                await governanceProposal.connect(member2).vote(1, 0);
+
+                store = new IndexerStore(file);
+                const second = await createIndexer(fixture, store).syncOnce();
+                expect(second.fromBlock).to.equal(first.toBlock + 1);
+                expect(second.events).to.equal(1);
+                expect(store.getVotes(1)).to.have.length(2);
+                store.close();
+            } finally {
+                for (const suffix of ["", "-shm", "-wal"]) {
+                    if (fs.existsSync(file + suffix)) fs.unlinkSync(file + suffix);
+                }
+            }
+        });
+
+        it("Should refuse a database built for another deployment", async function () {
+            const fixture = await loadFixture(deployDaoFixture);
+            const store = new IndexerStore(":memory:");
+
+            createIndexer(fixture, store);
+            const other = { ...fixture, addresses: { ...fixture.addresses, MultiTierTreasury: fixture.recipient.address } };
+            expect(() => createIndexer(other, store)).to.throw("different deployment");
+        });
+
+        it("Should roll back and re-index after a chain reorg", async function () {
+            const fixture = await loadFixture(deployDaoFixture);
+            const { governanceProposal, member2, member3 } = fixture;
+            const store = new IndexerStore(":memory:");
+            const indexer = createIndexer(fixture, store);
+
+            await indexer.syncOnce();
+            const forkPoint = await takeSnapshot();
+
+            // Original branch: member2 votes FOR
+            await governanceProposal.connect(member2).vote(1, 1);
+            await mine(2);
+            await indexer.syncOnce();
+            expect(store.getVotes(1).map((v) => v.voter)).to.deep.equal([member2.address]);
+
+            // Competing branch replaces it: member3 votes AGAINST instead
+            await forkPoint.restore();
+            await governanceProposal.connect(member3).vote(1, 0);
+            await mine(4);
+
+            const result = await indexer.syncOnce();
+            expect(result.reorg).to.be.a("number");
+            expect(result.reorg).to.be.lessThan(result.toBlock);
+
+            const votes = store.getVotes(1);
+            expect(votes.map((v) => [v.voter, v.support])).to.deep.equal([[member3.address, "AGAINST"]]);
+
+            const proposal = store.getProposal(1);
+            expect(proposal.for_votes).to.equal("0");
+            expect(proposal.against_votes).to.equal(votes[0].voting_power);
+        });
+    });
+});
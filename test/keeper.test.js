@@ -0,0 +1,296 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { DaoClient, DaoKeeper } = require("../lib");
+
+describe("DaoKeeper", function () {
+    const VOTING_PERIOD = 3 * 24 * 60 * 60;
+    const EXPERIMENTAL_DELAY = 3 * 24 * 60 * 60;
+
+    async function deployDaoFixture() {
+        const [owner, member1, member2, member3, recipient] = await ethers.getSigners();
+
+        const GovernanceToken = await ethers.getContractFactory("GovernanceToken");
+        const governanceToken = await GovernanceToken.deploy();
+        for (const member of [member1, member2, member3]) {
+            await governanceToken.attest(member.address, ethers.ZeroHash);
+        }
+
+        const GovernanceProposal = await ethers.getContractFactory("GovernanceProposal");
+        const governanceProposal = await GovernanceProposal.deploy(await governanceToken.getAddress());
+
+        const MultiTierTreasury = await ethers.getContractFactory("MultiTierTreasury");
+        const treasury = await MultiTierTreasury.deploy();
+
+        const TimelockController = await ethers.getContractFactory("TimelockController");
+        const timelock = await TimelockController.deploy(
+            await governanceProposal.getAddress(),
+            await treasury.getAddress()
+        );
+
+        await governanceToken.grantRole(await governanceToken.GOVERNANCE_ROLE(), await governanceProposal.getAddress());
+        await governanceProposal.grantRole(await governanceProposal.EXECUTOR_ROLE(), await timelock.getAddress());
+        await governanceProposal.setTimelock(await timelock.getAddress());
+        await governanceProposal.grantRole(await governanceProposal.GUARDIAN_ROLE(), await timelock.getAddress());
+        await treasury.grantRole(await treasury.EXECUTOR_ROLE(), await timelock.getAddress());
+
+        await owner.sendTransaction({ to: await treasury.getAddress(), value: ethers.parseEther("50") });
+        await treasury.allocateFunds(1, ethers.parseEther("15"));
+
+        const client = new DaoClient(owner, {
+            GovernanceToken: await governanceToken.getAddress(),
+            GovernanceProposal: await governanceProposal.getAddress(),
+            MultiTierTreasury: await treasury.getAddress(),
+            TimelockController: await timelock.getAddress(),
+        });
+
+        await client.connect(member1).stake("100");
+        await client.connect(member2).stake("25");
+        await client.connect(member3).stake("9");
+        await client.connect(member1).propose({
+            type: "experimental",
+            recipient: recipient.address,
+            amount: "5",
+            description: "NFT marketplace",
+        });
+
+        return { client, timelock, owner, member1, member2, member3, recipient };
+    }
+
+    async function passedProposalFixture() {
+        const fixture = await deployDaoFixture();
+        const { client, member1, member2 } = fixture;
+
+        await client.connect(member1).castVote(1, "for");
+        await client.connect(member2).castVote(1, "for");
+
+        return fixture;
+    }
+
+    function createKeeper(client, options = {}) {
+        const logs = [];
+        const logger = {
+            info: (message) => logs.push(message),
+            warn: (message) => logs.push(message),
+        };
+        const keeper = new DaoKeeper({ client, retryDelay: 1, logger, ...options });
+        return { keeper, logs };
+    }
+
+    describe("Lifecycle", function () {
+        it("Should leave proposals alone while voting is open", async function () {
+            const { client } = await loadFixture(passedProposalFixture);
+            const { keeper } = createKeeper(client);
+
+            expect(await keeper.tick()).to.deep.equal([]);
+            expect(await client.getProposalState(1)).to.equal("ACTIVE");
+        });
+
+        it("Should tally and schedule a passed proposal once voting ends", async function () {
+            const { client } = await loadFixture(passedProposalFixture);
+            const { keeper, logs } = createKeeper(client);
+
+            await time.increase(VOTING_PERIOD + 1);
+            const actions = await keeper.tick();
+
+            expect(actions.map((a) => [a.step, a.status])).to.deep.equal([["tally", "done"]]);
+            expect(await client.getProposalState(1)).to.equal("QUEUED");
+            expect((await client.getProposal(1)).executionTime).to.be.gt(0);
+            expect(logs[0]).to.match(/^#1 tally -> QUEUED \(tx 0x/);
+        });
+
+        it("Should execute once the timelock expires", async function () {
+            const { client, recipient } = await loadFixture(passedProposalFixture);
+            const { keeper } = createKeeper(client);
+
+            await time.increase(VOTING_PERIOD + 1);
+            await keeper.tick();
+
+            // Still locked
+            await time.increase(EXPERIMENTAL_DELAY - 60);
+            expect(await keeper.tick()).to.deep.equal([]);
+
+            await time.increase(60);
+            const balanceBefore = await ethers.provider.getBalance(recipient.address);
+            const actions = await keeper.tick();
+
+            expect(actions.map((a) => [a.step, a.status, a.state])).to.deep.equal([["execute", "done", "EXECUTED"]]);
+            expect(await ethers.provider.getBalance(recipient.address) - balanceBefore).to.equal(ethers.parseEther("5"));
+
+            // Nothing left to do
+            expect(await keeper.tick()).to.deep.equal([]);
+            expect(keeper.finalized.has(1)).to.be.true;
+        });
+
+        it("Should execute action proposals with their committed actions", async function () {
+            const { client, timelock, owner, member1, member2, recipient } = await loadFixture(deployDaoFixture);
+            const { keeper } = createKeeper(client);
+
+            await owner.sendTransaction({ to: await timelock.getAddress(), value: ethers.parseEther("1") });
+            const { proposalId } = await client.connect(member1).proposeActions({
+                actions: [{ target: recipient.address, value: "1" }],
+                description: "Pay contributor",
+            });
+            await client.connect(member1).castVote(proposalId, "for");
+            await client.connect(member2).castVote(proposalId, "for");
+
+            await time.increase(VOTING_PERIOD + 1);
+            await keeper.tick();
+            await time.increase(7 * 24 * 60 * 60);
+
+            const balanceBefore = await ethers.provider.getBalance(recipient.address);
+            const actions = await keeper.tick();
+
+            expect(actions.filter((a) => a.proposalId === 2).map((a) => [a.step, a.state]))
+                .to.deep.equal([["execute", "EXECUTED"]]);
+            expect(await ethers.provider.getBalance(recipient.address) - balanceBefore).to.equal(ethers.parseEther("1"));
+        });
+
+        it("Should stop after tallying a defeated proposal", async function () {
+            const { client, member2, member3 } = await loadFixture(deployDaoFixture);
+            const { keeper } = createKeeper(client);
+
+            await client.connect(member2).castVote(1, "against");
+            await client.connect(member3).castVote(1, "against");
+            await time.increase(VOTING_PERIOD + 1);
+
+            const actions = await keeper.tick();
+            expect(actions.map((a) => [a.step, a.state])).to.deep.equal([["tally", "DEFEATED"]]);
+            expect((await client.getProposal(1)).executionTime).to.equal(0);
+        });
+
+        it("Should skip execution without EXECUTOR_ROLE", async function () {
+            const { client, member3 } = await loadFixture(passedProposalFixture);
+            const { keeper, logs } = createKeeper(client.connect(member3));
+
+            await time.increase(VOTING_PERIOD + 1);
+            await keeper.tick();
+            await time.increase(EXPERIMENTAL_DELAY);
+
+            const actions = await keeper.tick();
+            expect(actions.map((a) => [a.step, a.status])).to.deep.equal([["execute", "skipped"]]);
+            expect(logs.at(-1)).to.contain("lacks EXECUTOR_ROLE");
+            expect(await client.getProposalState(1)).to.equal("QUEUED");
+        });
+
+        it("Should release the reservation of a proposal that expired unexecuted", async function () {
+            const { client, timelock, member3 } = await loadFixture(passedProposalFixture);
+            const { keeper } = createKeeper(client.connect(member3));
+
+            await time.increase(VOTING_PERIOD + 1);
+            await keeper.tick();
+            expect((await client.getTreasury()).reserved.EXPERIMENTAL).to.equal(ethers.parseEther("5"));
+            await time.increase(EXPERIMENTAL_DELAY + Number(await timelock.GRACE_PERIOD()) + 1);
+
+            const actions = await keeper.tick();
+            expect(actions.map((a) => [a.step, a.status, a.state])).to.deep.equal([["release", "done", "EXPIRED"]]);
+            expect((await client.getTreasury()).reserved.EXPERIMENTAL).to.equal(0n);
+
+            expect(await keeper.tick()).to.deep.equal([]);
+            expect(keeper.finalized.has(1)).to.be.true;
+        });
+    });
+
+    describe("Dry run", function () {
+        it("Should simulate transitions without sending them", async function () {
+            const { client } = await loadFixture(passedProposalFixture);
+            const { keeper, logs } = createKeeper(client, { dryRun: true });
+
+            await time.increase(VOTING_PERIOD + 1);
+            const actions = await keeper.tick();
+
+            expect(actions.map((a) => [a.step, a.status])).to.deep.equal([["tally", "dry-run"]]);
+            expect(logs).to.deep.equal(["[dry-run] #1 would tally"]);
+            expect(await client.getProposalState(1)).to.equal("ACTIVE");
+        });
+
+        it("Should report transitions that would revert", async function () {
+            const { client, member3 } = await loadFixture(passedProposalFixture);
+            const { keeper } = createKeeper(client);
+
+            await time.increase(VOTING_PERIOD + 1);
+            await keeper.tick();
+            await time.increase(EXPERIMENTAL_DELAY);
+
+            // Unlike a real run, a dry run without the role still simulates
+            const dryRun = createKeeper(client.connect(member3), { dryRun: true }).keeper;
+            dryRun.canExecute = true;
+
+            const [action] = await dryRun.tick();
+            expect(action.status).to.equal("failed");
+            expect(action.error.code).to.equal("MISSING_ROLE");
+        });
+    });
+
+    describe("Retries", function () {
+        // Fixture results are shared between tests, so patch a fresh client's contracts
+        async function loadClient(fixture) {
+            const loaded = await loadFixture(fixture);
+            return { ...loaded, client: loaded.client.connect(loaded.owner) };
+        }
+
+        function failTimes(contract, method, times) {
+            const original = contract[method];
+            let calls = 0;
+            contract[method] = async (...args) => {
+                calls++;
+                if (calls <= times) {
+                    throw Object.assign(new Error("socket hang up"), { code: "NETWORK_ERROR" });
+                }
+                return original(...args);
+            };
+            return () => calls;
+        }
+
+        it("Should retry transient failures", async function () {
+            const { client } = await loadClient(passedProposalFixture);
+            const { keeper, logs } = createKeeper(client);
+            const calls = failTimes(client.governanceProposal, "queueProposal", 2);
+
+            await time.increase(VOTING_PERIOD + 1);
+            const [tally] = await keeper.tick();
+
+            expect(tally.status).to.equal("done");
+            expect(calls()).to.equal(3);
+            expect(logs.filter((line) => line.includes("retrying"))).to.have.length(2);
+        });
+
+        it("Should give up after maxRetries", async function () {
+            const { client } = await loadClient(passedProposalFixture);
+            const { keeper } = createKeeper(client, { maxRetries: 1 });
+            const calls = failTimes(client.governanceProposal, "queueProposal", 5);
+
+            await time.increase(VOTING_PERIOD + 1);
+            const [tally] = await keeper.tick();
+
+            expect(tally.status).to.equal("failed");
+            expect(tally.error.code).to.equal("NETWORK_ERROR");
+            expect(calls()).to.equal(2);
+            expect(await client.getProposalState(1)).to.equal("ACTIVE");
+        });
+
+        it("Should not retry reverts", async function () {
+            const { client, timelock } = await loadClient(passedProposalFixture);
+            const { keeper } = createKeeper(client);
+
+            await time.increase(VOTING_PERIOD + 1);
+            await client.governanceProposal.queueProposal(1);
+            await time.increase(EXPERIMENTAL_DELAY);
+
+            // Guardian pulls the proposal between the keeper's read and its transaction
+            const execute = client.timelock.executeProposal;
+            let calls = 0;
+            client.timelock.executeProposal = async (...args) => {
+                calls++;
+                await client.governanceProposal.cancelProposal(1);
+                return execute(...args);
+            };
+
+            const [action] = await keeper.tick();
+            expect(action.status).to.equal("failed");
+            expect(action.error.code).to.equal("NOT_QUEUED");
+            expect(calls).to.equal(1);
+        });
+    });
+});
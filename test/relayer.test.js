@@ -0,0 +1,243 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { DaoClient, VoteRelayer, sendToRelayer, SignatureError, VotingError } = require("../lib");
+
+describe("VoteRelayer", function () {
+    let relayer;
+
+    async function deployDaoFixture() {
+        const [owner, member1, member2, member3, recipient] = await ethers.getSigners();
+
+        const GovernanceToken = await ethers.getContractFactory("GovernanceToken");
+        const governanceToken = await GovernanceToken.deploy();
+        for (const member of [member1, member2, member3]) {
+            await governanceToken.attest(member.address, ethers.ZeroHash);
+        }
+
+        const GovernanceProposal = await ethers.getContractFactory("GovernanceProposal");
+        const governanceProposal = await GovernanceProposal.deploy(await governanceToken.getAddress());
+
+        const MultiTierTreasury = await ethers.getContractFactory("MultiTierTreasury");
+        const treasury = await MultiTierTreasury.deploy();
+
+        const TimelockController = await ethers.getContractFactory("TimelockController");
+        const timelock = await TimelockController.deploy(
+            await governanceProposal.getAddress(),
+            await treasury.getAddress()
+        );
+
+        await governanceToken.grantRole(await governanceToken.GOVERNANCE_ROLE(), await governanceProposal.getAddress());
+
+        const client = new DaoClient(owner, {
+            GovernanceToken: await governanceToken.getAddress(),
+            GovernanceProposal: await governanceProposal.getAddress(),
+            MultiTierTreasury: await treasury.getAddress(),
+            TimelockController: await timelock.getAddress(),
+        });
+
+        await client.connect(member1).stake("100");
+        await client.connect(member2).stake("25");
+        await client.connect(member3).stake("1");
+        for (const description of ["Server costs", "Audit retainer"]) {
+            await client.connect(member1).propose({
+                type: "operational",
+                recipient: recipient.address,
+                amount: "0.5",
+                description,
+            });
+        }
+
+        return { client, owner, member1, member2, member3 };
+    }
+
+    async function startRelayer(client, options = {}) {
+        relayer = new VoteRelayer({
+            client,
+            batchInterval: 60000,
+            logger: { info: () => {}, warn: () => {} },
+            ...options,
+        });
+        const { port } = await relayer.listen();
+        return `http://127.0.0.1:${port}`;
+    }
+
+    async function post(url, path, body) {
+        const response = await fetch(`${url}${path}`, {
+            method: "POST",
+            headers: { "content-type": "application/json" },
+            body: typeof body === "string" ? body : JSON.stringify(body, (_, v) => (typeof v === "bigint" ? v.toString() : v)),
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    afterEach(async function () {
+        if (relayer) {
+            await relayer.close();
+            relayer = undefined;
+        }
+    });
+
+    describe("Batching", function () {
+        it("Should submit queued ballots in one transaction, paid by the relayer", async function () {
+            const { client, member1, member2, member3 } = await loadFixture(deployDaoFixture);
+            const url = await startRelayer(client);
+            const balanceBefore = await ethers.provider.getBalance(member3.address);
+
+            const submissions = [];
+            for (const [member, support] of [[member1, "for"], [member2, "against"], [member3, "for"]]) {
+                const ballot = await client.connect(member).signVote(1, support);
+                submissions.push(await sendToRelayer(url, ballot));
+            }
+            expect(submissions.map((submission) => submission.status)).to.deep.equal(["queued", "queued", "queued"]);
+
+            const { txHash, submitted, rejected } = await relayer.flush();
+            expect(submitted).to.have.lengthOf(3);
+            expect(rejected).to.be.empty;
+
+            const response = await fetch(`${url}/submissions/${submissions[2].id}`);
+            expect(await response.json()).to.include({ status: "submitted", txHash, proposalId: "1" });
+
+            const proposal = await client.getProposal(1);
+            expect(proposal.forVotes).to.equal(
+                (await client.getVotingPower(member1.address)) + (await client.getVotingPower(member3.address))
+            );
+            expect(proposal.againstVotes).to.equal(await client.getVotingPower(member2.address));
+            expect(await ethers.provider.getBalance(member3.address)).to.equal(balanceBefore);
+        });
+
+        it("Should send a batch once maxBatchSize submissions are waiting", async function () {
+            const { client, member1, member2 } = await loadFixture(deployDaoFixture);
+            const url = await startRelayer(client, { maxBatchSize: 2 });
+
+            await sendToRelayer(url, await client.connect(member2).signDelegation(member1.address));
+            await sendToRelayer(url, await client.connect(member1).signVote(1, "for"));
+            await relayer.flush();
+
+            const status = await (await fetch(`${url}/status`)).json();
+            expect(status).to.include({ queued: 0, submitted: 2, rejected: 0 });
+            expect(await client.governanceProposal.delegates(member2.address)).to.equal(member1.address);
+            expect((await client.getProposal(1)).forVotes).to.equal(
+                (await client.getVotingPower(member1.address)) + (await client.getVotingPower(member2.address))
+            );
+        });
+
+        it("Should hold a signature back until the member's earlier nonces arrive", async function () {
+            const { client, member3 } = await loadFixture(deployDaoFixture);
+            const url = await startRelayer(client);
+            const member = client.connect(member3);
+
+            const second = await sendToRelayer(url, await member.signVote(2, "for", { nonce: 1 }));
+            expect((await relayer.flush()).submitted).to.be.empty;
+
+            const first = await sendToRelayer(url, await member.signVote(1, "for"));
+            const { submitted } = await relayer.flush();
+
+            expect(submitted).to.deep.equal([first.id, second.id]);
+            expect(await client.hasVoted(1, member3.address)).to.be.true;
+            expect(await client.hasVoted(2, member3.address)).to.be.true;
+        });
+
+        it("Should reject a ballot that became invalid without holding back the rest", async function () {
+            const { client, member1, member2, member3 } = await loadFixture(deployDaoFixture);
+            const url = await startRelayer(client);
+
+            const stale = await sendToRelayer(url, await client.connect(member2).signVote(1, "for"));
+            const fresh = await sendToRelayer(url, await client.connect(member1).signVote(1, "for"));
+            await client.connect(member2).delegate(member3.address);
+
+            const { submitted, rejected } = await relayer.flush();
+
+            expect(submitted).to.deep.equal([fresh.id]);
+            expect(rejected).to.deep.equal([stale.id]);
+            expect(relayer.getSubmission(stale.id)).to.deep.include({
+                status: "rejected",
+                error: { code: "VOTING_POWER_DELEGATED", message: "Voting power delegated" },
+            });
+        });
+
+        it("Should send batches on its own while listening", async function () {
+            const { client, member1 } = await loadFixture(deployDaoFixture);
+            const url = await startRelayer(client, { batchInterval: 50 });
+
+            const { id } = await sendToRelayer(url, await client.connect(member1).signVote(1, "for"));
+            for (let i = 0; i < 100 && relayer.getSubmission(id).status === "queued"; i++) {
+                await new Promise((resolve) => setTimeout(resolve, 20));
+            }
+
+            expect(relayer.getSubmission(id).status).to.equal("submitted");
+            expect(await client.hasVoted(1, member1.address)).to.be.true;
+        });
+    });
+
+    describe("Validation", function () {
+        it("Should refuse forged, expired, replayed and malformed submissions", async function () {
+            const { client, member1, member2 } = await loadFixture(deployDaoFixture);
+            const url = await startRelayer(client);
+
+            const ballot = await client.connect(member1).signVote(1, "for");
+            const forged = await sendToRelayer(url, { ...ballot, voter: member2.address }).catch((e) => e);
+            expect(forged).to.be.instanceOf(SignatureError);
+            expect(forged.code).to.equal("INVALID_SIGNATURE");
+
+            const expired = await post(url, "/ballots", await client.connect(member2).signVote(1, "for", { expiry: await time.latest() }));
+            expect(expired.status).to.equal(422);
+            expect(expired.body.error.code).to.equal("SIGNATURE_EXPIRED");
+
+            await sendToRelayer(url, ballot);
+            expect((await post(url, "/ballots", ballot)).status).to.equal(409);
+            await relayer.flush();
+            const replay = await sendToRelayer(url, await client.connect(member1).signVote(2, "for", { nonce: 0 })).catch((e) => e);
+            expect(replay.code).to.equal("NONCE_USED");
+
+            expect((await post(url, "/ballots", "{not json")).status).to.equal(400);
+            expect((await post(url, "/ballots", { ...ballot, voter: "nobody" })).status).to.equal(400);
+            expect((await post(url, "/votes", ballot)).status).to.equal(404);
+            expect((await fetch(`${url}/ballots`)).status).to.equal(405);
+            expect((await fetch(`${url}/submissions/0x1234`)).status).to.equal(404);
+        });
+
+        it("Should cap waiting submissions and forget finished ones", async function () {
+            const { client, member1, member2, member3 } = await loadFixture(deployDaoFixture);
+            const url = await startRelayer(client, { maxPending: 3, maxPendingPerSigner: 2, nonceWindow: 2, retention: 0 });
+            const member = client.connect(member3);
+
+            const tooFar = await sendToRelayer(url, await member.signVote(2, "for", { nonce: 3 })).catch((e) => e);
+            expect(tooFar).to.be.instanceOf(SignatureError);
+            expect(tooFar.code).to.equal("NONCE_TOO_FAR");
+
+            const first = await sendToRelayer(url, await member.signVote(1, "for"));
+            await sendToRelayer(url, await member.signVote(2, "for", { nonce: 1 }));
+            const perSigner = await post(url, "/delegations", await member.signDelegation(member1.address, { nonce: 2 }));
+            expect(perSigner.status).to.equal(429);
+            expect(perSigner.body.error.code).to.equal("TOO_MANY_PENDING");
+
+            const expiring = await sendToRelayer(url, await client.connect(member2).signVote(1, "against", { expiry: (await time.latest()) + 60 }));
+            const busy = await post(url, "/ballots", await client.connect(member1).signVote(1, "for"));
+            expect(busy.status).to.equal(503);
+            expect(busy.body.error.code).to.equal("RELAYER_BUSY");
+
+            await time.increase(120);
+            const { submitted, rejected } = await relayer.flush();
+            expect(submitted).to.have.lengthOf(2);
+            expect(rejected).to.deep.equal([expiring.id]);
+
+            // Finished submissions are dropped on the next pass once their retention is over
+            await relayer.flush();
+            expect(relayer.getSubmission(first.id)).to.be.undefined;
+            expect(relayer.submissions.size).to.equal(0);
+        });
+
+        it("Should refuse a vote the contract would reject right away", async function () {
+            const { client, member1, member2 } = await loadFixture(deployDaoFixture);
+            const url = await startRelayer(client);
+
+            await client.connect(member1).delegate(member2.address);
+            const error = await sendToRelayer(url, await client.connect(member1).signVote(1, "against")).catch((e) => e);
+
+            expect(error).to.be.instanceOf(VotingError);
+            expect(error.code).to.equal("VOTING_POWER_DELEGATED");
+        });
+    });
+});
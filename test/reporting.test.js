@@ -0,0 +1,198 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { DaoClient, TreasuryReporter, statementToCsv } = require("../lib");
+
+describe("TreasuryReporter", function () {
+    const DAY = 24 * 60 * 60;
+
+    async function deployDaoFixture() {
+        const [owner, member1, member2, recipient] = await ethers.getSigners();
+
+        const GovernanceToken = await ethers.getContractFactory("GovernanceToken");
+        const governanceToken = await GovernanceToken.deploy();
+        for (const member of [member1, member2]) {
+            await governanceToken.attest(member.address, ethers.ZeroHash);
+        }
+
+        const GovernanceProposal = await ethers.getContractFactory("GovernanceProposal");
+        const governanceProposal = await GovernanceProposal.deploy(await governanceToken.getAddress());
+
+        const MultiTierTreasury = await ethers.getContractFactory("MultiTierTreasury");
+        const treasury = await MultiTierTreasury.deploy();
+
+        const TimelockController = await ethers.getContractFactory("TimelockController");
+        const timelock = await TimelockController.deploy(
+            await governanceProposal.getAddress(),
+            await treasury.getAddress()
+        );
+
+        await governanceToken.grantRole(await governanceToken.GOVERNANCE_ROLE(), await governanceProposal.getAddress());
+        await governanceProposal.grantRole(await governanceProposal.EXECUTOR_ROLE(), await timelock.getAddress());
+        await governanceProposal.setTimelock(await timelock.getAddress());
+        await treasury.grantRole(await treasury.EXECUTOR_ROLE(), await timelock.getAddress());
+
+        await owner.sendTransaction({ to: await treasury.getAddress(), value: ethers.parseEther("50") });
+        await treasury.allocateFunds(0, ethers.parseEther("30"));
+        await treasury.allocateFunds(1, ethers.parseEther("15"));
+        await treasury.allocateFunds(2, ethers.parseEther("5"));
+        const start = await time.latest();
+
+        const client = new DaoClient(owner, {
+            GovernanceToken: await governanceToken.getAddress(),
+            GovernanceProposal: await governanceProposal.getAddress(),
+            MultiTierTreasury: await treasury.getAddress(),
+            TimelockController: await timelock.getAddress(),
+        });
+
+        // The reporting period: a payout, a stream that is claimed from and
+        // cancelled, a deposit and a rebalance
+        await time.increase(DAY);
+        await client.connect(member1).stake("100");
+        await client.connect(member2).stake("25");
+        await client.connect(member1).propose({
+            type: "experimental",
+            recipient: recipient.address,
+            amount: "5",
+            description: "NFT marketplace",
+        });
+        await client.connect(member1).propose({
+            type: "experimental",
+            recipient: recipient.address,
+            amount: "6",
+            description: "Contributor grant",
+            vesting: { cliff: 0, duration: 60 * DAY },
+        });
+        for (const proposalId of [1, 2]) {
+            await client.connect(member1).castVote(proposalId, "for");
+            await client.connect(member2).castVote(proposalId, "for");
+        }
+        await time.increase(3 * DAY + 1);
+        await client.queue(1);
+        const { executionTime } = await client.queue(2);
+        await time.increaseTo(executionTime);
+        await client.execute(1);
+        await client.execute(2);
+
+        await time.increase(30 * DAY);
+        await client.connect(recipient).claimStream(2);
+        await client.cancelStream(2);
+        await owner.sendTransaction({ to: await treasury.getAddress(), value: ethers.parseEther("10") });
+        await treasury.rebalanceFunds();
+
+        const reporter = new TreasuryReporter({ client: client.connect(ethers.provider) });
+        return { client, reporter, treasury, owner, recipient, start };
+    }
+
+    it("Should report opening and closing balances and every movement in the range", async function () {
+        const { client, reporter, owner, recipient, start } = await loadFixture(deployDaoFixture);
+
+        const report = await reporter.statement({ from: start + 1 });
+
+        expect(report.treasury).to.deep.include({
+            opening: ethers.parseEther("50"),
+            inflows: ethers.parseEther("10"),
+        });
+        expect(report.funds.EXPERIMENTAL).to.deep.include({
+            opening: ethers.parseEther("15"),
+            allocations: 0n,
+            outflows: ethers.parseEther("11"),
+        });
+        expect(report.inflows).to.have.lengthOf(1);
+        expect(report.inflows[0]).to.include({ counterparty: owner.address, amount: ethers.parseEther("10") });
+        expect(report.allocations).to.be.empty;
+        expect(report.outflows.map((m) => [m.type, m.proposalId])).to.deep.equal([
+            ["transfer", 1n],
+            ["stream", 2n],
+            ["claim", 2n],
+            ["claim", 2n],
+        ]);
+        expect(report.outflows[0]).to.include({ fund: "EXPERIMENTAL", counterparty: recipient.address, amount: ethers.parseEther("5") });
+        // The rebalance tops up the experimental fund from the other two
+        expect(report.rebalances.map((m) => [m.fund, m.amount > 0n])).to.deep.equal([
+            ["HIGH_CONVICTION", false],
+            ["EXPERIMENTAL", true],
+            ["OPERATIONAL", false],
+            ["EXPERIMENTAL", true],
+        ]);
+        expect(report.rebalances.reduce((sum, m) => sum + m.amount, 0n)).to.equal(0n);
+
+        const { total, funds } = await client.getTreasury();
+        expect(report.treasury.closing).to.equal(total);
+        for (const [name, fund] of Object.entries(report.funds)) {
+            expect(fund.closing).to.equal(funds[name]);
+            expect(fund.opening + fund.allocations - fund.outflows + fund.returned + fund.rebalances).to.equal(fund.closing);
+        }
+        expect(report.streams.opened).to.equal(ethers.parseEther("6"));
+        expect(report.streams.claimed + report.streams.returned).to.equal(ethers.parseEther("6"));
+        expect(report.streams.closing).to.equal(0n);
+        expect(report.reconciliation).to.deep.include({ ok: true, discrepancies: [] });
+    });
+
+    it("Should report a range that ends before the latest block", async function () {
+        const { reporter, start } = await loadFixture(deployDaoFixture);
+
+        const report = await reporter.statement({ to: start });
+
+        expect(report.funds.HIGH_CONVICTION).to.deep.include({ opening: 0n, allocations: ethers.parseEther("30") });
+        expect(report.treasury.closing).to.equal(ethers.parseEther("50"));
+        expect(report.treasury.unallocated.closing).to.equal(0n);
+        expect(report.movements.map((m) => m.type)).to.deep.equal(["deposit", "allocation", "allocation", "allocation"]);
+        expect(report.reconciliation.ok).to.be.true;
+    });
+
+    it("Should flag balances the events do not explain", async function () {
+        const { client, reporter, treasury, owner } = await loadFixture(deployDaoFixture);
+        const treasuryAddress = await treasury.getAddress();
+
+        // ETH forced in without going through receive()
+        const balance = await ethers.provider.getBalance(treasuryAddress);
+        await setBalance(treasuryAddress, balance + ethers.parseEther("1"));
+
+        const report = await reporter.statement();
+        expect(report.reconciliation.ok).to.be.false;
+        expect(report.reconciliation.discrepancies).to.deep.equal([{
+            account: "total",
+            expected: balance,
+            actual: balance + ethers.parseEther("1"),
+            difference: ethers.parseEther("1"),
+        }]);
+
+        // Tokens sent with a plain transfer instead of depositToken
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+        const token = await usdc.getAddress();
+        await usdc.mint(owner.address, ethers.parseUnits("150", 6));
+        await client.depositToken(token, "100");
+        await usdc.transfer(treasuryAddress, ethers.parseUnits("50", 6));
+
+        const tokenReport = await reporter.statement({ token });
+        expect(tokenReport.asset).to.include({ token, symbol: "USDC", decimals: 6 });
+        expect(tokenReport.treasury.inflows).to.equal(ethers.parseUnits("100", 6));
+        expect(tokenReport.reconciliation.discrepancies).to.have.lengthOf(1);
+        expect(tokenReport.reconciliation.discrepancies[0]).to.include({ account: "total", difference: ethers.parseUnits("50", 6) });
+    });
+
+    it("Should export opening balances, movements and closing balances as CSV", async function () {
+        const { reporter, recipient, start } = await loadFixture(deployDaoFixture);
+
+        const report = await reporter.statement({ from: start + 1 });
+        const rows = statementToCsv(report).trim().split("\n").map((line) => line.split(","));
+
+        expect(rows[0]).to.deep.equal(["type", "date", "block", "txHash", "account", "proposalId", "counterparty", "amount"]);
+        expect(rows.filter((row) => row[0] === "opening").map((row) => [row[4], row[7]])).to.deep.equal([
+            ["HIGH_CONVICTION", ethers.parseEther("30").toString()],
+            ["EXPERIMENTAL", ethers.parseEther("15").toString()],
+            ["OPERATIONAL", ethers.parseEther("5").toString()],
+            ["streams", "0"],
+            ["total", ethers.parseEther("50").toString()],
+        ]);
+
+        const transfer = rows.find((row) => row[0] === "transfer");
+        expect(transfer[1]).to.equal(new Date(report.outflows[0].timestamp * 1000).toISOString());
+        expect(transfer.slice(4)).to.deep.equal(["EXPERIMENTAL", "1", recipient.address, ethers.parseEther("5").toString()]);
+        expect(rows.filter((row) => row[0] === "closing")).to.have.lengthOf(5);
+        expect(rows).to.have.lengthOf(1 + 5 + report.movements.length + 5);
+    });
+});
@@ -0,0 +1,140 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { DaoClient, ProposalSimulator } = require("../lib");
+
+describe("ProposalSimulator", function () {
+    async function deployDaoFixture() {
+        const [owner, member1, member2, member3, recipient] = await ethers.getSigners();
+
+        const GovernanceToken = await ethers.getContractFactory("GovernanceToken");
+        const governanceToken = await GovernanceToken.deploy();
+        for (const member of [member1, member2, member3]) {
+            await governanceToken.attest(member.address, ethers.ZeroHash);
+        }
+
+        const GovernanceProposal = await ethers.getContractFactory("GovernanceProposal");
+        const governanceProposal = await GovernanceProposal.deploy(await governanceToken.getAddress());
+
+        const MultiTierTreasury = await ethers.getContractFactory("MultiTierTreasury");
+        const treasury = await MultiTierTreasury.deploy();
+
+        const TimelockController = await ethers.getContractFactory("TimelockController");
+        const timelock = await TimelockController.deploy(
+            await governanceProposal.getAddress(),
+            await treasury.getAddress()
+        );
+
+        await governanceToken.grantRole(await governanceToken.GOVERNANCE_ROLE(), await governanceProposal.getAddress());
+        await governanceProposal.grantRole(await governanceProposal.EXECUTOR_ROLE(), await timelock.getAddress());
+        await governanceProposal.setTimelock(await timelock.getAddress());
+        await governanceProposal.grantRole(await governanceProposal.GUARDIAN_ROLE(), await timelock.getAddress());
+        await treasury.grantRole(await treasury.EXECUTOR_ROLE(), await timelock.getAddress());
+
+        // Only the experimental fund holds anything
+        await owner.sendTransaction({ to: await treasury.getAddress(), value: ethers.parseEther("50") });
+        await treasury.allocateFunds(1, ethers.parseEther("15"));
+
+        const client = new DaoClient(owner, {
+            GovernanceToken: await governanceToken.getAddress(),
+            GovernanceProposal: await governanceProposal.getAddress(),
+            MultiTierTreasury: await treasury.getAddress(),
+            TimelockController: await timelock.getAddress(),
+        });
+
+        await client.connect(member1).stake("100");
+        await client.connect(member2).stake("25");
+        await client.connect(member3).stake("9");
+        await client.connect(member1).propose({
+            type: "experimental",
+            recipient: recipient.address,
+            amount: "5",
+            description: "NFT marketplace",
+        });
+
+        const simulator = new ProposalSimulator({ client: client.connect(ethers.provider) });
+        return { client, simulator, member1, member2, member3, recipient };
+    }
+
+    it("Should report the payout of a passing proposal and leave the chain untouched", async function () {
+        const { client, simulator, member1, member2, member3, recipient } = await loadFixture(deployDaoFixture);
+        const blockBefore = await ethers.provider.getBlockNumber();
+
+        const report = await simulator.simulate(1);
+
+        expect(report.outcome).to.equal("EXECUTED");
+        expect(report.fund).to.equal("EXPERIMENTAL");
+        expect(report.votesAdded).to.have.members([member1.address, member2.address, member3.address]);
+        expect(report.diffs.treasury.EXPERIMENTAL).to.deep.equal({
+            before: ethers.parseEther("15"),
+            after: ethers.parseEther("10"),
+            change: -ethers.parseEther("5"),
+        });
+        expect(report.diffs.treasury.total.change).to.equal(-ethers.parseEther("5"));
+        expect(report.diffs.treasury.OPERATIONAL.change).to.equal(0n);
+        expect(report.diffs.accounts[recipient.address].change).to.equal(ethers.parseEther("5"));
+
+        expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+        expect(await client.getProposalState(1)).to.equal("ACTIVE");
+        expect(await client.hasVoted(1, member1.address)).to.be.false;
+        expect((await client.getTreasury()).funds.EXPERIMENTAL).to.equal(ethers.parseEther("15"));
+    });
+
+    it("Should report the revert reason when the tier cannot pay", async function () {
+        const { client, simulator, member1, recipient } = await loadFixture(deployDaoFixture);
+        await client.connect(member1).propose({
+            type: "operational",
+            recipient: recipient.address,
+            amount: "0.5",
+            description: "Server costs",
+        });
+
+        const report = await simulator.simulate(2);
+
+        expect(report.outcome).to.equal("REVERTED");
+        expect(report.revert).to.deep.equal({ code: "INSUFFICIENT_FUND_BALANCE", reason: "Insufficient fund balance" });
+        expect(report.diffs.treasury.total.change).to.equal(0n);
+        expect(report.diffs.accounts[recipient.address].change).to.equal(0n);
+    });
+
+    it("Should report why a proposal would be defeated", async function () {
+        const { client, simulator, member1 } = await loadFixture(deployDaoFixture);
+        await client.connect(member1).castVote(1, "against");
+
+        const report = await simulator.simulate(1);
+        expect(report.outcome).to.equal("DEFEATED");
+        expect(report.defeatReason).to.equal("Threshold not met");
+        expect(report.tally.againstVotes).to.equal(await client.getVotingPower(member1.address));
+
+        const asIs = await simulator.simulate(1, { addVotes: false });
+        expect(asIs.votesAdded).to.be.empty;
+        expect(asIs.outcome).to.equal("DEFEATED");
+    });
+
+    it("Should simulate a proposal still in its voting delay", async function () {
+        const { client, simulator, member1, recipient } = await loadFixture(deployDaoFixture);
+        await client.governanceProposal.updateVotingConfig(1, 20, 60, 60 * 60, 3 * 24 * 60 * 60);
+        const { proposalId } = await client.connect(member1).propose({
+            type: "experimental",
+            recipient: recipient.address,
+            amount: "2",
+            description: "Audit",
+        });
+        expect(await client.getProposalState(proposalId)).to.equal("PENDING");
+
+        const report = await simulator.simulate(proposalId);
+
+        expect(report.outcome).to.equal("EXECUTED");
+        expect(report.diffs.accounts[recipient.address].change).to.equal(ethers.parseEther("2"));
+        expect(await client.getProposalState(proposalId)).to.equal("PENDING");
+    });
+
+    it("Should refuse proposals that are already finished", async function () {
+        const { client, simulator } = await loadFixture(deployDaoFixture);
+        await client.cancel(1);
+
+        const error = await simulator.simulate(1).catch((e) => e);
+        expect(error.code).to.equal("NOT_SIMULATABLE");
+    });
+});